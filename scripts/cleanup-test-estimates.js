@@ -20,33 +20,7 @@ if (fs.existsSync(envPath)) {
   }
 }
 
-const { getToken, searchCustomer } = require("../skills/autoleap-browser/scripts/autoleap-api");
-const https = require("https");
-
-function apiCall(method, apiPath, token) {
-  return new Promise((resolve, reject) => {
-    const req = https.request({
-      hostname: "api.myautoleap.com",
-      path: "/api/v1" + apiPath,
-      method,
-      headers: {
-        "Content-Type": "application/json",
-        "Accept": "application/json",
-        "authorization": token,
-        "origin": "https://app.myautoleap.com",
-      },
-    }, (res) => {
-      let data = "";
-      res.on("data", (c) => data += c);
-      res.on("end", () => {
-        try { resolve({ status: res.statusCode, data: JSON.parse(data) }); }
-        catch { resolve({ status: res.statusCode, raw: data.substring(0, 200) }); }
-      });
-    });
-    req.on("error", reject);
-    req.end();
-  });
-}
+const { getToken, searchCustomer, apiCall } = require("../skills/autoleap-browser/scripts/autoleap-api");
 
 (async () => {
   console.log("=== AUTOLEAP CLEANUP ===\n");
@@ -60,7 +34,7 @@ function apiCall(method, apiPath, token) {
   console.log(`Found test customer: ${cust.firstName} ${cust.lastName} (${cust._id})`);
 
   // Get all estimates for this customer
-  const estResp = await apiCall("PUT", `/customers/${cust._id}/estimates?limit=50&page=1&sortBy=createdAt&sortDirection=-1`, token);
+  const estResp = await apiCall("PUT", `/customers/${cust._id}/estimates?limit=50&page=1&sortBy=createdAt&sortDirection=-1`, null, token);
   const estimates = estResp.data?.response?.list || estResp.data?.list || [];
   console.log(`Found ${estimates.length} estimate(s) for this customer\n`);
 
@@ -75,7 +49,7 @@ function apiCall(method, apiPath, token) {
     const id = est._id;
     const code = est.code || est.estimateNumber || "?";
     try {
-      const res = await apiCall("DELETE", `/estimates/${id}`, token);
+      const res = await apiCall("DELETE", `/estimates/${id}`, null, token);
       if (res.status >= 200 && res.status < 300) {
         console.log(`  Deleted RO#${code} (${id})`);
         deleted++;
@@ -91,7 +65,7 @@ function apiCall(method, apiPath, token) {
 
   // Delete the test customer
   try {
-    const custDel = await apiCall("DELETE", `/customers/${cust._id}`, token);
+    const custDel = await apiCall("DELETE", `/customers/${cust._id}`, null, token);
     if (custDel.status >= 200 && custDel.status < 300) {
       console.log(`Deleted test customer: ${cust.firstName} ${cust.lastName}`);
     } else {
@@ -0,0 +1,445 @@
+/**
+ * Mock AutoLeap + PartsTech REST server — offline stand-in for CI and local runs
+ *
+ * Implements the endpoints SAM's REST clients call, backed by an in-memory store:
+ *
+ *   AutoLeap   (autoleap-browser/scripts/autoleap-api.js, partstech-search.js) under /autoleap/api/v1
+ *     PUT    /customers/list                Search customers (name, phone, email)
+ *     POST   /customers                     Create customer
+ *     DELETE /customers/:id                 Delete customer
+ *     PUT    /customers/:id/estimates       Customer's estimates
+ *     POST   /vehicles                      Create vehicle under a customer
+ *     GET    /estimates                     Recent estimates (newest first)
+ *     POST   /estimates                     Create estimate
+ *     GET    /estimates/:id                 Get estimate
+ *     PATCH  /estimates/:id                 Update estimate (services) — totals recomputed
+ *     DELETE /estimates/:id                 Delete estimate
+ *     GET    /estimates/:id/pdf             Estimate PDF
+ *     GET    /partstech/create/qoute        PartsTech SSO redirect for an estimate
+ *
+ *   PartsTech  (partstech-search/scripts/search.js) under /partstech/v1
+ *     POST   /parts/search                  Economy, premium and OEM result per search term
+ *     GET    /vehicles/vin/:vin             Vehicle lookup
+ *     GET    /cart                          Cart contents
+ *     POST   /cart/items                    Add a searched part to the cart
+ *     DELETE /cart/items/:id                Remove a cart line
+ *     POST   /orders                        Order the given cart lines (cartItemIds)
+ *
+ * Every request needs an Authorization header (any value), like the real APIs.
+ *
+ * Usage:
+ *   node scripts/mock-platforms.js [port]     (default 3005)
+ *   then export the env vars it prints before starting SAM.
+ */
+
+"use strict";
+
+const http = require("http");
+const { URL } = require("url");
+
+const LOG = "[mock-platforms]";
+const DEFAULT_PORT = 3005;
+const AUTOLEAP_PREFIX = "/autoleap/api/v1";
+const PARTSTECH_PREFIX = "/partstech/v1";
+const MAX_BODY_BYTES = 256 * 1024;
+
+// Base prices for part searches; anything else is priced at DEFAULT_PART_PRICE
+const PART_PRICES = {
+  "brake pad": 45, "rotor": 60, "caliper": 85, "catalytic converter": 280,
+  "oxygen sensor": 55, "o2 sensor": 55, "spark plug": 9, "ignition coil": 48,
+  "water pump": 75, "thermostat": 22, "oil filter": 7, "air filter": 16,
+  "battery": 160, "alternator": 210, "starter": 180, "serpentine belt": 30,
+};
+const DEFAULT_PART_PRICE = 50;
+
+// One result per tier, matching partstech-search's Good / Better / Best picks
+const OFFERS = [
+  { brand: "ValueLine", isOEM: false, factor: 0.8, supplierId: "sup-east", supplierName: "Mock Parts East", distanceMiles: 3, warranty: "12 months" },
+  { brand: "Bosch", isOEM: false, factor: 1.1, supplierId: "sup-west", supplierName: "Mock Parts West", distanceMiles: 9, warranty: "24 months" },
+  { brand: "OEM", isOEM: true, factor: 1.6, supplierId: "sup-dealer", supplierName: "Mock Dealer Parts", distanceMiles: 14, warranty: "12 months" },
+];
+
+// ── Store ─────────────────────────────────────────────────────────────────────
+
+function createStore() {
+  return {
+    seq: 0,
+    customers: new Map(),
+    vehicles: new Map(),
+    estimates: new Map(),
+    parts: new Map(),
+    cart: [],
+    orders: [],
+  };
+}
+
+/** 24-hex id, like AutoLeap's Mongo ids */
+function nextId(store) {
+  store.seq++;
+  return store.seq.toString(16).padStart(24, "0");
+}
+
+function digits(value) {
+  return String(value || "").replace(/\D/g, "");
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/** AutoLeap-style totals: labor from hours × rate, parts from cost × quantity */
+function estimateTotals(services = []) {
+  let labor = 0;
+  let parts = 0;
+  for (const svc of services) {
+    labor += svc.total ?? (svc.hours || 0) * (svc.rate || svc.laborRate || 0);
+    for (const p of svc.parts || []) parts += (p.cost ?? p.price ?? 0) * (p.quantity || p.qty || 1);
+  }
+  return { labor: round2(labor), parts: round2(parts), grand: round2(labor + parts) };
+}
+
+function vehicleName(v) {
+  return [v.year, v.make, v.model].filter(Boolean).join(" ");
+}
+
+/** Estimate as AutoLeap returns it — customer and vehicle populated */
+function estimateView(store, est) {
+  const customer = store.customers.get(est.customerId) || null;
+  const vehicle = store.vehicles.get(est.vehicleId) || null;
+  return {
+    _id: est._id,
+    code: est.code,
+    createdAt: est.createdAt,
+    customer: customer ? { customerId: { _id: customer._id, fullName: customer.fullName, phone: customer.phone } } : null,
+    vehicle: vehicle ? { vehicleId: { _id: vehicle._id, name: vehicle.name } } : null,
+    services: est.services,
+    total: estimateTotals(est.services),
+  };
+}
+
+/** Minimal one-page PDF, padded past the client's "real PDF" size check */
+function estimatePdf(est) {
+  const { grand } = estimateTotals(est.services);
+  const text = `Estimate ${est.code} - Total $${grand.toFixed(2)}`.replace(/[()\\]/g, "");
+  const stream = `BT /F1 14 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>",
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  ];
+  let pdf = "%PDF-1.4\n" + `%${"mock estimate ".repeat(80)}\n`;
+  const offsets = [];
+  objects.forEach((obj, i) => {
+    offsets.push(pdf.length);
+    pdf += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const off of offsets) pdf += `${String(off).padStart(10, "0")} 00000 n \n`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+function partPrice(term) {
+  const t = String(term || "").toLowerCase();
+  const key = Object.keys(PART_PRICES).find((k) => t.includes(k));
+  return key ? PART_PRICES[key] : DEFAULT_PART_PRICE;
+}
+
+/** Same results for the same term, so searches and carts are repeatable */
+function searchResults(store, { searchTerm, filters = {} }) {
+  const base = partPrice(searchTerm);
+  const slug = String(searchTerm || "part").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  const results = [];
+  OFFERS.forEach((offer, i) => {
+    if (offer.isOEM && filters.includeOEM === false) return;
+    if (!offer.isOEM && filters.includeAftermarket === false) return;
+    const part = {
+      partId: `pt-${slug}-${i + 1}`,
+      partNumber: `${offer.brand.slice(0, 3).toUpperCase()}-${slug.slice(0, 12).toUpperCase()}-${i + 1}`,
+      description: `${searchTerm} (${offer.brand})`,
+      brand: offer.brand,
+      price: round2(base * offer.factor),
+      coreCharge: 0,
+      inStock: true,
+      quantityAvailable: 4,
+      supplierId: offer.supplierId,
+      supplierName: offer.supplierName,
+      supplierLocation: "Mock City",
+      distanceMiles: offer.distanceMiles,
+      isOEM: offer.isOEM,
+      warranty: offer.warranty,
+      canOrder: true,
+    };
+    store.parts.set(part.partId, part);
+    results.push(part);
+  });
+  return results;
+}
+
+function cartView(store) {
+  return { items: store.cart, total: round2(store.cart.reduce((sum, i) => sum + i.price * i.quantity, 0)) };
+}
+
+// ── HTTP helpers ──────────────────────────────────────────────────────────────
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) {
+        reject(new Error("Body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(new Error("Invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// ── Routes ────────────────────────────────────────────────────────────────────
+
+function autoLeapRoute(store, method, route, url, body, res, base) {
+  const ok = (response, status = 200) => sendJson(res, status, { response });
+  const notFound = (what) => sendJson(res, 404, { error: `${what} not found` });
+  let m;
+
+  if (method === "PUT" && route === "/customers/list") {
+    const q = String(body.search || "").toLowerCase();
+    const qDigits = digits(q);
+    const records = [...store.customers.values()].filter((c) =>
+      !q
+      || c.fullName.toLowerCase().includes(q)
+      || (c.email || "").toLowerCase().includes(q)
+      || (qDigits.length >= 4 && digits(c.phone).includes(qDigits))
+    );
+    const limit = parseInt(url.searchParams.get("limit"), 10) || 10;
+    return ok({ records: records.slice(0, limit), total: records.length });
+  }
+
+  if (method === "POST" && route === "/customers") {
+    if (!body.firstName) return sendJson(res, 400, { error: "firstName is required" });
+    const customer = {
+      _id: nextId(store),
+      firstName: body.firstName,
+      lastName: body.lastName || "",
+      fullName: `${body.firstName} ${body.lastName || ""}`.trim(),
+      phone: body.phone || null,
+      email: body.email || null,
+      vehicles: [],
+    };
+    store.customers.set(customer._id, customer);
+    return ok(customer, 201);
+  }
+
+  if ((m = route.match(/^\/customers\/([^/]+)$/)) && method === "DELETE") {
+    return store.customers.delete(m[1]) ? ok({ deleted: true }) : notFound("Customer");
+  }
+
+  if ((m = route.match(/^\/customers\/([^/]+)\/estimates$/)) && method === "PUT") {
+    const list = [...store.estimates.values()].filter((e) => e.customerId === m[1]).reverse();
+    return ok({ list: list.map((e) => estimateView(store, e)), total: list.length });
+  }
+
+  if (method === "POST" && route === "/vehicles") {
+    const customer = store.customers.get(body.customerId);
+    if (!customer) return notFound("Customer");
+    const vehicle = { _id: nextId(store), customerId: customer._id, year: body.year, make: body.make, model: body.model, vin: body.vin || null };
+    vehicle.vehicleId = vehicle._id;
+    vehicle.name = vehicleName(vehicle);
+    store.vehicles.set(vehicle._id, vehicle);
+    customer.vehicles.push(vehicle);
+    return ok(vehicle, 201);
+  }
+
+  if (method === "GET" && route === "/estimates") {
+    const limit = parseInt(url.searchParams.get("limit"), 10) || 50;
+    const records = [...store.estimates.values()].reverse().slice(0, limit);
+    return ok({ records: records.map((e) => estimateView(store, e)), total: store.estimates.size });
+  }
+
+  if (method === "POST" && route === "/estimates") {
+    const customerId = body.customer?.customerId || null;
+    const vehicleId = body.vehicle?.vehicleId || null;
+    if (customerId && !store.customers.has(customerId)) return notFound("Customer");
+    if (vehicleId && !store.vehicles.has(vehicleId)) return notFound("Vehicle");
+    const est = {
+      _id: nextId(store),
+      code: String(1000 + store.estimates.size + 1),
+      createdAt: new Date().toISOString(),
+      customerId,
+      vehicleId,
+      services: body.services || [],
+    };
+    store.estimates.set(est._id, est);
+    return ok(estimateView(store, est), 201);
+  }
+
+  if ((m = route.match(/^\/estimates\/([^/]+)(\/pdf)?$/))) {
+    const est = store.estimates.get(m[1]);
+    if (!est) return notFound("Estimate");
+    if (m[2]) {
+      if (method !== "GET") return sendJson(res, 405, { error: "Method not allowed" });
+      const pdf = estimatePdf(est);
+      res.writeHead(200, { "Content-Type": "application/pdf", "Content-Length": pdf.length });
+      return res.end(pdf);
+    }
+    if (method === "GET") return ok(estimateView(store, est));
+    if (method === "PATCH") {
+      if (Array.isArray(body.services)) est.services = body.services;
+      if (body.vehicle?.vehicleId) est.vehicleId = body.vehicle.vehicleId;
+      return ok(estimateView(store, est));
+    }
+    if (method === "DELETE") {
+      store.estimates.delete(est._id);
+      return ok({ deleted: true });
+    }
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  if (method === "GET" && route === "/partstech/create/qoute") {
+    const orderId = url.searchParams.get("orderId");
+    const vehicleId = url.searchParams.get("vehicleId");
+    if (!store.estimates.has(orderId)) return notFound("Estimate");
+    const redirectUrl = `${base}${PARTSTECH_PREFIX}/sso?orderId=${encodeURIComponent(orderId)}&vehicleId=${encodeURIComponent(vehicleId || "")}`;
+    return ok({ redirectUrl });
+  }
+
+  return notFound(`AutoLeap route ${method} ${route}`);
+}
+
+function partsTechRoute(store, method, route, body, res) {
+  let m;
+
+  if (method === "POST" && route === "/parts/search") {
+    if (!body.searchTerm) return sendJson(res, 400, { error: "searchTerm is required" });
+    return sendJson(res, 200, { results: searchResults(store, body) });
+  }
+
+  if ((m = route.match(/^\/vehicles\/vin\/([A-HJ-NPR-Z0-9]{17})$/i)) && method === "GET") {
+    return sendJson(res, 200, { vehicle: { vin: m[1].toUpperCase(), year: null, make: null, model: null, source: "mock" } });
+  }
+
+  if (method === "GET" && route === "/cart") {
+    return sendJson(res, 200, cartView(store));
+  }
+
+  if (method === "POST" && route === "/cart/items") {
+    const part = store.parts.get(body.partId);
+    if (!part || part.supplierId !== body.supplierId) return sendJson(res, 404, { error: "Part not found for that supplier" });
+    const line = {
+      id: nextId(store),
+      partId: part.partId,
+      partNumber: part.partNumber,
+      brand: part.brand,
+      supplierId: part.supplierId,
+      price: part.price,
+      quantity: Math.max(1, parseInt(body.quantity, 10) || 1),
+    };
+    store.cart.push(line);
+    return sendJson(res, 201, line);
+  }
+
+  if ((m = route.match(/^\/cart\/items\/([^/]+)$/)) && method === "DELETE") {
+    const before = store.cart.length;
+    store.cart = store.cart.filter((l) => l.id !== m[1]);
+    return before === store.cart.length ? sendJson(res, 404, { error: "Cart line not found" }) : sendJson(res, 200, cartView(store));
+  }
+
+  if (method === "POST" && route === "/orders") {
+    const ids = Array.isArray(body.cartItemIds) ? body.cartItemIds : [];
+    if (ids.length === 0) return sendJson(res, 400, { error: "cartItemIds is required" });
+    const items = store.cart.filter((l) => ids.includes(l.id));
+    if (items.length !== ids.length) return sendJson(res, 404, { error: "Cart line not found" });
+    const total = round2(items.reduce((sum, i) => sum + i.price * i.quantity, 0));
+    const order = { orderId: `PO-${nextId(store).slice(-6)}`, status: "submitted", poNumber: body.poNumber || null, items, total };
+    store.orders.push(order);
+    store.cart = store.cart.filter((l) => !ids.includes(l.id));
+    return sendJson(res, 201, order);
+  }
+
+  return sendJson(res, 404, { error: `PartsTech route ${method} ${route} not found` });
+}
+
+/**
+ * Create the mock server (not listening).
+ *
+ * @returns {http.Server} server, with server.store (in-memory data) and
+ *   server.reset() to empty it between tests
+ */
+function createMockServer() {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const base = `http://${req.headers.host || "localhost"}`;
+
+    if (url.pathname === "/health") return sendJson(res, 200, { ok: true });
+    if (!req.headers.authorization) return sendJson(res, 401, { error: "Unauthorized" });
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      return sendJson(res, 400, { error: err.message });
+    }
+
+    if (url.pathname.startsWith(AUTOLEAP_PREFIX + "/")) {
+      return autoLeapRoute(server.store, req.method, url.pathname.slice(AUTOLEAP_PREFIX.length), url, body, res, base);
+    }
+    if (url.pathname.startsWith(PARTSTECH_PREFIX + "/")) {
+      return partsTechRoute(server.store, req.method, url.pathname.slice(PARTSTECH_PREFIX.length), body, res);
+    }
+    return sendJson(res, 404, { error: "Not found" });
+  });
+
+  server.store = createStore();
+  server.reset = () => { server.store = createStore(); };
+  return server;
+}
+
+/**
+ * Env vars that point SAM's REST clients at a mock listening on `port`.
+ *
+ * @param {number} port
+ * @returns {object}
+ */
+function mockEnv(port) {
+  const base = `http://127.0.0.1:${port}`;
+  return {
+    AUTOLEAP_REST_URL: base + AUTOLEAP_PREFIX,
+    AUTOLEAP_TOKEN: "mock-autoleap-token",
+    PARTSTECH_API_URL: base + PARTSTECH_PREFIX,
+    PARTSTECH_API_KEY: "mock-partstech-key",
+    PARTSTECH_API_ORDERING: "1",
+  };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+  const server = createMockServer();
+  server.listen(port, "127.0.0.1", () => {
+    console.log(`${LOG} Mock AutoLeap + PartsTech running on http://127.0.0.1:${port}`);
+    for (const [key, value] of Object.entries(mockEnv(port))) console.log(`export ${key}=${value}`);
+  });
+}
+
+module.exports = {
+  createMockServer,
+  mockEnv,
+};
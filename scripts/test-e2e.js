@@ -14,6 +14,12 @@
  * Usage:
  *   node scripts/test-e2e.js              (basic — skips AutoLeap)
  *   node scripts/test-e2e.js --customer   (includes AutoLeap estimate creation)
+ *   node scripts/test-e2e.js --record tests/fixtures/e2e.json   (live run, saves every HTTP/LLM call)
+ *   node scripts/test-e2e.js --replay tests/fixtures/e2e.json   (offline run from that fixture)
+ *
+ * Replay answers NHTSA, AutoLeap, PartsTech, ProDemand, Supabase, OpenAI and
+ * Anthropic from the fixture and sets the service env vars as they were when
+ * recorded. Browser-driven steps (Chrome logins) are off on replay.
  */
 
 // --- Load env vars from config/.env ---
@@ -36,6 +42,10 @@ if (fs.existsSync(envPath)) {
   console.log("  WARNING: config/.env not found — using existing env vars\n");
 }
 
+// --- Record / replay (after env load: replay resets the service env vars) ---
+const httpRecorder = require("../skills/shared/http-recorder");
+const httpMode = httpRecorder.fromArgv(process.argv);
+
 // --- Helpers ---
 let passCount = 0;
 let failCount = 0;
@@ -374,6 +384,24 @@ async function main() {
     fail("Degraded mode: " + err.message);
   }
 
+  // ── Record / replay ──
+  if (httpMode) {
+    section(httpMode === "record" ? "Recording" : "Replay");
+    const recording = httpRecorder.stop();
+    if (recording.mode === "record") {
+      pass(`Recorded ${recording.calls} HTTP call(s) to ${recording.fixture}`);
+    } else {
+      pass(`Replayed ${recording.served} recorded call(s)`);
+      if (recording.misses.length > 0) {
+        const sample = recording.misses.slice(0, 3).map((m) => `${m.method} ${m.url}`).join(", ");
+        fail("Replay", `${recording.misses.length} request(s) not in the fixture (${sample}) \u2014 re-record it`);
+      }
+      if (recording.unused > 0) {
+        warn(`Replay: ${recording.unused} recorded call(s) never made \u2014 pipeline calls fewer services than when recorded`);
+      }
+    }
+  }
+
   // ── Summary ──
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
 
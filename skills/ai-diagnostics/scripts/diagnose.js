@@ -19,6 +19,7 @@
 
 const { generateEmbedding, searchSimilarCases, getSupabase } = require("./embeddings");
 const { lookupTSBs } = require("./tsb-lookup");
+const llm = require("../../shared/llm-client");
 
 // ARI labor lookup — optional, only used when ARI_URL is set
 let lookupLaborTimeLive = null;
@@ -30,8 +31,6 @@ if (process.env.ARI_URL) {
   }
 }
 
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const CLAUDE_MODEL = process.env.CLAUDE_SONNET_MODEL || "claude-sonnet-4-6";
 const MAX_TOKENS = 4096;
 
 const SYSTEM_PROMPT = `You are an expert automotive diagnostic AI. Given a vehicle, DTC code(s), symptoms, similar past cases from our database, and any relevant TSBs/recalls, provide a structured diagnosis.
@@ -354,52 +353,28 @@ function buildUserPrompt(input, ragCases, tsbResult, kbRepairPlan) {
 }
 
 /**
- * Call Anthropic Claude API for diagnostic synthesis
+ * Call Claude (Sonnet tier, via the shared LLM client) for diagnostic synthesis.
+ * Identical prompts within the cache window reuse the earlier answer.
  * @param {string} userPrompt - Formatted user prompt
+ * @param {object} [ctx] - { runId, shopId } for token/cost accounting
  * @returns {object} Parsed JSON response from Claude
  */
-async function callClaude(userPrompt) {
-  if (!ANTHROPIC_API_KEY) {
-    throw new Error("Missing ANTHROPIC_API_KEY in environment");
-  }
-
-  const fetch = (await import("node-fetch")).default;
-
-  const response = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "x-api-key": ANTHROPIC_API_KEY,
-      "anthropic-version": "2023-06-01",
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: CLAUDE_MODEL,
-      max_tokens: MAX_TOKENS,
-      system: SYSTEM_PROMPT,
-      messages: [
-        {
-          role: "user",
-          content: userPrompt,
-        },
-      ],
-    }),
+async function callClaude(userPrompt, ctx = {}) {
+  const text = await llm.complete(userPrompt, {
+    tier: "sonnet",
+    system: SYSTEM_PROMPT,
+    maxTokens: MAX_TOKENS,
+    runId: ctx.runId,
+    shopId: ctx.shopId,
+    purpose: "diagnosis",
+    cache: true,
   });
-
-  if (!response.ok) {
-    const errText = await response.text();
-    throw new Error(`Anthropic API error: ${response.status} — ${errText}`);
-  }
-
-  const data = await response.json();
-
-  // Extract text from the response content blocks
-  const textBlock = data.content.find((block) => block.type === "text");
-  if (!textBlock) {
+  if (!text) {
     throw new Error("No text content in Anthropic API response");
   }
 
   // Parse JSON from Claude's response — handle possible markdown code fences
-  let jsonText = textBlock.text.trim();
+  let jsonText = text;
   if (jsonText.startsWith("```")) {
     // Strip markdown code fences
     jsonText = jsonText.replace(/^```(?:json)?\s*\n?/, "").replace(/\n?```\s*$/, "");
@@ -526,6 +501,7 @@ function applyConfidenceScoring(diagnoses, ragCases, make, model, mileage) {
  * @param {object} result - Final diagnosis result
  * @param {number} processingTimeMs - Total processing time
  * @param {number} ragCasesUsed - Number of RAG cases used
+ * @returns {string|null} UUID of the inserted diagnosis_log row, or null on failure
  */
 async function logDiagnosis(input, result, processingTimeMs, ragCasesUsed) {
   try {
@@ -554,16 +530,18 @@ async function logDiagnosis(input, result, processingTimeMs, ragCasesUsed) {
       processing_time_ms: processingTimeMs,
     };
 
-    const { error } = await db.from("diagnosis_log").insert(row);
+    const { data, error } = await db.from("diagnosis_log").insert(row).select("id").single();
 
     if (error) {
       console.error(`[ai-diagnostics] Failed to log diagnosis: ${error.message}`);
-    } else {
-      console.log(`[ai-diagnostics] Diagnosis logged successfully`);
+      return null;
     }
+    console.log(`[ai-diagnostics] Diagnosis logged successfully (${data.id})`);
+    return data.id;
   } catch (err) {
     // Logging failure is non-fatal — the diagnosis was still produced
     console.error(`[ai-diagnostics] Diagnosis logging error (non-fatal): ${err.message}`);
+    return null;
   }
 }
 
@@ -581,6 +559,8 @@ async function logDiagnosis(input, result, processingTimeMs, ragCasesUsed) {
  * @param {string[]} [input.dtcCodes] - Array of DTC codes (e.g. ["P0300", "P0171"])
  * @param {string} [input.symptoms] - Free-text symptom description
  * @param {number} [input.mileage] - Vehicle mileage
+ * @param {string} [input.runId] - Pipeline run, for LLM token/cost accounting
+ * @param {string} [input.shopId] - Shop, for LLM token/cost accounting
  * @returns {object} Structured diagnosis result
  */
 async function diagnose(input) {
@@ -789,7 +769,7 @@ async function diagnose(input) {
     try {
       const userPrompt = buildUserPrompt(input, ragCases, tsbResult, kbRepairPlan);
       console.log(`[ai-diagnostics] Calling Claude for synthesis (with KB repair plan context)...`);
-      claudeResult = await callClaude(userPrompt);
+      claudeResult = await callClaude(userPrompt, { runId: input.runId, shopId: input.shopId });
       console.log(
         `[ai-diagnostics] Claude returned ${(claudeResult.diagnoses || []).length} diagnoses`
       );
@@ -843,7 +823,7 @@ async function diagnose(input) {
     try {
       const userPrompt = buildUserPrompt(input, ragCases, tsbResult);
       console.log(`[ai-diagnostics] Calling Claude for synthesis...`);
-      claudeResult = await callClaude(userPrompt);
+      claudeResult = await callClaude(userPrompt, { runId: input.runId, shopId: input.shopId });
       console.log(
         `[ai-diagnostics] Claude returned ${(claudeResult.diagnoses || []).length} diagnoses`
       );
@@ -943,7 +923,8 @@ async function diagnose(input) {
   // ----------------------------------------------------------------
   // Step 7: Log to database (non-blocking, non-fatal)
   // ----------------------------------------------------------------
-  await logDiagnosis(input, result, processingTimeMs, ragCases.length);
+  // The log row id lets technicians report the real outcome later (feedback.js)
+  result.diagnosis_id = await logDiagnosis(input, result, processingTimeMs, ragCases.length);
 
   return result;
 }
@@ -136,6 +136,7 @@ function extractProcedureData() {
     // Extract structured data from page text
     const procedures = [];
     const torqueSpecs = {};
+    const fluidCapacities = {};
     const specialTools = [];
     const notes = [];
     const relatedTSBs = [];
@@ -150,6 +151,13 @@ function extractProcedureData() {
         continue;
       }
 
+      // Capacity specs: "Engine Oil Capacity (with filter): 4.4 qt"
+      const capacityMatch = text.match(/^([^:]{0,60}\bcapacit(?:y|ies)\b[^:]{0,40}):\s*(\d+(?:\.\d+)?\s*(?:quarts?|qts?|liters?|litres?|l|gallons?|gal|pints?)\b)/i);
+      if (capacityMatch) {
+        fluidCapacities[capacityMatch[1].trim()] = capacityMatch[2].trim();
+        continue;
+      }
+
       // Special tools
       if (textLower.includes("special tool") || textLower.includes("required tool")) {
         specialTools.push(text);
@@ -174,10 +182,10 @@ function extractProcedureData() {
       }
     }
 
-    return { procedures, torqueSpecs, specialTools, notes, relatedTSBs };
+    return { procedures, torqueSpecs, fluidCapacities, specialTools, notes, relatedTSBs };
   } catch (err) {
     console.error(`${LOG} Procedure extraction failed: ${err.message}`);
-    return { procedures: [], torqueSpecs: {}, specialTools: [], notes: [], relatedTSBs: [] };
+    return { procedures: [], torqueSpecs: {}, fluidCapacities: {}, specialTools: [], notes: [], relatedTSBs: [] };
   }
 }
 
@@ -232,9 +240,10 @@ function extractLaborTime() {
  * @param {string} params.model
  * @param {string} [params.engine]
  * @param {string} params.query - DTC code, symptom, or system
+ * @param {AbortSignal} [params.signal] - Estimate job cancel / time limit, checked between steps
  * @returns {object} Structured AllData results
  */
-async function search({ vin, year, make, model, engine, query }) {
+async function search({ vin, year, make, model, engine, query, signal }) {
   if (!ALLDATA_USERNAME || !ALLDATA_PASSWORD) {
     console.log(`${LOG} AllData not configured (missing credentials)`);
     return { error: "AllData not configured — set ALLDATA_USERNAME and ALLDATA_PASSWORD" };
@@ -257,6 +266,7 @@ async function search({ vin, year, make, model, engine, query }) {
   }
 
   // Step 2: Select vehicle
+  signal?.throwIfAborted();
   const vehicleResult = browser.selectVehicle({ vin, year, make, model, engine }, LOG);
   if (!vehicleResult.success) {
     console.error(`${LOG} Vehicle selection failed: ${vehicleResult.error}`);
@@ -271,6 +281,7 @@ async function search({ vin, year, make, model, engine, query }) {
   }
 
   // Step 3: Classify query and navigate to section
+  signal?.throwIfAborted();
   const section = classifyQuery(query);
   console.log(`${LOG} Query classified as: ${section}`);
   navigateToSection(section);
@@ -286,6 +297,7 @@ async function search({ vin, year, make, model, engine, query }) {
   const laborTime = extractLaborTime();
 
   // Step 6: Capture screenshots of the results
+  signal?.throwIfAborted();
   let screenshots = [];
   try {
     screenshots = await captureScreenshots();
@@ -296,6 +308,7 @@ async function search({ vin, year, make, model, engine, query }) {
   console.log(`${LOG} Results: ${extracted.procedures.length} procedure steps, ${Object.keys(extracted.torqueSpecs).length} torque specs, ${screenshots.length} screenshots`);
 
   // Step 7: Capture wiring diagrams and fetch TSBs
+  signal?.throwIfAborted();
   const dtcCode = (query || "").match(/[PBCU][0-9]{4}/i)?.[0] || null;
   const wiringDiagrams = captureWiringDiagrams({ dtcCode, symptom: query, listPageUrl: ALLDATA_URL });
   const tsbs = fetchTSBs({ dtcCode, symptom: query, listPageUrl: ALLDATA_URL });
@@ -309,6 +322,7 @@ async function search({ vin, year, make, model, engine, query }) {
     section,
     procedures: extracted.procedures,
     torqueSpecs: extracted.torqueSpecs,
+    fluidCapacities: extracted.fluidCapacities,
     specialTools: extracted.specialTools,
     notes: extracted.notes,
     relatedTSBs: extracted.relatedTSBs,
@@ -14,6 +14,7 @@
  */
 
 const { execSync } = require("child_process");
+const { currentWorker } = require("../../shared/browser-pool");
 const { getSupabase } = require("../../ai-diagnostics/scripts/embeddings");
 
 // --- Config ---
@@ -22,20 +23,25 @@ const CACHE_TTL_DAYS = 90;
 
 // --- Browser Helpers ---
 
+/** CLI prefix for the current browser worker's profile (see shared/browser-pool.js). */
+function openclaw() {
+  return `openclaw browser --browser-profile ${currentWorker().profile}`;
+}
+
 /**
  * Ensure the OpenClaw managed browser is running.
  * Starts it if not already active.
  */
 function ensureBrowser() {
   try {
-    const status = execSync("openclaw browser --browser-profile openclaw status", {
+    const status = execSync(`${openclaw()} status`, {
       encoding: "utf-8",
     });
     if (!status.includes("running")) {
-      execSync("openclaw browser --browser-profile openclaw start");
+      execSync(`${openclaw()} start`);
     }
   } catch {
-    execSync("openclaw browser --browser-profile openclaw start");
+    execSync(`${openclaw()} start`);
   }
 }
 
@@ -45,7 +51,7 @@ function ensureBrowser() {
  * @returns {string} Snapshot text
  */
 function takeSnapshot() {
-  return execSync("openclaw browser --browser-profile openclaw snapshot", {
+  return execSync(`${openclaw()} snapshot`, {
     encoding: "utf-8",
   });
 }
@@ -55,7 +61,7 @@ function takeSnapshot() {
  * @param {number|string} ref - The element ref from a snapshot
  */
 function clickRef(ref) {
-  execSync(`openclaw browser --browser-profile openclaw click ${ref}`, {
+  execSync(`${openclaw()} click ${ref}`, {
     encoding: "utf-8",
   });
 }
@@ -69,7 +75,7 @@ function clickRef(ref) {
 function typeInRef(ref, text, submit = false) {
   const submitFlag = submit ? " --submit" : "";
   execSync(
-    `openclaw browser --browser-profile openclaw type ${ref} "${text}"${submitFlag}`,
+    `${openclaw()} type ${ref} "${text}"${submitFlag}`,
     { encoding: "utf-8" }
   );
 }
@@ -79,7 +85,7 @@ function typeInRef(ref, text, submit = false) {
  * @param {string} [state="networkidle"] - Load state to wait for
  */
 function waitForLoad(state = "networkidle") {
-  execSync(`openclaw browser --browser-profile openclaw wait --load ${state}`, {
+  execSync(`${openclaw()} wait --load ${state}`, {
     encoding: "utf-8",
   });
 }
@@ -89,7 +95,7 @@ function waitForLoad(state = "networkidle") {
  * @param {string} url - The URL to open
  */
 function navigateTo(url) {
-  execSync(`openclaw browser --browser-profile openclaw open "${url}"`, {
+  execSync(`${openclaw()} open "${url}"`, {
     encoding: "utf-8",
   });
 }
@@ -10,43 +10,71 @@
  *   POST /customers               - Create customer
  *   POST /estimates               - Create estimate (with customer/vehicle/services)
  *   GET  /estimates/{id}          - Get estimate
+ *   PATCH /estimates/{id}         - Update estimate (services, vehicle)
  *   DELETE /estimates/{id}        - Delete estimate
+ *
+ * AUTOLEAP_REST_URL overrides the base URL (default https://api.myautoleap.com/api/v1)
+ * and AUTOLEAP_TOKEN skips the Chrome token capture — together they point this
+ * client at the local mock in scripts/mock-platforms.js.
  */
 
+const http = require("http");
 const https = require("https");
 const os = require("os");
 const fs = require("fs");
 const path = require("path");
 const { createLogger } = require("../../shared/logger");
 const { withRetry } = require("../../shared/retry");
+const { currentWorker } = require("../../shared/browser-pool");
 
 const LOG = "[autoleap-api]";
 const log = createLogger("autoleap-api");
-const API_HOST = "api.myautoleap.com";
+const API_BASE = new URL(process.env.AUTOLEAP_REST_URL || "https://api.myautoleap.com/api/v1");
 const AUTOLEAP_APP_URL = "https://app.myautoleap.com";
 const TOKEN_CACHE = path.join(os.tmpdir(), "autoleap-token.json");
-const CHROME_CDP_URL = "http://127.0.0.1:18800";
 
 // ─── HTTP helper ─────────────────────────────────────────────────────────────
 
+/**
+ * Open a request to the AutoLeap REST API (caller writes the body and ends it).
+ * Shared with partstech-search.js so both follow AUTOLEAP_REST_URL.
+ *
+ * @param {string} method
+ * @param {string} apiPath  Path below the base URL, e.g. "/estimates/abc"
+ * @param {object} headers
+ * @param {function} onResponse
+ * @param {number} [timeout]  ms — the caller handles the "timeout" event
+ * @returns {http.ClientRequest}
+ */
+function openRequest(method, apiPath, headers, onResponse, timeout) {
+  const transport = API_BASE.protocol === "http:" ? http : https;
+  const options = {
+    protocol: API_BASE.protocol,
+    hostname: API_BASE.hostname,
+    port: API_BASE.port || undefined,
+    path: API_BASE.pathname.replace(/\/$/, "") + apiPath,
+    method,
+    headers: {
+      "origin": AUTOLEAP_APP_URL,
+      "referer": AUTOLEAP_APP_URL + "/",
+      ...headers,
+    },
+  };
+  if (timeout) options.timeout = timeout;
+  return transport.request(options, onResponse);
+}
+
 function apiCall(method, apiPath, body, token) {
   return new Promise((resolve, reject) => {
     const bodyStr = body ? JSON.stringify(body) : null;
-    const options = {
-      hostname: API_HOST,
-      path: "/api/v1" + apiPath,
-      method,
-      headers: {
-        "Content-Type": "application/json",
-        "Accept": "application/json, text/plain, */*",
-        "authorization": token,
-        "origin": AUTOLEAP_APP_URL,
-        "referer": AUTOLEAP_APP_URL + "/",
-      },
+    const headers = {
+      "Content-Type": "application/json",
+      "Accept": "application/json, text/plain, */*",
+      "authorization": token,
     };
-    if (bodyStr) options.headers["Content-Length"] = Buffer.byteLength(bodyStr);
+    if (bodyStr) headers["Content-Length"] = Buffer.byteLength(bodyStr);
 
-    const req = https.request(options, (res) => {
+    const req = openRequest(method, apiPath, headers, (res) => {
       let data = "";
       res.on("data", (chunk) => (data += chunk));
       res.on("end", () => {
@@ -112,6 +140,11 @@ function saveToken(token) {
  * If AutoLeap is on the login page, logs in automatically using env vars.
  */
 async function getToken() {
+  if (process.env.AUTOLEAP_TOKEN) {
+    log.info("token acquired", { token_source: "env" });
+    return process.env.AUTOLEAP_TOKEN;
+  }
+
   const cached = loadCachedToken();
   if (cached) {
     log.info("token acquired", { token_source: "cache" });
@@ -126,7 +159,7 @@ async function getToken() {
   }
 
   console.log(`${LOG} Acquiring token from Chrome session...`);
-  const browser = await puppeteer.connect({ browserURL: CHROME_CDP_URL, defaultViewport: null, protocolTimeout: 60000 });
+  const browser = await puppeteer.connect({ browserURL: currentWorker().cdpUrl, defaultViewport: null, protocolTimeout: 60000 });
 
   // Find AutoLeap tab, or open a new one
   let page = (await browser.pages()).find(p => p.url().includes("myautoleap.com"));
@@ -321,6 +354,24 @@ async function getEstimate(token, estimateId) {
   return res.data?.response || null;
 }
 
+/**
+ * Update an estimate in place — e.g. { services } after a revision.
+ * Returns the updated estimate object.
+ */
+async function updateEstimate(token, estimateId, patch) {
+  const res = await apiCallWithRetry("PATCH", `/estimates/${estimateId}`, patch, token);
+  if (res.status >= 200 && res.status < 300) return res.data?.response || res.data || {};
+  throw new Error(`Failed to update estimate: ${res.status} ${JSON.stringify(res.data?.error || res.raw || "").substring(0, 200)}`);
+}
+
+/**
+ * Delete an estimate. Returns true when AutoLeap accepted the delete.
+ */
+async function deleteEstimate(token, estimateId) {
+  const res = await apiCallWithRetry("DELETE", `/estimates/${estimateId}`, null, token);
+  return res.status >= 200 && res.status < 300;
+}
+
 // ─── Service builder ──────────────────────────────────────────────────────────
 
 /**
@@ -339,21 +390,10 @@ async function downloadEstimatePDF(token, estimateId, outputPath) {
   // ── Attempt 1: REST API ────────────────────────────────────────────────────
   try {
     const pdf = await new Promise((resolve) => {
-      const opts = {
-        hostname: API_HOST,
-        path: `/api/v1/estimates/${estimateId}/pdf`,
-        method: "GET",
-        headers: {
-          "Accept": "application/pdf, */*",
-          "authorization": token,
-          "origin": AUTOLEAP_APP_URL,
-          "referer": AUTOLEAP_APP_URL + "/",
-        },
-        timeout: 15000,
-      };
+      const headers = { "Accept": "application/pdf, */*", "authorization": token };
       let settled = false;
       const settle = (v) => { if (!settled) { settled = true; resolve(v); } };
-      const req = https.request(opts, (res) => {
+      const req = openRequest("GET", `/estimates/${estimateId}/pdf`, headers, (res) => {
         const contentType = res.headers["content-type"] || "";
         if (res.statusCode !== 200 || !contentType.includes("pdf")) {
           res.resume();
@@ -363,7 +403,7 @@ async function downloadEstimatePDF(token, estimateId, outputPath) {
         const chunks = [];
         res.on("data", (c) => chunks.push(c));
         res.on("end", () => settle(Buffer.concat(chunks)));
-      });
+      }, 15000);
       req.on("timeout", () => { req.destroy(); settle(null); });
       req.on("error", () => settle(null));
       req.end();
@@ -385,7 +425,7 @@ async function downloadEstimatePDF(token, estimateId, outputPath) {
 
   let browser;
   try {
-    browser = await puppeteer.connect({ browserURL: CHROME_CDP_URL, defaultViewport: null, protocolTimeout: 60000 });
+    browser = await puppeteer.connect({ browserURL: currentWorker().cdpUrl, defaultViewport: null, protocolTimeout: 60000 });
 
     // Find or open AutoLeap tab
     let page = (await browser.pages()).find(p => p.url().includes("myautoleap.com"));
@@ -443,11 +483,15 @@ async function createPartsTechQuote(token, estimateId, vehicleId) {
 
 module.exports = {
   getToken,
+  apiCall,
+  openRequest,
   searchCustomer,
   createCustomer,
   createVehicle,
   createEstimate,
   getEstimate,
+  updateEstimate,
+  deleteEstimate,
   downloadEstimatePDF,
   createPartsTechQuote,
 };
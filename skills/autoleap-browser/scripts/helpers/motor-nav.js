@@ -12,11 +12,11 @@
  * - After Browse opens, everything happens INSIDE the dialog (do NOT close it)
  */
 
-const https = require("https");
 const { SERVICES } = require("./selectors");
+const llm = require("../../../shared/llm-client");
+const { matchEngineOption } = require("../../../shared/vehicle-identity");
 
 const LOG = "[playbook:motor]";
-const DEFAULT_HAIKU_MODEL = ["claude", "haiku-4-5-20251001"].join("-");
 
 /** Non-fatal screenshot — never crashes the playbook */
 async function safeScreenshot(page, path) {
@@ -28,10 +28,21 @@ async function safeScreenshot(page, path) {
  *
  * @param {import('puppeteer-core').Page} page - AutoLeap estimate page
  * @param {object} diagnosis - Diagnosis result (has .ai.diagnoses, .codes, .ai.repair_plan)
- * @param {object} vehicle - { year, make, model, engine, vin }
- * @returns {{ success: boolean, procedure?: string, hours?: number, addOns?: string[], error?: string }}
+ * @param {object} vehicle - { year, make, model, engine, vin, engineIdentity }
+ * @returns {{ success: boolean, procedure?: string, hours?: number, addOns?: string[], error?: string, engineMatch?: object }}
+ *   engineMatch is set when the MOTOR vehicle sidebar asked for an engine (matched false → heuristic pick)
  */
 async function navigateMotorTree(page, diagnosis, vehicle, query) {
+  const engineCheck = { match: null };
+  const result = await browseMotorTree(page, diagnosis, vehicle, query, engineCheck);
+  return engineCheck.match ? { ...result, engineMatch: engineCheck.match } : result;
+}
+
+/**
+ * navigateMotorTree() steps. engineCheck.match records how the engine was
+ * picked if the vehicle sidebar came up.
+ */
+async function browseMotorTree(page, diagnosis, vehicle, query, engineCheck) {
   console.log(`${LOG} Opening MOTOR labor catalog...`);
 
   // ── Step 0: Close CUSTOMER sidebar (check for "Contact" text to ID it) ──
@@ -222,7 +233,7 @@ async function navigateMotorTree(page, diagnosis, vehicle, query) {
       // ── Step 3d: Handle the vehicle/engine selection sidebar ──
       // The sidebar shows "Search vehicle" with engine options in a dropdown.
       // We need to select the GAS engine (not EV/BEV).
-      const engineSelected = await selectMotorEngine(page, vehicle);
+      const engineSelected = await selectMotorEngine(page, vehicle, engineCheck);
 
       if (engineSelected) {
         console.log(`${LOG} Engine selected — saving and closing sidebar...`);
@@ -768,10 +779,11 @@ async function closeCustomerSidebar(page) {
  * We need the GAS engine, not EV/BEV/Hybrid.
  *
  * @param {import('puppeteer-core').Page} page
- * @param {object} vehicle - { year, make, model, engine }
+ * @param {object} vehicle - { year, make, model, engine, engineIdentity }
+ * @param {object} [engineCheck] - receives .match (see pickGasEngine)
  * @returns {Promise<boolean>} true if an engine was selected
  */
-async function selectMotorEngine(page, vehicle) {
+async function selectMotorEngine(page, vehicle, engineCheck = {}) {
   // Check if the sidebar opened with vehicle search dropdown
   const dropdownItems = await page.evaluate(() => {
     // Look for autocomplete dropdown items or search result items
@@ -848,20 +860,37 @@ async function selectMotorEngine(page, vehicle) {
       });
 
       if (retryItems.length > 0) {
-        return await pickGasEngine(page, retryItems, vehicle);
+        return await pickGasEngine(page, retryItems, vehicle, engineCheck);
       }
     }
 
     return false;
   }
 
-  return await pickGasEngine(page, dropdownItems, vehicle);
+  return await pickGasEngine(page, dropdownItems, vehicle, engineCheck);
 }
 
 /**
- * From a list of engine options, pick the GAS engine (not EV/BEV/Hybrid).
+ * From a list of engine options, pick the vehicle's engine. With an engine
+ * identity (code from the VIN) the exact option is clicked; otherwise — or
+ * when no option is that engine — pick the GAS engine (not EV/BEV/Hybrid).
+ * engineCheck.match gets the matchEngineOption() result plus `picked`.
  */
-async function pickGasEngine(page, items, vehicle) {
+async function pickGasEngine(page, items, vehicle, engineCheck = {}) {
+  if (vehicle.engineIdentity) {
+    const match = matchEngineOption(items.map((i) => i.text), vehicle.engineIdentity);
+    engineCheck.match = { ...match, picked: null };
+    console.log(`${LOG} Engine identity: ${vehicle.engineIdentity.label} — ${match.reason}`);
+    if (match.matched) {
+      const chosen = items[match.index];
+      engineCheck.match.picked = chosen.text;
+      console.log(`${LOG} Selected engine: "${chosen.text.substring(0, 60)}" (identity match)`);
+      await page.mouse.click(chosen.rect.x, chosen.rect.y);
+      await sleep(2000);
+      return true;
+    }
+  }
+
   // Score each item — prefer GAS, avoid EV/BEV/Hybrid
   const PREFER = ["gas", "fi", "mfi", "dohc", "sohc"];
   const AVOID = ["ev", "bev", "electric", "battery", "hybrid", "phev", "u/k"];
@@ -900,6 +929,7 @@ async function pickGasEngine(page, items, vehicle) {
 
   if (bestIdx >= 0 && items[bestIdx]) {
     const chosen = items[bestIdx];
+    if (engineCheck.match) engineCheck.match.picked = chosen.text;
     console.log(`${LOG} Selected engine: "${chosen.text.substring(0, 60)}" (score ${bestScore})`);
     await page.mouse.click(chosen.rect.x, chosen.rect.y);
     await sleep(2000);
@@ -911,6 +941,7 @@ async function pickGasEngine(page, items, vehicle) {
     const evIdx = items.findIndex(i => i.text.toLowerCase().includes("ev") || i.text.toLowerCase().includes("battery"));
     const gasIdx = evIdx === 0 ? 1 : 0;
     if (evIdx >= 0) {
+      if (engineCheck.match) engineCheck.match.picked = items[gasIdx].text;
       console.log(`${LOG} Fallback: picking non-EV option: "${items[gasIdx].text.substring(0, 60)}"`);
       await page.mouse.click(items[gasIdx].rect.x, items[gasIdx].rect.y);
       await sleep(2000);
@@ -1275,53 +1306,17 @@ async function askClaudeForAddOns(repairContext, addOns, baseProcedure) {
 }
 
 /**
- * Call Claude API (haiku model for speed).
+ * Call Claude (haiku tier for speed) through the shared LLM client.
+ * Returns null when Claude isn't configured or the call fails.
  */
 async function callClaude(userMessage) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+  if (!llm.isConfigured()) {
     console.log(`${LOG} ANTHROPIC_API_KEY not set — cannot use Claude for MOTOR nav`);
     return null;
   }
 
   try {
-    const body = JSON.stringify({
-      model: process.env.CLAUDE_HAIKU_MODEL || DEFAULT_HAIKU_MODEL,
-      max_tokens: 100,
-      messages: [{ role: "user", content: userMessage }],
-    });
-
-    const data = await new Promise((resolve, reject) => {
-      const req = https.request(
-        {
-          hostname: "api.anthropic.com",
-          path: "/v1/messages",
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "x-api-key": apiKey,
-            "anthropic-version": "2023-06-01",
-          },
-        },
-        (res) => {
-          let raw = "";
-          res.on("data", (c) => (raw += c));
-          res.on("end", () => {
-            try {
-              resolve(JSON.parse(raw));
-            } catch {
-              reject(new Error(`Claude API parse error: ${raw.substring(0, 200)}`));
-            }
-          });
-        }
-      );
-      req.on("error", reject);
-      req.write(body);
-      req.end();
-    });
-
-    const text = data?.content?.[0]?.text || "";
-    return text.trim();
+    return await llm.complete(userMessage, { tier: "haiku", maxTokens: 100, purpose: "motor_nav", cache: true });
   } catch (err) {
     console.log(`${LOG} Claude API error: ${err.message}`);
     return null;
@@ -1985,6 +1980,7 @@ function buildRepairContext(diagnosis, vehicle, query) {
 
   let ctx = `Vehicle: ${vehicle.year} ${vehicle.make} ${vehicle.model}`;
   if (vehicle.engine?.displacement) ctx += ` ${vehicle.engine.displacement}`;
+  if (vehicle.engineIdentity?.code) ctx += ` (${vehicle.engineIdentity.code})`;
   if (vehicle.drivetrain) ctx += ` ${vehicle.drivetrain}`;
   ctx += "\n";
 
@@ -17,8 +17,8 @@
  *   searchPartsPricing({ year, make, model, vin, partsList })
  */
 
-const https = require("https");
 const browser = require("../../shared/browser");
+const { openRequest, getToken } = require("./autoleap-api");
 const { createLogger } = require("../../shared/logger");
 const { normalizePrice } = require("../../shared/contracts");
 
@@ -50,28 +50,20 @@ function filterResults(products) {
 function autoLeapCall(method, path, body, token, ms = 10000) {
   return new Promise((resolve) => {
     const bodyStr = body ? JSON.stringify(body) : null;
-    const opts = {
-      hostname: "api.myautoleap.com",
-      path: "/api/v1" + path,
-      method,
-      headers: {
-        "Content-Type": "application/json",
-        "Accept": "application/json",
-        "authorization": token,
-        "origin": "https://app.myautoleap.com",
-        "referer": "https://app.myautoleap.com/",
-      },
-      timeout: ms,
+    const headers = {
+      "Content-Type": "application/json",
+      "Accept": "application/json",
+      "authorization": token,
     };
-    if (bodyStr) opts.headers["Content-Length"] = Buffer.byteLength(bodyStr);
-    const req = https.request(opts, (res) => {
+    if (bodyStr) headers["Content-Length"] = Buffer.byteLength(bodyStr);
+    const req = openRequest(method, path, headers, (res) => {
       let data = "";
       res.on("data", (c) => (data += c));
       res.on("end", () => {
         try { resolve({ status: res.statusCode, data: JSON.parse(data) }); }
         catch { resolve({ status: res.statusCode, raw: data.substring(0, 500) }); }
       });
-    });
+    }, ms);
     req.on("timeout", () => { req.destroy(); resolve({ status: 0, raw: "TIMEOUT" }); });
     req.on("error", (e) => resolve({ status: 0, raw: e.message }));
     if (bodyStr) req.write(bodyStr);
@@ -359,7 +351,6 @@ async function searchPartsPricing({ year, make, model, vin, partsList }) {
 
   try {
     // 1. Get AutoLeap token
-    const { getToken } = require("./autoleap-api");
     const token = await getToken();
 
     // 2. Find matching vehicle in AutoLeap estimates
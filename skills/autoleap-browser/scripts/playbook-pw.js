@@ -19,10 +19,12 @@ const path = require("path");
 const { LOGIN, CUSTOMER, ESTIMATE, PARTS_TAB, SERVICES } = require("./helpers/selectors");
 const { openPartsTechTab, clearCart, searchAndAddToCart, submitCartToAutoLeap } = require("./helpers/pt-tab");
 const { navigateMotorTree } = require("./helpers/motor-nav");
+const { currentWorker, leaseTab } = require("../../shared/browser-pool");
+const llm = require("../../shared/llm-client");
+const { engineMismatchWarning } = require("../../shared/vehicle-identity");
 const { getToken, invalidateTokenCache, getEstimate, addServiceToEstimate, searchCustomer, createCustomer, createEstimate } = require("./autoleap-api");
 
 const LOG = "[playbook]";
-const CHROME_CDP_URL = "http://127.0.0.1:18800";
 const AUTOLEAP_APP_URL = "https://app.myautoleap.com";
 
 /**
@@ -30,13 +32,15 @@ const AUTOLEAP_APP_URL = "https://app.myautoleap.com";
  *
  * @param {object} params
  * @param {object} params.customer - { name, phone }
- * @param {object} params.vehicle - { year, make, model, vin, engine }
+ * @param {object} params.vehicle - { year, make, model, vin, engine, engineIdentity }
  * @param {object} params.diagnosis - Diagnosis result from diagnose.js
- * @param {object[]} params.parts - Parts from PartsTech search (each has .selected and .requested)
+ * @param {object[]} params.parts - Parts from PartsTech search (each has .selected and .requested, optional .jobIndex)
+ * @param {object[]} [params.jobs] - Separate concerns ({ name, query, diagnosis }) — one service line each
  * @param {function} [params.progressCallback] - Called with phase name for Telegram updates
- * @returns {Promise<object>} - { success, roNumber, estimateId, total, totalLabor, totalParts, laborHours, pdfPath, pricingSource, partsAdded, laborResult }
+ * @param {AbortSignal} [params.signal] - Job cancel / time limit; checked at each phase boundary
+ * @returns {Promise<object>} - { success, roNumber, estimateId, total, totalLabor, totalParts, laborHours, pdfPath, pricingSource, partsAdded, laborResult, services }
  */
-async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progressCallback }) {
+async function runPlaybook({ customer, vehicle, diagnosis, query, parts, jobs, progressCallback, signal }) {
   // Prevent Playwright CDP protocol errors from crashing the process
   const unhandledHandler = (err) => {
     if (err?.type === "error" && err?.method?.includes("Dialog")) return; // Dialog race condition
@@ -65,12 +69,13 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     pricingSource: "autoleap-native",
     partsAdded: [],
     laborResult: null,
+    services: [],
     warnings: [],
   };
 
   try {
     browser = await pwShim.connect({
-      browserURL: CHROME_CDP_URL,
+      browserURL: currentWorker().cdpUrl,
       defaultViewport: { width: 1280, height: 900 },
     });
 
@@ -79,11 +84,12 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     if (!page) {
       page = browser.pages()[0] || (await browser.newPage());
     }
+    leaseTab(page, "autoleap");
 
     // ═══════════════════════════════════════════════════════════════════════════
     // PHASE 1: Authentication (Step 1)
     // ═══════════════════════════════════════════════════════════════════════════
-    await progress(progressCallback, "logging_in");
+    await progress(progressCallback, "logging_in", signal);
     console.log(`${LOG} Phase 1: Logging into AutoLeap...`);
     await ensureLoggedIn(page);
     // After login, invalidate stale token cache so getToken() captures fresh session
@@ -97,7 +103,7 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     //          click Vehicles tab → select/add vehicle → Save
     // No createVehicle API (maps "Versa" to "GT-R").
     // ═══════════════════════════════════════════════════════════════════════════
-    await progress(progressCallback, "creating_customer");
+    await progress(progressCallback, "creating_customer", signal);
     console.log(`${LOG} Phase 2: Hybrid+Sidebar — ${customer.name} + ${vehicle.year} ${vehicle.make} ${vehicle.model}...`);
     const createResult = await createEstimateViaUI(page, customer, vehicle);
 
@@ -119,7 +125,7 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     // PHASE 3 (formerly 4): Labor via MOTOR (Steps 10-11)
     // Run MOTOR BEFORE PartsTech — MOTOR connection enables the PT button
     // ═══════════════════════════════════════════════════════════════════════════
-    await progress(progressCallback, "adding_labor");
+    await progress(progressCallback, "adding_labor", signal);
     console.log(`${LOG} Phase 3: Opening MOTOR catalog (runs before PartsTech to connect vehicle)...`);
 
     // Dismiss any PrimeNG dialog overlay left from sidebar interaction.
@@ -184,104 +190,133 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
       console.log(`${LOG} Phase 3: Edit button not found or click failed: ${editErr.message}`);
     }
 
-    let motorResult = await navigateMotorTree(page, diagnosis, vehicle, query);
+    // One service line per job — multi-concern requests get a MOTOR (or manual)
+    // service for each concern so the customer can approve them separately.
+    const jobList = jobs?.length > 1 ? jobs : [{ name: null, query, diagnosis }];
+    let motorResult = { success: false, error: "No service added" };
 
-    if (motorResult.success) {
-      result.laborResult = motorResult;
-      result.laborHours = motorResult.hours || 0;
-      const addOnStr = motorResult.addOns?.length > 0 ? `, add-ons: ${motorResult.addOns.join(", ")}` : "";
-      console.log(`${LOG} Phase 3: MOTOR labor added: ${motorResult.hours}h (NEVER modifying Qty/Hrs)${addOnStr}`);
-
-      // Surface any procedures Claude requested that MOTOR didn't have
-      if (motorResult.skippedProcedures && motorResult.skippedProcedures.length > 0) {
-        result.warnings.push({
-          code: "NO_MOTOR_MATCH",
-          msg: `MOTOR has no procedure for: ${motorResult.skippedProcedures.join(", ")} — labor may be AI-estimated`,
-        });
-      }
+    for (let jobIndex = 0; jobIndex < jobList.length; jobIndex++) {
+      const job = jobList[jobIndex];
+      const jobDiagnosis = job.diagnosis || diagnosis;
+      const jobQuery = job.query || query;
+      if (jobList.length > 1) console.log(`${LOG} Phase 3: Job ${jobIndex + 1}/${jobList.length} — ${job.name}`);
 
-      // After MOTOR dialog closes, navigate tabs to force Angular to update state.
-      // DO NOT reload the page — reload resets Angular state and breaks PT button.
-      console.log(`${LOG} Phase 3b: Saving estimate + verifying MOTOR service...`);
-
-      // Save first — commits the MOTOR labor addition
-      await saveEstimate(page);
-      await sleep(3000);
+      let jobMotor = await navigateMotorTree(page, jobDiagnosis, vehicle, jobQuery);
 
-      // Click "Services" tab to force Angular to render the services panel
-      await clickTab(page, "Services");
-      await sleep(2000);
+      // MOTOR's vehicle sidebar had no option that is this engine — labor may be for another one
+      if (jobMotor.engineMatch?.matched === false && !result.warnings.some((w) => w.code === "ENGINE_MISMATCH")) {
+        result.warnings.push(engineMismatchWarning("MOTOR", vehicle.engineIdentity, jobMotor.engineMatch.picked));
+      }
 
-      // Verify MOTOR service appears in the services panel
-      const procShort = (motorResult.procedure || "").substring(0, 15);
-      const serviceCheck = await page.evaluate((procName, procShort) => {
-        const allText = document.body.innerText || "";
-        const hasService = allText.includes(procName) || allText.includes(procShort);
-        // Look for MOTOR tag badges
-        const allBadges = Array.from(document.querySelectorAll("span, div")).filter(el =>
-          el.offsetParent !== null && el.textContent.trim() === "MOTOR"
-        );
-        return { hasService, motorBadges: allBadges.length };
-      }, motorResult.procedure, procShort);
-      console.log(`${LOG} Phase 3b: Service in estimate: ${serviceCheck.hasService}, MOTOR badges: ${serviceCheck.motorBadges}`);
+      if (jobMotor.success) {
+        const addOnStr = jobMotor.addOns?.length > 0 ? `, add-ons: ${jobMotor.addOns.join(", ")}` : "";
+        console.log(`${LOG} Phase 3: MOTOR labor added: ${jobMotor.hours}h (NEVER modifying Qty/Hrs)${addOnStr}`);
 
-      // Now click "Parts ordering" tab for Phase 4
-      await clickTab(page, "Parts ordering");
-      await sleep(2000);
+        // Surface any procedures Claude requested that MOTOR didn't have
+        if (jobMotor.skippedProcedures && jobMotor.skippedProcedures.length > 0) {
+          result.warnings.push({
+            code: "NO_MOTOR_MATCH",
+            msg: `MOTOR has no procedure for: ${jobMotor.skippedProcedures.join(", ")} — labor may be AI-estimated`,
+          });
+        }
 
-      // Check PT button state after tab navigation
-      const ptCheck = await page.evaluate(() => {
-        const ptBtns = Array.from(document.querySelectorAll(".ro-partstech-new button, [class*='partstech'] button"));
-        return ptBtns.map(b => ({
-          classes: (b.className || "").substring(0, 80),
-          disabled: b.disabled,
-          hasIfDisabled: b.className.includes("if-disabled"),
-          visible: b.offsetParent !== null,
-          text: b.textContent.trim().substring(0, 20),
-        }));
-      });
-      console.log(`${LOG} Phase 3b: PT buttons after tab nav: ${JSON.stringify(ptCheck)}`);
+        // After MOTOR dialog closes, navigate tabs to force Angular to update state.
+        // DO NOT reload the page — reload resets Angular state and breaks PT button.
+        console.log(`${LOG} Phase 3b: Saving estimate + verifying MOTOR service...`);
 
-      try { await page.screenshot({ path: "/tmp/debug-after-motor-save.png" }); } catch { /* optional */ }
-    } else {
-      console.log(`${LOG} Phase 3: MOTOR navigation failed: ${motorResult.error}`);
-      result.warnings.push({ code: "MOTOR_FAILED", msg: motorResult.error });
-
-      // ── Fallback: Add manual service line when MOTOR fails ──
-      // Extract labor hours from ProDemand (research phase) or use default
-      const fallbackHours = diagnosis?.prodemand?.laborTimes?.[0]?.hours || 1.5;
-      const repairName = getRepairName(diagnosis, query);
-      const laborRate = Number(process.env.AUTOLEAP_LABOR_RATE) || 120;
-      console.log(`${LOG} Phase 3: Attempting manual service: "${repairName}" (${fallbackHours}h @ $${laborRate}/h)...`);
-
-      const manualResult = await addManualServiceLine(page, result.estimateId, repairName, fallbackHours, laborRate);
-      if (manualResult.success) {
-        motorResult = { success: true, procedure: repairName, hours: fallbackHours, manual: true };
-        result.laborResult = motorResult;
-        result.laborHours = fallbackHours;
-        result.warnings.push({ code: "MANUAL_SERVICE", msg: `Manual: ${repairName} (${fallbackHours}h) — ProDemand/AI labor` });
-        console.log(`${LOG} Phase 3: Manual service added via ${manualResult.method} ✓`);
-
-        // Save and prepare for PartsTech
+        // Save first — commits the MOTOR labor addition
         await saveEstimate(page);
         await sleep(3000);
+
+        // Click "Services" tab to force Angular to render the services panel
         await clickTab(page, "Services");
         await sleep(2000);
+
+        // Verify MOTOR service appears in the services panel
+        const procShort = (jobMotor.procedure || "").substring(0, 15);
+        const serviceCheck = await page.evaluate((procName, procShort) => {
+          const allText = document.body.innerText || "";
+          const hasService = allText.includes(procName) || allText.includes(procShort);
+          // Look for MOTOR tag badges
+          const allBadges = Array.from(document.querySelectorAll("span, div")).filter(el =>
+            el.offsetParent !== null && el.textContent.trim() === "MOTOR"
+          );
+          return { hasService, motorBadges: allBadges.length };
+        }, jobMotor.procedure, procShort);
+        console.log(`${LOG} Phase 3b: Service in estimate: ${serviceCheck.hasService}, MOTOR badges: ${serviceCheck.motorBadges}`);
+
+        // Now click "Parts ordering" tab for Phase 4
         await clickTab(page, "Parts ordering");
         await sleep(2000);
+
+        // Check PT button state after tab navigation
+        const ptCheck = await page.evaluate(() => {
+          const ptBtns = Array.from(document.querySelectorAll(".ro-partstech-new button, [class*='partstech'] button"));
+          return ptBtns.map(b => ({
+            classes: (b.className || "").substring(0, 80),
+            disabled: b.disabled,
+            hasIfDisabled: b.className.includes("if-disabled"),
+            visible: b.offsetParent !== null,
+            text: b.textContent.trim().substring(0, 20),
+          }));
+        });
+        console.log(`${LOG} Phase 3b: PT buttons after tab nav: ${JSON.stringify(ptCheck)}`);
+
+        try { await page.screenshot({ path: "/tmp/debug-after-motor-save.png" }); } catch { /* optional */ }
       } else {
-        console.log(`${LOG} Phase 3: Manual service also failed: ${manualResult.error}`);
-        result.warnings.push({ code: "NO_SERVICE", msg: "Neither MOTOR nor manual service could be added" });
+        console.log(`${LOG} Phase 3: MOTOR navigation failed: ${jobMotor.error}`);
+        result.warnings.push({ code: "MOTOR_FAILED", msg: jobMotor.error });
+
+        // ── Fallback: Add manual service line when MOTOR fails ──
+        // Extract labor hours from ProDemand (research phase) or use default
+        const fallbackHours = jobDiagnosis?.prodemand?.laborTimes?.[0]?.hours || 1.5;
+        const repairName = getRepairName(jobDiagnosis, jobQuery);
+        const laborRate = Number(process.env.AUTOLEAP_LABOR_RATE) || 120;
+        console.log(`${LOG} Phase 3: Attempting manual service: "${repairName}" (${fallbackHours}h @ $${laborRate}/h)...`);
+
+        const manualResult = await addManualServiceLine(page, result.estimateId, repairName, fallbackHours, laborRate);
+        if (manualResult.success) {
+          jobMotor = { success: true, procedure: repairName, hours: fallbackHours, manual: true };
+          result.warnings.push({ code: "MANUAL_SERVICE", msg: `Manual: ${repairName} (${fallbackHours}h) — ProDemand/AI labor` });
+          console.log(`${LOG} Phase 3: Manual service added via ${manualResult.method} ✓`);
+
+          // Save and prepare for PartsTech
+          await saveEstimate(page);
+          await sleep(3000);
+          await clickTab(page, "Services");
+          await sleep(2000);
+          await clickTab(page, "Parts ordering");
+          await sleep(2000);
+        } else {
+          console.log(`${LOG} Phase 3: Manual service also failed: ${manualResult.error}`);
+          result.warnings.push({ code: "NO_SERVICE", msg: "Neither MOTOR nor manual service could be added" });
+        }
+      }
+
+      if (jobMotor.success) {
+        result.services.push({
+          jobIndex,
+          name: job.name || jobMotor.procedure,
+          procedure: jobMotor.procedure,
+          hours: jobMotor.hours || 0,
+          manual: !!jobMotor.manual,
+        });
+        if (!motorResult.success) motorResult = jobMotor;
       }
     }
 
+    if (motorResult.success) {
+      result.laborResult = motorResult;
+      result.laborHours = result.services.reduce((sum, svc) => sum + svc.hours, 0);
+    }
+
     // ═══════════════════════════════════════════════════════════════════════════
     // PHASE 4 (formerly 3): Parts via PartsTech (Steps 6-9)
     // Runs after MOTOR so vehicle is MOTOR-connected → PT button enabled
     // ═══════════════════════════════════════════════════════════════════════════
     const partsToAdd = (parts || []).filter((p) => p.selected || p.requested);
     if (partsToAdd.length > 0) {
-      await progress(progressCallback, "adding_parts");
+      await progress(progressCallback, "adding_parts", signal);
       console.log(`${LOG} Phase 4: Opening PartsTech tab...`);
 
       // vehicleId may be a full object from API — extract string ID
@@ -347,7 +382,9 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
 
           if (searchResult.success) {
             console.log(`${LOG} Phase 4: Cheapest in-stock: ${searchResult.partDetails?.brand} $${searchResult.partDetails?.price}`);
-            result.partsAdded.push(searchResult.partDetails);
+            // Remember which job's service line this part belongs to (Phase 5 linking)
+            const service = result.services.find((svc) => svc.jobIndex === (partItem.jobIndex ?? 0));
+            result.partsAdded.push({ ...searchResult.partDetails, serviceName: service?.procedure || null });
           } else {
             console.log(`${LOG} Phase 4: Part search failed: ${searchResult.error}`);
             result.warnings.push({ code: "PT_PART_FAILED", msg: searchResult.error });
@@ -446,7 +483,7 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     // imported parts. We opened PT in a new tab, so Angular doesn't auto-refresh.
     // ═══════════════════════════════════════════════════════════════════════════
     if (result.partsAdded.length > 0 && motorResult.success) {
-      await progress(progressCallback, "linking_parts");
+      await progress(progressCallback, "linking_parts", signal);
 
       // Force full Angular reload: workboard → estimate.
       // The redirected PT→AutoLeap page has partial Angular state — dropdown options
@@ -619,7 +656,7 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     // ═══════════════════════════════════════════════════════════════════════════
     // PHASE 6: Save + PDF (Steps 13-14)
     // ═══════════════════════════════════════════════════════════════════════════
-    await progress(progressCallback, "generating_pdf");
+    await progress(progressCallback, "generating_pdf", signal);
     console.log(`${LOG} Phase 6: Saving estimate...`);
 
     // Save the estimate
@@ -2678,7 +2715,7 @@ async function linkPartsToServices(page, addedParts, laborResult) {
           }
         }
         return { matched: false, count: options.length, texts };
-      }, serviceName);
+      }, addedParts[i]?.serviceName || serviceName);
 
       if (selected.matched) {
         linked++;
@@ -2901,7 +2938,9 @@ async function findFirstElement(page, selectorStr) {
   return null;
 }
 
-async function progress(cb, phase) {
+async function progress(cb, phase, signal) {
+  // Phase boundary — stop here if the job was cancelled or hit its time limit
+  signal?.throwIfAborted();
   if (cb) {
     try {
       await cb(phase);
@@ -2918,9 +2957,7 @@ async function progress(cb, phase) {
  * Returns { issues: [{ severity: 'warn'|'error', msg: string }] }
  */
 async function reviewEstimate({ vehicle, query, diagnosis, services, totals, partsAdded, laborResult, laborHours }) {
-  const https = require("https");
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) return { issues: [] };
+  if (!llm.isConfigured()) return { issues: [] };
 
   const vehStr = `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
   const svcLines = services.map(s => {
@@ -2974,47 +3011,22 @@ Respond with ONLY a JSON array of issues. Each issue: {"severity":"warn"|"error"
 If the estimate looks correct and ready to send, respond with: []
 No markdown, no explanation — just the JSON array.`;
 
-  return new Promise((resolve) => {
-    const body = JSON.stringify({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 500,
-      messages: [{ role: "user", content: prompt }],
-    });
-
-    const req = https.request({
-      hostname: "api.anthropic.com",
-      path: "/v1/messages",
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": apiKey,
-        "anthropic-version": "2023-06-01",
-        "Content-Length": Buffer.byteLength(body),
-      },
-    }, (res) => {
-      let data = "";
-      res.on("data", (c) => data += c);
-      res.on("end", () => {
-        try {
-          const resp = JSON.parse(data);
-          const text = resp.content?.[0]?.text || "[]";
-          // Extract JSON array from response (handle markdown fencing)
-          const jsonMatch = text.match(/\[[\s\S]*\]/);
-          const issues = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
-          resolve({ issues: Array.isArray(issues) ? issues : [] });
-        } catch (e) {
-          console.log(`${LOG} Review parse error: ${e.message}`);
-          resolve({ issues: [] });
-        }
-      });
-    });
-    req.on("error", (e) => {
-      console.log(`${LOG} Review API error: ${e.message}`);
-      resolve({ issues: [] });
-    });
-    req.write(body);
-    req.end();
-  });
+  let text;
+  try {
+    text = await llm.complete(prompt, { tier: "haiku", maxTokens: 500, purpose: "estimate_review" });
+  } catch (e) {
+    console.log(`${LOG} Review API error: ${e.message}`);
+    return { issues: [] };
+  }
+  try {
+    // Extract JSON array from response (handle markdown fencing)
+    const jsonMatch = (text || "[]").match(/\[[\s\S]*\]/);
+    const issues = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+    return { issues: Array.isArray(issues) ? issues : [] };
+  } catch (e) {
+    console.log(`${LOG} Review parse error: ${e.message}`);
+    return { issues: [] };
+  }
 }
 
 module.exports = {
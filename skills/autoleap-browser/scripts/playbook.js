@@ -19,10 +19,11 @@ const path = require("path");
 const { LOGIN, CUSTOMER, ESTIMATE, PARTS_TAB, SERVICES } = require("./helpers/selectors");
 const { openPartsTechTab, clearCart, searchAndAddToCart, submitCartToAutoLeap } = require("./helpers/pt-tab");
 const { navigateMotorTree } = require("./helpers/motor-nav");
+const { currentWorker, leaseTab } = require("../../shared/browser-pool");
+const { engineMismatchWarning } = require("../../shared/vehicle-identity");
 const { getToken, searchCustomer, createCustomer, createVehicle, createEstimate, getEstimate, addServiceToEstimate } = require("./autoleap-api");
 
 const LOG = "[playbook]";
-const CHROME_CDP_URL = "http://127.0.0.1:18800";
 const AUTOLEAP_APP_URL = "https://app.myautoleap.com";
 
 /**
@@ -30,13 +31,14 @@ const AUTOLEAP_APP_URL = "https://app.myautoleap.com";
  *
  * @param {object} params
  * @param {object} params.customer - { name, phone }
- * @param {object} params.vehicle - { year, make, model, vin, engine }
+ * @param {object} params.vehicle - { year, make, model, vin, engine, engineIdentity }
  * @param {object} params.diagnosis - Diagnosis result from diagnose.js
  * @param {object[]} params.parts - Parts from PartsTech search (each has .selected and .requested)
  * @param {function} [params.progressCallback] - Called with phase name for Telegram updates
+ * @param {AbortSignal} [params.signal] - Job cancel / time limit; checked at each phase boundary
  * @returns {Promise<object>} - { success, roNumber, estimateId, total, totalLabor, totalParts, laborHours, pdfPath, pricingSource, partsAdded, laborResult }
  */
-async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progressCallback }) {
+async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progressCallback, signal }) {
   let puppeteer;
   try {
     puppeteer = require("puppeteer-core");
@@ -62,7 +64,7 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
 
   try {
     browser = await puppeteer.connect({
-      browserURL: CHROME_CDP_URL,
+      browserURL: currentWorker().cdpUrl,
       defaultViewport: { width: 1280, height: 900 },
       protocolTimeout: 120000,
     });
@@ -72,18 +74,19 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     if (!page) {
       page = (await browser.pages())[0] || (await browser.newPage());
     }
+    leaseTab(page, "autoleap");
 
     // ═══════════════════════════════════════════════════════════════════════════
     // PHASE 1: Authentication (Step 1)
     // ═══════════════════════════════════════════════════════════════════════════
-    await progress(progressCallback, "logging_in");
+    await progress(progressCallback, "logging_in", signal);
     console.log(`${LOG} Phase 1: Logging into AutoLeap...`);
     await ensureLoggedIn(page);
 
     // ═══════════════════════════════════════════════════════════════════════════
     // PHASE 2: Customer & Vehicle (Steps 2-5)
     // ═══════════════════════════════════════════════════════════════════════════
-    await progress(progressCallback, "creating_customer");
+    await progress(progressCallback, "creating_customer", signal);
     console.log(`${LOG} Phase 2: Creating customer ${customer.name} + ${vehicle.year} ${vehicle.make} ${vehicle.model}...`);
     const createResult = await createEstimateWithCustomerVehicle(page, customer, vehicle);
 
@@ -266,11 +269,16 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     // PHASE 3 (formerly 4): Labor via MOTOR (Steps 10-11)
     // Run MOTOR BEFORE PartsTech — MOTOR connection enables the PT button
     // ═══════════════════════════════════════════════════════════════════════════
-    await progress(progressCallback, "adding_labor");
+    await progress(progressCallback, "adding_labor", signal);
     console.log(`${LOG} Phase 3: Opening MOTOR catalog (runs before PartsTech to connect vehicle)...`);
 
     let motorResult = await navigateMotorTree(page, diagnosis, vehicle, query);
 
+    // MOTOR's vehicle sidebar had no option that is this engine — labor may be for another one
+    if (motorResult.engineMatch?.matched === false) {
+      result.warnings.push(engineMismatchWarning("MOTOR", vehicle.engineIdentity, motorResult.engineMatch.picked));
+    }
+
     if (motorResult.success) {
       result.laborResult = motorResult;
       result.laborHours = motorResult.hours || 0;
@@ -358,7 +366,7 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     // ═══════════════════════════════════════════════════════════════════════════
     const partsToAdd = (parts || []).filter((p) => p.selected || p.requested);
     if (partsToAdd.length > 0) {
-      await progress(progressCallback, "adding_parts");
+      await progress(progressCallback, "adding_parts", signal);
       console.log(`${LOG} Phase 4: Opening PartsTech tab...`);
 
       const { ptPage, isIframe } = await openPartsTechTab(page, browser, result.estimateId, result.vehicleId);
@@ -471,7 +479,7 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     // imported parts. We opened PT in a new tab, so Angular doesn't auto-refresh.
     // ═══════════════════════════════════════════════════════════════════════════
     if (result.partsAdded.length > 0 && motorResult.success) {
-      await progress(progressCallback, "linking_parts");
+      await progress(progressCallback, "linking_parts", signal);
 
       // Ensure we're on the estimate page with parts visible
       // If we swapped to the redirected PT→AutoLeap page, parts should already be here.
@@ -561,7 +569,7 @@ async function runPlaybook({ customer, vehicle, diagnosis, query, parts, progres
     // ═══════════════════════════════════════════════════════════════════════════
     // PHASE 6: Save + PDF (Steps 13-14)
     // ═══════════════════════════════════════════════════════════════════════════
-    await progress(progressCallback, "generating_pdf");
+    await progress(progressCallback, "generating_pdf", signal);
     console.log(`${LOG} Phase 6: Saving estimate...`);
 
     // Save the estimate
@@ -1698,7 +1706,9 @@ async function selectDropdown(page, selectorStr, value) {
   return true;
 }
 
-async function progress(cb, phase) {
+async function progress(cb, phase, signal) {
+  // Phase boundary — stop here if the job was cancelled or hit its time limit
+  signal?.throwIfAborted();
   if (cb) {
     try {
       await cb(phase);
@@ -363,13 +363,14 @@ async function getShopRepairStats({ make, model, yearStart, yearEnd, cause }) {
  *
  * @param {object} vehicle - { vin, year, make, model }
  * @param {object} diagnosis - { dtcCodes: [], diagnoses: [{ cause }] }
- * @returns {object} { relatedRepairs, insight, confidenceAdjustment }
+ * @returns {object} { relatedRepairs, insight, confidenceAdjustment, repairs }
+ *   repairs is the full getVehicleHistory() list, for callers that need it too
  */
 async function findRelatedPriorRepairs(vehicle, diagnosis) {
   const history = await getVehicleHistory(vehicle);
 
   if (history.totalRepairs === 0) {
-    return { relatedRepairs: [], insight: null, confidenceAdjustment: 0 };
+    return { relatedRepairs: [], insight: null, confidenceAdjustment: 0, repairs: [] };
   }
 
   const relatedRepairs = [];
@@ -474,6 +475,7 @@ async function findRelatedPriorRepairs(vehicle, diagnosis) {
     vehicleVisits: history.totalRepairs,
     totalSpent: history.totalSpent,
     lastVisit: history.lastVisit,
+    repairs: history.repairs,
   };
 }
 
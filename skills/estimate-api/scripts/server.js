@@ -0,0 +1,521 @@
+/**
+ * Estimate REST API — HTTP access to the estimate pipeline
+ *
+ * For front-desk tablets and internal tools that need estimates without a chat
+ * gateway. Runs go through the shared job queue: one estimate per browser
+ * worker (SAM_BROWSER_WORKERS), in parallel up to the worker count, and shared
+ * with the gateways — with the default single worker they run one at a time.
+ *
+ *   POST /api/estimates                 Start a run → 202 { runId, status, position, links }
+ *   GET  /api/estimates/:runId          Status, queue position, stages; full results when done
+ *   GET  /api/estimates/:runId/events   Server-Sent Events: status, position, progress, done | error
+ *   GET  /api/estimates/:runId/pdf      Estimate PDF
+ *   DELETE /api/estimates/:runId        Cancel a queued or running estimate → 202 { status }
+ *   POST /api/estimates/:runId/retry    Re-run a failed or cancelled estimate from the step that failed → 202
+ *   GET  /health                        Unauthenticated liveness check
+ *
+ * Auth: "Authorization: Bearer <key>" (or "X-API-Key: <key>"); GET requests may
+ * pass ?api_key=<key> instead, since browser EventSource can't set headers.
+ *
+ * Usage:
+ *   node skills/estimate-api/scripts/server.js
+ *
+ * Environment:
+ *   SAM_API_KEYS=key1,key2            (required — comma-separated)
+ *   SAM_API_PORT=3002
+ */
+
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const { URL } = require("url");
+
+// ── Load env ──────────────────────────────────────────────────────────────────
+
+const envPath = path.join(__dirname, "../../../config/.env");
+if (fs.existsSync(envPath)) {
+  const lines = fs.readFileSync(envPath, "utf8").split("\n");
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+    const eqIdx = trimmed.indexOf("=");
+    if (eqIdx === -1) continue;
+    const key = trimmed.slice(0, eqIdx);
+    const val = trimmed.slice(eqIdx + 1);
+    if (!process.env[key]) process.env[key] = val;
+  }
+}
+
+// ── Shared modules ────────────────────────────────────────────────────────────
+
+const { enqueueEstimate, getStatus, cancelEstimate, recoverJobs, queue } = require("../../shared/job-queue");
+const { generateRunId } = require("../../shared/logger");
+const { validateVin } = require("../../vin-decoder/scripts/decode");
+
+const LOG = "[estimate-api]";
+const PORT = parseInt(process.env.SAM_API_PORT, 10) || 3002;
+
+const MAX_BODY_BYTES = 64 * 1024;
+const SSE_HEARTBEAT_MS = 15000;
+// Finished runs are kept this long for GET / PDF download
+const RUN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Pipeline is loaded lazily so the API (and its tests) start without browser deps
+let buildEstimate = null;
+function loadBuildEstimate() {
+  if (!buildEstimate) {
+    try {
+      buildEstimate = require("../../estimate-builder/scripts/orchestrator").buildEstimate;
+    } catch (err) {
+      console.error(`${LOG} Pipeline unavailable: ${err.message}`);
+    }
+  }
+  return buildEstimate;
+}
+
+// ── Auth ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse SAM_API_KEYS into a list of keys.
+ *
+ * @param {string} [raw]
+ * @returns {string[]}
+ */
+function parseApiKeys(raw = process.env.SAM_API_KEYS) {
+  return String(raw || "").split(",").map((k) => k.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a request carries one of the API keys (constant-time compare).
+ * Exported for test assertions.
+ *
+ * @param {object} req       Node request (headers, method)
+ * @param {URL} url          Parsed request URL
+ * @param {string[]} apiKeys
+ * @returns {boolean}
+ */
+function isAuthorized(req, url, apiKeys) {
+  const auth = req.headers.authorization || "";
+  const presented = auth.startsWith("Bearer ")
+    ? auth.slice(7).trim()
+    : req.headers["x-api-key"] || (req.method === "GET" ? url.searchParams.get("api_key") : null);
+  if (!presented || apiKeys.length === 0) return false;
+
+  const given = Buffer.from(String(presented));
+  return apiKeys.some((key) => {
+    const expected = Buffer.from(key);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+}
+
+// ── Request validation ────────────────────────────────────────────────────────
+
+/**
+ * Validate a POST /api/estimates body and build buildEstimate() params
+ * (same shape the conversation engine builds from run_estimate).
+ *
+ * @param {object} body
+ * @returns {{ params: object }|{ error: string }}
+ */
+function toEstimateParams(body) {
+  if (!body || typeof body !== "object") return { error: "Body must be a JSON object" };
+  const symptoms = body.query || body.symptoms;
+  if (!symptoms || typeof symptoms !== "string") return { error: "query (or symptoms) is required" };
+  if (!body.vin && !(body.make && body.model)) return { error: "vin or make + model is required" };
+  const vinCheck = body.vin ? validateVin(String(body.vin)) : null;
+  if (vinCheck && !vinCheck.valid) {
+    return { error: `vin ${vinCheck.message}${vinCheck.suggestion ? ` — did you mean ${vinCheck.suggestion}?` : ""}` };
+  }
+
+  const dtcCodes = Array.isArray(body.dtcCodes) ? body.dtcCodes.map(String) : [];
+  const customer = body.customer?.name
+    ? { name: String(body.customer.name), phone: body.customer.phone ? String(body.customer.phone) : null }
+    : null;
+
+  return {
+    params: {
+      year: body.year ? Number(body.year) : null,
+      make: body.make || null,
+      model: body.model || null,
+      engine: body.engine || null,
+      vin: vinCheck ? vinCheck.vin : null,
+      mileage: body.mileage ? Number(body.mileage) : null,
+      query: [...dtcCodes.filter((c) => !symptoms.includes(c)), symptoms].join(" "),
+      dtcCodes,
+      customer,
+      shopId: body.shopId || undefined,
+    },
+  };
+}
+
+// ── Run views ─────────────────────────────────────────────────────────────────
+
+function queueUserId(runId) {
+  return `api:${runId}`;
+}
+
+function pdfUrl(run) {
+  return run.results?.pdfPath ? `/api/estimates/${run.runId}/pdf` : null;
+}
+
+/**
+ * Results object for the API: internal run context dropped, PDF path replaced by
+ * its download link.
+ * Exported for test assertions.
+ *
+ * @param {object} results - From buildEstimate()
+ * @param {string|null} downloadUrl
+ * @returns {object}
+ */
+function serializeResults(results, downloadUrl) {
+  if (!results) return null;
+  const { _runCtx, pdfPath, ...rest } = results;
+  return { ...rest, pdfUrl: downloadUrl };
+}
+
+/**
+ * Public view of a run.
+ *
+ * @param {object} run
+ * @param {object|null} queued - getStatus() entry while queued/running
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeResults] - Attach serialized results once done
+ */
+function runView(run, queued, { includeResults = false } = {}) {
+  const view = {
+    runId: run.runId,
+    status: run.status,
+    position: queued?.position ?? null,
+    waitMinutes: queued?.waitMinutes ?? null,
+    createdAt: run.createdAt,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    stages: run.stages,
+    error: run.error,
+    pdfUrl: pdfUrl(run),
+  };
+  if (includeResults && run.status === "done") view.results = serializeResults(run.results, view.pdfUrl);
+  return view;
+}
+
+// ── HTTP helpers ──────────────────────────────────────────────────────────────
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        req.removeAllListeners("data");
+        reject(new Error("Body too large"));
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// ── Server ────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the API server (not listening).
+ *
+ * @param {object} [deps]
+ * @param {string[]} [deps.apiKeys]          Default: SAM_API_KEYS
+ * @param {function} [deps.buildEstimate]    Default: orchestrator buildEstimate (lazy)
+ * @param {function} [deps.enqueueEstimate]  Default: shared job queue
+ * @param {function} [deps.getStatus]        Default: shared job queue
+ * @param {function} [deps.cancelEstimate]   Default: shared job queue
+ * @returns {http.Server} server, with server.runs (Map runId → run)
+ */
+function createApiServer(deps = {}) {
+  const apiKeys = deps.apiKeys || parseApiKeys();
+  const enqueue = deps.enqueueEstimate || enqueueEstimate;
+  const statusOf = deps.getStatus || getStatus;
+  const cancel = deps.cancelEstimate || cancelEstimate;
+  const runs = new Map();
+
+  const view = (run, opts) => runView(run, statusOf(queueUserId(run.runId)), opts);
+
+  function publish(run, event, data) {
+    run.events.emit("event", { event, data });
+  }
+
+  function pruneRuns() {
+    const cutoff = Date.now() - RUN_TTL_MS;
+    for (const [runId, run] of runs) {
+      if (run.finishedAt && new Date(run.finishedAt).getTime() < cutoff) runs.delete(runId);
+    }
+  }
+
+  /**
+   * Queue a pipeline run. With `retryOf`, that finished run is reset and
+   * re-queued under its own runId with resume set, so buildEstimate picks up
+   * from its checkpoints.
+   */
+  function startRun(params, retryOf = null) {
+    const build = deps.buildEstimate || loadBuildEstimate();
+    if (!build) return null;
+
+    const runId = retryOf ? retryOf.runId : generateRunId();
+    const run = retryOf || {
+      runId,
+      params,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      events: new EventEmitter(),
+    };
+    Object.assign(run, {
+      status: "queued",
+      startedAt: null,
+      finishedAt: null,
+      stages: [],
+      results: null,
+      error: null,
+      attempts: run.attempts + 1,
+    });
+    runs.set(runId, run);
+
+    enqueue(queueUserId(runId), async ({ signal } = {}) => {
+      run.status = "running";
+      run.startedAt = new Date().toISOString();
+      publish(run, "status", view(run));
+      return build({
+        ...params,
+        runId,
+        resume: !!retryOf,
+        signal,
+        progressCallback: async (stage) => {
+          const entry = { stage, at: new Date().toISOString() };
+          run.stages.push(entry);
+          publish(run, "progress", entry);
+        },
+      });
+    }, {
+      notifyPosition: (position, waitMinutes, info) => publish(run, "position", { position, waitMinutes, update: !!info?.update }),
+      record: { platform: "api", chatId: runId, params: { ...params, runId, resume: !!retryOf } },
+    })
+      .then((results) => {
+        run.status = "done";
+        run.results = results;
+        run.finishedAt = new Date().toISOString();
+        publish(run, "done", view(run, { includeResults: true }));
+      })
+      .catch((err) => {
+        console.error(`${LOG} Run ${runId} failed: ${err.message}`);
+        run.status = err.reason_code === "CANCELLED" ? "cancelled" : "failed";
+        run.error = err.message;
+        run.finishedAt = new Date().toISOString();
+        publish(run, "error", view(run));
+      });
+
+    return run;
+  }
+
+  function streamEvents(req, res, run) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+
+    // Catch-up: current status plus any stages already passed
+    writeEvent(res, "status", view(run));
+    for (const entry of run.stages) writeEvent(res, "progress", entry);
+    if (run.status === "done" || run.status === "failed" || run.status === "cancelled") {
+      writeEvent(res, run.status === "done" ? "done" : "error", view(run, { includeResults: true }));
+      res.end();
+      return;
+    }
+
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), SSE_HEARTBEAT_MS);
+    const onEvent = ({ event, data }) => {
+      writeEvent(res, event, data);
+      if (event === "done" || event === "error") cleanup(true);
+    };
+    function cleanup(end) {
+      clearInterval(heartbeat);
+      run.events.off("event", onEvent);
+      if (end) res.end();
+    }
+    run.events.on("event", onEvent);
+    req.on("close", () => cleanup(false));
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (url.pathname === "/health") {
+      sendJson(res, 200, { status: "ok", runs: runs.size, queued: queue.size, running: queue.pending });
+      return;
+    }
+
+    if (!url.pathname.startsWith("/api/estimates")) {
+      sendJson(res, 404, { error: "Not found" });
+      return;
+    }
+
+    if (!isAuthorized(req, url, apiKeys)) {
+      sendJson(res, 401, { error: "Missing or invalid API key" }, { "WWW-Authenticate": "Bearer" });
+      return;
+    }
+
+    // POST /api/estimates
+    if (url.pathname === "/api/estimates" || url.pathname === "/api/estimates/") {
+      if (req.method !== "POST") {
+        sendJson(res, 405, { error: "Use POST to start an estimate" }, { Allow: "POST" });
+        return;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(await readBody(req) || "{}");
+      } catch (err) {
+        const tooLarge = err.message === "Body too large";
+        sendJson(res, tooLarge ? 413 : 400, { error: tooLarge ? err.message : "Invalid JSON" });
+        return;
+      }
+
+      const parsed = toEstimateParams(body);
+      if (parsed.error) {
+        sendJson(res, 400, { error: parsed.error });
+        return;
+      }
+
+      pruneRuns();
+      const run = startRun(parsed.params);
+      if (!run) {
+        sendJson(res, 503, { error: "Estimate pipeline not available" });
+        return;
+      }
+
+      const self = `/api/estimates/${run.runId}`;
+      console.log(`${LOG} Run ${run.runId}: ${parsed.params.year || ""} ${parsed.params.make || parsed.params.vin} ${parsed.params.model || ""} — ${parsed.params.query}`);
+      sendJson(res, 202, {
+        ...view(run),
+        links: { self, events: `${self}/events`, pdf: `${self}/pdf` },
+      }, { Location: self });
+      return;
+    }
+
+    // /api/estimates/:runId[/events|/pdf|/retry]
+    const match = url.pathname.match(/^\/api\/estimates\/([a-f0-9]+)(\/events|\/pdf|\/retry)?\/?$/);
+    const run = match && runs.get(match[1]);
+    if (!run) {
+      sendJson(res, 404, { error: "Unknown run" });
+      return;
+    }
+    // DELETE /api/estimates/:runId — the run settles as "cancelled" (error event on the stream)
+    if (req.method === "DELETE" && !match[2]) {
+      const cancelled = cancel(queueUserId(run.runId));
+      if (!cancelled) {
+        sendJson(res, 409, { error: `Estimate is ${run.status} — nothing to cancel` });
+        return;
+      }
+      console.log(`${LOG} Run ${run.runId} cancelled (${cancelled.status})`);
+      sendJson(res, 202, { ...view(run), cancelling: cancelled.status });
+      return;
+    }
+    // POST /api/estimates/:runId/retry — same runId, resumes from its checkpoints
+    if (match[2] === "/retry") {
+      if (req.method !== "POST") {
+        sendJson(res, 405, { error: "Use POST to retry an estimate" }, { Allow: "POST" });
+        return;
+      }
+      if (run.status === "queued" || run.status === "running") {
+        sendJson(res, 409, { error: `Estimate is ${run.status} — nothing to retry` });
+        return;
+      }
+      if (!startRun(run.params, run)) {
+        sendJson(res, 503, { error: "Estimate pipeline not available" });
+        return;
+      }
+      console.log(`${LOG} Run ${run.runId} retried (attempt ${run.attempts})`);
+      const self = `/api/estimates/${run.runId}`;
+      sendJson(res, 202, {
+        ...view(run),
+        attempts: run.attempts,
+        links: { self, events: `${self}/events`, pdf: `${self}/pdf` },
+      }, { Location: self });
+      return;
+    }
+    if (req.method !== "GET") {
+      sendJson(res, 405, { error: "Method not allowed" }, { Allow: match[2] ? "GET" : "GET, DELETE" });
+      return;
+    }
+
+    if (match[2] === "/events") {
+      streamEvents(req, res, run);
+      return;
+    }
+
+    if (match[2] === "/pdf") {
+      const pdfPath = run.results?.pdfPath;
+      if (!pdfPath || !fs.existsSync(pdfPath)) {
+        sendJson(res, 404, { error: run.status === "done" ? "No PDF for this estimate" : `Estimate is ${run.status}` });
+        return;
+      }
+      res.writeHead(200, {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${path.basename(pdfPath)}"`,
+      });
+      fs.createReadStream(pdfPath).pipe(res);
+      return;
+    }
+
+    sendJson(res, 200, view(run, { includeResults: true }));
+  });
+
+  server.runs = runs;
+  return server;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  if (parseApiKeys().length === 0) {
+    console.error(`${LOG} SAM_API_KEYS must be set`);
+    process.exit(1);
+  }
+
+  const server = createApiServer();
+  server.listen(PORT, () => {
+    console.log(`${LOG} Estimate API running on port ${PORT}`);
+    console.log(`${LOG} POST http://0.0.0.0:${PORT}/api/estimates`);
+  });
+
+  // Runs live in memory, so API jobs left behind by a restart can't be
+  // reported back to their callers — mark them failed in the job history
+  recoverJobs({ platform: "api" }).catch((err) =>
+    console.error(`${LOG} job recovery error: ${err.message}`)
+  );
+
+  // Graceful shutdown — wait for active job to finish before exiting
+  process.on("SIGTERM", async () => {
+    console.log(`${LOG} SIGTERM — draining queue...`);
+    queue.pause();
+    await queue.onIdle();
+    process.exit(0);
+  });
+}
+
+module.exports = {
+  createApiServer,
+  isAuthorized,
+  parseApiKeys,
+  toEstimateParams,
+  serializeResults,
+};
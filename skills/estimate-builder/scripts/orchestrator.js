@@ -9,7 +9,7 @@
  * 5. Full mechanic reference (sensor locations, fluids, torque, tools)
  */
 
-const { decodeVin, isValidVin } = require("../../vin-decoder/scripts/decode");
+const { decodeVin, validateVin } = require("../../vin-decoder/scripts/decode");
 const { search: searchAllData, captureScreenshots } = require("../../alldata-lookup/scripts/search");
 const { searchDirectHit } = require("../../identifix-search/scripts/search");
 // Use Puppeteer direct search (bypasses 20s OpenClaw gateway timeout for proxy)
@@ -27,20 +27,26 @@ const {
   searchParts,
   searchMultipleParts,
   formatForAutoLeap,
+  findTierOptions,
+  addToCart: addToPartsTechCart,
+  placeOrder: placePartsTechOrder,
+  TIERS,
 } = require("../../partstech-search/scripts/search");
+const { rankParts, explainScore, rankingFromShopConfig } = require("../../partstech-search/scripts/supplier-score");
 const {
   findOrCreateCustomer,
   findOrCreateVehicle,
   createEstimate,
 } = require("../../autoleap-estimate/scripts/estimate");
-const { getVehicleSpecs } = require("../../vehicle-specs/scripts/specs");
+const { getVehicleSpecs, recordResearchSpecs } = require("../../vehicle-specs/scripts/specs");
+const { getMaintenanceDue } = require("../../vehicle-specs/scripts/maintenance");
+const { withFluidLines, bulkFluidItem } = require("../../vehicle-specs/scripts/fluid-lines");
 const { diagnose } = require("../../ai-diagnostics/scripts/diagnose");
 const {
-  getVehicleHistory,
   getShopRepairStats,
   findRelatedPriorRepairs,
 } = require("../../autoleap-estimate/scripts/history");
-const { getCannedJobs } = require("../../autoleap-estimate/scripts/canned-jobs");
+const { getCannedJobs, matchServicePattern } = require("../../autoleap-estimate/scripts/canned-jobs");
 const { getShopConfig } = require("../../shop-management/scripts/config");
 const { trackEvent } = require("../../shop-management/scripts/usage");
 
@@ -99,6 +105,11 @@ const { createLogger, generateRunId } = require("../../shared/logger");
 const { withRetry, circuitBreaker } = require("../../shared/retry");
 const { validateLaborResult, validatePartQuote, normalizePrice, PRICING_GATE, PRICING_SOURCE } = require("../../shared/contracts");
 const { SessionManager } = require("../../shared/session-manager");
+const { computeTotals, priceUnit, classifyPartType } = require("../../shared/totals");
+const { classifyRequest } = require("../../shared/request-type");
+const { saveCheckpoint, getCheckpoints } = require("../../shared/checkpoint-store");
+const { bindRun: bindLlmRun, getRunUsage: getLlmRunUsage } = require("../../shared/llm-client");
+const { resolveEngineIdentity, engineMismatchWarning } = require("../../shared/vehicle-identity");
 
 // Feature flags
 const FEAT_SESSION_PREFLIGHT = process.env.SAM_SESSION_PREFLIGHT === "true";
@@ -117,26 +128,98 @@ const breakers = {
 };
 
 /**
- * Classify request type for routing
+ * Vehicle systems used to tell separate concerns apart in one request.
+ * Segments that hit the same system belong to the same job.
  */
-function classifyRequest(query) {
-  const maintenanceKeywords = [
-    "oil change", "brake", "pad", "rotor", "tire rotation",
-    "alignment", "tune up", "spark plug", "transmission fluid",
-    "coolant flush", "cabin filter", "air filter", "battery",
-    "belt", "hose", "wiper",
-  ];
+const JOB_SYSTEMS = {
+  brakes:       ["brake", "pad", "rotor", "caliper"],
+  oil:          ["oil change", "oil service", "lube"],
+  tires:        ["tire", "alignment", "wheel balance"],
+  ignition:     ["spark plug", "ignition coil", "misfire", "tune up"],
+  cooling:      ["coolant", "radiator", "water pump", "thermostat", "overheat"],
+  transmission: ["transmission", "trans fluid", "shifting"],
+  filters:      ["air filter", "cabin filter", "fuel filter"],
+  electrical:   ["battery", "alternator", "starter", "no start"],
+  belts:        ["belt", "hose"],
+  wipers:       ["wiper"],
+  exhaust:      ["exhaust", "muffler", "catalytic"],
+  suspension:   ["strut", "shock", "control arm", "tie rod", "wheel bearing", "cv axle"],
+  ac:           ["a/c", "ac compressor", "air conditioning", "blows warm"],
+};
 
-  const dtcMatch = query.match(/[PBCU][0-9]{4}/gi);
-  const isDTC = dtcMatch && dtcMatch.length > 0;
-  const isMaintenance = maintenanceKeywords.some((kw) =>
-    query.toLowerCase().includes(kw)
-  );
+function detectJobSystem(text) {
+  if (/[PBCU][0-9]{4}/i.test(text)) return "diagnostic";
+  const lower = text.toLowerCase();
+  for (const [system, keywords] of Object.entries(JOB_SYSTEMS)) {
+    if (keywords.some((kw) => lower.includes(kw))) return system;
+  }
+  return null;
+}
 
-  return {
-    type: isDTC ? "diagnostic" : isMaintenance ? "maintenance" : "general",
-    dtcCodes: dtcMatch || [],
-  };
+/**
+ * Split a request into separate jobs — one per concern.
+ *
+ * "P0420 plus front brakes plus oil change" → three jobs. Segments that
+ * don't name a system ("front and rear brakes", "rough idle") stay with the
+ * neighbouring concern, so a single-concern request always comes back as one
+ * job carrying the original query.
+ *
+ * @param {string} query
+ * @returns {object[]} [{ name, query, system, type, dtcCodes }]
+ */
+function splitJobs(query) {
+  const segments = String(query || "")
+    .split(/\s*(?:;|\+|,|\bplus\b|\balso\b|\bas well as\b|\band\b)\s*/i)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const groups = [];
+  let pending = [];
+  for (const segment of segments) {
+    const system = detectJobSystem(segment);
+    if (!system) {
+      // No system of its own — belongs to the previous concern, or the next one if first
+      if (groups.length > 0) groups[groups.length - 1].segments.push(segment);
+      else pending.push(segment);
+      continue;
+    }
+    const existing = groups.find((g) => g.system === system);
+    if (existing) {
+      existing.segments.push(...pending, segment);
+    } else {
+      groups.push({ system, segments: [...pending, segment] });
+    }
+    pending = [];
+  }
+
+  if (groups.length <= 1) {
+    const info = classifyRequest(query || "");
+    return [{
+      name: jobName(query || ""),
+      query: query || "",
+      system: groups[0]?.system || null,
+      type: info.type,
+      dtcCodes: info.dtcCodes,
+    }];
+  }
+
+  return groups.map((g) => {
+    const jobQuery = g.segments.join(", ");
+    const info = classifyRequest(jobQuery);
+    return {
+      name: jobName(jobQuery),
+      query: jobQuery,
+      system: g.system,
+      type: info.type,
+      dtcCodes: info.dtcCodes,
+    };
+  });
+}
+
+function jobName(text) {
+  const trimmed = text.trim().replace(/[.!?]+$/, "");
+  const name = trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+  return name.length > 60 ? name.substring(0, 57) + "..." : name;
 }
 
 /**
@@ -306,21 +389,365 @@ function formatDiagnosisSummary(aiDiagnosis) {
   return lines.join("\n");
 }
 
-function getPartsMarkupPercent(shopConfig) {
-  const pct = Number(shopConfig?.markup?.partsMarkupPercent);
-  return Number.isFinite(pct) && pct >= 0 ? pct : 40;
+/**
+ * Combine per-job parts results into one bundle for the estimate.
+ * Every bundle item is tagged with the jobIndex it was searched for.
+ */
+function mergeJobParts(jobs) {
+  const priced = jobs.filter((j) => j.parts);
+  if (priced.length === 0) return null;
+
+  const merged = {
+    ...priced[0].parts,
+    individualResults: [],
+    bestValueBundle: { parts: [], totalCost: 0, allInStock: true, suppliers: [] },
+  };
+
+  jobs.forEach((job, jobIndex) => {
+    if (!job.parts) return;
+    const bundle = job.parts.bestValueBundle || {};
+    for (const item of bundle.parts || []) {
+      merged.bestValueBundle.parts.push({ ...item, jobIndex });
+    }
+    merged.bestValueBundle.totalCost += bundle.totalCost || 0;
+    if (bundle.allInStock === false) merged.bestValueBundle.allInStock = false;
+    for (const s of bundle.suppliers || []) {
+      if (!merged.bestValueBundle.suppliers.includes(s)) merged.bestValueBundle.suppliers.push(s);
+    }
+    merged.individualResults.push(...(job.parts.individualResults || []));
+  });
+
+  merged.bestValueBundle.totalCost = Math.round(merged.bestValueBundle.totalCost * 100) / 100;
+  merged.bestValueBundle.supplierCount = merged.bestValueBundle.suppliers.length;
+  return merged;
+}
+
+/** Line type for a bundle item — fluid lines sized from specs say so, others by name. */
+function itemLineType(item) {
+  return item.requested?.lineType || classifyPartType(item.requested?.partType || item.selected?.description);
+}
+
+/** Customer price for a bundle item's full quantity (shop markup matrix for its category). */
+function getItemRetail(item, shopConfig) {
+  const type = itemLineType(item);
+  return priceUnit(item.selected, type, shopConfig) * (item.requested?.qty || 1);
+}
+
+/**
+ * Recompute per-job subtotals (results.jobs[].subtotal) from the current parts
+ * bundle and labor services. Labor lines added by a revision (added: true) stack
+ * on top of the job's base hours.
+ *
+ * @param {object} results - Results from buildEstimate() (mutated)
+ * @param {object} shopConfig
+ * @returns {number} Parts retail total across all jobs
+ */
+function recalculateTotals(results, shopConfig) {
+  const laborRate = results.resolvedLaborRate || shopConfig?.shop?.laborRatePerHour || 0;
+  const bundleParts = results.parts?.bestValueBundle?.parts || [];
+
+  let partsRetailTotal = 0;
+  for (const item of bundleParts) {
+    if (item.selected) partsRetailTotal += getItemRetail(item, shopConfig);
+  }
+
+  // Per-job subtotals so the customer can approve or decline each concern
+  (results.jobs || []).forEach((job, jobIndex) => {
+    const services = (results.laborServices || []).filter((s) => (s.jobIndex ?? 0) === jobIndex);
+    const baseServices = services.filter((s) => !s.added);
+    const baseHours = baseServices.length > 0
+      ? baseServices.reduce((sum, s) => sum + (s.hours || 0), 0)
+      : job.diagnosis?.ai?.repair_plan?.labor?.hours ?? job.diagnosis?.prodemand?.laborTimes?.[0]?.hours ?? null;
+    const addedHours = services.filter((s) => s.added).reduce((sum, s) => sum + (s.hours || 0), 0);
+    const laborHours = baseHours == null && addedHours === 0 ? null : (baseHours || 0) + addedHours;
+
+    let partsRetail = 0;
+    for (const item of bundleParts) {
+      if ((item.jobIndex ?? 0) === jobIndex && item.selected) {
+        partsRetail += getItemRetail(item, shopConfig);
+      }
+    }
+    const labor = laborHours != null ? Math.round(laborHours * laborRate * 100) / 100 : 0;
+    const parts = Math.round(partsRetail * 100) / 100;
+    job.subtotal = { laborHours, labor, parts, total: Math.round((labor + parts) * 100) / 100 };
+  });
+
+  return partsRetailTotal;
+}
+
+/**
+ * Set pricing_source / pricing_gate / customer_ready on results.
+ * Hard gate: block customer-facing output when parts exist but no retail pricing resolved.
+ *
+ * @param {object} results - Results from buildEstimate() (mutated)
+ * @param {number} partsRetailTotal - From recalculateTotals()
+ * @param {object} log - Logger
+ */
+function applyPricingGate(results, partsRetailTotal, log) {
+  const hasParts = (results.parts?.bestValueBundle?.parts || []).length > 0;
+
+  if (results.estimateSource === "autoleap-native" && results.estimate?.success) {
+    results.pricing_source = PRICING_SOURCE.AUTOLEAP_NATIVE;
+  } else if (partsRetailTotal > 0) {
+    results.pricing_source = PRICING_SOURCE.MATRIX_FALLBACK;
+  } else if (hasParts) {
+    results.pricing_source = PRICING_SOURCE.FAILED;
+  } else {
+    results.pricing_source = PRICING_SOURCE.NO_PARTS;
+  }
+
+  results.warnings = (results.warnings || []).filter((w) => w?.code !== "PRICING_GATE_BLOCKED");
+  if (hasParts && partsRetailTotal <= 0) {
+    results.customer_ready = false;
+    results.pricing_gate = PRICING_GATE.BLOCKED;
+    results.warnings.push({ code: "PRICING_GATE_BLOCKED", msg: "Parts pricing couldn't be resolved — review before sending" });
+    log.warn("Pricing gate BLOCKED", { parts_count: results.parts.bestValueBundle.parts.length, retail_total: partsRetailTotal, pricing_source: results.pricing_source });
+  } else {
+    results.customer_ready = true;
+    results.pricing_gate = PRICING_GATE.PASSED;
+  }
+
+  log.info(`Pricing: source=${results.pricing_source}, gate=${results.pricing_gate}, retail_total=$${partsRetailTotal.toFixed(2)}`);
+}
+
+/**
+ * Estimate lines for the local totals engine — each job's labor lines plus
+ * every selected part, priced with the shop markup for its type.
+ *
+ * @param {object} results - Results from buildEstimate() (after recalculateTotals)
+ * @param {object} shopConfig
+ * @returns {object[]} Lines for computeTotals() (each tagged with jobIndex)
+ */
+function buildEstimateLines(results, shopConfig) {
+  const laborRate = results.resolvedLaborRate || shopConfig?.shop?.laborRatePerHour || 0;
+  const lines = [];
+
+  (results.jobs || []).forEach((job, jobIndex) => {
+    const services = (results.laborServices || []).filter((s) => (s.jobIndex ?? 0) === jobIndex && s.hours > 0);
+    const added = services.filter((s) => s.added);
+    const base = services.filter((s) => !s.added);
+    if (base.length === 0) {
+      // No labor service line (e.g. no MOTOR) — the job's estimated hours become one line
+      const baseHours = (job.subtotal?.laborHours || 0) - added.reduce((sum, s) => sum + s.hours, 0);
+      if (baseHours > 0) lines.push({ type: "labor", description: job.name, hours: baseHours, rate: laborRate, jobIndex });
+    }
+    for (const s of [...base, ...added]) {
+      lines.push({ type: "labor", description: s.procedure || s.name || job.name, hours: s.hours, rate: laborRate, jobIndex });
+    }
+  });
+
+  for (const item of results.parts?.bestValueBundle?.parts || []) {
+    if (!item.selected) continue;
+    const type = itemLineType(item);
+    const unit = item.requested?.unit ? ` (${item.requested.unit})` : "";
+    lines.push({
+      type,
+      description: (item.selected.description || item.requested?.partType) + unit,
+      partNumber: item.selected.partNumber || null,
+      supplier: item.selected.supplier || null,
+      qty: item.requested?.qty || 1,
+      unitPrice: priceUnit(item.selected, type, shopConfig),
+      jobIndex: item.jobIndex ?? 0,
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * MATRIX_FALLBACK pricing: full local totals (supplies, diagnostic fee, tax) from
+ * the shop config, mirrored onto results.estimate so chat/PDF show a real total.
+ * Other pricing sources keep their own totals and get no results.totals.
+ *
+ * @param {object} results - Results from buildEstimate() (mutated)
+ * @param {object} shopConfig
+ */
+function applyLocalTotals(results, shopConfig) {
+  if (results.pricing_source !== PRICING_SOURCE.MATRIX_FALLBACK) {
+    delete results.totals;
+    return;
+  }
+
+  const totals = computeTotals(buildEstimateLines(results, shopConfig), shopConfig, {
+    diagnosticFee: (results.jobs || []).some((j) => j.type === "diagnostic"),
+  });
+  results.totals = totals;
+  results.estimate = {
+    ...(results.estimate || {}),
+    total: totals.total,
+    totalLabor: totals.labor,
+    totalParts: Math.round((totals.parts + totals.fluids + totals.tires) * 100) / 100,
+    shopSupplies: totals.supplies,
+    tax: totals.tax,
+    pricingSource: PRICING_SOURCE.MATRIX_FALLBACK,
+  };
+}
+
+/**
+ * Re-price an estimate: job subtotals, pricing gate, local totals, tier totals.
+ *
+ * @param {object} results - Results from buildEstimate() (mutated)
+ * @param {object} shopConfig
+ * @param {object} log - Logger
+ */
+function priceEstimate(results, shopConfig, log) {
+  const partsRetailTotal = recalculateTotals(results, shopConfig);
+  applyPricingGate(results, partsRetailTotal, log);
+  applyLocalTotals(results, shopConfig);
+  computeTierTotals(results, shopConfig);
+}
+
+// ─── Good / Better / Best tiers ───
+
+const TIER_LABELS = { good: "Good", better: "Better", best: "Best" };
+const TIER_DESCRIPTIONS = { good: "economy aftermarket", better: "premium aftermarket", best: "OEM" };
+
+function samePart(a, b) {
+  return !!(a && b && a.partNumber === b.partNumber && a.supplier === b.supplier);
+}
+
+/** Tier whose pick is the item's current selection, or null for a custom pick. */
+function currentTier(item) {
+  return TIERS.find((t) => samePart(item.tiers?.[t], item.selected)) || null;
+}
+
+/**
+ * Re-pick every bundle item by supplier score (price, stock, distance, preferred
+ * suppliers, brand blacklist, return rate) across all options the search
+ * returned for it. The winning score breakdown is kept on item.score so the
+ * advisor can see why a part was picked. An item whose only options are
+ * blacklisted brands loses its selection.
+ *
+ * @param {object} results - Results from buildEstimate() (mutated)
+ * @param {object} ranking - supplier-score.js ranking options
+ */
+function applySupplierRanking(results, ranking) {
+  for (const item of results.parts?.bestValueBundle?.parts || []) {
+    // Shop-stock fluids from the bulk price list aren't up for re-picking
+    if (!item.selected || item.selected.bulk) continue;
+    const options = findPartOptions(results, item);
+    if (options.length === 0) options.push(item.selected);
+    const ranked = rankParts(options, ranking);
+    if (ranked.length === 0) {
+      item.error = `Only blacklisted brands found (${[...new Set(options.map((p) => p.brand))].join(", ")})`;
+      item.selected = null;
+      continue;
+    }
+    const top = ranked[0];
+    if (!samePart(top.part, item.selected)) {
+      item.selected = { ...top.part, position: top.part.position || item.requested?.position || null };
+    }
+    item.score = { score: top.score, breakdown: top.breakdown, reason: explainScore(top, ranked.length), candidates: ranked.length };
+  }
+
+  const bundle = results.parts?.bestValueBundle;
+  if (bundle) {
+    bundle.totalCost = Math.round(bundle.parts.reduce((sum, item) => sum + (item.selected?.totalCost ?? item.selected?.price ?? 0) * (item.requested?.qty || 1), 0) * 100) / 100;
+    bundle.suppliers = [...new Set(bundle.parts.map((item) => item.selected?.supplier).filter(Boolean))];
+    bundle.supplierCount = bundle.suppliers.length;
+    bundle.allInStock = bundle.parts.every((item) => item.selected?.availability === "In Stock");
+  }
 }
 
-function getRetailUnitPrice(part, partsMarkupPercent) {
-  if (!part) return 0;
+/**
+ * Attach Good / Better / Best picks to every bundle item, chosen from all the
+ * options the parts search returned for it (search.js findTierOptions).
+ * item.tier records which tier the current selection is.
+ *
+ * @param {object} results - Results from buildEstimate() (mutated)
+ * @param {object} [ranking] - supplier-score.js ranking options
+ */
+function applyPartTiers(results, ranking = null) {
+  for (const item of results.parts?.bestValueBundle?.parts || []) {
+    if (!item.selected) continue;
+    const options = findPartOptions(results, item);
+    const tiers = options.length > 0 ? findTierOptions(options, ranking) : item.tiers;
+    if (!tiers || !TIERS.some((t) => tiers[t])) continue;
+    item.tiers = tiers;
+    item.tier = currentTier(item);
+  }
+}
 
-  const explicitRetail = Number(part.retailPrice ?? part.customerPrice ?? part.priceRetail ?? 0);
-  if (Number.isFinite(explicitRetail) && explicitRetail > 0) return explicitRetail;
+/**
+ * Per-job totals for each tier (labor + that tier's parts at retail) so the
+ * advisor can quote Good / Better / Best side by side. A part with no pick in
+ * a tier keeps its current selection and the tier is marked incomplete.
+ * An option is `selected` when the job's parts are on that tier.
+ * Jobs with fewer than two tiers get no job.tierOptions.
+ *
+ * @param {object} results - Results from buildEstimate() (mutated)
+ * @param {object} shopConfig
+ */
+function computeTierTotals(results, shopConfig) {
+  const bundleParts = results.parts?.bestValueBundle?.parts || [];
+
+  (results.jobs || []).forEach((job, jobIndex) => {
+    const items = bundleParts.filter((item) => (item.jobIndex ?? 0) === jobIndex && item.selected);
+    const options = {};
+    for (const tier of TIERS) {
+      if (!items.some((item) => item.tiers?.[tier])) continue;
+      let parts = 0;
+      let complete = true;
+      const brands = new Set();
+      for (const item of items) {
+        const pick = item.tiers?.[tier] || item.selected;
+        if (!item.tiers?.[tier]) complete = false;
+        parts += getItemRetail({ ...item, selected: pick }, shopConfig);
+        if (pick.brand) brands.add(pick.brand);
+      }
+      parts = Math.round(parts * 100) / 100;
+      const labor = job.subtotal?.labor || 0;
+      options[tier] = {
+        label: TIER_LABELS[tier],
+        description: TIER_DESCRIPTIONS[tier],
+        brands: [...brands],
+        labor,
+        parts,
+        total: Math.round((labor + parts) * 100) / 100,
+        complete,
+        // Every part that has a pick in this tier is on it
+        selected: items.filter((item) => item.tiers?.[tier]).every((item) => item.tier === tier),
+      };
+    }
+    if (Object.keys(options).length >= 2) job.tierOptions = options;
+    else delete job.tierOptions;
+  });
+}
 
-  const base = Number(part.totalCost ?? part.cost ?? part.price ?? 0);
-  if (!Number.isFinite(base) || base <= 0) return 0;
+/**
+ * Switch parts to a tier's picks (mutates the bundle). Parts with no pick in
+ * that tier keep their selection and are reported.
+ *
+ * @param {object} results - Results from buildEstimate()
+ * @param {string} tier - "good" | "better" | "best"
+ * @param {number[]} [jobIndexes] - Only these jobs (default: every job)
+ * @returns {object} { applied: object[], errors: string[] } (applied entries are revision changes)
+ */
+function selectTier(results, tier, jobIndexes = null) {
+  const applied = [];
+  const errors = [];
+  if (!TIERS.includes(tier)) return { applied, errors: [`Unknown option: ${tier}`] };
+
+  const items = (results.parts?.bestValueBundle?.parts || [])
+    .filter((item) => item.selected && (!jobIndexes || jobIndexes.includes(item.jobIndex ?? 0)));
+
+  items.forEach((item) => {
+    const pick = item.tiers?.[tier];
+    if (!pick) {
+      errors.push(`No ${TIER_LABELS[tier]} (${TIER_DESCRIPTIONS[tier]}) option for ${item.requested?.partType || "that part"}`);
+      return;
+    }
+    if (samePart(pick, item.selected)) {
+      item.tier = tier;
+      return;
+    }
+    const before = item.selected;
+    item.selected = { ...pick, position: pick.position || item.requested?.position || null };
+    item.tier = tier;
+    applied.push({ action: "choose_tier", tier, from: before, to: item.selected, text: `${item.requested?.partType || "Part"} (${TIER_LABELS[tier]}): ${describePart(before)} → ${describePart(item.selected)}` });
+  });
 
-  return Math.round(base * (1 + partsMarkupPercent / 100) * 100) / 100;
+  return { applied, errors };
 }
 
 /**
@@ -336,7 +763,7 @@ function formatServiceAdvisorResponse(results) {
 
 📋 VEHICLE (Exact for Parts Accuracy)
    ${vehicle.year} ${vehicle.make} ${vehicle.model} ${vehicle.trim || ""}
-   Engine: ${vehicle.engine?.displacement || "?"} ${vehicle.engine?.cylinders || "?"}cyl ${vehicle.engine?.fuelType || ""}
+   Engine: ${vehicle.engine?.displacement || "?"} ${vehicle.engine?.cylinders || "?"}cyl ${vehicle.engine?.fuelType || ""}${vehicle.engineCode ? ` (${vehicle.engineCode})` : ""}
    VIN: ${vehicle.vin || "N/A"}
    Trans: ${vehicle.transmission || "N/A"} | Drive: ${vehicle.driveType || "N/A"}
 
@@ -460,8 +887,19 @@ ${diagnosis?.summary || "See research results"}
     if (stats.comebacks > 0) response += `   ⚠️ ${stats.comebacks} comeback(s) recorded\n`;
   }
 
+  // Jobs built straight from a canned job (research skipped)
+  const cannedUsed = (results.jobs || []).filter((j) => j.cannedJob);
+  if (cannedUsed.length > 0) {
+    response += `
+⚡ BUILT FROM CANNED JOBS
+`;
+    for (const job of cannedUsed) {
+      response += `   • ${job.cannedJob.name}: ${job.cannedJob.laborHours}h labor, live parts pricing (${job.cannedJob.frequency}x performed)\n`;
+    }
+  }
+
   // Canned jobs (maintenance requests)
-  if (results.cannedJobs?.length > 0) {
+  if (results.cannedJobs?.length > 0 && cannedUsed.length === 0) {
     response += `
 📋 CANNED JOBS AVAILABLE
 `;
@@ -525,8 +963,11 @@ ${diagnosis?.summary || "See research results"}
     for (const item of parts.bestValueBundle.parts) {
       if (item.selected) {
         const p = item.selected;
-        response += `   ✓ ${p.brand} ${p.description}${p.position ? ` (${p.position})` : ""}
+        const jobTag = results.jobs?.length > 1 && item.jobIndex != null ? ` [Job ${item.jobIndex + 1}]` : "";
+        response += `   ✓ ${p.brand} ${p.description}${p.position ? ` (${p.position})` : ""}${jobTag}
      Part #: ${p.partNumber} | ${p.availability} | ${p.supplier}
+`;
+        if (item.score?.reason) response += `     Picked: ${item.score.reason}
 `;
       } else {
         response += `   ✗ ${item.requested.partType} — NOT FOUND
@@ -544,6 +985,21 @@ ${diagnosis?.summary || "See research results"}
     }
   }
 
+  // Per-job breakdown (multi-concern requests)
+  if (results.jobs?.length > 1) {
+    response += `
+🧾 JOBS (approve or decline each)
+`;
+    results.jobs.forEach((job, i) => {
+      const st = job.subtotal || {};
+      const hours = st.laborHours != null ? `${st.laborHours}h` : "?h";
+      response += `   ${i + 1}. ${job.name}\n`;
+      const topCause = job.diagnosis?.ai?.diagnoses?.[0]?.cause;
+      if (topCause) response += `      Diagnosis: ${topCause}\n`;
+      response += `      Labor ${hours} $${(st.labor || 0).toFixed(2)} | Parts $${(st.parts || 0).toFixed(2)} | Subtotal $${(st.total || 0).toFixed(2)}\n`;
+    });
+  }
+
   // Estimate totals
   if (estimate?.total) {
     response += `\n💰 ESTIMATE TOTAL\n`;
@@ -561,6 +1017,18 @@ ${diagnosis?.summary || "See research results"}
     }
   }
 
+  // Maintenance due at this mileage (optional, not in the total)
+  if (results.recommendedServices?.length > 0) {
+    response += `
+🗓️ ALSO RECOMMENDED (optional — not in total)
+`;
+    for (const s of results.recommendedServices) {
+      const price = s.laborEstimate != null ? `, ~$${s.laborEstimate.toFixed(2)} labor` : "";
+      response += `   ${s.status === "overdue" ? "⚠️" : "•"} ${s.name} — ${s.status.toUpperCase()} (${s.hours}h${price})\n`;
+      response += `     ${s.reason}\n`;
+    }
+  }
+
   // Mechanic reference info
   if (mechanicSpecs) {
     response += `
@@ -591,6 +1059,9 @@ ${diagnosis?.summary || "See research results"}
    • Coolant: ${coolant.capacity || "?"} — ${coolant.type || "?"}
 `;
     }
+    if (mechanicSpecs.firingOrder) {
+      response += `   • Firing order: ${mechanicSpecs.firingOrder}\n`;
+    }
 
     // Torque specs
     if (mechanicSpecs.torqueSpecs) {
@@ -648,25 +1119,145 @@ ${diagnosis?.summary || "See research results"}
   return response;
 }
 
+const JOB_REF_STOPWORDS = new Set(["the", "job", "and", "for", "one", "work", "customer", "approved", "declined"]);
+
+/**
+ * Find the job a free-text reference points at ("2", "job 1", "the brakes", "the cat").
+ * Matches against job name, query, system, top diagnosis, DTCs and part types.
+ *
+ * @param {object[]} jobs - results.jobs
+ * @param {string} ref
+ * @param {string[][]} [partTypesByJob] - Part types per jobIndex
+ * @returns {number} jobIndex, or -1 when nothing matches
+ */
+function findJobIndex(jobs, ref, partTypesByJob = []) {
+  const text = String(ref || "").trim().toLowerCase();
+  const num = text.match(/^(?:job\s*)?#?(\d+)$/);
+  if (num) {
+    const idx = Number(num[1]) - 1;
+    return idx >= 0 && idx < jobs.length ? idx : -1;
+  }
+
+  const words = text.split(/[^a-z0-9/]+/)
+    .filter((w) => w.length >= 2 && !JOB_REF_STOPWORDS.has(w))
+    .map((w) => w.replace(/s$/, ""));
+  if (words.length === 0) return -1;
+
+  return jobs.findIndex((job, i) => {
+    const haystack = [
+      job.name,
+      job.query,
+      job.system,
+      job.diagnosis?.ai?.diagnoses?.[0]?.cause,
+      ...(job.dtcCodes || []),
+      ...(partTypesByJob[i] || []),
+    ].filter(Boolean).join(" ").toLowerCase();
+    return words.every((w) => new RegExp(`\\b${w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`).test(haystack));
+  });
+}
+
+/**
+ * Record per-job customer approval on estimate results (mutates results.jobs).
+ *
+ * - No refs at all → every pending job is approved (plain "customer approved").
+ * - Only declines → everything not declined is approved.
+ * - Approvals given → listed jobs approved, unlisted jobs stay pending.
+ * Declined jobs are marked deferred so the work can be followed up later.
+ *
+ * @param {object} results - Results from buildEstimate()
+ * @param {object} [decision] - { approved: string[], declined: string[] } job refs
+ * @returns {object} { approved: string[], declined: string[], unmatched: string[] }
+ */
+function applyJobApprovals(results, decision = {}) {
+  const jobs = results?.jobs || [];
+  const approvedRefs = decision.approved || [];
+  const declinedRefs = decision.declined || [];
+  const now = new Date().toISOString();
+  const unmatched = [];
+
+  const partTypesByJob = jobs.map(() => []);
+  for (const item of results?.parts?.bestValueBundle?.parts || []) {
+    const list = partTypesByJob[item.jobIndex ?? 0];
+    if (list && item.requested?.partType) list.push(item.requested.partType);
+  }
+
+  const resolve = (refs) => refs.map((ref) => {
+    const idx = findJobIndex(jobs, ref, partTypesByJob);
+    if (idx < 0) unmatched.push(ref);
+    return idx;
+  }).filter((idx) => idx >= 0);
+
+  const approvedIdx = resolve(approvedRefs);
+  const declinedIdx = resolve(declinedRefs);
+  if (unmatched.length > 0) return { approved: [], declined: [], unmatched };
+
+  jobs.forEach((job, i) => {
+    let approval = job.approval || "pending";
+    if (declinedIdx.includes(i)) approval = "declined";
+    else if (approvedIdx.includes(i)) approval = "approved";
+    else if (approvedRefs.length === 0 && approval === "pending") approval = "approved";
+
+    if (approval !== job.approval) job.approvalUpdatedAt = now;
+    job.approval = approval;
+    job.deferred = approval === "declined";
+    if (job.deferred && !job.deferredAt) job.deferredAt = now;
+  });
+
+  return {
+    approved: jobs.filter((j) => j.approval === "approved").map((j) => j.name),
+    declined: jobs.filter((j) => j.approval === "declined").map((j) => j.name),
+    unmatched,
+  };
+}
+
 /**
  * Handle approval and place parts order via AutoLeap browser.
  *
- * Called when SA texts "approved" — goes back into AutoLeap and
- * places the parts order through the embedded PartsTech.
+ * Called when SA texts "approved" — records which jobs the customer
+ * approved/declined, then orders only the approved jobs' parts through
+ * PartsTech. Declined jobs stay on the results as deferred work.
+ * When the customer picked a Good / Better / Best option, the approved jobs
+ * are revised to that tier first so the order matches what was quoted.
  *
- * @param {object} lastEstimateResults - Results from the last buildEstimate() call
- * @returns {object} { success, orderId, total, partsOrdered, error }
+ * @param {object} lastEstimateResults - Results from the last buildEstimate() call (mutated)
+ * @param {object} [decision] - { approved: string[], declined: string[] } job refs, tier?: "good" | "better" | "best"
+ * @returns {object} { success, orderId, total, partsOrdered, approval, tierError, error }
  */
-async function handleApprovalAndOrder(lastEstimateResults) {
+async function handleApprovalAndOrder(lastEstimateResults, decision = {}) {
+  const approval = applyJobApprovals(lastEstimateResults, decision);
+  if (approval.unmatched.length > 0) {
+    return { success: false, approval, error: `No job matching: ${approval.unmatched.join(", ")}` };
+  }
+  if ((lastEstimateResults?.jobs || []).length > 0 && approval.approved.length === 0) {
+    return { success: true, approval, partsOrdered: 0, nothingToOrder: true };
+  }
+
+  if (decision.tier) {
+    const jobs = lastEstimateResults.jobs || [];
+    const approvedIdx = jobs.map((j, i) => (j.approval === "approved" ? i : -1)).filter((i) => i >= 0);
+    const changes = approvedIdx.length > 0 && approvedIdx.length < jobs.length
+      ? approvedIdx.map((i) => ({ action: "choose_tier", option: decision.tier, job: String(i + 1) }))
+      : [{ action: "choose_tier", option: decision.tier }];
+    const revision = await reviseEstimate(lastEstimateResults, changes);
+    const alreadyOnTier = (revision.errors || []).every((e) => e.startsWith("Already on"));
+    if (!revision.success && !alreadyOnTier) {
+      return { success: false, approval, tierError: true, error: revision.error };
+    }
+  }
+
   // Route through handleOrderRequest which supports both PartsTech browser and API paths
-  return handleOrderRequest(lastEstimateResults);
+  const orderResult = await handleOrderRequest(lastEstimateResults);
+  return { ...orderResult, approval };
 }
 
 /**
  * Handle "order those parts" request from SA.
  *
- * Takes the parts from the last estimate's bestValueBundle and
- * places an order via PartsTech browser automation or AutoLeap browser.
+ * Takes the parts from the last estimate's bestValueBundle and places an
+ * order via PartsTech browser automation, or the PartsTech REST cart when
+ * browser ordering isn't set up and PARTSTECH_API_ORDERING=1 opts in (parts
+ * priced via the API carry the partId/supplierId it needs). REST ordering
+ * submits only the cart lines this order added.
  *
  * @param {object} lastEstimateResults - Results from the last buildEstimate() call
  * @returns {object} { success, order, cart_summary, error }
@@ -677,8 +1268,9 @@ async function handleOrderRequest(lastEstimateResults) {
     return handleApprovalAndOrder(lastEstimateResults);
   }
 
-  if (!partstechOrder) {
-    return { success: false, error: "PartsTech browser ordering not available (set PARTSTECH_URL env var)" };
+  const viaApi = !partstechOrder && !!process.env.PARTSTECH_API_KEY && process.env.PARTSTECH_API_ORDERING === "1";
+  if (!partstechOrder && !viaApi) {
+    return { success: false, error: "PartsTech ordering not available (set PARTSTECH_URL, or PARTSTECH_API_ORDERING=1 with PARTSTECH_API_KEY)" };
   }
 
   if (!lastEstimateResults?.parts?.bestValueBundle?.parts) {
@@ -688,9 +1280,14 @@ async function handleOrderRequest(lastEstimateResults) {
   const vehicle = lastEstimateResults.vehicle;
   const bundleParts = lastEstimateResults.parts.bestValueBundle.parts;
 
+  // Per-job approval: once any job has a decision, only approved jobs' parts are ordered
+  const jobs = lastEstimateResults.jobs || [];
+  const hasDecisions = jobs.some((j) => j.approval && j.approval !== "pending");
+
   // Filter to parts that were actually found (have a selected part)
   const partsToOrder = bundleParts
-    .filter((item) => item.selected)
+    .filter((item) => item.selected && !item.selected.bulk)
+    .filter((item) => !hasDecisions || jobs[item.jobIndex ?? 0]?.approval === "approved")
     .map((item) => ({
       partType: item.requested.partType,
       position: item.requested.position || null,
@@ -698,22 +1295,32 @@ async function handleOrderRequest(lastEstimateResults) {
       brand: item.selected.brand,
       supplier: item.selected.supplier,
       qty: item.requested.qty || 1,
+      tier: item.tier || null,
+      partId: item.selected.partId || null,
+      supplierId: item.selected.supplierId || null,
     }));
 
   if (partsToOrder.length === 0) {
-    return { success: false, error: "No orderable parts in the estimate" };
+    return { success: false, error: hasDecisions ? "No orderable parts on the approved jobs" : "No orderable parts in the estimate" };
   }
 
-  console.log(`[orchestrator] Ordering ${partsToOrder.length} parts via PartsTech browser...`);
+  console.log(`[orchestrator] Ordering ${partsToOrder.length} parts via PartsTech ${viaApi ? "API" : "browser"}...`);
 
   // Add to cart
-  const cartResult = await partstechOrder.addMultipleToCart({
-    vin: vehicle.vin,
-    year: vehicle.year,
-    make: vehicle.make,
-    model: vehicle.model,
-    parts: partsToOrder,
-  });
+  let cartResult;
+  try {
+    cartResult = viaApi
+      ? await addToPartsTechCart(partsToOrder.map((p) => ({ ...p, quantity: p.qty })))
+      : await partstechOrder.addMultipleToCart({
+        vin: vehicle.vin,
+        year: vehicle.year,
+        make: vehicle.make,
+        model: vehicle.model,
+        parts: partsToOrder,
+      });
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
 
   if (cartResult.error) {
     return { success: false, error: cartResult.error };
@@ -722,9 +1329,17 @@ async function handleOrderRequest(lastEstimateResults) {
   if (cartResult.failed?.length > 0) {
     console.log(`[orchestrator] ${cartResult.failed.length} parts could not be added to cart`);
   }
+  if (viaApi && (cartResult.added?.length || 0) === 0) {
+    return { success: false, failed: cartResult.failed, error: "No parts could be added to the PartsTech cart" };
+  }
 
   // Place the order
-  const orderResult = await partstechOrder.placeOrder();
+  const orderResult = viaApi
+    ? await placePartsTechOrder({
+      cartItemIds: cartResult.added.map((p) => p.cartItemId),
+      poNumber: lastEstimateResults.estimate?.estimateCode || null,
+    })
+    : await partstechOrder.placeOrder();
 
   // Track order event
   const orderShopId = lastEstimateResults.shopId || process.env.SHOP_ID || null;
@@ -746,239 +1361,577 @@ async function handleOrderRequest(lastEstimateResults) {
   };
 }
 
+// ─── Estimate revisions ───
+
+const PART_REF_STOPWORDS = new Set(["the", "part", "parts", "instead", "use", "swap", "drop", "remove", "new", "one", "to", "for", "on"]);
+
 /**
- * Main pipeline: Build complete estimate
+ * Find bundle items a free-text part reference points at ("the rotors", "pads").
+ * Matches against requested part type/position and the selected part's
+ * description, brand and part number.
+ *
+ * @param {object[]} bundleParts - results.parts.bestValueBundle.parts
+ * @param {string} ref
+ * @returns {number[]} Matching indexes (empty when nothing matches)
  */
-async function buildEstimate(params) {
-  const shopId = params.shopId || process.env.SHOP_ID || null;
-  const shopConfig = await getShopConfig(shopId);
-  const startTime = Date.now();
-  const results = {
-    shopId,
-    vehicle: null,
-    diagnosis: null,
-    parts: null,
-    estimate: null,
-    mechanicSpecs: null,
-    pdfPath: null,
-    screenshots: [],
-    wiringDiagrams: [],
-    tsbs: [],
-    dtcTestPlan: [],
-  };
-
-  // --- RunContext ---
-  const runId = generateRunId();
-  const log = createLogger("orchestrator", runId);
-  const runCtx = {
-    runId,
-    vehicle: params,
-    symptom: params.query,
-    shopId: params.shopId || "default",
-    startTime: Date.now(),
-    steps: [],
-  };
-  log.info("pipeline start", { query: params.query, year: params.year, make: params.make, model: params.model });
+function findPartIndexes(bundleParts, ref) {
+  const words = String(ref || "").toLowerCase().split(/[^a-z0-9/-]+/)
+    .filter((w) => w.length >= 2 && !PART_REF_STOPWORDS.has(w))
+    .map((w) => w.replace(/s$/, ""));
+  if (words.length === 0) return [];
+
+  const matches = [];
+  bundleParts.forEach((item, i) => {
+    const haystack = [
+      item.requested?.partType,
+      item.requested?.position,
+      item.selected?.description,
+      item.selected?.brand,
+      item.selected?.partNumber,
+    ].filter(Boolean).join(" ").toLowerCase();
+    if (words.every((w) => new RegExp(`\\b${w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`).test(haystack))) {
+      matches.push(i);
+    }
+  });
+  return matches;
+}
 
-  // --- Preflight (feature-flagged) ---
-  if (FEAT_SESSION_PREFLIGHT) {
-    const endPreflight = log.step("preflight");
-    const preflightStatus = await sessionManager.preflight();
-    endPreflight({ status: preflightStatus });
-    runCtx.steps.push({ step: "preflight", status: preflightStatus });
+/**
+ * Collect every option the original parts search returned for a bundle item.
+ *
+ * @param {object} results - Results from buildEstimate()
+ * @param {object} item - Bundle item
+ * @returns {object[]} Part options (PartsTech result shape)
+ */
+function findPartOptions(results, item) {
+  const partType = String(item.requested?.partType || "").toLowerCase();
+  const options = [];
+  for (const r of results.parts?.individualResults || []) {
+    const label = String(r.partType || r.searchTerm || "").toLowerCase();
+    if (!partType || !label.startsWith(partType)) continue;
+    options.push(
+      ...(r.allParts || []), ...(r.oemOptions || []), ...(r.aftermarketOptions || []),
+      r.bestValue?.overall, r.bestValue?.oem, r.bestValue?.aftermarket,
+    );
   }
+  const seen = new Set();
+  return options.filter((p) => {
+    if (!p) return false;
+    const key = `${p.partNumber}|${p.supplier}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
 
-  console.log("═══════════════════════════════════════════════════════════════");
-  console.log(`  ESTIMATE BUILDER — Starting Full Pipeline [${runId}]`);
-  console.log("═══════════════════════════════════════════════════════════════");
+/**
+ * Pick the best option matching a swap request: in stock first, then cheapest.
+ *
+ * @param {object[]} options
+ * @param {object} change - { tier, brand, supplier, part_number }
+ * @param {object} [current] - Currently selected part (excluded)
+ * @returns {object|null}
+ */
+function pickPartOption(options, change, current) {
+  const norm = (v) => String(v || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  const candidates = options.filter((p) => {
+    if (current && norm(p.partNumber) === norm(current.partNumber) && p.supplier === current.supplier) return false;
+    if (change.tier === "oem" && p.type !== "OEM") return false;
+    if (change.tier === "aftermarket" && p.type === "OEM") return false;
+    if (change.brand && !norm(p.brand).includes(norm(change.brand))) return false;
+    if (change.supplier && !norm(p.supplier).includes(norm(change.supplier))) return false;
+    if (change.part_number && norm(p.partNumber) !== norm(change.part_number)) return false;
+    return true;
+  });
+  const inStock = candidates.filter((p) => p.availability === "In Stock");
+  const pool = inStock.length > 0 ? inStock : candidates;
+  return [...pool].sort((a, b) => (a.totalCost ?? a.price ?? 0) - (b.totalCost ?? b.price ?? 0))[0] || null;
+}
 
-  // ─── Pre-warm: acquire AutoLeap token while Chrome is fresh ───
-  // ProDemand research (Step 3) hammers Chrome for 30-60s.
-  // If we wait until Step 5/6 to get the token, Chrome is overwhelmed and CDP times out.
-  if (autoLeapApi && params.customer) {
-    try {
-      const token = await autoLeapApi.getToken();
-      if (token) console.log(`  → AutoLeap token pre-cached ✓`);
-      else console.log(`  → AutoLeap token pre-warm: no token (will retry later)`);
-    } catch (e) {
-      console.log(`  → AutoLeap token pre-warm failed: ${e.message} (will retry later)`);
-    }
-  }
+/**
+ * Default re-search for a swap the original results can't satisfy.
+ * Uses the PartsTech REST API when a key and VIN are available.
+ */
+async function searchPartOptions(vehicle, item, change) {
+  if (!process.env.PARTSTECH_API_KEY || !vehicle?.vin) return [];
+  const found = await searchParts({
+    vin: vehicle.vin,
+    partType: item.requested?.partType,
+    partNumber: change.part_number || undefined,
+    position: item.requested?.position || undefined,
+    includeOEM: change.tier !== "aftermarket",
+    includeAftermarket: change.tier !== "oem",
+  });
+  return found.allParts || [];
+}
 
-  // ─── Step 1: Vehicle Identification (Exact) ───
-  log.info("Step 1: Decoding vehicle (exact specs for parts accuracy)");
-  let vehicle;
-  if (params.vin && isValidVin(params.vin)) {
-    vehicle = await decodeVin(params.vin);
-  } else {
-    vehicle = {
-      vin: params.vin || null,
-      year: params.year,
-      make: params.make,
-      model: params.model,
-      trim: params.trim || null,
-      engine: {
-        displacement: params.engine,
-        cylinders: params.cylinders,
-        fuelType: params.fuelType,
-      },
-      transmission: params.transmission,
-      driveType: params.driveType,
-    };
-  }
-  vehicle.mileage = params.mileage;
-  results.vehicle = vehicle;
+function describePart(part) {
+  return [part.brand, part.description || part.partType, part.partNumber ? `#${part.partNumber}` : null].filter(Boolean).join(" ");
+}
 
-  console.log(`  → ${vehicle.year} ${vehicle.make} ${vehicle.model} ${vehicle.trim || ""}`);
-  console.log(`  → Engine: ${vehicle.engine?.displacement || "?"}`);
-  console.log(`  → VIN: ${vehicle.vin || "Not provided"}`);
+/**
+ * Apply revision changes to estimate results (mutates the parts bundle and labor services).
+ *
+ * Supported changes (as produced by the revise_estimate tool):
+ *   { action: "swap_part",   part, tier?, brand?, supplier?, part_number? }  "swap to OEM pads", "use the NAPA part"
+ *   { action: "remove_part", part }                                         "drop the rotors"
+ *   { action: "choose_tier", option, job? }                                 "go with the Better option" (good | better | best)
+ *   { action: "add_labor",   hours, description?, job? }                     "add 0.5 hr diag"
+ *   { action: "set_labor",   hours, job? }                                   "make the brake job 1.8 hrs"
+ *
+ * @param {object} results - Results from buildEstimate() (mutated)
+ * @param {object[]} changes
+ * @param {object} [opts]
+ * @param {Function} [opts.searchPart] - async (vehicle, item, change) => options[] (re-search fallback)
+ * @returns {Promise<object>} { applied: object[], errors: string[] }
+ */
+async function applyRevision(results, changes = [], opts = {}) {
+  const searchPart = opts.searchPart || searchPartOptions;
+  const bundle = results.parts?.bestValueBundle || { parts: [] };
+  const jobs = results.jobs || [];
+  results.laborServices = results.laborServices || [];
+  const applied = [];
+  const errors = [];
+
+  const resolveJob = (ref) => {
+    if (ref == null || ref === "") return 0;
+    const idx = findJobIndex(jobs, String(ref));
+    return idx >= 0 ? idx : null;
+  };
 
-  // ─── Step 2: Classify & Route ───
-  const requestInfo = classifyRequest(params.query);
-  log.info(`Step 2: Request type: ${requestInfo.type}`);
-  if (requestInfo.dtcCodes.length > 0) {
-    console.log(`  → DTC codes: ${requestInfo.dtcCodes.join(", ")}`);
-  }
+  for (const change of changes) {
+    const action = change?.action;
 
-  // ─── Step 2.5: AI Diagnosis ───
-  if (requestInfo.type === "diagnostic") {
-    log.info("Step 2.5: Running AI diagnostic engine...");
-    try {
-      const aiDiagnosis = await diagnose({
-        vin: vehicle.vin,
-        year: vehicle.year,
-        make: vehicle.make,
-        model: vehicle.model,
-        engine: vehicle.engine?.displacement,
-        dtcCodes: requestInfo.dtcCodes,
-        symptoms: params.query,
-        mileage: vehicle.mileage,
-      });
+    if (action === "swap_part") {
+      const targets = change.part
+        ? findPartIndexes(bundle.parts, change.part)
+        : bundle.parts.map((_, i) => i);
+      if (targets.length === 0) {
+        errors.push(`No part matching "${change.part}" on this estimate`);
+        continue;
+      }
+      const appliedBefore = applied.length;
+      for (const i of targets) {
+        const item = bundle.parts[i];
+        let option = pickPartOption(findPartOptions(results, item), change, item.selected);
+        if (!option) {
+          try {
+            option = pickPartOption(await searchPart(results.vehicle, item, change), change, item.selected);
+          } catch (err) {
+            console.error(`[orchestrator] Revision part search failed: ${err.message}`);
+          }
+        }
+        if (!option) {
+          const wanted = [change.tier === "oem" ? "OEM" : change.tier, change.brand, change.supplier, change.part_number].filter(Boolean).join(" ");
+          // A supplier sweep over every part only reports the parts it could not move
+          if (change.part || targets.length === 1) errors.push(`No ${wanted || "other"} option found for ${item.requested?.partType || "that part"}`);
+          continue;
+        }
+        const before = item.selected;
+        item.selected = { ...option, position: option.position || item.requested?.position || null };
+        if (item.tiers) item.tier = currentTier(item);
+        applied.push({ action, index: i, from: before, to: item.selected, text: `${item.requested?.partType || "Part"}: ${before ? describePart(before) : "none"} → ${describePart(item.selected)}` });
+      }
+      if (!change.part && targets.length > 1 && applied.length === appliedBefore) {
+        errors.push(`No parts available from ${change.supplier || change.brand || "that source"}`);
+      }
+      continue;
+    }
 
-      if (!aiDiagnosis.error) {
-        results.diagnosis = {
-          ai: aiDiagnosis,
-          summary: formatDiagnosisSummary(aiDiagnosis),
-        };
-        console.log(`  → Top cause: ${aiDiagnosis.diagnoses?.[0]?.cause || "Unknown"} (${Math.round((aiDiagnosis.diagnoses?.[0]?.confidence || 0) * 100)}%)`);
-        if (aiDiagnosis.low_confidence_warning) {
-          console.log("  → ⚠️ Low confidence — recommend further diagnosis");
+    if (action === "choose_tier") {
+      const tier = String(change.option || "").toLowerCase();
+      let jobIndexes = null;
+      if (change.job) {
+        const jobIndex = resolveJob(change.job);
+        if (jobIndex == null) {
+          errors.push(`No job matching "${change.job}" on this estimate`);
+          continue;
         }
+        jobIndexes = [jobIndex];
+      }
+      const chosen = selectTier(results, tier, jobIndexes);
+      applied.push(...chosen.applied);
+      errors.push(...chosen.errors);
+      if (chosen.applied.length === 0 && chosen.errors.length === 0) {
+        errors.push(`Already on the ${TIER_LABELS[tier]} option`);
+      }
+      continue;
+    }
 
-        // Track diagnosis event
-        trackEvent(shopId, "diagnosis_run", {
-          vehicle: { year: vehicle.year, make: vehicle.make, model: vehicle.model },
-          topCause: aiDiagnosis.diagnoses?.[0]?.cause,
-          confidence: aiDiagnosis.diagnoses?.[0]?.confidence,
-          path: aiDiagnosis.diagnostic_path,
-          query: params.query,
-        }).catch(() => {});
-      } else {
-        console.error(`  → AI diagnosis error: ${aiDiagnosis.error}`);
+    if (action === "remove_part") {
+      const targets = findPartIndexes(bundle.parts, change.part);
+      if (targets.length === 0) {
+        errors.push(`No part matching "${change.part}" on this estimate`);
+        continue;
       }
-    } catch (err) {
-      console.error(`  → AI diagnosis failed: ${err.message}`);
+      // Remove from the end so earlier indexes stay valid
+      for (const i of [...targets].reverse()) {
+        const [removed] = bundle.parts.splice(i, 1);
+        applied.push({ action, from: removed.selected, text: `Removed ${removed.requested?.partType || describePart(removed.selected || {})}` });
+      }
+      continue;
     }
-  }
 
-  if (params.progressCallback) await params.progressCallback("diagnosis_done").catch(() => {});
+    if (action === "add_labor" || action === "set_labor") {
+      const hours = Number(change.hours);
+      const jobIndex = resolveJob(change.job);
+      if (!Number.isFinite(hours) || hours < 0) {
+        errors.push(`Invalid labor hours: ${change.hours}`);
+        continue;
+      }
+      if (jobIndex == null) {
+        errors.push(`No job matching "${change.job}" on this estimate`);
+        continue;
+      }
+      const jobName = jobs[jobIndex]?.name || "estimate";
 
-  // ─── Step 2.7: Vehicle History & Shop Experience ───
-  log.info("Step 2.7: Checking repair history...");
-  try {
-    // Check this specific vehicle's history
-    const historyResult = await findRelatedPriorRepairs(
-      { vin: vehicle.vin, year: vehicle.year, make: vehicle.make, model: vehicle.model },
-      { dtcCodes: requestInfo.dtcCodes, diagnoses: results.diagnosis?.ai?.diagnoses || [] }
-    );
+      if (action === "add_labor") {
+        const name = change.description || "Additional labor";
+        results.laborServices.push({ jobIndex, name, procedure: name, hours, manual: true, added: true });
+        applied.push({ action, jobIndex, hours, text: `Added ${hours} hr ${name.toLowerCase()} to ${jobName}` });
+      } else {
+        const services = results.laborServices.filter((s) => (s.jobIndex ?? 0) === jobIndex && !s.added);
+        const before = services.reduce((sum, s) => sum + (s.hours || 0), 0);
+        if (services.length > 0) {
+          services[0].hours = hours;
+          for (const s of services.slice(1)) s.hours = 0;
+        } else {
+          results.laborServices.push({ jobIndex, name: jobName, procedure: jobName, hours, manual: true });
+        }
+        applied.push({ action, jobIndex, hours, text: `${jobName} labor: ${before || "?"} → ${hours} hr` });
+      }
+      continue;
+    }
 
-    results.vehicleHistory = historyResult;
+    errors.push(`Unknown revision: ${action || "(none)"}`);
+  }
 
-    if (historyResult.insight) {
-      console.log(`  → ${historyResult.insight}`);
-    }
-    if (historyResult.vehicleVisits > 0) {
-      console.log(`  → ${historyResult.vehicleVisits} prior visits, $${historyResult.totalSpent || 0} total spent`);
-    }
+  bundle.totalCost = bundle.parts.reduce((sum, item) => sum + (item.selected?.totalCost ?? item.selected?.price ?? 0) * (item.requested?.qty || 1), 0);
+  bundle.suppliers = [...new Set(bundle.parts.map((item) => item.selected?.supplier).filter(Boolean))];
+  bundle.allInStock = bundle.parts.every((item) => item.selected?.availability === "In Stock");
 
-    // Apply confidence adjustment from history
-    if (historyResult.confidenceAdjustment !== 0 && results.diagnosis?.ai?.diagnoses?.length > 0) {
-      const adj = historyResult.confidenceAdjustment;
-      results.diagnosis.ai.diagnoses[0].confidence = Math.min(
-        0.95,
-        Math.max(0.05, results.diagnosis.ai.diagnoses[0].confidence + adj)
-      );
-      results.diagnosis.ai.diagnoses[0].history_adjusted = true;
-      console.log(`  → Confidence adjusted by ${adj > 0 ? "+" : ""}${(adj * 100).toFixed(0)}%`);
+  return { applied, errors };
+}
+
+/**
+ * Push a revision to the AutoLeap estimate: labor hours, added labor lines,
+ * and removed/swapped parts on each service. Returns AutoLeap's new totals.
+ */
+async function syncRevisionToAutoLeap(results, applied) {
+  const estimateId = results.autoLeapEstimate?.estimateId || results.estimate?.estimateId;
+  const token = await autoLeapApi.getToken();
+  const est = await autoLeapApi.getEstimate(token, estimateId);
+  if (!est) throw new Error(`Estimate ${estimateId} not found`);
+
+  const laborRate = results.resolvedLaborRate || results.estimate?.laborRate || 0;
+  const services = est.services || [];
+  const norm = (v) => String(v || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+  for (const ls of results.laborServices || []) {
+    const name = ls.procedure || ls.name;
+    const svc = services.find((s) => norm(s.name || s.title) === norm(name));
+    if (svc) {
+      const rate = svc.rate || svc.laborRate || laborRate;
+      svc.hours = ls.hours;
+      svc.quantity = ls.hours;
+      svc.total = ls.hours * rate;
+    } else if (ls.added) {
+      services.push({ name, serviceType: "general", hours: ls.hours, rate: laborRate, quantity: ls.hours, laborRate, total: ls.hours * laborRate });
     }
+  }
 
-    // Get shop-wide stats for this repair type
-    if (results.diagnosis?.ai?.diagnoses?.[0]?.cause) {
-      const shopStats = await getShopRepairStats({
-        make: vehicle.make,
-        model: vehicle.model,
-        cause: results.diagnosis.ai.diagnoses[0].cause,
+  const removed = new Set(applied.filter((a) => a.action === "remove_part" && a.from).map((a) => norm(a.from.partNumber)));
+  const swapped = new Map(applied.filter((a) => (a.action === "swap_part" || a.action === "choose_tier") && a.from).map((a) => [norm(a.from.partNumber), a.to]));
+  for (const svc of services) {
+    if (!Array.isArray(svc.parts)) continue;
+    svc.parts = svc.parts
+      .filter((p) => !removed.has(norm(p.partNumber)))
+      .map((p) => {
+        const to = swapped.get(norm(p.partNumber));
+        if (!to) return p;
+        return { ...p, partNumber: to.partNumber, brand: to.brand, name: to.description || p.name, description: to.description || p.description, cost: to.totalCost ?? to.price, supplier: to.supplier };
       });
+  }
+
+  await autoLeapApi.updateEstimate(token, estimateId, { services });
+  const updated = await autoLeapApi.getEstimate(token, estimateId);
+  const t = updated?.total || {};
+  return {
+    token,
+    estimateId,
+    totals: typeof t === "object"
+      ? { labor: t.labor || 0, parts: t.parts || 0, total: t.grand || t.total || 0 }
+      : { labor: null, parts: null, total: Number(t) || 0 },
+  };
+}
+
+/**
+ * Build a local PDF for an estimate AutoLeap has no PDF for — a new estimate
+ * that never reached AutoLeap, or a revision AutoLeap isn't synced with.
+ * Lines and totals come from the local totals engine.
+ *
+ * @param {object} results - buildEstimate() results
+ * @param {object} shopConfig
+ * @param {string} [label="revised"] - File name tag ("revised", "local")
+ * @returns {Promise<string>} PDF path
+ */
+async function generateLocalPDF(results, shopConfig, label = "revised") {
+  const { generateEstimatePDF } = require("../../estimate-pdf/scripts/generate");
+  const totals = computeTotals(buildEstimateLines(results, shopConfig), shopConfig, {
+    diagnosticFee: (results.jobs || []).some((j) => j.type === "diagnostic"),
+  });
+  const toPdfLine = (l) => (l.type === "labor"
+    ? { description: l.description, hours: l.qty, rate: l.unitPrice, total: l.total }
+    : { description: l.description, partNumber: l.partNumber, qty: l.qty, unitPrice: l.unitPrice, total: l.total, supplier: l.supplier, type: l.type });
+
+  const jobs = (results.jobs || []).map((job, jobIndex) => {
+    const jobLines = totals.lines.filter((l) => l.jobIndex === jobIndex);
+    return {
+      name: job.name,
+      laborLines: jobLines.filter((l) => l.type === "labor").map(toPdfLine),
+      partLines: jobLines.filter((l) => l.type !== "labor" && l.type !== "fee").map(toPdfLine),
+      subtotal: job.subtotal,
+    };
+  });
+
+  const v = results.vehicle || {};
+  return generateEstimatePDF({
+    shop: shopConfig?.shop,
+    customer: results.customer,
+    vehicle: { ...v, engine: v.engine?.displacement || v.engine || null },
+    diagnosis: results.diagnosis?.ai?.diagnoses?.[0]?.cause || "",
+    jobs: jobs.length > 1 ? jobs : [],
+    laborLines: jobs.flatMap((j) => j.laborLines),
+    partLines: jobs.flatMap((j) => j.partLines),
+    tierOptions: (results.jobs || []).filter((j) => j.tierOptions).map((j) => ({ name: results.jobs.length > 1 ? j.name : null, options: j.tierOptions })),
+    recommendedServices: results.recommendedServices || [],
+    totals,
+    outputPath: require("path").join(require("os").tmpdir(), `estimate-${label}-${Date.now()}.pdf`),
+  });
+}
 
-      if (shopStats.totalRepairs > 0) {
-        results.shopStats = shopStats;
-        console.log(`  → Shop experience: ${shopStats.totalRepairs} similar repairs, ${shopStats.successRate || "?"}% success rate`);
+function estimateTotal(results) {
+  if (results.estimate?.success && !results.estimate.stale && results.estimate.total != null) return results.estimate.total;
+  if (results.totals) return results.totals.total;
+  return Math.round((results.jobs || []).reduce((sum, j) => sum + (j.subtotal?.total || 0), 0) * 100) / 100;
+}
+
+/**
+ * Revise the last estimate: apply changes, re-price, update AutoLeap, regenerate
+ * the PDF and append a version to results.revisions.
+ *
+ * Only the affected steps re-run — parts are re-picked from the original search
+ * results (re-searching PartsTech only when no stored option fits) and totals are
+ * recomputed; diagnosis and research are left untouched.
+ *
+ * @param {object} lastEstimateResults - Results from the last buildEstimate() call (mutated)
+ * @param {object[]} changes - See applyRevision()
+ * @param {object} [opts] - { searchPart } (tests)
+ * @returns {Promise<object>} { success, version, applied, errors, totalBefore, totalAfter, pdfPath, synced, error }
+ */
+async function reviseEstimate(lastEstimateResults, changes = [], opts = {}) {
+  const results = lastEstimateResults;
+  if (!results) return { success: false, error: "No estimate to revise" };
+  if (!Array.isArray(changes) || changes.length === 0) return { success: false, error: "No changes given" };
+
+  const log = createLogger("orchestrator", results.runId);
+  const shopConfig = await getShopConfig(results.shopId || null);
+
+  // Price the current version on the same basis as the revision, then snapshot it
+  priceEstimate(results, shopConfig, log);
+  const version = results.version || 1;
+  const previous = structuredClone({
+    parts: results.parts?.bestValueBundle?.parts || [],
+    laborServices: results.laborServices || [],
+    subtotals: (results.jobs || []).map((j) => j.subtotal || null),
+    estimate: results.estimate ? { total: results.estimate.total, totalLabor: results.estimate.totalLabor, totalParts: results.estimate.totalParts } : null,
+    pdfPath: results.pdfPath || null,
+  });
+  const totalBefore = estimateTotal(results);
+
+  const { applied, errors } = await applyRevision(results, changes, opts);
+  if (applied.length === 0) {
+    return { success: false, version, applied, errors, error: errors[0] || "Nothing changed" };
+  }
+
+  // Update the AutoLeap estimate in place; a failed sync keeps the local revision
+  let synced = false;
+  let sync = null;
+  if (autoLeapApi && (results.autoLeapEstimate?.estimateId || results.estimate?.estimateId)) {
+    try {
+      sync = await syncRevisionToAutoLeap(results, applied);
+      synced = true;
+      if (results.estimate?.success) {
+        results.estimate.total = sync.totals.total;
+        if (sync.totals.labor != null) results.estimate.totalLabor = sync.totals.labor;
+        if (sync.totals.parts != null) results.estimate.totalParts = sync.totals.parts;
       }
+      log.info(`Revision synced to AutoLeap estimate ${sync.estimateId}`);
+    } catch (err) {
+      log.warn(`AutoLeap revision sync failed: ${err.message}`);
+      results.warnings = results.warnings || [];
+      results.warnings.push({ code: "REVISION_SYNC_FAILED", msg: "AutoLeap estimate not updated — revise it there manually" });
     }
+  }
+  if (results.estimate?.success) {
+    // Unsynced AutoLeap totals no longer match — totals fall back to local pricing
+    results.estimate.stale = !synced;
+  }
 
-    // For maintenance requests, check for applicable canned jobs
-    if (requestInfo.type === "maintenance") {
-      const cannedJobs = await getCannedJobs({
-        make: vehicle.make,
-        model: vehicle.model,
-        year: vehicle.year,
-      });
+  priceEstimate(results, shopConfig, log);
 
-      if (cannedJobs.length > 0) {
-        results.cannedJobs = cannedJobs;
-        console.log(`  → ${cannedJobs.length} canned jobs available`);
+  // Regenerate the PDF the estimate already had (review-blocked estimates stay without one)
+  if (previous.pdfPath && !results.reviewBlocked) {
+    results.pdfPath = null;
+    try {
+      if (synced && results.pdfSource === "autoleap-native") {
+        const out = require("path").join(require("os").tmpdir(), `estimate-${sync.estimateId}-v${version + 1}.pdf`);
+        results.pdfPath = await autoLeapApi.downloadEstimatePDF(sync.token, sync.estimateId, out);
+      } else {
+        results.pdfPath = await generateLocalPDF(results, shopConfig);
+        results.pdfSource = "local";
       }
+    } catch (err) {
+      log.warn(`Revision PDF failed: ${err.message}`);
     }
-  } catch (err) {
-    console.error(`  → History check failed (non-fatal): ${err.message}`);
   }
 
-  // ─── Step 3: Sequential Research (browser skills share one tab) ───
-  log.info("Step 3: Researching across databases...");
+  const totalAfter = estimateTotal(results);
+  results.version = version + 1;
+  results.revisions = results.revisions || [];
+  results.revisions.push({
+    version: results.version,
+    revisedAt: new Date().toISOString(),
+    changes,
+    applied: applied.map((a) => a.text),
+    totalBefore,
+    totalAfter,
+    synced,
+    previous: { version, ...previous },
+  });
+  try {
+    results.formattedResponse = formatServiceAdvisorResponse(results);
+  } catch {
+    // Keep the previous formatted response — chat replies don't depend on it
+  }
 
-  let alldata = null, identifix = null, prodemand = null;
-  const researchQuery = {
-    vin: vehicle.vin,
-    year: vehicle.year,
-    make: vehicle.make,
-    model: vehicle.model,
-    engine: vehicle.engine?.displacement,
-    query: params.query,
+  log.info(`Estimate revised to v${results.version}: ${applied.length} change(s), $${totalBefore} → $${totalAfter}`);
+  return {
+    success: true,
+    version: results.version,
+    applied: applied.map((a) => a.text),
+    errors,
+    totalBefore,
+    totalAfter,
+    pdfPath: results.pdfPath || null,
+    synced,
   };
+}
 
-  // Timeout wrapper — prevents a hung browser skill from blocking the pipeline
-  const withTimeout = (promise, ms, label) =>
-    Promise.race([
-      promise,
-      new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timeout after ${ms / 1000}s`)), ms)),
-    ]);
+// ─── Per-job research & parts helpers ───
+
+// Timeout wrapper — prevents a hung browser skill from blocking the pipeline.
+// Also settles as soon as the job's AbortSignal fires (cancel / job time limit).
+const withTimeout = (promise, ms, label, signal = null) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timeout after ${ms / 1000}s`)), ms)),
+    ...(signal ? [abortPromise(signal)] : []),
+  ]);
+
+// Rejects with the signal's reason once it aborts
+const abortPromise = (signal) =>
+  new Promise((_, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+  });
 
-  // Fast URL reachability check — skip browser automation if URL is blocked (403) or down
-  const isReachable = async (url, timeoutMs = 5000) => {
-    try {
-      const fetch = (await import("node-fetch")).default;
-      const controller = new AbortController();
-      const timer = setTimeout(() => controller.abort(), timeoutMs);
-      const resp = await fetch(url, { method: "HEAD", signal: controller.signal, redirect: "follow" });
-      clearTimeout(timer);
-      return resp.ok; // 200-299 only
-    } catch { return false; }
-  };
+// Fast URL reachability check — skip browser automation if URL is blocked (403) or down
+const isReachable = async (url, timeoutMs = 5000) => {
+  try {
+    const fetch = (await import("node-fetch")).default;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const resp = await fetch(url, { method: "HEAD", signal: controller.signal, redirect: "follow" });
+    clearTimeout(timer);
+    return resp.ok; // 200-299 only
+  } catch { return false; }
+};
+
+const RESEARCH_TIMEOUT = 25000;    // 25s for OpenClaw platforms (AllData, Identifix)
+const PRODEMAND_TIMEOUT = 75000;   // 75s for ProDemand (real browser, vehicle selection + search)
+
+// ─── Canned jobs (fast path) ───
+
+// A canned job is trusted once the shop has done it at least this many times
+const CANNED_JOB_MIN_FREQUENCY = 3;
+
+/** Labor hours on a canned job: its labor lines, else the historical average. */
+function cannedJobLaborHours(cannedJob) {
+  const lines = (cannedJob?.line_items || []).filter((li) => li.type === "labor" && li.hours > 0);
+  if (lines.length > 0) return Math.round(lines.reduce((sum, li) => sum + li.hours, 0) * 10) / 10;
+  return cannedJob?.avg_labor_hours || 0;
+}
+
+/**
+ * Match a job against the shop's canned jobs (canned-jobs.js buildCannedJobsFromHistory()).
+ *
+ * Confident match only: the request names the service outright (one of the
+ * pattern's keywords, not just "oil"), the canned job was built from the same
+ * pattern with at least CANNED_JOB_MIN_FREQUENCY repairs, and it has labor to
+ * quote. Diagnostic jobs never match — they need the research.
+ *
+ * @param {object} job - From splitJobs()
+ * @param {object[]} cannedJobs - From getCannedJobs() (most frequent first)
+ * @returns {object|null} The canned job to build from
+ */
+function matchCannedJob(job, cannedJobs) {
+  if (!job || job.type === "diagnostic" || job.dtcCodes?.length > 0) return null;
+  const query = String(job.query || "").toLowerCase();
+  const pattern = matchServicePattern(query);
+  if (!pattern || !pattern.keywords.some((kw) => query.includes(kw))) return null;
+
+  return (cannedJobs || []).find((cj) =>
+    (cj.name === pattern.name || String(cj.name || "").startsWith(`${pattern.name} — `)) &&
+    (cj.frequency || 0) >= CANNED_JOB_MIN_FREQUENCY &&
+    cannedJobLaborHours(cj) > 0
+  ) || null;
+}
+
+/**
+ * Parts list for a canned job, in extractPartsNeeded() format — priced live
+ * like any other job. The historical part number is kept for reference.
+ *
+ * @param {object} cannedJob
+ * @returns {object[]}
+ */
+function cannedJobPartsNeeded(cannedJob) {
+  return (cannedJob?.line_items || [])
+    .filter((li) => li.type === "part" && li.description)
+    .map((li) => ({
+      partType: li.description,
+      searchTerms: [li.description],
+      qty: li.qty || 1,
+      partNumber: li.partNumber || null,
+    }));
+}
 
-  const RESEARCH_TIMEOUT = 25000;    // 25s for OpenClaw platforms (AllData, Identifix)
-  const PRODEMAND_TIMEOUT = 75000;   // 75s for ProDemand (real browser, vehicle selection + search)
+/**
+ * Research one job across the repair databases.
+ * Diagnostic jobs get AllData + Identifix + ProDemand; everything else just
+ * needs ProDemand labor times.
+ * researchQuery.signal (the job's AbortSignal) is passed through to each
+ * skill and stops retries; an abort is rethrown rather than recorded as a
+ * source error.
+ *
+ * @returns {Promise<object>} { alldata, identifix, prodemand } — a failed source is
+ *   { error }; one that wasn't tried (no credentials, unreachable) is { error, skipped: true }
+ */
+async function researchJob(researchQuery, type, log) {
+  let alldata = null, identifix = null, prodemand = null;
+  const signal = researchQuery.signal || null;
 
-  if (requestInfo.type === "diagnostic") {
+  if (type === "diagnostic") {
     // Pre-check each platform's URL before attempting browser automation
     const alldataUrl = process.env.ALLDATA_URL || "https://my.alldata.com";
     const identifixUrl = process.env.IDENTIFIX_URL || "https://www.identifix.com";
@@ -998,14 +1951,15 @@ async function buildEstimate(params) {
       return await Promise.race([
         searchProDemand(researchQuery),
         new Promise((_, rej) => setTimeout(() => rej(Object.assign(new Error("ProDemand timeout"), { retryable: true })), PRODEMAND_TIMEOUT)),
+        ...(signal ? [abortPromise(signal)] : []),
       ]);
     };
     const prodemandPromise = prodemandViaProxy
       ? (FEAT_RETRY_ENABLED
-          ? breakers.prodemand.call(() => withRetry(doProDemandSearch, { maxRetries: 1, baseDelay: 2000 })).catch((e) => { log.warn("ProDemand failed", { error: e.message }); return { error: e.message }; })
-          : withTimeout(searchProDemand(researchQuery), PRODEMAND_TIMEOUT, "ProDemand").catch((e) => ({ error: e.message }))
+          ? breakers.prodemand.call(() => withRetry(doProDemandSearch, { maxRetries: 1, baseDelay: 2000, signal })).catch((e) => { log.warn("ProDemand failed", { error: e.message }); return { error: e.message }; })
+          : withTimeout(searchProDemand(researchQuery), PRODEMAND_TIMEOUT, "ProDemand", signal).catch((e) => ({ error: e.message }))
         )
-      : Promise.resolve({ error: "ProDemand not configured" });
+      : Promise.resolve({ error: "ProDemand not configured", skipped: true });
 
     // AllData → Identifix sequential (OpenClaw browser)
     if (alldataUp) {
@@ -1014,18 +1968,20 @@ async function buildEstimate(params) {
           return await Promise.race([
             searchAllData(researchQuery),
             new Promise((_, rej) => setTimeout(() => rej(Object.assign(new Error("AllData timeout"), { retryable: true })), RESEARCH_TIMEOUT)),
+            ...(signal ? [abortPromise(signal)] : []),
           ]);
         };
         alldata = FEAT_RETRY_ENABLED
-          ? await breakers.alldata.call(() => withRetry(doAllDataSearch, { maxRetries: 1, baseDelay: 2000 }))
-          : await withTimeout(searchAllData(researchQuery), RESEARCH_TIMEOUT, "AllData");
+          ? await breakers.alldata.call(() => withRetry(doAllDataSearch, { maxRetries: 1, baseDelay: 2000, signal }))
+          : await withTimeout(searchAllData(researchQuery), RESEARCH_TIMEOUT, "AllData", signal);
       } catch (e) {
         log.warn("AllData failed", { error: e.message });
         alldata = { error: e.message };
       }
     } else {
-      alldata = { error: "AllData unreachable from this network (IP blocked)" };
+      alldata = { error: "AllData unreachable from this network (IP blocked)", skipped: true };
     }
+    signal?.throwIfAborted();
 
     if (identifixUp) {
       try {
@@ -1033,17 +1989,18 @@ async function buildEstimate(params) {
           return await Promise.race([
             searchDirectHit(researchQuery),
             new Promise((_, rej) => setTimeout(() => rej(Object.assign(new Error("Identifix timeout"), { retryable: true })), RESEARCH_TIMEOUT)),
+            ...(signal ? [abortPromise(signal)] : []),
           ]);
         };
         identifix = FEAT_RETRY_ENABLED
-          ? await breakers.identifix.call(() => withRetry(doIdentifixSearch, { maxRetries: 1, baseDelay: 2000 }))
-          : await withTimeout(searchDirectHit(researchQuery), RESEARCH_TIMEOUT, "Identifix");
+          ? await breakers.identifix.call(() => withRetry(doIdentifixSearch, { maxRetries: 1, baseDelay: 2000, signal }))
+          : await withTimeout(searchDirectHit(researchQuery), RESEARCH_TIMEOUT, "Identifix", signal);
       } catch (e) {
         log.warn("Identifix failed", { error: e.message });
         identifix = { error: e.message };
       }
     } else {
-      identifix = { error: "Identifix unreachable from this network" };
+      identifix = { error: "Identifix unreachable from this network", skipped: true };
     }
 
     // Collect ProDemand result (may already be done if it used TAPE API)
@@ -1057,419 +2014,956 @@ async function buildEstimate(params) {
           return await Promise.race([
             searchProDemand(researchQuery),
             new Promise((_, rej) => setTimeout(() => rej(Object.assign(new Error("ProDemand timeout"), { retryable: true })), PRODEMAND_TIMEOUT)),
+            ...(signal ? [abortPromise(signal)] : []),
           ]);
         };
         prodemand = FEAT_RETRY_ENABLED
-          ? await breakers.prodemand.call(() => withRetry(doProDemandMaint, { maxRetries: 1, baseDelay: 2000 }))
-          : await withTimeout(searchProDemand(researchQuery), PRODEMAND_TIMEOUT, "ProDemand");
+          ? await breakers.prodemand.call(() => withRetry(doProDemandMaint, { maxRetries: 1, baseDelay: 2000, signal }))
+          : await withTimeout(searchProDemand(researchQuery), PRODEMAND_TIMEOUT, "ProDemand", signal);
       } catch (e) {
         log.warn("ProDemand failed (maintenance)", { error: e.message });
         prodemand = { error: e.message };
       }
     } else {
-      prodemand = { error: "ProDemand not configured" };
+      prodemand = { error: "ProDemand not configured", skipped: true };
     }
   }
 
-  results.diagnosis = {
-    ...results.diagnosis,
-    alldata,
-    identifix,
-    prodemand,
+  signal?.throwIfAborted();
+  return { alldata, identifix, prodemand };
+}
+
+/**
+ * Price one job's parts list with vendor comparison.
+ * Returns null when no parts source is available or the search failed.
+ */
+async function searchJobParts(partsNeeded, vehicle, log, ranking = null) {
+  const partsSearchArgs = {
+    year: vehicle.year,
+    make: vehicle.make,
+    model: vehicle.model,
+    vin: vehicle.vin || null,
+    partsList: partsNeeded,
   };
 
-  // Collect AllData screenshots, wiring diagrams, and TSBs
-  if (alldata?.screenshots?.length > 0) {
-    results.screenshots = [...(results.screenshots || []), ...alldata.screenshots];
+  if (autoLeapPartstech) {
+    // AutoLeap embedded PartsTech — uses Chrome session, no separate PT credentials needed
+    const doPartsTechSearch = async () => autoLeapPartstech.searchPartsPricing(partsSearchArgs);
+    try {
+      return FEAT_RETRY_ENABLED
+        ? await breakers.partstech.call(() => withRetry(doPartsTechSearch, { maxRetries: 1, baseDelay: 2000 }))
+        : await doPartsTechSearch();
+    } catch (e) {
+      log.warn("PartsTech (AutoLeap) failed", { error: e.message });
+      return null;
+    }
+  } else if (partstechOrder) {
+    // Fallback: shop.partstech.com browser (requires PARTSTECH_USERNAME)
+    const doPartsTechOrderSearch = async () => partstechOrder.searchPartsPricing(partsSearchArgs);
+    try {
+      return FEAT_RETRY_ENABLED
+        ? await breakers.partstech.call(() => withRetry(doPartsTechOrderSearch, { maxRetries: 1, baseDelay: 2000 }))
+        : await doPartsTechOrderSearch();
+    } catch (e) {
+      log.warn("PartsTech (browser) failed", { error: e.message });
+      return null;
+    }
+  } else if (vehicle.vin) {
+    // Fallback: REST API (requires VIN + PARTSTECH_API_KEY)
+    const doPartsTechApi = async () => searchMultipleParts(vehicle.vin, partsNeeded, ranking);
+    try {
+      return FEAT_RETRY_ENABLED
+        ? await breakers.partstech.call(() => withRetry(doPartsTechApi, { maxRetries: 1, baseDelay: 2000 }))
+        : await doPartsTechApi();
+    } catch (e) {
+      log.warn("PartsTech (API) failed", { error: e.message });
+      return null;
+    }
   }
-  if (alldata?.wiringDiagrams?.length > 0) {
-    results.wiringDiagrams = alldata.wiringDiagrams;
-    console.log(`    AllData wiring: ${alldata.wiringDiagrams.length} diagram(s)`);
+
+  console.log(`  → Skipped (set AUTOLEAP_EMAIL to enable parts pricing via AutoLeap)`);
+  return null;
+}
+
+// ─── Checkpoints (resumable runs) ───
+// After each step that succeeds the pipeline state ({ results, jobs }) is saved
+// under the runId. A retry of the same runId with params.resume restores the
+// state after the last good step and starts at the first step that failed.
+// A step that fails ends checkpointing for the run — later steps saw its failure.
+
+const PIPELINE_STEPS = [
+  { id: "vehicle", label: "vehicle lookup" },                 // Step 1
+  { id: "diagnosis", label: "AI diagnosis" },                 // Step 2.5
+  { id: "history", label: "repair history" },                 // Step 2.7
+  { id: "research", label: "ProDemand / AllData research" },  // Step 3
+  { id: "specs", label: "mechanic specs" },                   // Step 4
+  { id: "parts", label: "PartsTech pricing" },                // Step 5
+  { id: "cart", label: "PartsTech cart" },                    // Step 5.5
+  { id: "estimate", label: "AutoLeap estimate" },             // Step 6
+  { id: "pdf", label: "estimate PDF" },                       // Step 7
+  { id: "screenshots", label: "procedure screenshots" },      // Step 8
+];
+
+/**
+ * Where a retry of runId would start: the first step without a checkpoint,
+ * plus the latest saved state before it. Once the AutoLeap estimate was
+ * created, nothing up to it is re-run — a second run of Step 6 would create a
+ * duplicate customer and estimate — so the retry starts after it.
+ *
+ * @param {string} runId
+ * @returns {Promise<{ index: number, state: object|null, saved: object }>}
+ *   index === PIPELINE_STEPS.length when there's nothing left to retry
+ */
+async function loadResumePoint(runId) {
+  const saved = await getCheckpoints(runId);
+  const estimateIndex = PIPELINE_STEPS.findIndex((step) => step.id === "estimate");
+  const from = saved.estimate?.results?.estimate?.success ? estimateIndex + 1 : 0;
+  let index = PIPELINE_STEPS.findIndex((step, i) => i >= from && !saved[step.id]);
+  if (index === -1) index = PIPELINE_STEPS.length;
+  const last = PIPELINE_STEPS.slice(0, index).reverse().find((step) => saved[step.id]);
+  return { index, state: last ? saved[last.id] : null, saved };
+}
+
+/**
+ * What retry_estimate would do for a run.
+ *
+ * @param {string} runId
+ * @returns {Promise<{ step: { id: string, label: string }|null, completed: string[] }>}
+ *   step is the first step to re-run (null when the run finished every step);
+ *   completed lists the labels of the steps that will be reused.
+ */
+async function getResumePoint(runId) {
+  const { index, saved } = await loadResumePoint(runId);
+  return {
+    step: PIPELINE_STEPS[index] || null,
+    completed: PIPELINE_STEPS.slice(0, index).filter((step) => saved[step.id]).map((step) => step.label),
+  };
+}
+
+/**
+ * Main pipeline: Build complete estimate
+ *
+ * Pass params.runId with params.resume = true to retry a run: steps that
+ * already succeeded are restored from their checkpoints instead of re-run.
+ */
+async function buildEstimate(params) {
+  const shopId = params.shopId || process.env.SHOP_ID || null;
+  const shopConfig = await getShopConfig(shopId);
+  const startTime = Date.now();
+  let results = {
+    shopId,
+    vehicle: null,
+    customer: params.customer || null,
+    diagnosis: null,
+    parts: null,
+    estimate: null,
+    mechanicSpecs: null,
+    pdfPath: null,
+    screenshots: [],
+    wiringDiagrams: [],
+    tsbs: [],
+    dtcTestPlan: [],
+    recommendedServices: [],
+  };
+
+  // --- RunContext ---
+  // Callers that track the run externally (REST API) pass their own runId
+  const runId = params.runId || generateRunId();
+  const log = createLogger("orchestrator", runId);
+  // Job queue AbortSignal (cancel command / job time limit) — checked between
+  // steps and passed to the research skills and the playbook
+  const signal = params.signal || null;
+  const runCtx = {
+    runId,
+    vehicle: params,
+    symptom: params.query,
+    shopId: params.shopId || "default",
+    startTime: Date.now(),
+    steps: [],
+  };
+  // Every Claude call from here on (diagnosis, MOTOR nav, review) is booked to this run
+  bindLlmRun({ runId, shopId });
+  log.info("pipeline start", { query: params.query, year: params.year, make: params.make, model: params.model });
+
+  // --- Checkpoints: a retry restores the steps that already succeeded ---
+  const resumePoint = params.resume ? await loadResumePoint(runId) : { index: 0, state: null };
+  const resumed = (stepId) => PIPELINE_STEPS.findIndex((step) => step.id === stepId) < resumePoint.index;
+  // A step that failed isn't saved, so a retry starts there; later steps still are
+  const checkpoint = async (stepId, ok = true) => {
+    if (!ok) return;
+    runCtx.steps.push({ step: stepId, status: "done" });
+    await saveCheckpoint(runId, stepId, { results, jobs });
+  };
+  let vehicle;
+  let jobs = null;
+  if (resumePoint.state) {
+    results = resumePoint.state.results;
+    const restored = PIPELINE_STEPS.slice(0, resumePoint.index).filter((step) => resumePoint.saved[step.id]);
+    runCtx.steps.push(...restored.map((step) => ({ step: step.id, status: "resumed" })));
+    log.info(`Resuming at ${PIPELINE_STEPS[resumePoint.index]?.label || "the end"} — ${restored.length} step(s) restored from checkpoints`);
   }
-  if (alldata?.tsbs?.length > 0) {
-    results.tsbs = alldata.tsbs;
-    console.log(`    AllData TSBs: ${alldata.tsbs.length}`);
+
+  // --- Preflight (feature-flagged) ---
+  if (FEAT_SESSION_PREFLIGHT) {
+    const endPreflight = log.step("preflight");
+    const preflightStatus = await sessionManager.preflight();
+    endPreflight({ status: preflightStatus });
+    runCtx.steps.push({ step: "preflight", status: preflightStatus });
   }
 
-  // Collect ProDemand DTC test plan
-  if (prodemand?.dtcTestPlan?.length > 0) {
-    results.dtcTestPlan = prodemand.dtcTestPlan;
-    console.log(`    ProDemand test plan: ${prodemand.dtcTestPlan.length} step(s)`);
+  console.log("═══════════════════════════════════════════════════════════════");
+  console.log(`  ESTIMATE BUILDER — Starting Full Pipeline [${runId}]`);
+  console.log("═══════════════════════════════════════════════════════════════");
+
+  // ─── Pre-warm: acquire AutoLeap token while Chrome is fresh ───
+  // ProDemand research (Step 3) hammers Chrome for 30-60s.
+  // If we wait until Step 5/6 to get the token, Chrome is overwhelmed and CDP times out.
+  if (autoLeapApi && params.customer && !resumed("estimate")) {
+    try {
+      const token = await autoLeapApi.getToken();
+      if (token) console.log(`  → AutoLeap token pre-cached ✓`);
+      else console.log(`  → AutoLeap token pre-warm: no token (will retry later)`);
+    } catch (e) {
+      console.log(`  → AutoLeap token pre-warm failed: ${e.message} (will retry later)`);
+    }
   }
 
-  // Use Identifix top fix to boost AI diagnosis confidence when they agree
-  if (identifix?.topFix && results.diagnosis?.ai?.diagnoses?.length > 0) {
-    const topFixDesc = identifix.topFix.description?.toLowerCase() || "";
-    for (const diag of results.diagnosis.ai.diagnoses) {
-      const causeWords = diag.cause?.toLowerCase().split(/\s+/) || [];
-      const overlap = causeWords.filter((w) => w.length > 3 && topFixDesc.includes(w)).length;
-      if (overlap >= 2 && identifix.topFix.successRate >= 50) {
-        diag.identifix_corroborated = true;
-        diag.identifix_success_rate = identifix.topFix.successRate;
-        // Small confidence bump when Identifix agrees
-        diag.confidence = Math.min(0.95, diag.confidence + 0.05);
+  // ─── Step 1: Vehicle Identification (Exact) ───
+  signal?.throwIfAborted();
+  if (resumed("vehicle")) {
+    vehicle = results.vehicle;
+  } else {
+    log.info("Step 1: Decoding vehicle (exact specs for parts accuracy)");
+    const vinCheck = params.vin ? validateVin(params.vin) : null;
+    if (vinCheck?.valid) {
+      vehicle = await decodeVin(vinCheck.vin);
+      if (vehicle.source === "offline") {
+        // NHTSA unreachable — year + make come from the VIN, the rest from the request
+        vehicle.year = vehicle.year || params.year;
+        vehicle.make = vehicle.make || params.make;
+        vehicle.model = params.model || null;
+        vehicle.trim = params.trim || null;
+        if (params.engine) vehicle.engine.displacement = params.engine;
+        results.warnings = results.warnings || [];
+        results.warnings.push({ code: "VIN_DECODED_OFFLINE", msg: "NHTSA VIN decode unavailable — year/make from the VIN, model/engine from the request" });
       }
+    } else {
+      if (vinCheck) {
+        // A mistyped VIN would send PartsTech and MOTOR after the wrong vehicle
+        const hint = vinCheck.suggestion ? ` — did you mean ${vinCheck.suggestion}?` : "";
+        console.log(`  → VIN ${vinCheck.vin} rejected: ${vinCheck.message}${hint}`);
+        results.warnings = results.warnings || [];
+        results.warnings.push({ code: "VIN_INVALID", msg: `VIN ${vinCheck.vin} ${vinCheck.message}${hint} — using year/make/model`, suggestion: vinCheck.suggestion });
+      }
+      vehicle = {
+        vin: null,
+        year: params.year,
+        make: params.make,
+        model: params.model,
+        trim: params.trim || null,
+        engine: {
+          displacement: params.engine,
+          cylinders: params.cylinders,
+          fuelType: params.fuelType,
+        },
+        transmission: params.transmission,
+        driveType: params.driveType,
+      };
     }
+    vehicle.mileage = params.mileage;
+    // Exact engine (code + specs) — every engine/qualifier picker matches against this
+    vehicle.engineIdentity = resolveEngineIdentity(vehicle);
+    vehicle.engineCode = vehicle.engineIdentity?.code || null;
+    results.vehicle = vehicle;
+
+    console.log(`  → ${vehicle.year} ${vehicle.make} ${vehicle.model} ${vehicle.trim || ""}`);
+    console.log(`  → Engine: ${vehicle.engine?.displacement || "?"}${vehicle.engineCode ? ` (${vehicle.engineCode}, from ${vehicle.engineIdentity.source})` : ""}`);
+    console.log(`  → VIN: ${vehicle.vin || "Not provided"}`);
+    await checkpoint("vehicle");
   }
 
-  // Use ProDemand labor times as fallback labor source
-  if (prodemand?.laborTimes?.length > 0 && !prodemand.error) {
-    results.prodemandLabor = prodemand.laborTimes;
+  // ─── Step 2: Classify & Route ───
+  const requestInfo = classifyRequest(params.query);
+  jobs = resumePoint.state?.jobs || splitJobs(params.query);
+  log.info(`Step 2: Request type: ${requestInfo.type}`);
+  if (requestInfo.dtcCodes.length > 0) {
+    console.log(`  → DTC codes: ${requestInfo.dtcCodes.join(", ")}`);
   }
-
-  // Validate ProDemand labor results through contracts
-  if (results.diagnosis?.prodemand?.laborTimes) {
-    results.diagnosis.prodemand.laborTimes = results.diagnosis.prodemand.laborTimes.map(
-      (l) => validateLaborResult(l)
-    );
+  if (jobs.length > 1) {
+    console.log(`  → ${jobs.length} jobs: ${jobs.map((j) => `${j.name} (${j.type})`).join(" | ")}`);
   }
 
-  log.info("Step 3: Research complete");
-  if (alldata && !alldata.error) console.log(`    AllData: ${alldata.procedures?.length || 0} procedures, ${Object.keys(alldata.torqueSpecs || {}).length} torque specs`);
-  if (identifix && !identifix.error) console.log(`    Identifix: ${identifix.fixCount || 0} fixes, top fix ${identifix.topFix?.successRate || "?"}% success`);
-  if (prodemand && !prodemand.error) console.log(`    ProDemand: ${prodemand.realFixes?.length || 0} Real Fixes, ${prodemand.laborTimes?.length || 0} labor times`);
+  // The first diagnostic job is the headline diagnosis (history, review, outcome feedback)
+  const primaryJob = jobs.find((j) => j.type === "diagnostic") || jobs[0];
+  // Checkpoints are JSON copies: point the headline diagnosis back at its job
+  if (resumePoint.state?.jobs) results.diagnosis = primaryJob.diagnosis || null;
+
+  // ─── Step 2.5: AI Diagnosis (per diagnostic job) ───
+  if (!resumed("diagnosis")) {
+    for (const job of jobs) {
+      if (job.type !== "diagnostic") continue;
+      signal?.throwIfAborted();
+      log.info(`Step 2.5: Running AI diagnostic engine${jobs.length > 1 ? ` — ${job.name}` : ""}...`);
+      try {
+        const aiDiagnosis = await diagnose({
+          vin: vehicle.vin,
+          year: vehicle.year,
+          make: vehicle.make,
+          model: vehicle.model,
+          engine: vehicle.engine?.displacement,
+          dtcCodes: job.dtcCodes,
+          symptoms: job.query,
+          mileage: vehicle.mileage,
+          runId,
+          shopId,
+        });
+
+        if (!aiDiagnosis.error) {
+          job.diagnosis = {
+            ai: aiDiagnosis,
+            summary: formatDiagnosisSummary(aiDiagnosis),
+          };
+          console.log(`  → Top cause: ${aiDiagnosis.diagnoses?.[0]?.cause || "Unknown"} (${Math.round((aiDiagnosis.diagnoses?.[0]?.confidence || 0) * 100)}%)`);
+          if (aiDiagnosis.low_confidence_warning) {
+            console.log("  → ⚠️ Low confidence — recommend further diagnosis");
+          }
 
-  if (params.progressCallback) await params.progressCallback("research_done").catch(() => {});
+          // Track diagnosis event
+          trackEvent(shopId, "diagnosis_run", {
+            vehicle: { year: vehicle.year, make: vehicle.make, model: vehicle.model },
+            topCause: aiDiagnosis.diagnoses?.[0]?.cause,
+            confidence: aiDiagnosis.diagnoses?.[0]?.confidence,
+            path: aiDiagnosis.diagnostic_path,
+            query: job.query,
+          }).catch(() => {});
+        } else {
+          console.error(`  → AI diagnosis error: ${aiDiagnosis.error}`);
+        }
+      } catch (err) {
+        console.error(`  → AI diagnosis failed: ${err.message}`);
+      }
+    }
 
-  // Yellow-fail warnings: track data quality issues for surface in output
-  results.warnings = results.warnings || [];
-  if (!prodemand?.laborTimes?.length) {
-    results.warnings.push({ code: "NO_MOTOR_LABOR", msg: "ProDemand returned 0 labor times — using AI estimate" });
+    results.diagnosis = primaryJob.diagnosis || null;
+    await checkpoint("diagnosis");
+    if (params.progressCallback) await params.progressCallback("diagnosis_done").catch(() => {});
   }
 
-  // ─── Step 4: Get Vehicle Specs (Mechanic Reference) ───
-  log.info("Step 4: Getting mechanic reference specs...");
+  // ─── Step 2.7: Vehicle History & Shop Experience ───
+  if (!resumed("history")) {
+    log.info("Step 2.7: Checking repair history...");
+    // This VIN's repair orders, for the maintenance schedule below
+    let vinRepairs = [];
+    try {
+      // Check this specific vehicle's history
+      const { repairs, ...historyResult } = await findRelatedPriorRepairs(
+        { vin: vehicle.vin, year: vehicle.year, make: vehicle.make, model: vehicle.model },
+        { dtcCodes: requestInfo.dtcCodes, diagnoses: results.diagnosis?.ai?.diagnoses || [] }
+      );
+      // Without a VIN the lookup falls back to year/make/model — other cars' repairs
+      if (vehicle.vin) vinRepairs = repairs || [];
 
-  const repairType = params.query.toLowerCase().includes("o2") ? "o2-sensor" :
-                     params.query.toLowerCase().includes("oil") ? "oil-change" :
-                     params.query.toLowerCase().includes("brake") ? "brakes" :
-                     params.query.toLowerCase().includes("spark") ? "spark-plugs" : null;
+      results.vehicleHistory = historyResult;
 
-  results.mechanicSpecs = await getVehicleSpecs({
-    vehicle,
-    repairType,
-  });
+      if (historyResult.insight) {
+        console.log(`  → ${historyResult.insight}`);
+      }
+      if (historyResult.vehicleVisits > 0) {
+        console.log(`  → ${historyResult.vehicleVisits} prior visits, $${historyResult.totalSpent || 0} total spent`);
+      }
 
-  // Merge AllData torque specs and special tools into mechanic specs
-  if (alldata && !alldata.error && results.mechanicSpecs) {
-    if (alldata.torqueSpecs && Object.keys(alldata.torqueSpecs).length > 0) {
-      results.mechanicSpecs.torqueSpecs = {
-        ...results.mechanicSpecs.torqueSpecs,
-        ...Object.fromEntries(
-          Object.entries(alldata.torqueSpecs).map(([k, v]) => [k, { value: v, source: "alldata" }])
-        ),
-      };
+      // Apply confidence adjustment from history
+      if (historyResult.confidenceAdjustment !== 0 && results.diagnosis?.ai?.diagnoses?.length > 0) {
+        const adj = historyResult.confidenceAdjustment;
+        results.diagnosis.ai.diagnoses[0].confidence = Math.min(
+          0.95,
+          Math.max(0.05, results.diagnosis.ai.diagnoses[0].confidence + adj)
+        );
+        results.diagnosis.ai.diagnoses[0].history_adjusted = true;
+        console.log(`  → Confidence adjusted by ${adj > 0 ? "+" : ""}${(adj * 100).toFixed(0)}%`);
+      }
+
+      // Get shop-wide stats for this repair type
+      if (results.diagnosis?.ai?.diagnoses?.[0]?.cause) {
+        const shopStats = await getShopRepairStats({
+          make: vehicle.make,
+          model: vehicle.model,
+          cause: results.diagnosis.ai.diagnoses[0].cause,
+        });
+
+        if (shopStats.totalRepairs > 0) {
+          results.shopStats = shopStats;
+          console.log(`  → Shop experience: ${shopStats.totalRepairs} similar repairs, ${shopStats.successRate || "?"}% success rate`);
+        }
+      }
+
+      // For maintenance requests, check for applicable canned jobs
+      if (jobs.some((j) => j.type === "maintenance")) {
+        const cannedJobs = await getCannedJobs({
+          make: vehicle.make,
+          model: vehicle.model,
+          year: vehicle.year,
+        });
+
+        if (cannedJobs.length > 0) {
+          results.cannedJobs = cannedJobs;
+          console.log(`  → ${cannedJobs.length} canned jobs available`);
+
+          // Fast path: a confident match skips research and builds from the template
+          if (!params.fullResearch) {
+            for (const job of jobs) {
+              const cannedJob = matchCannedJob(job, cannedJobs);
+              if (!cannedJob) continue;
+              job.cannedJob = cannedJob;
+              console.log(`  → Canned job match${jobs.length > 1 ? ` (${job.name})` : ""}: ${cannedJob.name} (${cannedJob.frequency}x performed)`);
+            }
+          }
+        }
+      }
+    } catch (err) {
+      console.error(`  → History check failed (non-fatal): ${err.message}`);
     }
-    if (alldata.specialTools?.length > 0) {
-      const existing = new Set((results.mechanicSpecs.specialTools || []).map((t) => t.toLowerCase()));
-      const newTools = alldata.specialTools.filter((t) => !existing.has(t.toLowerCase()));
-      results.mechanicSpecs.specialTools = [
-        ...(results.mechanicSpecs.specialTools || []),
-        ...newTools,
-      ];
+
+    // Interval services due at this mileage — optional lines, never in the total
+    if (vehicle.mileage) {
+      results.recommendedServices = getMaintenanceDue(vehicle, vehicle.mileage, {
+        repairs: vinRepairs,
+        exclude: jobs.flatMap((j) => [j.name, j.query]),
+        laborRate: shopConfig?.shop?.laborRatePerHour,
+      });
+      if (results.recommendedServices.length > 0) {
+        console.log(`  → Maintenance due: ${results.recommendedServices.map((s) => `${s.name} (${s.status})`).join(", ")}`);
+      }
     }
+    await checkpoint("history");
   }
 
-  console.log(`  → Sensor locations: ${results.mechanicSpecs.sensorLocations?.totalO2Sensors || 0} O2 sensors`);
-  console.log(`  → Fluids: Oil ${results.mechanicSpecs.fluids?.engineOil?.weight || "?"}`);
+  // ─── Step 3: Sequential Research (browser skills share one tab) ───
+  if (!resumed("research")) {
+    log.info("Step 3: Researching across databases...");
+
+    for (const [jobIndex, job] of jobs.entries()) {
+      signal?.throwIfAborted();
+      if (jobs.length > 1) console.log(`  → Job: ${job.name}`);
+
+      if (job.cannedJob) {
+        // Canned job: labor straight from the template, no ProDemand/AllData/Identifix
+        const hours = cannedJobLaborHours(job.cannedJob);
+        const laborLine = (job.cannedJob.line_items || []).find((li) => li.type === "labor");
+        results.laborServices = results.laborServices || [];
+        results.laborServices.push({ jobIndex, name: job.cannedJob.name, procedure: laborLine?.description || job.name, hours, source: "canned_job" });
+        job.diagnosis = { ...job.diagnosis, alldata: null, identifix: null, prodemand: null };
+        console.log(`  → Skipped — canned job ${job.cannedJob.name}: ${hours}h labor`);
+        continue;
+      }
+
+      const research = await researchJob({
+        vin: vehicle.vin,
+        year: vehicle.year,
+        make: vehicle.make,
+        model: vehicle.model,
+        engine: vehicle.engine?.displacement,
+        engineIdentity: vehicle.engineIdentity,
+        query: job.query,
+        signal,
+      }, job.type, log);
+
+      job.diagnosis = {
+        ...job.diagnosis,
+        ...research,
+      };
+    }
+
+    results.diagnosis = primaryJob.diagnosis;
 
-  // ─── Step 5: Parts Search — Best Value ───
-  log.info("Step 5: Searching parts with vendor comparison...");
+    for (const job of jobs) {
+      const jobAlldata = job.diagnosis.alldata;
+      const jobIdentifix = job.diagnosis.identifix;
+      const jobProdemand = job.diagnosis.prodemand;
 
-  const partsNeeded = extractPartsNeeded(params.query, results.diagnosis);
-  console.log(`  → Parts needed: ${partsNeeded.map((p) => p.partType).join(", ") || "None identified"}`);
+      // Collect AllData screenshots, wiring diagrams, and TSBs
+      if (jobAlldata?.screenshots?.length > 0) results.screenshots.push(...jobAlldata.screenshots);
+      if (jobAlldata?.wiringDiagrams?.length > 0) results.wiringDiagrams.push(...jobAlldata.wiringDiagrams);
+      if (jobAlldata?.tsbs?.length > 0) results.tsbs.push(...jobAlldata.tsbs);
 
-  if (partsNeeded.length > 0) {
-    const partsSearchArgs = {
-      year: vehicle.year,
-      make: vehicle.make,
-      model: vehicle.model,
-      vin: vehicle.vin || null,
-      partsList: partsNeeded,
-    };
+      // Collect ProDemand DTC test plan
+      if (jobProdemand?.dtcTestPlan?.length > 0) results.dtcTestPlan.push(...jobProdemand.dtcTestPlan);
 
-    if (autoLeapPartstech) {
-      // AutoLeap embedded PartsTech — uses Chrome session, no separate PT credentials needed
-      const doPartsTechSearch = async () => autoLeapPartstech.searchPartsPricing(partsSearchArgs);
-      try {
-        results.parts = FEAT_RETRY_ENABLED
-          ? await breakers.partstech.call(() => withRetry(doPartsTechSearch, { maxRetries: 1, baseDelay: 2000 }))
-          : await doPartsTechSearch();
-      } catch (e) {
-        log.warn("PartsTech (AutoLeap) failed", { error: e.message });
-        results.parts = null;
+      // ProDemand picked its engine by heuristic — say so once
+      if (jobProdemand?.engineMatch?.matched === false && vehicle.engineIdentity
+          && !results.warnings?.some((w) => w.code === "ENGINE_MISMATCH" && w.platform === "ProDemand")) {
+        results.warnings = results.warnings || [];
+        results.warnings.push(engineMismatchWarning("ProDemand", vehicle.engineIdentity, jobProdemand.engineMatch.picked));
       }
-    } else if (partstechOrder) {
-      // Fallback: shop.partstech.com browser (requires PARTSTECH_USERNAME)
-      const doPartsTechOrderSearch = async () => partstechOrder.searchPartsPricing(partsSearchArgs);
-      try {
-        results.parts = FEAT_RETRY_ENABLED
-          ? await breakers.partstech.call(() => withRetry(doPartsTechOrderSearch, { maxRetries: 1, baseDelay: 2000 }))
-          : await doPartsTechOrderSearch();
-      } catch (e) {
-        log.warn("PartsTech (browser) failed", { error: e.message });
-        results.parts = null;
+
+      // Use Identifix top fix to boost AI diagnosis confidence when they agree
+      if (jobIdentifix?.topFix && job.diagnosis.ai?.diagnoses?.length > 0) {
+        const topFixDesc = jobIdentifix.topFix.description?.toLowerCase() || "";
+        for (const diag of job.diagnosis.ai.diagnoses) {
+          const causeWords = diag.cause?.toLowerCase().split(/\s+/) || [];
+          const overlap = causeWords.filter((w) => w.length > 3 && topFixDesc.includes(w)).length;
+          if (overlap >= 2 && jobIdentifix.topFix.successRate >= 50) {
+            diag.identifix_corroborated = true;
+            diag.identifix_success_rate = jobIdentifix.topFix.successRate;
+            // Small confidence bump when Identifix agrees
+            diag.confidence = Math.min(0.95, diag.confidence + 0.05);
+          }
+        }
       }
-    } else if (vehicle.vin) {
-      // Fallback: REST API (requires VIN + PARTSTECH_API_KEY)
-      const doPartsTechApi = async () => searchMultipleParts(vehicle.vin, partsNeeded);
-      try {
-        results.parts = FEAT_RETRY_ENABLED
-          ? await breakers.partstech.call(() => withRetry(doPartsTechApi, { maxRetries: 1, baseDelay: 2000 }))
-          : await doPartsTechApi();
-      } catch (e) {
-        log.warn("PartsTech (API) failed", { error: e.message });
-        results.parts = null;
+    }
+    if (results.wiringDiagrams.length > 0) console.log(`    AllData wiring: ${results.wiringDiagrams.length} diagram(s)`);
+    if (results.tsbs.length > 0) console.log(`    AllData TSBs: ${results.tsbs.length}`);
+    if (results.dtcTestPlan.length > 0) console.log(`    ProDemand test plan: ${results.dtcTestPlan.length} step(s)`);
+  }
+
+  // Headline research — restored from the checkpoint on resume
+  const { alldata, identifix, prodemand } = results.diagnosis;
+
+  if (!resumed("research")) {
+    // Use ProDemand labor times as fallback labor source
+    if (prodemand?.laborTimes?.length > 0 && !prodemand.error) {
+      results.prodemandLabor = prodemand.laborTimes;
+    }
+
+    // Validate ProDemand labor results through contracts
+    for (const job of jobs) {
+      if (job.diagnosis.prodemand?.laborTimes) {
+        job.diagnosis.prodemand.laborTimes = job.diagnosis.prodemand.laborTimes.map(
+          (l) => validateLaborResult(l)
+        );
       }
-    } else {
-      console.log(`  → Skipped (set AUTOLEAP_EMAIL to enable parts pricing via AutoLeap)`);
     }
 
-    // If pricing failed or returned empty, still preserve part names so PDF lists them
-    if (partsNeeded.length > 0 && !results.parts?.bestValueBundle?.parts?.length) {
-      if (!results.parts) results.parts = {};
-      results.parts.bestValueBundle = {
-        parts: partsNeeded.map(p => ({ requested: p, selected: null, error: "No pricing available" })),
-        totalCost: 0, allInStock: false, suppliers: [],
-      };
-      results.parts.individualResults = [];
+    log.info("Step 3: Research complete");
+    if (alldata && !alldata.error) console.log(`    AllData: ${alldata.procedures?.length || 0} procedures, ${Object.keys(alldata.torqueSpecs || {}).length} torque specs`);
+    if (identifix && !identifix.error) console.log(`    Identifix: ${identifix.fixCount || 0} fixes, top fix ${identifix.topFix?.successRate || "?"}% success`);
+    if (prodemand && !prodemand.error) console.log(`    ProDemand: ${prodemand.realFixes?.length || 0} Real Fixes, ${prodemand.laborTimes?.length || 0} labor times`);
+
+    if (params.progressCallback) await params.progressCallback("research_done").catch(() => {});
+
+    // Yellow-fail warnings: track data quality issues for surface in output
+    results.warnings = results.warnings || [];
+    const noLaborJobs = jobs.filter((j) => !j.cannedJob && !j.diagnosis.prodemand?.laborTimes?.length);
+    if (noLaborJobs.length > 0) {
+      const which = jobs.length > 1 ? ` (${noLaborJobs.map((j) => j.name).join(", ")})` : "";
+      results.warnings.push({ code: "NO_MOTOR_LABOR", msg: `ProDemand returned 0 labor times${which} — using AI estimate` });
     }
+    // A source that errored may answer on retry — don't checkpoint over it
+    const researchFailed = jobs.some((j) =>
+      ["alldata", "identifix", "prodemand"].some((k) => j.diagnosis?.[k]?.error && !j.diagnosis[k].skipped));
+    await checkpoint("research", !researchFailed);
+  }
 
-    // Validate part quotes through contracts
-    if (results.parts && Array.isArray(results.parts.bestValueBundle?.parts)) {
-      results.parts.bestValueBundle.parts = results.parts.bestValueBundle.parts.map((p) => {
-        if (p.results && Array.isArray(p.results)) {
-          p.results = p.results.map((r) => validatePartQuote(r));
-        }
-        return p;
-      });
+  // ─── Step 4: Get Vehicle Specs (Mechanic Reference) ───
+  signal?.throwIfAborted();
+  if (!resumed("specs")) {
+    log.info("Step 4: Getting mechanic reference specs...");
+
+    const repairType = params.query.toLowerCase().includes("o2") ? "o2-sensor" :
+                       params.query.toLowerCase().includes("oil") ? "oil-change" :
+                       params.query.toLowerCase().includes("brake") ? "brakes" :
+                       params.query.toLowerCase().includes("spark") ? "spark-plugs" : null;
+
+    // Store what this job's research turned up (fluids, torque, firing order, tools)
+    // so the specs below — and every later job on this engine — use it
+    for (const job of jobs) {
+      if (job.cannedJob) continue;
+      const stored = await recordResearchSpecs(vehicle, job.diagnosis);
+      if (stored.length > 0) console.log(`  → Specs stored: ${stored.join(", ")}`);
     }
 
-    if (results.parts) {
-      console.log(`  → Best value bundle: $${results.parts.bestValueBundle?.totalCost?.toFixed(2) || "N/A"}`);
-      console.log(`  → Suppliers: ${results.parts.bestValueBundle?.suppliers?.join(", ") || "N/A"}`);
+    results.mechanicSpecs = await getVehicleSpecs({
+      vehicle,
+      repairType,
+    });
 
-      // Track parts search event
-      trackEvent(shopId, "parts_searched", {
-        vehicle: { year: vehicle.year, make: vehicle.make, model: vehicle.model },
-        partsCount: partsNeeded.length,
-        totalCost: results.parts.bestValueBundle?.totalCost,
-        platformsUsed: ["partstech"],
-      }).catch(() => {});
+    console.log(`  → Sensor locations: ${results.mechanicSpecs.sensorLocations?.totalO2Sensors || 0} O2 sensors`);
+    console.log(`  → Fluids: Oil ${results.mechanicSpecs.fluids?.engineOil?.weight || "?"} (${results.mechanicSpecs.specsSource} specs)`);
+    await checkpoint("specs");
+  }
 
-      // Collect OEM alternatives
-      results.oemAlternatives = [];
-      for (const res of results.parts.individualResults || []) {
-        if (res.bestValue?.oem) {
-          results.oemAlternatives.push(res.bestValue.oem);
+  // ─── Step 5: Parts Search — Best Value (per job) ───
+  if (!resumed("parts")) {
+    log.info("Step 5: Searching parts with vendor comparison...");
+    const ranking = rankingFromShopConfig(shopConfig);
+
+    for (const job of jobs) {
+      signal?.throwIfAborted();
+      const cannedParts = job.cannedJob ? cannedJobPartsNeeded(job.cannedJob) : [];
+      job.partsNeeded = cannedParts.length > 0 ? cannedParts : extractPartsNeeded(job.query, job.diagnosis);
+
+      // Fluids by the sellable unit from the capacity specs (canned jobs keep their own quantities)
+      if (!job.cannedJob) {
+        const fluidPlan = withFluidLines(job.partsNeeded, `${job.name} ${job.query}`, results.mechanicSpecs?.fluids,
+          shopConfig?.preferences?.bulkFluids);
+        job.partsNeeded = fluidPlan.partsNeeded;
+        if (fluidPlan.missing.length > 0) {
+          results.warnings = results.warnings || [];
+          results.warnings.push({
+            code: "FLUID_CAPACITY_UNKNOWN",
+            msg: `No trusted capacity for ${fluidPlan.missing.join(", ")} — fluid not on the estimate, add it by hand`,
+          });
         }
       }
-      results.parts.oemAlternatives = results.oemAlternatives;
 
-      // Yellow-fail: warn if PartsTech returned no live pricing
-      const gotPricing = results.parts?.bestValueBundle?.parts?.some(p => p.selected?.price > 0);
-      if (!gotPricing && results.parts?.bestValueBundle?.parts?.length > 0) {
-        results.warnings = results.warnings || [];
-        results.warnings.push({ code: "NO_PARTS_PRICING", msg: "PartsTech returned no pricing — parts listed without price" });
+      const label = jobs.length > 1 ? ` (${job.name})` : "";
+      console.log(`  → Parts needed${label}: ${job.partsNeeded.map((p) => (p.unit ? `${p.partType} ${p.qty} ${p.unit}` : p.partType)).join(", ") || "None identified"}`);
+      if (job.partsNeeded.length === 0) continue;
+
+      // Shop-stock fluids are priced from the bulk list, not searched
+      const searchable = job.partsNeeded.filter((p) => !p.bulkFluid);
+      job.parts = searchable.length > 0 ? await searchJobParts(searchable, vehicle, log, ranking) : null;
+
+      // If pricing failed or returned empty, still preserve part names so PDF lists them
+      if (!job.parts?.bestValueBundle?.parts?.length) {
+        if (!job.parts) job.parts = {};
+        job.parts.bestValueBundle = {
+          parts: searchable.map(p => ({ requested: p, selected: null, error: "No pricing available" })),
+          totalCost: 0, allInStock: searchable.length === 0, suppliers: [],
+        };
+        job.parts.individualResults = [];
       }
+      job.parts.bestValueBundle.parts.push(...job.partsNeeded.filter((p) => p.bulkFluid).map(bulkFluidItem));
     }
-  } else {
-    console.log(`  → Skipped (no parts identified)`);
-  }
 
-  // ─── Step 5.5: Pre-stage Cart (Optional) ───
-  if (partstechOrder && results.parts?.bestValueBundle?.parts?.length > 0) {
-    log.info("Step 5.5: Pre-staging parts in PartsTech cart...");
-    try {
-      const nonConditionalParts = results.parts.bestValueBundle.parts
-        .filter((item) => item.selected && !item.requested?.conditional)
-        .map((item) => ({
-          partType: item.requested.partType,
-          position: item.requested.position || null,
-          partNumber: item.selected.partNumber,
-          brand: item.selected.brand,
-          supplier: item.selected.supplier,
-          qty: item.requested.qty || 1,
-        }));
-
-      if (nonConditionalParts.length > 0) {
-        const cartResult = await partstechOrder.addMultipleToCart({
-          vin: vehicle.vin,
-          year: vehicle.year,
-          make: vehicle.make,
-          model: vehicle.model,
-          parts: nonConditionalParts,
+    const partsNeededCount = jobs.reduce((n, j) => n + j.partsNeeded.length, 0);
+    if (partsNeededCount > 0) {
+      results.parts = mergeJobParts(jobs);
+
+      // Validate part quotes through contracts
+      if (results.parts && Array.isArray(results.parts.bestValueBundle?.parts)) {
+        results.parts.bestValueBundle.parts = results.parts.bestValueBundle.parts.map((p) => {
+          if (p.results && Array.isArray(p.results)) {
+            p.results = p.results.map((r) => validatePartQuote(r));
+          }
+          return p;
         });
+      }
+
+      if (results.parts) {
+        // Supplier scoring picks each part (the browser searches return cheapest-first),
+        // then Good / Better / Best picks per part (tier totals are priced with the estimate)
+        applySupplierRanking(results, ranking);
+        applyPartTiers(results, ranking);
+
+        console.log(`  → Best value bundle: $${results.parts.bestValueBundle?.totalCost?.toFixed(2) || "N/A"}`);
+        console.log(`  → Suppliers: ${results.parts.bestValueBundle?.suppliers?.join(", ") || "N/A"}`);
+
+        // Track parts search event
+        trackEvent(shopId, "parts_searched", {
+          vehicle: { year: vehicle.year, make: vehicle.make, model: vehicle.model },
+          partsCount: partsNeededCount,
+          totalCost: results.parts.bestValueBundle?.totalCost,
+          platformsUsed: ["partstech"],
+        }).catch(() => {});
+
+        // Collect OEM alternatives
+        results.oemAlternatives = [];
+        for (const res of results.parts.individualResults || []) {
+          if (res.bestValue?.oem) {
+            results.oemAlternatives.push(res.bestValue.oem);
+          }
+        }
+        results.parts.oemAlternatives = results.oemAlternatives;
 
-        results.cartStatus = cartResult.cart_summary || { error: cartResult.error };
-        console.log(`  → Cart: ${cartResult.added?.length || 0} added, ${cartResult.failed?.length || 0} failed`);
+        // Yellow-fail: warn if PartsTech returned no live pricing
+        const gotPricing = results.parts?.bestValueBundle?.parts?.some(p => p.selected?.price > 0);
+        if (!gotPricing && results.parts?.bestValueBundle?.parts?.length > 0) {
+          results.warnings = results.warnings || [];
+          results.warnings.push({ code: "NO_PARTS_PRICING", msg: "PartsTech returned no pricing — parts listed without price" });
+        }
+      }
+    } else {
+      console.log(`  → Skipped (no parts identified)`);
+    }
+    // A job whose parts search priced nothing is retried rather than restored
+    const pricingEmpty = jobs.some((j) => {
+      const searched = (j.parts?.bestValueBundle?.parts || []).filter((p) => !p.requested?.bulkFluid);
+      return searched.length > 0 && !searched.some((p) => p.selected?.price > 0);
+    });
+    await checkpoint("parts", !pricingEmpty);
+  }
+
+  // ─── Step 5.5: Pre-stage Cart (Optional) ───
+  if (!resumed("cart")) {
+    if (partstechOrder && results.parts?.bestValueBundle?.parts?.length > 0) {
+      log.info("Step 5.5: Pre-staging parts in PartsTech cart...");
+      try {
+        const nonConditionalParts = results.parts.bestValueBundle.parts
+          .filter((item) => item.selected && !item.requested?.conditional && !item.selected.bulk)
+          .map((item) => ({
+            partType: item.requested.partType,
+            position: item.requested.position || null,
+            partNumber: item.selected.partNumber,
+            brand: item.selected.brand,
+            supplier: item.selected.supplier,
+            qty: item.requested.qty || 1,
+            tier: item.tier || null,
+          }));
+
+        if (nonConditionalParts.length > 0) {
+          const cartResult = await partstechOrder.addMultipleToCart({
+            vin: vehicle.vin,
+            year: vehicle.year,
+            make: vehicle.make,
+            model: vehicle.model,
+            parts: nonConditionalParts,
+          });
+
+          results.cartStatus = cartResult.cart_summary || { error: cartResult.error };
+          console.log(`  → Cart: ${cartResult.added?.length || 0} added, ${cartResult.failed?.length || 0} failed`);
+        }
+      } catch (err) {
+        console.error(`  → Cart pre-staging failed (non-fatal): ${err.message}`);
+        results.cartStatus = { error: err.message };
       }
-    } catch (err) {
-      console.error(`  → Cart pre-staging failed (non-fatal): ${err.message}`);
-      results.cartStatus = { error: err.message };
     }
+    await checkpoint("cart");
   }
 
   // ─── Step 6: Build Estimate in AutoLeap ───
-  if (params.progressCallback) await params.progressCallback("building_estimate").catch(() => {});
+  signal?.throwIfAborted();
+  if (!resumed("estimate")) {
+    if (params.progressCallback) await params.progressCallback("building_estimate").catch(() => {});
 
-  if (autoLeapPlaybook && params.customer) {
-    // Browser playbook path: 100% browser-driven (MOTOR labor + PartsTech parts + markup matrix)
-    log.info("Step 6: Creating estimate via browser playbook (MOTOR + PartsTech + markup matrix)...");
+    if (autoLeapPlaybook && params.customer) {
+      // Browser playbook path: 100% browser-driven (MOTOR labor + PartsTech parts + markup matrix)
+      log.info("Step 6: Creating estimate via browser playbook (MOTOR + PartsTech + markup matrix)...");
 
-    try {
-      const estParts = results.parts?.bestValueBundle?.parts || [];
-      console.log(`  → Parts with pricing: ${estParts.filter(p => p.selected).length}`);
-
-      const playbookResult = await autoLeapPlaybook.runPlaybook({
-        customer: params.customer,
-        vehicle: { year: vehicle.year, make: vehicle.make, model: vehicle.model, vin: vehicle.vin || null },
-        diagnosis: results.diagnosis,
-        query: params.query || null,
-        parts: estParts,
-        progressCallback: params.progressCallback || null,
-      });
+      try {
+        const bundleParts = results.parts?.bestValueBundle?.parts || [];
+        const estParts = bundleParts.filter((p) => !p.selected?.bulk);
+        console.log(`  → Parts with pricing: ${estParts.filter(p => p.selected).length}`);
+
+        const playbookResult = await autoLeapPlaybook.runPlaybook({
+          customer: params.customer,
+          vehicle: {
+            year: vehicle.year,
+            make: vehicle.make,
+            model: vehicle.model,
+            vin: vehicle.vin || null,
+            engine: vehicle.engine || null,
+            engineIdentity: vehicle.engineIdentity || null,
+          },
+          diagnosis: results.diagnosis,
+          query: params.query || null,
+          parts: estParts,
+          jobs: jobs.map((j) => ({ name: j.name, query: j.query, diagnosis: j.diagnosis })),
+          progressCallback: params.progressCallback || null,
+          signal,
+        });
 
-      if (playbookResult.success) {
-        results.estimate = {
-          success: true,
-          estimateId: playbookResult.estimateId,
-          estimateCode: playbookResult.roNumber,
-          total:       playbookResult.total,
-          totalLabor:  playbookResult.totalLabor,
-          totalParts:  playbookResult.totalParts,
-          laborHours:  playbookResult.laborHours,
-          laborRate:   playbookResult.laborRate,
-          shopSupplies: null,
-          tax: null,
-          customerName: params.customer.name,
-          vehicleDesc: `${vehicle.year} ${vehicle.make} ${vehicle.model}`,
-          pricingSource: playbookResult.pricingSource || "autoleap-native",
-        };
-        results.resolvedLaborHours = playbookResult.laborHours;
-        results.resolvedLaborRate  = playbookResult.laborRate;
-        results.estimateSource = "autoleap-native";
-
-        // Store IDs for cleanup (test runs)
-        results.autoLeapEstimate = {
-          estimateId: playbookResult.estimateId,
-          customerId: playbookResult.customerId,
-          vehicleId: playbookResult.vehicleId,
-          customerName: params.customer?.name || null,
-          vehicleDesc: `${vehicle.year} ${vehicle.make} ${vehicle.model}`,
-        };
+        if (playbookResult.success) {
+          results.estimate = {
+            success: true,
+            estimateId: playbookResult.estimateId,
+            estimateCode: playbookResult.roNumber,
+            total:       playbookResult.total,
+            totalLabor:  playbookResult.totalLabor,
+            totalParts:  playbookResult.totalParts,
+            laborHours:  playbookResult.laborHours,
+            laborRate:   playbookResult.laborRate,
+            shopSupplies: null,
+            tax: null,
+            customerName: params.customer.name,
+            vehicleDesc: `${vehicle.year} ${vehicle.make} ${vehicle.model}`,
+            pricingSource: playbookResult.pricingSource || "autoleap-native",
+          };
+          results.resolvedLaborHours = playbookResult.laborHours;
+          results.resolvedLaborRate  = playbookResult.laborRate;
+          results.laborServices = playbookResult.services || [];
+          results.estimateSource = "autoleap-native";
+
+          // Store IDs for cleanup (test runs)
+          results.autoLeapEstimate = {
+            estimateId: playbookResult.estimateId,
+            customerId: playbookResult.customerId,
+            vehicleId: playbookResult.vehicleId,
+            customerName: params.customer?.name || null,
+            vehicleDesc: `${vehicle.year} ${vehicle.make} ${vehicle.model}`,
+          };
+
+          // Playbook provides PDF directly
+          if (playbookResult.pdfPath) {
+            results.pdfPath = playbookResult.pdfPath;
+            results.pdfSource = "autoleap-native";
+          }
 
-        // Playbook provides PDF directly
-        if (playbookResult.pdfPath) {
-          results.pdfPath = playbookResult.pdfPath;
-          results.pdfSource = "autoleap-native";
-        }
+          console.log(`  → Estimate ${playbookResult.roNumber} created via browser playbook`);
+          console.log(`  → Labor: ${playbookResult.laborHours}h (MOTOR)`);
+          console.log(`  → Parts: ${playbookResult.partsAdded?.length || 0} added via PartsTech`);
+          console.log(`  → Total: $${playbookResult.total} (labor $${playbookResult.totalLabor} + parts $${playbookResult.totalParts})`);
+          console.log(`  → Pricing: AutoLeap markup matrix (native)`);
 
-        console.log(`  → Estimate ${playbookResult.roNumber} created via browser playbook`);
-        console.log(`  → Labor: ${playbookResult.laborHours}h (MOTOR)`);
-        console.log(`  → Parts: ${playbookResult.partsAdded?.length || 0} added via PartsTech`);
-        console.log(`  → Total: $${playbookResult.total} (labor $${playbookResult.totalLabor} + parts $${playbookResult.totalParts})`);
-        console.log(`  → Pricing: AutoLeap markup matrix (native)`);
+          // Surface playbook warnings
+          if (playbookResult.warnings?.length > 0) {
+            results.warnings = results.warnings || [];
+            results.warnings.push(...playbookResult.warnings);
+          }
 
-        // Surface playbook warnings
-        if (playbookResult.warnings?.length > 0) {
-          results.warnings = results.warnings || [];
-          results.warnings.push(...playbookResult.warnings);
-        }
+          // The playbook adds one of each PartsTech part and can't add shop stock
+          const fluidItems = bundleParts.filter((p) => p.selected && p.requested?.lineType === "fluid");
+          if (fluidItems.length > 0) {
+            results.warnings = results.warnings || [];
+            results.warnings.push({
+              code: "FLUID_QTY_CHECK",
+              msg: `Set fluid quantities in AutoLeap: ${fluidItems.map((p) =>
+                `${p.requested.qty} ${p.requested.unit} ${p.requested.partType}${p.selected.bulk ? " (shop stock — add by hand)" : ""}`).join("; ")}`,
+            });
+          }
 
-        // REVIEW GATE — block estimate delivery if reviewer found errors
-        if (playbookResult.reviewBlocked) {
-          console.log(`  → ⛔ REVIEW BLOCKED — estimate not ready for customer`);
-          for (const err of (playbookResult.reviewErrors || [])) {
-            console.log(`  →   🛑 ${err}`);
+          // REVIEW GATE — block estimate delivery if reviewer found errors
+          if (playbookResult.reviewBlocked) {
+            console.log(`  → ⛔ REVIEW BLOCKED — estimate not ready for customer`);
+            for (const err of (playbookResult.reviewErrors || [])) {
+              console.log(`  →   🛑 ${err}`);
+            }
+            results.reviewBlocked = true;
+            results.reviewErrors = playbookResult.reviewErrors || [];
+            results.reviewNotes = playbookResult.reviewNotes || [];
+            // Clear PDF so it doesn't get sent to customer
+            results.pdfPath = null;
+            results.pdfSource = null;
+          }
+          if (playbookResult.reviewNotes?.length > 0) {
+            results.reviewNotes = playbookResult.reviewNotes;
           }
-          results.reviewBlocked = true;
-          results.reviewErrors = playbookResult.reviewErrors || [];
-          results.reviewNotes = playbookResult.reviewNotes || [];
-          // Clear PDF so it doesn't get sent to customer
-          results.pdfPath = null;
-          results.pdfSource = null;
-        }
-        if (playbookResult.reviewNotes?.length > 0) {
-          results.reviewNotes = playbookResult.reviewNotes;
-        }
 
-        trackEvent(shopId, "estimate_created", {
-          vehicle: { year: vehicle.year, make: vehicle.make, model: vehicle.model },
-          total: playbookResult.total,
-          estimateId: playbookResult.estimateId,
-          source: "autoleap-native",
-          partsCount: playbookResult.partsAdded?.length || 0,
-          platformsUsed: [
-            alldata && !alldata.error ? "alldata" : null,
-            identifix && !identifix.error ? "identifix" : null,
-            prodemand && !prodemand.error ? "prodemand" : null,
-          ].filter(Boolean),
-        }).catch(() => {});
-      } else {
-        console.error(`  → Playbook failed: ${playbookResult.error}`);
-        results.estimate = { error: playbookResult.error };
-        // Surface playbook warnings even on failure
-        if (playbookResult.warnings?.length > 0) {
-          results.warnings = results.warnings || [];
-          results.warnings.push(...playbookResult.warnings);
+          trackEvent(shopId, "estimate_created", {
+            vehicle: { year: vehicle.year, make: vehicle.make, model: vehicle.model },
+            total: playbookResult.total,
+            estimateId: playbookResult.estimateId,
+            source: "autoleap-native",
+            partsCount: playbookResult.partsAdded?.length || 0,
+            platformsUsed: [
+              alldata && !alldata.error ? "alldata" : null,
+              identifix && !identifix.error ? "identifix" : null,
+              prodemand && !prodemand.error ? "prodemand" : null,
+            ].filter(Boolean),
+          }).catch(() => {});
+        } else {
+          console.error(`  → Playbook failed: ${playbookResult.error}`);
+          results.estimate = { error: playbookResult.error };
+          // Surface playbook warnings even on failure
+          if (playbookResult.warnings?.length > 0) {
+            results.warnings = results.warnings || [];
+            results.warnings.push(...playbookResult.warnings);
+          }
         }
+      } catch (err) {
+        console.error(`  → Playbook error: ${err.message}`);
+        results.estimate = { error: err.message };
       }
-    } catch (err) {
-      console.error(`  → Playbook error: ${err.message}`);
-      results.estimate = { error: err.message };
+    } else if (params.customer) {
+      log.info("Step 6: Skipped (browser playbook not available)");
+      results.estimate = { error: "Browser playbook not configured (AUTOLEAP_EMAIL not set)" };
+    } else {
+      log.info("Step 6: Skipped AutoLeap (provide customer info to create)");
     }
-  } else if (params.customer) {
-    log.info("Step 6: Skipped (browser playbook not available)");
-    results.estimate = { error: "Browser playbook not configured (AUTOLEAP_EMAIL not set)" };
-  } else {
-    log.info("Step 6: Skipped AutoLeap (provide customer info to create)");
+    // A failed AutoLeap step is where a retry picks up
+    await checkpoint("estimate", !results.estimate?.error);
   }
 
-  // ─── Step 7: Download AutoLeap PDF ───
-  log.info("Step 7: AutoLeap estimate PDF...");
-
-  if (results.pdfPath) {
-    // Playbook already provided PDF in Step 6
-    console.log(`  → PDF already available from playbook: ${results.pdfPath}`);
-  } else if (autoLeapApi && results.estimate?.estimateId) {
-    // Fallback: download PDF via REST API
-    try {
-      const safeName = `${vehicle.year}-${vehicle.make}-${vehicle.model}`.replace(/[^a-zA-Z0-9 \-]/g, "").replace(/\s+/g, "-");
-      const pdfOutputPath = require("path").join(
-        require("os").tmpdir(),
-        `estimate-${safeName}-${Date.now()}.pdf`
-      );
-      const token = await autoLeapApi.getToken();
-      const pdfPath = await autoLeapApi.downloadEstimatePDF(token, results.estimate.estimateId, pdfOutputPath);
-      if (pdfPath) {
-        results.pdfPath = pdfPath;
-        results.pdfSource = "autoleap-native";
-        console.log(`  → AutoLeap PDF: ${pdfPath}`);
-      } else {
-        console.log(`  → AutoLeap PDF not available`);
+  // ─── Pricing Gate ───
+  // Before Step 7: a local PDF is built from the job subtotals and local totals
+  results.jobs = jobs.map((job) => ({
+    name: job.name,
+    query: job.query,
+    system: job.system,
+    type: job.type,
+    dtcCodes: job.dtcCodes,
+    diagnosis: job.diagnosis || null,
+    cannedJob: job.cannedJob
+      ? { id: job.cannedJob.id || null, name: job.cannedJob.name, frequency: job.cannedJob.frequency, laborHours: cannedJobLaborHours(job.cannedJob) }
+      : null,
+  }));
+  priceEstimate(results, shopConfig, log);
+
+  // ─── Step 7: Estimate PDF (AutoLeap's, or a local one without an AutoLeap estimate) ───
+  signal?.throwIfAborted();
+  if (!resumed("pdf")) {
+    log.info("Step 7: Estimate PDF...");
+
+    if (results.pdfPath) {
+      // Playbook already provided PDF in Step 6
+      console.log(`  → PDF already available from playbook: ${results.pdfPath}`);
+    } else if (autoLeapApi && results.estimate?.estimateId) {
+      // Fallback: download PDF via REST API
+      try {
+        const safeName = `${vehicle.year}-${vehicle.make}-${vehicle.model}`.replace(/[^a-zA-Z0-9 \-]/g, "").replace(/\s+/g, "-");
+        const pdfOutputPath = require("path").join(
+          require("os").tmpdir(),
+          `estimate-${safeName}-${Date.now()}.pdf`
+        );
+        const token = await autoLeapApi.getToken();
+        const pdfPath = await autoLeapApi.downloadEstimatePDF(token, results.estimate.estimateId, pdfOutputPath);
+        if (pdfPath) {
+          results.pdfPath = pdfPath;
+          results.pdfSource = "autoleap-native";
+          console.log(`  → AutoLeap PDF: ${pdfPath}`);
+        } else {
+          console.log(`  → AutoLeap PDF not available`);
+          results.warnings = results.warnings || [];
+          results.warnings.push({ code: "PDF_AUTOLEAP_UNAVAILABLE", msg: "AutoLeap PDF download failed" });
+        }
+      } catch (pdfErr) {
+        console.error(`  → AutoLeap PDF error: ${pdfErr.message}`);
         results.warnings = results.warnings || [];
         results.warnings.push({ code: "PDF_AUTOLEAP_UNAVAILABLE", msg: "AutoLeap PDF download failed" });
       }
-    } catch (pdfErr) {
-      console.error(`  → AutoLeap PDF error: ${pdfErr.message}`);
-      results.warnings = results.warnings || [];
-      results.warnings.push({ code: "PDF_AUTOLEAP_UNAVAILABLE", msg: "AutoLeap PDF download failed" });
+    } else if (results.reviewBlocked) {
+      console.log(`  → Review blocked — no PDF`);
+    } else if (results.customer_ready === false) {
+      console.log(`  → Pricing needs review — no PDF`);
+    } else {
+      // No AutoLeap estimate: price the PDF with the local totals engine
+      try {
+        results.pdfPath = await generateLocalPDF(results, shopConfig, "local");
+        results.pdfSource = "local";
+        console.log(`  → No AutoLeap estimate — local PDF: ${results.pdfPath}`);
+      } catch (pdfErr) {
+        console.error(`  → Local PDF error: ${pdfErr.message}`);
+        results.warnings = results.warnings || [];
+        results.warnings.push({ code: "PDF_LOCAL_FAILED", msg: "Local estimate PDF failed" });
+      }
     }
-  } else {
-    console.log(`  → No AutoLeap estimate — skipping PDF`);
+
+    // AutoLeap's PDF can't list the optional maintenance lines — send them on their own sheet
+    if (results.pdfPath && results.pdfSource !== "local" && results.recommendedServices?.length > 0) {
+      try {
+        const { generateRecommendationsPDF } = require("../../estimate-pdf/scripts/generate");
+        results.recommendationsPdfPath = await generateRecommendationsPDF({
+          shop: shopConfig?.shop,
+          customer: results.customer,
+          vehicle,
+          recommendedServices: results.recommendedServices,
+          estimateCode: results.estimate?.estimateCode || null,
+          outputPath: require("path").join(require("os").tmpdir(), `recommended-${Date.now()}.pdf`),
+        });
+        console.log(`  → Recommended services sheet: ${results.recommendationsPdfPath}`);
+      } catch (pdfErr) {
+        console.error(`  → Recommended services PDF error: ${pdfErr.message}`);
+        results.warnings = results.warnings || [];
+        results.warnings.push({ code: "PDF_RECOMMENDED_FAILED", msg: "Recommended services PDF failed — they're listed in the message only" });
+      }
+    }
+    await checkpoint("pdf");
   }
 
   // ─── Step 8: Capture Procedure Screenshots ───
-  if (requestInfo.type === "diagnostic") {
-    log.info("Step 8: Capturing procedure screenshots...");
-    try {
-      const newScreenshots = await captureScreenshots();
-      results.screenshots = [...(results.screenshots || []), ...newScreenshots];
-      console.log(`  → ${newScreenshots.length} new screenshots (${results.screenshots.length} total)`);
-    } catch {
-      // Keep any screenshots already collected from research
+  signal?.throwIfAborted();
+  if (!resumed("screenshots")) {
+    if (jobs.some((j) => j.type === "diagnostic")) {
+      log.info("Step 8: Capturing procedure screenshots...");
+      try {
+        const newScreenshots = await captureScreenshots();
+        results.screenshots = [...(results.screenshots || []), ...newScreenshots];
+        console.log(`  → ${newScreenshots.length} new screenshots (${results.screenshots.length} total)`);
+      } catch {
+        // Keep any screenshots already collected from research
+      }
     }
+    await checkpoint("screenshots");
   }
 
   // ─── Done ───
@@ -1489,56 +2983,39 @@ async function buildEstimate(params) {
   ).length;
   const totalParts = (results.parts?.bestValueBundle?.parts || []).length;
   const laborSource = results.diagnosis?.prodemand?.laborTimes?.[0]?.source || "unknown";
+  const llmUsage = getLlmRunUsage(runId);
 
-  log.metric({
+  const metrics = {
     total_runtime_ms: totalRuntime,
+    request_type: requestInfo.type,
+    job_count: jobs.length,
     parts_priced_rate: totalParts > 0 ? Math.round((partsPriced / totalParts) * 100) / 100 : 0,
     labor_source: laborSource,
     warnings_count: (results.warnings || []).length,
     steps_completed: runCtx.steps.length,
-  });
-
-  results.runId = runId;
-  results._runCtx = runCtx;
-
-  // ─── Pricing Gate ───
-  const hasParts = (results.parts?.bestValueBundle?.parts || []).length > 0;
-  const partsMarkupPct = getPartsMarkupPercent(shopConfig);
-  let partsRetailTotal = 0;
-  if (hasParts) {
-    for (const item of results.parts.bestValueBundle.parts) {
-      if (item.selected) {
-        const retail = getRetailUnitPrice(item.selected, partsMarkupPct);
-        const qty = item.requested?.qty || 1;
-        partsRetailTotal += retail * qty;
-      }
-    }
-  }
-
-  // Determine pricing source
-  if (results.estimateSource === "autoleap-native" && results.estimate?.success) {
-    results.pricing_source = PRICING_SOURCE.AUTOLEAP_NATIVE;
-  } else if (partsRetailTotal > 0) {
-    results.pricing_source = PRICING_SOURCE.MATRIX_FALLBACK;
-  } else if (hasParts) {
-    results.pricing_source = PRICING_SOURCE.FAILED;
-  } else {
-    results.pricing_source = PRICING_SOURCE.NO_PARTS;
-  }
+    canned_jobs_used: jobs.filter((j) => j.cannedJob).length,
+    llm_calls: llmUsage.calls,
+    llm_input_tokens: llmUsage.input_tokens,
+    llm_output_tokens: llmUsage.output_tokens,
+    llm_cost_usd: llmUsage.cost_usd,
+  };
+  log.metric(metrics);
+  // Kept on the results so the job queue can learn run times per request type
+  results.metrics = metrics;
 
-  // Hard gate: block customer-facing output when parts exist but no retail pricing resolved
-  if (hasParts && partsRetailTotal <= 0) {
-    results.customer_ready = false;
-    results.pricing_gate = PRICING_GATE.BLOCKED;
-    results.warnings = results.warnings || [];
-    results.warnings.push({ code: "PRICING_GATE_BLOCKED", msg: "Parts pricing couldn't be resolved — review before sending" });
-    log.warn("Pricing gate BLOCKED", { parts_count: results.parts.bestValueBundle.parts.length, retail_total: partsRetailTotal, pricing_source: results.pricing_source });
-  } else {
-    results.customer_ready = true;
-    results.pricing_gate = PRICING_GATE.PASSED;
+  for (const job of jobs.filter((j) => j.cannedJob)) {
+    trackEvent(shopId, "canned_job_used", {
+      vehicle: { year: vehicle.year, make: vehicle.make, model: vehicle.model },
+      cannedJobId: job.cannedJob.id || null,
+      name: job.cannedJob.name,
+      query: job.query,
+      runtimeMs: totalRuntime,
+    }).catch(() => {});
   }
 
-  log.info(`Pricing: source=${results.pricing_source}, gate=${results.pricing_gate}, retail_total=$${partsRetailTotal.toFixed(2)}`);
+  results.runId = runId;
+  results._runCtx = runCtx;
+  results.llmUsage = llmUsage;
 
   // Format response for service advisor
   results.formattedResponse = formatServiceAdvisorResponse(results);
@@ -1548,9 +3025,20 @@ async function buildEstimate(params) {
 
 module.exports = {
   buildEstimate,
+  getResumePoint,
   handleOrderRequest,
   handleApprovalAndOrder,
+  applyJobApprovals,
+  reviseEstimate,
+  applyRevision,
+  applyPartTiers,
+  applySupplierRanking,
+  selectTier,
   classifyRequest,
+  splitJobs,
+  matchCannedJob,
+  cannedJobPartsNeeded,
+  mergeJobParts,
   extractPartsNeeded,
   formatDiagnosisSummary,
   formatServiceAdvisorResponse,
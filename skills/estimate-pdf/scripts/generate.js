@@ -7,6 +7,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { computeTotals } = require("../../shared/totals");
 
 // Lazy load PDFKit (installed via skill install command)
 let PDFDocument;
@@ -26,8 +27,15 @@ try {
  * @param {string} params.diagnosis - Problem summary and recommended repair
  * @param {Array} params.laborLines - [{description, hours, rate, total}]
  * @param {Array} params.partLines - [{description, partNumber, qty, unitPrice, total, supplier}]
+ * @param {Array} [params.jobs] - [{name, laborLines, partLines, subtotal: {total}}] — replaces the flat lines with one section per job
  * @param {object} params.partsOptions - {oem: {...}, aftermarket: {...}} for customer choice
- * @param {object} params.totals - {labor, parts, supplies, tax, total}
+ * @param {Array} [params.tierOptions] - [{name, options: {good, better, best}}] — Good/Better/Best per job,
+ *   each option {label, description, brands, total, selected}; printed side by side (replaces partsOptions)
+ * @param {Array} [params.recommendedServices] - [{name, status, reason, hours, laborEstimate}] — maintenance due
+ *   at this mileage (vehicle-specs/scripts/maintenance.js); printed after the total as optional, unpriced-in-total lines
+ * @param {object} [params.totals] - {labor, parts, fluids, tires, sublet, diagnosticFee, supplies, tax, total} (shared/totals.js shape)
+ * @param {object} [params.shopConfig] - When totals are omitted, they are computed from the lines with this config
+ * @param {boolean} [params.diagnosticFee] - With shopConfig: add the shop's diagnostic fee
  * @param {object} params.mechanicSpecs - Sensor locations, fluids, torque, tools (internal use)
  * @param {string} params.outputPath - Where to save the PDF
  * @returns {string} Path to generated PDF
@@ -40,8 +48,12 @@ async function generateEstimatePDF(params) {
     diagnosis,
     laborLines = [],
     partLines = [],
+    jobs = [],
     partsOptions,
-    totals,
+    tierOptions = [],
+    recommendedServices = [],
+    shopConfig,
+    diagnosticFee = false,
     mechanicSpecs,
     outputPath,
   } = params;
@@ -50,6 +62,16 @@ async function generateEstimatePDF(params) {
     throw new Error("PDFKit not installed. Run: npm install pdfkit");
   }
 
+  let { totals } = params;
+  if (!totals && shopConfig) {
+    const allLabor = jobs.length > 0 ? jobs.flatMap((j) => j.laborLines || []) : laborLines;
+    const allParts = jobs.length > 0 ? jobs.flatMap((j) => j.partLines || []) : partLines;
+    totals = computeTotals([
+      ...allLabor.map((l) => ({ type: "labor", hours: l.hours, rate: l.rate })),
+      ...allParts.map((l) => ({ type: l.type || "part", qty: l.qty, unitPrice: l.unitPrice, taxable: l.taxable })),
+    ], shopConfig, { diagnosticFee });
+  }
+
   const estimateNumber = `EST-${Date.now().toString(36).toUpperCase()}`;
   const estimateDate = new Date().toLocaleDateString("en-US", {
     year: "numeric",
@@ -154,12 +176,11 @@ async function generateEstimatePDF(params) {
   let rowY = tableTop + 20;
   doc.font("Helvetica").fontSize(9);
 
-  // Labor lines
-  if (laborLines.length > 0) {
+  const printLaborLines = (lines) => {
     doc.font("Helvetica-Bold").text("LABOR", col1 + 5, rowY);
     rowY += 14;
 
-    for (const line of laborLines) {
+    for (const line of lines) {
       doc.font("Helvetica");
       doc.text(line.description || "", col1 + 10, rowY, { width: 240 });
       doc.text(`${line.hours || 0} hrs`, col2 + 5, rowY);
@@ -167,15 +188,14 @@ async function generateEstimatePDF(params) {
       doc.text(`$${parseFloat(line.total || 0).toFixed(2)}`, col4 + 5, rowY);
       rowY += 14;
     }
-  }
+  };
 
-  // Parts lines
-  if (partLines.length > 0) {
+  const printPartLines = (lines) => {
     rowY += 5;
     doc.font("Helvetica-Bold").text("PARTS", col1 + 5, rowY);
     rowY += 14;
 
-    for (const line of partLines) {
+    for (const line of lines) {
       doc.font("Helvetica");
       const desc = line.partNumber
         ? `${line.description} (${line.partNumber})`
@@ -192,12 +212,71 @@ async function generateEstimatePDF(params) {
       }
       rowY += 14;
     }
+  };
+
+  if (jobs.length > 0) {
+    // One section per job with its own subtotal — customer approves/declines each
+    jobs.forEach((job, i) => {
+      if (rowY + 60 > 660) {
+        doc.addPage();
+        rowY = 50;
+      }
+      doc.font("Helvetica-Bold").fontSize(10).text(`JOB ${i + 1}: ${job.name || ""}`, col1 + 5, rowY, { width: 500 });
+      doc.fontSize(9);
+      rowY += 16;
+
+      if (job.laborLines?.length > 0) printLaborLines(job.laborLines);
+      if (job.partLines?.length > 0) printPartLines(job.partLines);
+
+      doc.font("Helvetica-Bold").text(`Job ${i + 1} subtotal`, col3 + 5, rowY);
+      doc.text(`$${parseFloat(job.subtotal?.total || 0).toFixed(2)}`, col4 + 5, rowY);
+      doc.font("Helvetica").text("[ ] Approve   [ ] Decline", col1 + 10, rowY);
+      rowY += 20;
+    });
+  } else {
+    if (laborLines.length > 0) printLaborLines(laborLines);
+    if (partLines.length > 0) printPartLines(partLines);
   }
 
   // ═══════════════════════════════════════════════════════════════════
-  // PARTS OPTIONS (OEM vs Aftermarket)
+  // PARTS OPTIONS — Good / Better / Best (side by side), else OEM vs Aftermarket
   // ═══════════════════════════════════════════════════════════════════
-  if (partsOptions?.oem || partsOptions?.aftermarket) {
+  const tierJobs = tierOptions.filter((t) => t.options && Object.keys(t.options).length > 0);
+  if (tierJobs.length > 0) {
+    const tierKeys = ["good", "better", "best"];
+    const tierWidth = (colEnd - col1) / tierKeys.length;
+    rowY += 10;
+    if (rowY + 30 + tierJobs.length * 52 > 660) {
+      doc.addPage();
+      rowY = 50;
+    }
+    doc.font("Helvetica-Bold").fontSize(10).text("PARTS OPTIONS — GOOD / BETTER / BEST", col1, rowY);
+    rowY += 16;
+
+    for (const job of tierJobs) {
+      if (tierJobs.length > 1 || job.name) {
+        doc.font("Helvetica-Bold").fontSize(9).text(job.name || "", col1 + 5, rowY, { width: 500 });
+        rowY += 13;
+      }
+      tierKeys.forEach((key, i) => {
+        const x = col1 + i * tierWidth;
+        const opt = job.options[key];
+        doc.rect(x + 2, rowY, tierWidth - 4, 36).stroke();
+        if (!opt) {
+          doc.font("Helvetica").fontSize(8).fillColor("#666").text("Not available", x + 8, rowY + 4);
+          doc.fillColor("#000");
+          return;
+        }
+        doc.font("Helvetica-Bold").fontSize(9)
+          .text(`${opt.selected ? "[X]" : "[ ]"} ${opt.label} — $${parseFloat(opt.total || 0).toFixed(2)}`, x + 8, rowY + 4, { width: tierWidth - 14 });
+        doc.font("Helvetica").fontSize(8).fillColor("#666")
+          .text(`${opt.description}${opt.brands?.length ? ` · ${opt.brands.join(", ")}` : ""}`, x + 8, rowY + 17, { width: tierWidth - 14, height: 18, ellipsis: true });
+        doc.fillColor("#000");
+      });
+      rowY += 42;
+    }
+    doc.fontSize(9);
+  } else if (partsOptions?.oem || partsOptions?.aftermarket) {
     rowY += 10;
     doc.font("Helvetica-Bold").fontSize(10).text("PARTS OPTIONS", col1, rowY);
     rowY += 14;
@@ -227,7 +306,7 @@ async function generateEstimatePDF(params) {
   // TOTALS
   // ═══════════════════════════════════════════════════════════════════
   // Ensure totals section fits on the same page (footer starts at y=680)
-  if (rowY + 110 > 660) {
+  if (rowY + 165 > 660) {
     doc.addPage();
     rowY = 50;
   }
@@ -245,6 +324,10 @@ async function generateEstimatePDF(params) {
 
   printTotal("Labor:", totals?.labor || 0);
   printTotal("Parts:", totals?.parts || 0);
+  if (totals?.fluids) printTotal("Fluids:", totals.fluids);
+  if (totals?.tires) printTotal("Tires:", totals.tires);
+  if (totals?.sublet) printTotal("Sublet:", totals.sublet);
+  if (totals?.diagnosticFee) printTotal("Diagnostic Fee:", totals.diagnosticFee);
   printTotal("Shop Supplies:", totals?.supplies || 0);
   printTotal("Tax:", totals?.tax || 0);
 
@@ -254,6 +337,18 @@ async function generateEstimatePDF(params) {
   doc.fontSize(12);
   printTotal("TOTAL:", totals?.total || 0, true);
 
+  // ═══════════════════════════════════════════════════════════════════
+  // RECOMMENDED SERVICES — maintenance due, optional (not in the total)
+  // ═══════════════════════════════════════════════════════════════════
+  if (recommendedServices.length > 0) {
+    rowY += 10;
+    if (rowY + 30 + recommendedServices.length * 26 > 660) {
+      doc.addPage();
+      rowY = 50;
+    }
+    rowY = printRecommendedServices(doc, recommendedServices, col1, rowY);
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // MECHANIC REFERENCE (Page 2 - Internal Use)
   // ═══════════════════════════════════════════════════════════════════
@@ -297,6 +392,7 @@ async function generateEstimatePDF(params) {
       doc.text(`• Coolant: ${coolant.capacity || "?"} — ${coolant.type || "?"}`);
       const trans = mechanicSpecs.fluids.transmission || {};
       doc.text(`• Transmission: ${trans.type || "?"}`);
+      if (mechanicSpecs.firingOrder) doc.text(`• Firing Order: ${mechanicSpecs.firingOrder}`);
     }
 
     if (mechanicSpecs.torqueSpecs) {
@@ -357,4 +453,78 @@ async function generateEstimatePDF(params) {
   return filePath;
 }
 
-module.exports = { generateEstimatePDF };
+/**
+ * Print the recommended services block at (x, y).
+ *
+ * @returns {number} y below the block
+ */
+function printRecommendedServices(doc, services, x, y) {
+  doc.font("Helvetica-Bold").fontSize(10).text("RECOMMENDED SERVICES (optional — not included in total)", x, y);
+  y += 16;
+  for (const svc of services) {
+    const price = svc.laborEstimate != null ? ` — est. $${parseFloat(svc.laborEstimate).toFixed(2)} labor` : "";
+    doc.font("Helvetica-Bold").fontSize(9)
+      .text(`[ ] ${svc.name}${svc.status === "overdue" ? " (OVERDUE)" : ""}${price}`, x + 5, y, { width: 500 });
+    doc.font("Helvetica").fontSize(8).fillColor("#666")
+      .text(svc.reason || "", x + 17, y + 12, { width: 490, height: 11, ellipsis: true });
+    doc.fillColor("#000");
+    y += 26;
+  }
+  doc.fontSize(9);
+  return y;
+}
+
+/**
+ * One-page recommended services sheet, sent alongside an estimate PDF that
+ * can't list them (AutoLeap's own PDF).
+ *
+ * @param {object} params
+ * @param {object} params.shop - Shop info from config
+ * @param {object} params.customer - Customer name, phone
+ * @param {object} params.vehicle - Year, make, model, VIN, mileage
+ * @param {Array} params.recommendedServices - [{name, status, reason, hours, laborEstimate}]
+ * @param {string} [params.estimateCode] - Estimate the sheet goes with
+ * @param {string} [params.outputPath]
+ * @returns {string} Path to generated PDF
+ */
+async function generateRecommendationsPDF(params) {
+  const { shop, customer, vehicle, recommendedServices = [], estimateCode, outputPath } = params;
+
+  if (!PDFDocument) {
+    throw new Error("PDFKit not installed. Run: npm install pdfkit");
+  }
+
+  const doc = new PDFDocument({ size: "LETTER", margins: { top: 50, bottom: 50, left: 50, right: 50 } });
+  const filePath = outputPath || path.join(require("os").tmpdir(), `recommended-${Date.now()}.pdf`);
+  const stream = fs.createWriteStream(filePath);
+  doc.pipe(stream);
+
+  doc.fontSize(20).font("Helvetica-Bold").text(shop?.name || "Auto Repair Shop", { align: "center" });
+  doc.fontSize(10).font("Helvetica")
+    .text(shop?.address || "", { align: "center" })
+    .text(`Phone: ${shop?.phone || ""} | Email: ${shop?.email || ""}`, { align: "center" });
+  doc.moveDown(0.5);
+  doc.moveTo(50, doc.y).lineTo(562, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  doc.fontSize(11).font("Helvetica");
+  doc.text(`Customer: ${customer?.name || "N/A"}`);
+  doc.text(`Vehicle: ${`${vehicle?.year || ""} ${vehicle?.make || ""} ${vehicle?.model || ""}`.trim()}`);
+  if (vehicle?.vin) doc.text(`VIN: ${vehicle.vin}`);
+  if (vehicle?.mileage) doc.text(`Mileage: ${vehicle.mileage.toLocaleString()} mi`);
+  if (estimateCode) doc.text(`Goes with estimate #${estimateCode}`);
+  doc.moveDown(1);
+
+  printRecommendedServices(doc, recommendedServices, 50, doc.y);
+
+  doc.end();
+  await new Promise((resolve, reject) => {
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+  });
+
+  console.log(`[estimate-pdf] Generated: ${filePath}`);
+  return filePath;
+}
+
+module.exports = { generateEstimatePDF, generateRecommendationsPDF };
@@ -180,9 +180,10 @@ function extractMisdiagnosisWarnings() {
  * @param {string} params.model
  * @param {string} [params.engine]
  * @param {string} params.query - DTC code or symptom description
+ * @param {AbortSignal} [params.signal] - Estimate job cancel / time limit, checked between steps
  * @returns {object} Known fixes with success rates
  */
-async function searchDirectHit({ year, make, model, engine, query }) {
+async function searchDirectHit({ year, make, model, engine, query, signal }) {
   if (!IDENTIFIX_USERNAME || !IDENTIFIX_PASSWORD) {
     console.log(`${LOG} Identifix not configured (missing credentials)`);
     return { error: "Identifix not configured — set IDENTIFIX_USERNAME and IDENTIFIX_PASSWORD" };
@@ -204,6 +205,7 @@ async function searchDirectHit({ year, make, model, engine, query }) {
   }
 
   // Step 2: Select vehicle
+  signal?.throwIfAborted();
   const vehicleResult = browser.selectVehicle({ year, make, model, engine }, LOG);
   if (!vehicleResult.success) {
     console.error(`${LOG} Vehicle selection failed: ${vehicleResult.error}`);
@@ -217,6 +219,7 @@ async function searchDirectHit({ year, make, model, engine, query }) {
   }
 
   // Step 3: Navigate to Direct-Hit
+  signal?.throwIfAborted();
   const elements = browser.getPageElements();
   let directHitRef = browser.findRef(elements, "direct-hit");
   if (!directHitRef) directHitRef = browser.findRef(elements, "direct hit");
@@ -238,6 +241,7 @@ async function searchDirectHit({ year, make, model, engine, query }) {
   }
 
   // Step 5: Extract results
+  signal?.throwIfAborted();
   const knownFixes = extractKnownFixes();
   const misdiagnosisWarnings = extractMisdiagnosisWarnings();
 
@@ -22,12 +22,12 @@
  */
 
 const { execFileSync } = require("child_process");
+const { currentWorker } = require("../../shared/browser-pool");
 
 // --- Config ---
 const PARTSTECH_URL = process.env.PARTSTECH_URL || "https://shop.partstech.com";
 const PARTSTECH_USERNAME = process.env.PARTSTECH_USERNAME;
 const PARTSTECH_PASSWORD = process.env.PARTSTECH_PASSWORD;
-const BROWSER_PROFILE = "openclaw";
 const EXEC_TIMEOUT = 30000; // 30s timeout for browser commands
 
 // --- Browser Helpers ---
@@ -43,7 +43,7 @@ const EXEC_TIMEOUT = 30000; // 30s timeout for browser commands
 function browserCmd(...args) {
   return execFileSync(
     "openclaw",
-    ["browser", "--browser-profile", BROWSER_PROFILE, ...args],
+    ["browser", "--browser-profile", currentWorker().profile, ...args],
     { encoding: "utf-8", timeout: EXEC_TIMEOUT }
   );
 }
@@ -8,8 +8,21 @@
  * Free account: https://partstech.com
  */
 
+const { rankParts, explainScore, isBlacklisted } = require("./supplier-score");
+
 const PARTSTECH_API_KEY = process.env.PARTSTECH_API_KEY;
-const PARTSTECH_BASE_URL = "https://api.partstech.com/v1";
+// PARTSTECH_API_URL points at a local mock (scripts/mock-platforms.js) in tests
+const PARTSTECH_BASE_URL = process.env.PARTSTECH_API_URL || "https://api.partstech.com/v1";
+
+// Aftermarket brands sold as premium lines — picked for the "Better" tier.
+// Anything else aftermarket counts as economy ("Good").
+const PREMIUM_BRANDS = [
+  "acdelco", "akebono", "bosch", "brembo", "centric", "denso", "gates", "kyb",
+  "mahle", "mann", "monroe", "moog", "ngk", "ntk", "power stop", "powerstop",
+  "raybestos", "skf", "timken", "walker", "wix",
+];
+
+const TIERS = ["good", "better", "best"];
 
 /**
  * Search for parts by vehicle + part type with vendor comparison
@@ -20,6 +33,7 @@ const PARTSTECH_BASE_URL = "https://api.partstech.com/v1";
  * @param {string} [params.position] - Location (e.g., "upstream", "downstream", "bank 1", "bank 2", "front", "rear")
  * @param {boolean} [params.includeOEM] - Include OEM parts
  * @param {boolean} [params.includeAftermarket] - Include aftermarket parts
+ * @param {object} [params.ranking] - Supplier scoring options (supplier-score.js); default: cheapest in stock
  * @returns {object} Parts with vendor comparison and best-value picks
  */
 async function searchParts({
@@ -29,6 +43,7 @@ async function searchParts({
   position,
   includeOEM = true,
   includeAftermarket = true,
+  ranking = null,
 }) {
   const fetch = (await import("node-fetch")).default;
 
@@ -93,9 +108,19 @@ async function searchParts({
     const aftermarketParts = formattedResults.filter((p) => p.type === "Aftermarket");
 
     // Find best value in each category
-    const bestOEM = findBestValue(oemParts);
-    const bestAftermarket = findBestValue(aftermarketParts);
-    const overallBest = findBestValue(formattedResults);
+    const bestOEM = findBestValue(oemParts, ranking);
+    const bestAftermarket = findBestValue(aftermarketParts, ranking);
+    const overallBest = findBestValue(formattedResults, ranking);
+
+    // Why the overall pick won (supplier score breakdown)
+    let score = null;
+    if (ranking) {
+      const ranked = rankParts(formattedResults, ranking);
+      score = ranked[0] ? { score: ranked[0].score, breakdown: ranked[0].breakdown, reason: explainScore(ranked[0], ranked.length) } : null;
+    }
+
+    // Good / Better / Best picks (economy aftermarket, premium aftermarket, OEM)
+    const tiers = findTierOptions(formattedResults, ranking);
 
     // Group by supplier for comparison
     const bySupplier = groupBySupplier(formattedResults);
@@ -113,6 +138,8 @@ async function searchParts({
         oem: bestOEM,
         aftermarket: bestAftermarket,
       },
+      score,
+      tiers,
 
       // All options grouped
       oemOptions: oemParts.sort((a, b) => a.totalCost - b.totalCost),
@@ -130,6 +157,7 @@ async function searchParts({
       source: "PartsTech",
       error: error.message,
       bestValue: null,
+      tiers: { good: null, better: null, best: null },
       oemOptions: [],
       aftermarketOptions: [],
       allParts: [],
@@ -138,11 +166,19 @@ async function searchParts({
 }
 
 /**
- * Find best value part (in stock, lowest total cost, good warranty)
+ * Find best value part (in stock, lowest total cost, good warranty).
+ * With ranking options the supplier score decides instead (price, stock,
+ * distance, preferred suppliers, brand blacklist, return rate).
+ *
+ * @param {object[]} parts
+ * @param {object} [ranking] - See supplier-score.js rankParts()
+ * @returns {object|null}
  */
-function findBestValue(parts) {
+function findBestValue(parts, ranking = null) {
   if (!parts || parts.length === 0) return null;
 
+  if (ranking) return rankParts(parts, ranking)[0]?.part || null;
+
   // Filter to in-stock only first
   const inStock = parts.filter((p) => p.availability === "In Stock" && p.canOrder);
 
@@ -156,6 +192,80 @@ function findBestValue(parts) {
   return sorted[0] || null;
 }
 
+/**
+ * Parse a PartsTech warranty string into months.
+ * "Limited Lifetime" → 1200, "2 Year" / "Limited 3 Year" → 24 / 36,
+ * "Warranty: 24 months" → 24, "90 Days" → 3, "Standard"/unknown → 0.
+ *
+ * @param {string} warranty
+ * @returns {number}
+ */
+function parseWarrantyMonths(warranty) {
+  const w = String(warranty || "").toLowerCase();
+  if (w.includes("lifetime")) return 1200;
+  // First number anywhere in the text — labels often come before it
+  const m = w.match(/\d+(\.\d+)?/);
+  if (!m) return 0;
+  const n = parseFloat(m[0]);
+  if (/year|yr/.test(w)) return n * 12;
+  if (/month|mo\b/.test(w)) return n;
+  if (/day/.test(w)) return Math.round(n / 30);
+  return 0;
+}
+
+/**
+ * Brand tier of a part: "oem", "premium" (known premium aftermarket line) or "economy".
+ *
+ * @param {object} part
+ * @returns {string}
+ */
+function getBrandTier(part) {
+  if (!part) return "economy";
+  if (part.type === "OEM") return "oem";
+  const brand = String(part.brand || "").toLowerCase();
+  return PREMIUM_BRANDS.some((b) => brand === b || brand.startsWith(`${b} `)) ? "premium" : "economy";
+}
+
+/**
+ * Pick Good / Better / Best options from one part search's results.
+ *
+ *   good   — economy aftermarket: best value among non-premium aftermarket brands
+ *            (any aftermarket brand when only premium lines are listed)
+ *   better — premium aftermarket: a premium brand or a longer warranty than the
+ *            Good pick; in stock first, then premium brand, warranty, price
+ *   best   — OEM: best value OEM part
+ *
+ * A tier is null when the results have nothing for it.
+ *
+ * @param {object[]} parts - Formatted search results (allParts)
+ * @param {object} [ranking] - Supplier scoring options; Good and Best use the top-scored part
+ * @returns {{ good: object|null, better: object|null, best: object|null }}
+ */
+function findTierOptions(parts, ranking = null) {
+  const all = (parts || []).filter((p) => p && !isBlacklisted(p, ranking?.brandBlacklist));
+  const aftermarket = all.filter((p) => p.type !== "OEM");
+  const economy = aftermarket.filter((p) => getBrandTier(p) === "economy");
+
+  const good = findBestValue(economy, ranking) || findBestValue(aftermarket, ranking);
+  const goodWarranty = parseWarrantyMonths(good?.warranty);
+  const sameAs = (a, b) => a && b && a.partNumber === b.partNumber && a.supplier === b.supplier;
+
+  const betterCandidates = aftermarket.filter((p) =>
+    !sameAs(p, good) && (getBrandTier(p) === "premium" || parseWarrantyMonths(p.warranty) > goodWarranty)
+  );
+  const inStock = (p) => (p.availability === "In Stock" && p.canOrder !== false ? 1 : 0);
+  const better = [...betterCandidates].sort((a, b) =>
+    inStock(b) - inStock(a) ||
+    (getBrandTier(b) === "premium") - (getBrandTier(a) === "premium") ||
+    parseWarrantyMonths(b.warranty) - parseWarrantyMonths(a.warranty) ||
+    (a.totalCost ?? a.price ?? 0) - (b.totalCost ?? b.price ?? 0)
+  )[0] || null;
+
+  const best = findBestValue(all.filter((p) => p.type === "OEM"), ranking);
+
+  return { good, better, best };
+}
+
 /**
  * Group parts by supplier for comparison view
  */
@@ -186,9 +296,10 @@ function groupBySupplier(parts) {
  * Search multiple parts at once (for complete repair jobs)
  * @param {string} vin
  * @param {Array} partsList - [{partType, position}, ...]
+ * @param {object} [ranking] - Supplier scoring options (supplier-score.js)
  * @returns {object} Combined results with best-value bundle
  */
-async function searchMultipleParts(vin, partsList) {
+async function searchMultipleParts(vin, partsList, ranking = null) {
   const results = await Promise.all(
     partsList.map((p) =>
       searchParts({
@@ -196,6 +307,7 @@ async function searchMultipleParts(vin, partsList) {
         partType: p.partType,
         partNumber: p.partNumber,
         position: p.position,
+        ranking,
       })
     )
   );
@@ -214,6 +326,8 @@ async function searchMultipleParts(vin, partsList) {
       bundle.parts.push({
         requested: partsList[i],
         selected: best,
+        score: results[i].score || null,
+        tiers: results[i].tiers || null,
       });
       bundle.totalCost += best.totalCost;
       bundle.suppliers.add(best.supplier);
@@ -289,10 +403,100 @@ async function lookupVehicle(vin) {
   return response.json();
 }
 
+// ─── Cart + ordering (REST) ───
+// Exercised against scripts/mock-platforms.js only, not the production API —
+// the orchestrator uses it only when PARTSTECH_API_ORDERING=1.
+
+async function partsTechJson(method, apiPath, body = null) {
+  const fetch = (await import("node-fetch")).default;
+  const response = await fetch(`${PARTSTECH_BASE_URL}${apiPath}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${PARTSTECH_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`PartsTech API error: ${response.status} ${data.error || response.statusText}`);
+  }
+  return data;
+}
+
+/**
+ * Add parts to the PartsTech cart. Each part needs the partId + supplierId
+ * from a searchParts() result.
+ * @param {Array} items - [{ partId, supplierId, quantity, partNumber }]
+ * @returns {object} { added, failed: [{ item, error }], cart_summary }
+ *   added items carry the cartItemId of their cart line, for placeOrder()
+ */
+async function addToCart(items) {
+  const added = [];
+  const failed = [];
+  for (const item of items) {
+    if (!item.partId || !item.supplierId) {
+      failed.push({ item, error: "No PartsTech partId/supplierId — part was not priced via the API" });
+      continue;
+    }
+    try {
+      const line = await partsTechJson("POST", "/cart/items", {
+        partId: item.partId,
+        supplierId: item.supplierId,
+        quantity: item.quantity || 1,
+      });
+      added.push({ ...item, cartItemId: line.id });
+    } catch (err) {
+      failed.push({ item, error: err.message });
+    }
+  }
+  return { added, failed, cart_summary: await getCart() };
+}
+
+/**
+ * Current PartsTech cart.
+ * @returns {object} { items, item_count, total, ready_to_order }
+ */
+async function getCart() {
+  const cart = await partsTechJson("GET", "/cart");
+  const items = cart.items || [];
+  return {
+    items,
+    item_count: items.length,
+    total: cart.total ?? items.reduce((sum, i) => sum + (parseFloat(i.price) || 0) * (i.quantity || 1), 0),
+    ready_to_order: items.length > 0,
+  };
+}
+
+/**
+ * Order the given cart lines. The cart is shared by everyone on the shop's
+ * account, so only the lines this order added are submitted.
+ * @param {object} opts
+ * @param {string[]} opts.cartItemIds - addToCart() added[].cartItemId
+ * @param {string} [opts.poNumber] - Shop PO / RO reference
+ * @returns {object} { success, orderId, total, items, error }
+ */
+async function placeOrder({ cartItemIds = [], poNumber = null } = {}) {
+  if (cartItemIds.length === 0) return { success: false, error: "No cart lines to order" };
+  try {
+    const order = await partsTechJson("POST", "/orders", { cartItemIds, ...(poNumber ? { poNumber } : {}) });
+    return { success: true, orderId: order.orderId, total: order.total, items: order.items || [], status: order.status };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
 module.exports = {
   searchParts,
   searchMultipleParts,
   findBestValue,
+  findTierOptions,
+  getBrandTier,
+  parseWarrantyMonths,
   formatForAutoLeap,
   lookupVehicle,
+  addToCart,
+  getCart,
+  placeOrder,
+  TIERS,
 };
@@ -0,0 +1,172 @@
+/**
+ * PartsTech — Supplier Scoring
+ *
+ * Ranks part quotes on more than price: each candidate gets a 0–100 score
+ * from weighted factors, and the breakdown is kept so the advisor can see
+ * why a part was picked.
+ *
+ * Default factors (each 0..1, weighted):
+ *   price         cheapest candidate 1, others cheapest/cost (a part 25% dearer ≈ 0.8)
+ *   availability  in stock 1, orderable with ETA 0.4, otherwise 0
+ *   distance      at the shop 1, DISTANCE_LIMIT_MILES or further 0, unknown 0.5
+ *   preferred     supplier in shop preferences.preferredSuppliers 1, else 0
+ *   returns       return rate 0% → 1, RETURN_RATE_LIMIT or worse 0, unknown 0.5
+ * Brands on preferences.brandBlacklist are excluded outright.
+ *
+ * Pluggable: pass extra or replacement factors ({ name: (part, ctx) => 0..1 })
+ * and weights in the ranking options.
+ */
+
+const DEFAULT_WEIGHTS = {
+  price: 40,
+  availability: 25,
+  distance: 10,
+  preferred: 15,
+  returns: 10,
+};
+
+const DISTANCE_LIMIT_MILES = 50;
+const RETURN_RATE_LIMIT = 0.2;
+
+const norm = (v) => String(v || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const costOf = (p) => Number(p.totalCost ?? p.price ?? 0) || 0;
+
+/**
+ * Loose supplier-name match: "AutoZone" matches "AutoZone Commercial".
+ */
+function supplierMatches(supplier, name) {
+  const a = norm(supplier);
+  const b = norm(name);
+  return !!a && !!b && (a.includes(b) || b.includes(a));
+}
+
+const DEFAULT_FACTORS = {
+  price(part, ctx) {
+    const cost = costOf(part);
+    if (cost <= 0 || ctx.minCost <= 0) return cost <= ctx.minCost ? 1 : 0;
+    return ctx.minCost / cost;
+  },
+
+  availability(part) {
+    if (part.availability === "In Stock" && part.canOrder !== false) return 1;
+    if (part.canOrder !== false && part.availability && part.availability !== "Out of Stock") return 0.4;
+    return 0;
+  },
+
+  distance(part) {
+    const miles = Number(part.supplierDistance);
+    if (part.supplierDistance == null || !Number.isFinite(miles)) return 0.5;
+    return Math.max(0, 1 - miles / DISTANCE_LIMIT_MILES);
+  },
+
+  preferred(part, ctx) {
+    return ctx.preferredSuppliers.some((s) => supplierMatches(part.supplier, s)) ? 1 : 0;
+  },
+
+  returns(part, ctx) {
+    const entry = Object.entries(ctx.returnRates).find(([s]) => supplierMatches(part.supplier, s));
+    const rate = Number(entry?.[1]);
+    if (!entry || !Number.isFinite(rate)) return 0.5;
+    return Math.max(0, 1 - rate / RETURN_RATE_LIMIT);
+  },
+};
+
+/**
+ * Ranking options from the shop config (shop-management getShopConfig format).
+ *
+ * @param {object} shopConfig
+ * @returns {object} { preferredSuppliers, brandBlacklist, returnRates, weights }
+ */
+function rankingFromShopConfig(shopConfig) {
+  const prefs = shopConfig?.preferences || {};
+  return {
+    preferredSuppliers: prefs.preferredSuppliers || [],
+    brandBlacklist: prefs.brandBlacklist || [],
+    returnRates: prefs.supplierReturnRates || {},
+    weights: prefs.supplierWeights || undefined,
+  };
+}
+
+/**
+ * Whether a brand is on the blacklist (case/punctuation-insensitive).
+ */
+function isBlacklisted(part, brandBlacklist = []) {
+  const brand = norm(part?.brand);
+  return !!brand && brandBlacklist.some((b) => norm(b) && brand.startsWith(norm(b)));
+}
+
+/**
+ * Score and rank part candidates.
+ *
+ * @param {object[]} parts - Formatted PartsTech results
+ * @param {object} [ranking]
+ * @param {string[]} [ranking.preferredSuppliers]
+ * @param {string[]} [ranking.brandBlacklist] - Brands never picked
+ * @param {object} [ranking.returnRates] - { supplierName: 0..1 } historical return rate
+ * @param {object} [ranking.weights] - Overrides DEFAULT_WEIGHTS (0 disables a factor)
+ * @param {object} [ranking.factors] - Extra or replacement factors: { name: (part, ctx) => 0..1 }
+ * @returns {object[]} [{ part, score, breakdown: { factor: { value, weight, points } } }], best first;
+ *   blacklisted brands are left out
+ */
+function rankParts(parts, ranking = {}) {
+  const candidates = (parts || []).filter((p) => p && !isBlacklisted(p, ranking.brandBlacklist));
+  if (candidates.length === 0) return [];
+
+  const factors = { ...DEFAULT_FACTORS, ...(ranking.factors || {}) };
+  const weights = { ...DEFAULT_WEIGHTS, ...(ranking.weights || {}) };
+  const ctx = {
+    minCost: Math.min(...candidates.map(costOf)),
+    preferredSuppliers: ranking.preferredSuppliers || [],
+    returnRates: ranking.returnRates || {},
+  };
+
+  const totalWeight = Object.keys(factors).reduce((sum, name) => sum + (Number(weights[name]) || 0), 0) || 1;
+
+  const ranked = candidates.map((part) => {
+    const breakdown = {};
+    let score = 0;
+    for (const [name, fn] of Object.entries(factors)) {
+      const weight = Number(weights[name]) || 0;
+      if (weight <= 0) continue;
+      const value = Math.min(1, Math.max(0, Number(fn(part, ctx)) || 0));
+      const points = Math.round((value * weight / totalWeight) * 1000) / 10;
+      breakdown[name] = { value: Math.round(value * 100) / 100, weight, points };
+      score += points;
+    }
+    return { part, score: Math.round(score * 10) / 10, breakdown };
+  });
+
+  // Ties keep the cheaper part
+  return ranked.sort((a, b) => b.score - a.score || costOf(a.part) - costOf(b.part));
+}
+
+/**
+ * One-line explanation of a ranked pick for the advisor.
+ * e.g. "score 86.5 — in stock, preferred supplier, 3.2 mi, cheapest of 4"
+ *
+ * @param {object} entry - rankParts() entry
+ * @param {number} [candidateCount]
+ * @returns {string}
+ */
+function explainScore(entry, candidateCount) {
+  if (!entry) return "";
+  const { part, breakdown } = entry;
+  const reasons = [];
+  if (breakdown.availability) reasons.push(breakdown.availability.value === 1 ? "in stock" : part.availability || "not in stock");
+  if (breakdown.preferred?.value === 1) reasons.push("preferred supplier");
+  if (breakdown.distance && part.supplierDistance != null) reasons.push(`${part.supplierDistance} mi`);
+  if (breakdown.returns && breakdown.returns.value !== 0.5) reasons.push(`return score ${breakdown.returns.value}`);
+  if (breakdown.price && candidateCount > 1) {
+    reasons.push(breakdown.price.value === 1 ? `cheapest of ${candidateCount}` : `price score ${breakdown.price.value}`);
+  }
+  return `score ${entry.score}${reasons.length ? ` — ${reasons.join(", ")}` : ""}`;
+}
+
+module.exports = {
+  rankParts,
+  explainScore,
+  rankingFromShopConfig,
+  isBlacklisted,
+  DEFAULT_WEIGHTS,
+  DEFAULT_FACTORS,
+};
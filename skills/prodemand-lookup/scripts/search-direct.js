@@ -1,8 +1,9 @@
 /**
  * ProDemand Direct Browser Search — Puppeteer
  *
- * Connects to Chrome via CDP (port 18800) and automates ProDemand's
- * 1SEARCH interface to find Real Fixes, labor times, and DTC test plans.
+ * Connects to Chrome via CDP (the leased browser worker's port — 18800 by
+ * default) and automates ProDemand's 1SEARCH interface to find Real Fixes,
+ * labor times, and DTC test plans.
  *
  * KEY FACTS discovered from live inspection:
  *   - ProDemand uses sessionStorage auth — can't navigate away after login
@@ -20,12 +21,13 @@
  */
 
 const { createLogger, generateRunId } = require("../../shared/logger");
+const { currentWorker, leaseTab } = require("../../shared/browser-pool");
+const { matchEngineOption } = require("../../shared/vehicle-identity");
 
 const LOG = "[prodemand-direct]";
 const PRODEMAND_URL = process.env.PRODEMAND_URL || "https://www.prodemand.com";
 const PRODEMAND_USERNAME = process.env.PRODEMAND_USERNAME;
 const PRODEMAND_PASSWORD = process.env.PRODEMAND_PASSWORD;
-const CHROME_DEBUG_PORT = 18800;
 
 // --- Selector contract ---
 const SELECTORS = {
@@ -85,7 +87,7 @@ async function getBrowser() {
   if (!puppeteer) throw new Error("puppeteer-core not installed");
 
   const browser = await puppeteer.connect({
-    browserURL: `http://127.0.0.1:${CHROME_DEBUG_PORT}`,
+    browserURL: currentWorker().cdpUrl,
     defaultViewport: { width: 1280, height: 900 },
     protocolTimeout: 60000,
   });
@@ -96,6 +98,7 @@ async function getBrowser() {
   const appPage = pages.find((p) => p.url().includes("www2.prodemand.com"));
   if (appPage) {
     appPage.setDefaultTimeout(45000);
+    leaseTab(appPage, "prodemand");
     console.log(`${LOG} Reusing existing ProDemand session`);
     return { browser, page: appPage, reusingSession: true };
   }
@@ -103,6 +106,7 @@ async function getBrowser() {
   // Use pages[0] for login — don't create a new tab (sessionStorage is per-tab)
   const page = pages.length > 0 ? pages[0] : await browser.newPage();
   page.setDefaultTimeout(45000);
+  leaseTab(page, "prodemand");
   return { browser, page, reusingSession: false };
 }
 
@@ -287,17 +291,24 @@ async function getActiveTab(page) {
  *   3. Pick any remaining unselected options (body style, transmission type, etc.)
  *   4. Click "Use This Vehicle" to confirm and close the modal
  *
+ * The Engine step matches the qualifiers against the resolved engine identity
+ * (shared/vehicle-identity.js) first; only when none of them is that engine
+ * does it fall back to the displacement text and the gas-engine scorer, and
+ * engineMatch.matched comes back false.
+ *
  * @param {object} page
- * @param {object} vehicle - { year, make, model, engine }
- * @returns {boolean} true if vehicle was confirmed
+ * @param {object} vehicle - { year, make, model, engine, engineIdentity }
+ * @returns {{ confirmed: boolean, engineMatch: object|null }} engineMatch: matchEngineOption() result
+ *   plus `picked`, or null if ProDemand never showed an Engine step
  */
-async function selectVehicle(page, { year, make, model, engine }) {
+async function selectVehicle(page, { year, make, model, engine, engineIdentity }) {
   const wantedValues = {
     year: String(year),
     make,
     model,
     engine: engine || "",
   };
+  let engineMatch = null;
 
   // Phase 1: Select Year → Make → Model → Engine → Submodel
   for (let step = 0; step < 8; step++) {
@@ -314,7 +325,10 @@ async function selectVehicle(page, { year, make, model, engine }) {
     else if (activeTab === "make") picked = await clickQualifier(page, wantedValues.make);
     else if (activeTab === "model") picked = await clickQualifier(page, wantedValues.model);
     else if (activeTab === "engine") {
-      picked = wantedValues.engine ? await clickQualifier(page, wantedValues.engine) : null;
+      engineMatch = matchEngineOption(qualifiers, engineIdentity || null);
+      console.log(`${LOG} Engine identity: ${engineIdentity?.label || "(unknown)"} — ${engineMatch.reason}`);
+      if (engineMatch.matched) picked = await clickQualifier(page, engineMatch.text);
+      if (!picked && wantedValues.engine && !engineIdentity) picked = await clickQualifier(page, wantedValues.engine);
       if (!picked) {
         // No engine specified — score ALL options (selected and unselected) for audit log
         const engineAudit = await page.evaluate((sel) => {
@@ -374,6 +388,7 @@ async function selectVehicle(page, { year, make, model, engine }) {
       picked = await clickQualifier(page, qualifiers[0]);
     }
 
+    if (activeTab === "engine" && engineMatch) engineMatch.picked = picked;
     if (!picked) {
       console.log(`${LOG} Could not pick on step ${step + 1} (${activeTab})`);
       break;
@@ -464,7 +479,7 @@ async function selectVehicle(page, { year, make, model, engine }) {
     (sel) => document.querySelector(sel)?.innerText?.trim() || "", SELECTORS.vehicleDetails
   );
   console.log(`${LOG} Breadcrumb: ${breadcrumb || "(empty)"}`);
-  return true;
+  return { confirmed, engineMatch };
 }
 
 // ── Search & Navigation ───────────────────────────────────────────────────────
@@ -1115,7 +1130,9 @@ async function extractTestPlanFallback(page) {
  * @param {string} params.make
  * @param {string} params.model
  * @param {string} [params.engine] - e.g. "2.0L"
+ * @param {object} [params.engineIdentity] - shared/vehicle-identity resolveEngineIdentity() result
  * @param {string} params.query - DTC code or symptom
+ * @param {AbortSignal} [params.signal] - Estimate job cancel / time limit, checked between steps
  * @returns {object} ProDemand search results
  */
 async function search(params) {
@@ -1126,8 +1143,8 @@ async function search(params) {
     return { error: "puppeteer-core not installed" };
   }
 
-  const { vin, year, make, model, engine, query } = params;
-  log.info("search started", { year, make, model, engine, query });
+  const { vin, year, make, model, engine, engineIdentity, query, signal } = params;
+  log.info("search started", { year, make, model, engine, engineCode: engineIdentity?.code || null, query });
 
   let browser;
   try {
@@ -1148,19 +1165,23 @@ async function search(params) {
     }
 
     // Step 2: Check if vehicle is already selected (saves 10-20s on repeat calls)
+    signal?.throwIfAborted();
     const currentBreadcrumb = await page.evaluate(
       (sel) => document.querySelector(sel)?.innerText?.trim() || "", SELECTORS.vehicleDetails
     );
     const targetKey = `${year}${make}${model}`.replace(/\s+/g, "").toLowerCase();
-    const hasBadEngine = /electric|plugin|plug.?in/i.test(currentBreadcrumb);
+    // A breadcrumb naming a different engine (1.5L when we want the 2.0L) needs reselecting
+    const hasBadEngine = /electric|plugin|plug.?in/i.test(currentBreadcrumb)
+      || (engineIdentity && matchEngineOption([currentBreadcrumb], engineIdentity).conflict);
     const alreadySelected = currentBreadcrumb.replace(/\s+/g, "").toLowerCase().includes(targetKey.substring(0, 12)) && !hasBadEngine;
 
+    let engineMatch = null;
     if (alreadySelected) {
       console.log(`${LOG} Vehicle already selected: ${currentBreadcrumb} — skipping selector`);
     } else {
       // Step 3a: Navigate to 1SEARCH and select vehicle
       await goToOneSearch(page);
-      await selectVehicle(page, { year, make, model, engine });
+      ({ engineMatch } = await selectVehicle(page, { year, make, model, engine, engineIdentity }));
     }
 
     // Step 3: (alias for logging clarity)
@@ -1170,6 +1191,7 @@ async function search(params) {
     }
 
     // Step 4: Search and navigate to cards view
+    signal?.throwIfAborted();
     const { success: searched, cardsUrl } = await performSearch(page, query);
     if (!searched) {
       return {
@@ -1184,10 +1206,12 @@ async function search(params) {
     }
 
     // Step 5: Extract Real Fixes (click cardRealFixes from cards view)
+    signal?.throwIfAborted();
     await ensureCardsView(page, cardsUrl);
     const realFixes = await extractRealFixes(page);
 
     // Step 6: Extract Labor (navigate back to cards, click cardPartsLabor)
+    signal?.throwIfAborted();
     await ensureCardsView(page, cardsUrl);
     let laborTimes = await extractLaborTimes(page);
 
@@ -1197,6 +1221,7 @@ async function search(params) {
       if (synonyms.length > 0 && synonyms[0] !== query) {
         console.log(`${LOG} No labor found — trying ${synonyms.length} synonym(s): ${synonyms.slice(0, 3).join(", ")}`);
         for (const syn of synonyms) {
+          signal?.throwIfAborted();
           const synClicked = await page.evaluate((synText) => {
             const allH2s = Array.from(document.querySelectorAll("h2, li h2, .itemCollapsableHeader h2"));
             const match = allH2s.find((el) => el.textContent.trim().toLowerCase().includes(synText.toLowerCase()));
@@ -1244,6 +1269,7 @@ async function search(params) {
     return {
       source: "ProDemand (direct)",
       vehicle: { vin, year, make, model, engine },
+      engineMatch,
       query,
       realFixes,
       laborTimes,
@@ -1253,6 +1279,8 @@ async function search(params) {
       cardsUrl,
     };
   } catch (err) {
+    // Cancelled / over the job time limit — let the orchestrator see the abort
+    if (signal?.aborted) throw err;
     log.error("search failed", { error: err.message });
     return {
       source: "ProDemand (direct)",
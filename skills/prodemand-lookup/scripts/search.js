@@ -43,9 +43,10 @@ function hasTapeApi() {
  * @param {string} params.vin - Vehicle VIN (required for TAPE)
  * @param {string} params.query - Search term
  * @param {string} [params.intent] - TAPE intent: Labor, Parts, Fluids, Maintenance, Wiring, TSB, DTC
+ * @param {AbortSignal} [params.signal] - Estimate job cancel / time limit — aborts the request
  * @returns {object} API response
  */
-async function searchViaTape({ vin, query, intent }) {
+async function searchViaTape({ vin, query, intent, signal }) {
   const fetch = (await import("node-fetch")).default;
 
   console.log(`${LOG} TAPE API: ${intent || "Labor"} — ${query}`);
@@ -61,6 +62,7 @@ async function searchViaTape({ vin, query, intent }) {
       intent: intent || "Labor",
       searchTerm: query,
     }),
+    signal: signal || undefined,
   });
 
   if (!response.ok) {
@@ -319,7 +321,7 @@ function extractDtcTestPlan(elements) {
  * @param {string} params.query
  * @returns {object} Structured ProDemand results
  */
-async function searchViaBrowser({ vin, year, make, model, engine, query }) {
+async function searchViaBrowser({ vin, year, make, model, engine, query, signal }) {
   console.log(`${LOG} Browser search: ${year} ${make} ${model} — ${query}`);
 
   // Step 1: Login
@@ -338,6 +340,7 @@ async function searchViaBrowser({ vin, year, make, model, engine, query }) {
   }
 
   // Step 2: Select vehicle
+  signal?.throwIfAborted();
   const vehicleResult = browser.selectVehicle({ vin, year, make, model, engine }, LOG);
   if (!vehicleResult.success) {
     console.error(`${LOG} Vehicle selection failed: ${vehicleResult.error}`);
@@ -353,6 +356,7 @@ async function searchViaBrowser({ vin, year, make, model, engine, query }) {
   }
 
   // Step 3: Navigate to Real Fixes section if available
+  signal?.throwIfAborted();
   const elements = browser.getPageElements();
   let realFixRef = browser.findRef(elements, "real fix");
   if (!realFixRef) realFixRef = browser.findRef(elements, "real fixes");
@@ -373,6 +377,7 @@ async function searchViaBrowser({ vin, year, make, model, engine, query }) {
   }
 
   // Step 5: Extract data
+  signal?.throwIfAborted();
   const realFixes = extractRealFixes();
   const laborTimes = extractLaborTimes();
   const partNumbers = extractPartNumbers();
@@ -404,6 +409,7 @@ async function searchViaBrowser({ vin, year, make, model, engine, query }) {
  * @param {string} [params.engine]
  * @param {string} params.query
  * @param {string} [params.intent] - TAPE intent (Labor, Parts, etc.)
+ * @param {AbortSignal} [params.signal] - Estimate job cancel / time limit
  * @returns {object} Search results from TAPE API or browser
  */
 async function search(params) {
@@ -418,6 +424,7 @@ async function search(params) {
     try {
       return await searchViaTape(params);
     } catch (err) {
+      if (params.signal?.aborted) throw err;
       console.error(`${LOG} TAPE API failed: ${err.message} — falling back to browser`);
     }
   }
@@ -0,0 +1,272 @@
+"use strict";
+
+// skills/shared/browser-pool.js
+// Browser worker pool. Each worker owns one Chrome — an OpenClaw browser
+// profile with its own CDP port and user-data dir — so estimates running on
+// different workers never share tabs, cookies or sessionStorage logins.
+// job-queue.js runs one estimate per worker: queue concurrency = pool size.
+//
+// The leased worker travels with the job in AsyncLocalStorage instead of as a
+// parameter: browser helpers (browser.js, playbooks, ProDemand direct) are
+// called from dozens of places deep inside the research skills. Code running
+// outside a job (CLI scripts, health checks) gets the first worker — the
+// single Chrome on port 18800 when the pool isn't configured.
+//
+// Configure with SAM_BROWSER_WORKERS=<profile>:<cdpPort>,... e.g.
+//   SAM_BROWSER_WORKERS=openclaw:18800,sam-18801:18801,sam-18802:18802
+//
+// Every gateway process (telegram, whatsapp, slack, api) builds its own pool
+// from the same list, so a lease is also claimed across processes: a lock file
+// per CDP port in SAM_BROWSER_LOCK_DIR holding the owner's pid. A worker locked
+// by another live process is skipped; a lock left by a dead one is taken over.
+//
+// Note: the OpenClaw CLI helpers in browser.js are synchronous
+// (execFileSync), so those steps still take turns on the event loop; the
+// puppeteer/Playwright steps (ProDemand direct, AutoLeap playbook) overlap.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const { TabManager } = require("./tab-manager");
+
+const LOG = "[browser-pool]";
+const DEFAULT_PROFILE = process.env.OPENCLAW_BROWSER_PROFILE || "openclaw";
+const DEFAULT_CDP_PORT = parseInt(process.env.CHROME_DEBUG_PORT, 10) || 18800;
+const LOCK_DIR = process.env.SAM_BROWSER_LOCK_DIR || path.join(os.tmpdir(), "sam-browser-workers");
+// How often a run waiting on workers locked by other processes looks again
+const LOCK_RETRY_MS = 2000;
+
+/**
+ * Parse SAM_BROWSER_WORKERS into worker records. Malformed or duplicate
+ * entries are skipped; an empty list falls back to the single default Chrome.
+ *
+ * @param {string} [raw]
+ * @returns {object[]} [{ id, profile, cdpPort, cdpUrl, runId, tabs }]
+ */
+function parseWorkers(raw = process.env.SAM_BROWSER_WORKERS) {
+  const specs = [];
+  const seen = new Set();
+
+  for (const entry of String(raw || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [profile, portText] = entry.split(":").map((s) => s.trim());
+    const cdpPort = parseInt(portText, 10);
+    if (!profile || !(cdpPort > 0 && cdpPort < 65536)) {
+      console.warn(`${LOG} Ignoring worker "${entry}" — expected <profile>:<cdpPort>`);
+      continue;
+    }
+    if (seen.has(profile) || seen.has(cdpPort)) {
+      console.warn(`${LOG} Ignoring worker "${entry}" — profile or port already in use`);
+      continue;
+    }
+    seen.add(profile).add(cdpPort);
+    specs.push({ profile, cdpPort });
+  }
+
+  if (specs.length === 0) specs.push({ profile: DEFAULT_PROFILE, cdpPort: DEFAULT_CDP_PORT });
+
+  return specs.map(({ profile, cdpPort }, i) => ({
+    id: `w${i + 1}`,
+    profile,
+    cdpPort,
+    cdpUrl: `http://127.0.0.1:${cdpPort}`,
+    runId: null,
+    tabs: new TabManager(),
+  }));
+}
+
+// Module-level singletons — one pool per process; other processes are kept
+// off its workers by the lock files
+const workers = parseWorkers();
+const idle = [...workers];
+const waiting = []; // resolve callbacks, FIFO
+const storage = new AsyncLocalStorage();
+let retryTimer = null;
+
+// ── Cross-process locks ──────────────────────────────────────────────────────
+
+function lockPath(worker) {
+  return path.join(LOCK_DIR, `${worker.cdpPort}.lock`);
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Claim the worker's lock file for this process. A lock whose owner is no
+ * longer running is removed and claimed.
+ *
+ * @returns {boolean} false when another live process holds the worker
+ */
+function claimLock(worker) {
+  const file = lockPath(worker);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.mkdirSync(LOCK_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ pid: process.pid, at: new Date().toISOString() }), { flag: "wx" });
+      return true;
+    } catch (err) {
+      if (err.code !== "EEXIST") {
+        // Locking unavailable (read-only tmp) — fall back to the in-process lease
+        console.warn(`${LOG} Can't lock worker ${worker.id}: ${err.message}`);
+        return true;
+      }
+    }
+    const owner = readLock(file);
+    if (owner?.pid === process.pid) return true;
+    if (owner && pidAlive(owner.pid)) return false;
+    console.warn(`${LOG} Taking over worker ${worker.id} from dead process ${owner?.pid ?? "?"}`);
+    try { fs.unlinkSync(file); } catch (_) {}
+  }
+  return false;
+}
+
+function readLock(file) {
+  try {
+    const owner = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Number.isInteger(owner?.pid) ? owner : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Remove the worker's lock file if this process holds it */
+function releaseLock(worker) {
+  const file = lockPath(worker);
+  if (readLock(file)?.pid !== process.pid) return;
+  try { fs.unlinkSync(file); } catch (_) {}
+}
+
+// Locks held at exit would otherwise wait for the pid check
+process.on("exit", () => workers.filter((w) => !idle.includes(w)).forEach(releaseLock));
+
+// ── Leases ───────────────────────────────────────────────────────────────────
+
+/**
+ * Hand idle workers to waiting runs, FIFO. An idle worker locked by another
+ * process is skipped; while every idle worker is, look again in LOCK_RETRY_MS.
+ */
+function dispatch() {
+  while (waiting.length > 0 && idle.length > 0) {
+    const index = idle.findIndex(claimLock);
+    if (index === -1) break;
+    const [worker] = idle.splice(index, 1);
+    waiting.shift()(worker);
+  }
+  if (waiting.length > 0 && idle.length > 0 && !retryTimer) {
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      dispatch();
+    }, LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Lease a free worker for a run. Resolves as soon as a worker is idle here and
+ * not locked by another process, otherwise waits in FIFO order.
+ *
+ * @param {string} runId - Owner recorded on the worker and its tabs
+ * @returns {Promise<object>} worker
+ */
+function acquireWorker(runId) {
+  return new Promise((resolve) => {
+    waiting.push((worker) => {
+      worker.runId = runId;
+      resolve(worker);
+    });
+    dispatch();
+  });
+}
+
+/**
+ * Return a worker to the pool. Tabs the run still holds are released so the
+ * next run starts with a clean lease table.
+ *
+ * @param {object} worker
+ */
+function releaseWorker(worker) {
+  if (!worker || !workers.includes(worker)) return;
+  if (worker.runId) worker.tabs.releaseRun(worker.runId);
+  worker.runId = null;
+  if (!idle.includes(worker)) {
+    releaseLock(worker);
+    idle.push(worker);
+  }
+  dispatch();
+}
+
+/**
+ * Run fn with `worker` as the current worker for everything it awaits.
+ *
+ * @param {object} worker
+ * @param {function(): *} fn
+ * @returns {*} fn's return value
+ */
+function runWithWorker(worker, fn) {
+  return storage.run(worker, fn);
+}
+
+/**
+ * The worker leased to the current job, or the first worker outside a job.
+ * @returns {object}
+ */
+function currentWorker() {
+  return storage.getStore() || workers[0];
+}
+
+// Stable ids for page objects — puppeteer and the Playwright shim don't share one
+const pageIds = new WeakMap();
+let nextPageId = 1;
+
+/**
+ * Lease a browser tab to the current worker's run. Throws if another run
+ * already holds it — a sign two jobs ended up on the same Chrome.
+ *
+ * @param {object} page - puppeteer Page or pw-shim page
+ * @param {string} platform - e.g. "autoleap", "prodemand"
+ * @returns {string} tabId
+ */
+function leaseTab(page, platform) {
+  const worker = currentWorker();
+  if (!pageIds.has(page)) pageIds.set(page, `${worker.id}-tab-${nextPageId++}`);
+  const tabId = pageIds.get(page);
+  const runId = worker.runId || "cli";
+  if (!worker.tabs.lease(tabId, platform, runId)) {
+    const holder = worker.tabs.getInfo(tabId);
+    throw new Error(`${platform} tab ${tabId} on ${worker.profile} is leased by run ${holder.runId}`);
+  }
+  return tabId;
+}
+
+/**
+ * Pool snapshot for /health and logs.
+ * @returns {object[]} [{ id, profile, cdpPort, busy, runId, tabs }]
+ */
+function getPoolStatus() {
+  return workers.map((w) => ({
+    id: w.id,
+    profile: w.profile,
+    cdpPort: w.cdpPort,
+    busy: !idle.includes(w),
+    runId: w.runId,
+    tabs: w.runId ? w.tabs.getTabsForRun(w.runId).length : 0,
+  }));
+}
+
+module.exports = {
+  parseWorkers,
+  acquireWorker,
+  releaseWorker,
+  runWithWorker,
+  currentWorker,
+  leaseTab,
+  getPoolStatus,
+  workers,
+  POOL_SIZE: workers.length,
+};
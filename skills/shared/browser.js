@@ -20,8 +20,10 @@
  */
 
 const { execFileSync } = require("child_process");
+const { currentWorker } = require("./browser-pool");
 
 // --- Config ---
+// Default profile; inside an estimate job commands go to the leased worker's profile
 const BROWSER_PROFILE = process.env.OPENCLAW_BROWSER_PROFILE || "openclaw";
 const EXEC_TIMEOUT = parseInt(process.env.OPENCLAW_EXEC_TIMEOUT, 10) || 30000;
 
@@ -33,13 +35,15 @@ const EXEC_TIMEOUT = parseInt(process.env.OPENCLAW_EXEC_TIMEOUT, 10) || 30000;
  * Run an OpenClaw browser CLI command with argument array (no shell).
  * Uses execFileSync to avoid command injection.
  *
+ * Targets the current browser worker's profile (see browser-pool.js).
+ *
  * @param {...string} args - Arguments after "openclaw browser --browser-profile <profile>"
  * @returns {string} Command stdout
  */
 function browserCmd(...args) {
   return execFileSync(
     "openclaw",
-    ["browser", "--browser-profile", BROWSER_PROFILE, ...args],
+    ["browser", "--browser-profile", currentWorker().profile, ...args],
     { encoding: "utf-8", timeout: EXEC_TIMEOUT }
   );
 }
@@ -0,0 +1,109 @@
+"use strict";
+
+// skills/shared/checkpoint-store.js
+// Per-step checkpoints for resumable estimate runs. buildEstimate() saves its
+// pipeline state after every step that succeeds, keyed by runId; a retry of
+// the same runId restores the last good state instead of repeating browser work.
+// Supabase-backed (sam_run_checkpoints); falls back to an in-memory Map when
+// SUPABASE_URL or SUPABASE_ANON_KEY are absent (tests, local dev).
+
+const { createClient } = require("@supabase/supabase-js");
+
+const LOG = "[checkpoint-store]";
+const TABLE = "sam_run_checkpoints";
+// Older checkpoints aren't resumed — parts pricing and stock have moved on
+const TTL_MS = 24 * 60 * 60 * 1000;
+// In-memory fallback keeps only the most recent runs
+const MEM_MAX_RUNS = 50;
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_ANON_KEY;
+
+let supabase = null;
+if (SUPABASE_URL && SUPABASE_KEY) {
+  supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+}
+
+// runId -> Map(step -> { state, saved_at }) — only used when Supabase is not configured
+const memStore = new Map();
+
+/**
+ * saveCheckpoint — record the pipeline state after a step. Stores a JSON copy,
+ * so later mutations by the pipeline don't leak into the checkpoint.
+ * Never throws — a lost checkpoint only means a retry repeats that step.
+ *
+ * @param {string} runId
+ * @param {string} step   Pipeline step id (e.g. "research", "parts")
+ * @param {object} state  { results, jobs }
+ * @returns {Promise<boolean>}  true if saved
+ */
+async function saveCheckpoint(runId, step, state) {
+  if (!runId || !step) return false;
+
+  let copy;
+  try {
+    copy = JSON.parse(JSON.stringify(state));
+  } catch (err) {
+    console.error(`${LOG} ${runId}/${step} not serializable: ${err.message}`);
+    return false;
+  }
+  const savedAt = new Date().toISOString();
+
+  if (supabase) {
+    try {
+      const { error } = await supabase.from(TABLE)
+        .upsert({ run_id: runId, step, state: copy, saved_at: savedAt }, { onConflict: "run_id,step" });
+      if (error) throw new Error(error.message);
+      return true;
+    } catch (err) {
+      console.error(`${LOG} save error (${runId}/${step}): ${err.message}`);
+      return false;
+    }
+  }
+
+  // Re-inserted so the Map stays in least-recently-saved order
+  const steps = memStore.get(runId) || new Map();
+  memStore.delete(runId);
+  steps.set(step, { state: copy, saved_at: savedAt });
+  memStore.set(runId, steps);
+  while (memStore.size > MEM_MAX_RUNS) memStore.delete(memStore.keys().next().value);
+  return true;
+}
+
+/**
+ * getCheckpoints — saved states for a run, skipping any older than 24 hours.
+ *
+ * @param {string} runId
+ * @returns {Promise<object>}  { [step]: state } — empty when nothing is saved
+ */
+async function getCheckpoints(runId) {
+  if (!runId) return {};
+  const cutoff = new Date(Date.now() - TTL_MS).toISOString();
+
+  if (supabase) {
+    try {
+      const { data, error } = await supabase.from(TABLE)
+        .select("step, state")
+        .eq("run_id", runId)
+        .gte("saved_at", cutoff);
+      if (error) throw new Error(error.message);
+      return Object.fromEntries((data || []).map((row) => [row.step, row.state]));
+    } catch (err) {
+      console.error(`${LOG} getCheckpoints error: ${err.message}`);
+      return {};
+    }
+  }
+
+  const steps = memStore.get(runId);
+  if (!steps) return {};
+  const saved = {};
+  for (const [step, { state, saved_at }] of steps) {
+    if (saved_at >= cutoff) saved[step] = JSON.parse(JSON.stringify(state));
+  }
+  return saved;
+}
+
+module.exports = {
+  saveCheckpoint,
+  getCheckpoints,
+};
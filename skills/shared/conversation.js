@@ -10,26 +10,31 @@
 // tests can run without real API calls or configured services.
 
 const sessionStore = require("./session-store");
-const { enqueueEstimate, getStatus } = require("./job-queue");
-const { createLogger } = require("./logger");
+const { enqueueEstimate, getStatus, cancelEstimate, getJobHistory } = require("./job-queue");
+const { createLogger, generateRunId } = require("./logger");
+const llm = require("./llm-client");
+const { validateVin } = require("../vin-decoder/scripts/decode");
 
 const log = createLogger("conversation");
 const LOG = "[conversation]";
 
 const MAX_HISTORY = 20;
 const HISTORY_SUMMARY_MAX = 200;
+const CANCEL_COMMANDS = new Set(["cancel", "/cancel", "cancel estimate"]);
 
 // ── Conditional imports for pipeline / autoleap ──────────────────────────────
 // Same guard pattern used by other browser skills — prevents require errors
 // in test environments where AUTOLEAP_EMAIL is not set.
 
-let buildEstimate, handleOrderRequest, handleApprovalAndOrder;
+let buildEstimate, getResumePoint, handleOrderRequest, handleApprovalAndOrder, reviseEstimate;
 try {
   if (process.env.AUTOLEAP_EMAIL) {
     const orch = require("../estimate-builder/scripts/orchestrator");
     buildEstimate = orch.buildEstimate;
+    getResumePoint = orch.getResumePoint;
     handleOrderRequest = orch.handleOrderRequest;
     handleApprovalAndOrder = orch.handleApprovalAndOrder;
+    reviseEstimate = orch.reviseEstimate;
   }
 } catch (_) {}
 
@@ -43,6 +48,26 @@ try {
   }
 } catch (_) {}
 
+// Diagnosis feedback loop — requires Supabase at call time, not at require time
+let recordOutcome, learnFromOutcome;
+try {
+  const feedback = require("../ai-diagnostics/scripts/feedback");
+  recordOutcome = feedback.recordOutcome;
+  learnFromOutcome = feedback.learnFromOutcome;
+} catch (_) {}
+
+// Declined-work tracker — Supabase when configured, in-memory otherwise
+let captureDeclinedWork, getDeferredWork, updateDeferredStatus;
+try {
+  const deferredWork = require("./deferred-work");
+  captureDeclinedWork = deferredWork.captureDeclinedWork;
+  getDeferredWork = deferredWork.getDeferredWork;
+  updateDeferredStatus = deferredWork.updateStatus;
+} catch (_) {}
+
+// Declined-work reminders kept on a chat's session for the advisor's reply
+const MAX_REMINDERS = 10;
+
 let formatForWhatsApp, getErrorMessage;
 try {
   const fmt = require("../whatsapp-gateway/scripts/formatter");
@@ -88,6 +113,8 @@ function makeSessionAdapter(injectedStore) {
 // ── Error translation ─────────────────────────────────────────────────────────
 
 const CHAT_ERROR_MESSAGES = {
+  "estimate cancelled": "Estimate cancelled.",
+  "estimate timed out": "That estimate hit the time limit and was stopped — a research site may be hanging. Try sending the job again.",
   "no autoleap credentials": "AutoLeap isn't configured — set AUTOLEAP_EMAIL to enable estimate creation.",
   "autoleap_email": "AutoLeap isn't configured — set AUTOLEAP_EMAIL.",
   "timeout": "That took longer than expected. Try sending the job again.",
@@ -120,7 +147,7 @@ function translateError(rawError) {
  * @param {object|null} lastEstimate - Most recent estimate from session (optional)
  * @returns {string}
  */
-function buildSystemPrompt(lastEstimate) {
+function buildSystemPrompt(lastEstimate, deferredReminders = []) {
   let prompt = `You are SAM, an AI Service Advisor for auto repair shops. Technicians and shop owners text you throughout the day.
 
 PERSONALITY:
@@ -173,7 +200,39 @@ CLEANUP COMMANDS:
 - When a user says "delete that", "delete the estimate", "remove that test", or similar cleanup language, call the cleanup_estimate tool.
 - Before calling cleanup_estimate, ALWAYS ask: "Delete just the estimate, or also the customer record?" Wait for the user's answer before calling the tool.
 - Use their answer to set delete_customer_vehicle: true (if they say "customer too", "both", "everything") or false (if they say "just the estimate", "estimate only", "just that").
-- The tool will show a confirmation with full details (RO#, customer name, vehicle, total) before deleting. This confirmation happens inside the tool — do not add a separate preview.`;
+- The tool will show a confirmation with full details (RO#, customer name, vehicle, total) before deleting. This confirmation happens inside the tool — do not add a separate preview.
+
+OUTCOME REPORTS:
+- When a tech reports what the problem actually turned out to be on the most recent estimate ("the Civic was actually the upstream O2, 1.2 hrs", "it was the cat like you said"), call record_outcome. On a multi-job estimate pass the job it was for; if the tech didn't say, ask.
+- Set was_correct true only if the actual cause matches the top diagnosis; false otherwise.
+- Pass labor hours, parts used and any notes they mention. Do not ask follow-up questions for missing optional details.
+- Set fixed false only if the tech says the repair did NOT cure the problem.
+
+PARTIAL APPROVALS:
+- When the customer approved some jobs and declined others ("approved the brakes, declined the cat"), call customer_approved with approved_jobs and declined_jobs using the words the user used.
+- Plain "customer approved" with no specifics approves everything — pass no job lists.
+- If the customer picked a Good / Better / Best option ("approved, the better option"), pass it as tier.
+
+REVISIONS:
+- When the user wants to change the most recent estimate ("swap to OEM pads", "drop the rotors", "add 0.5 hr diag", "use the NAPA part instead"), call revise_estimate with one change per edit.
+- Use the user's own words for part and job references. Do not re-run the estimate for a revision.
+- "Go with Better", "quote them the OEM option" on a Good / Better / Best estimate → revise_estimate with action choose_tier and option good, better or best (add job for one job only).
+
+RETRIES:
+- When an estimate failed, timed out or was interrupted and the user says "retry", "try again" or "pick it back up", call retry_estimate. It resumes the last run where it stopped — do not call run_estimate for the same job again.
+
+DECLINED WORK:
+- SAM reminds the advisor about work a customer declined ("rear brakes declined 90 days ago, want me to re-quote?").
+- "Yes, re-quote it" → call deferred_work with action requote. "Drop it", "they had it done elsewhere" → action dismiss.
+- Pass the job (and customer) as the user referred to them. Do not call run_estimate for a re-quote.`;
+
+  if (deferredReminders.length > 0) {
+    prompt += `\n\nCONTEXT — Declined-work reminders sent to this chat, awaiting a reply:`;
+    deferredReminders.forEach((r, i) => {
+      const v = r.vehicle || {};
+      prompt += `\n  ${i + 1}. ${r.customer_name || "Customer"} — ${[v.year, v.make, v.model].filter(Boolean).join(" ") || "vehicle"} — ${r.job_name}`;
+    });
+  }
 
   // Append last estimate context when available
   if (lastEstimate) {
@@ -184,7 +243,22 @@ CLEANUP COMMANDS:
 - Problem: ${lastEstimate._runCtx?.symptom || "?"}
 - Diagnosis: ${topCause || "?"}
 - Pricing: ${lastEstimate.pricing_source || "unknown"} (gate: ${lastEstimate.pricing_gate || "?"})
-User can say "order parts" or "customer approved" to take action on it.`;
+User can say "order parts" or "customer approved" to take action on it, revise it, or report the actual fix.`;
+    if (lastEstimate.version > 1) {
+      prompt += `\n- Revision: v${lastEstimate.version} (${lastEstimate.revisions?.length || 0} change set(s) since the original)`;
+    }
+    if (lastEstimate.jobs?.length > 1) {
+      prompt += `\nJobs on this estimate (customer can approve or decline each):`;
+      lastEstimate.jobs.forEach((job, i) => {
+        prompt += `\n  ${i + 1}. ${job.name} — ${job.approval || "pending"}`;
+      });
+    }
+    const tierJob = (lastEstimate.jobs || []).find((job) => job.tierOptions);
+    if (tierJob) {
+      const quoted = Object.values(tierJob.tierOptions);
+      const current = quoted.find((opt) => opt.selected);
+      prompt += `\n- Options quoted: ${quoted.map((opt) => opt.label).join(" / ")} (currently ${current ? current.label : "custom parts"})`;
+    }
   }
 
   return prompt;
@@ -194,9 +268,10 @@ User can say "order parts" or "customer approved" to take action on it.`;
 
 /**
  * Build the Claude tool definitions array.
- * These are verbatim from server.js — do NOT change names, descriptions, or required fields.
+ * handleToolCall() dispatches on these names and reads these input fields —
+ * rename or add a tool there and in the system prompt's guidance together.
  *
- * @returns {object[]} Array of 4 tool definitions
+ * @returns {object[]} Array of 8 tool definitions
  */
 function buildTools() {
   return [
@@ -211,7 +286,7 @@ function buildTools() {
           model: { type: "string", description: "Vehicle model (e.g. Civic, Camry, F-150)" },
           engine: { type: "string", description: "Engine size if mentioned (e.g. 2.0L, 5.3L, V6)" },
           vin: { type: "string", description: "17-character VIN if provided" },
-          symptoms: { type: "string", description: "The problem description, symptoms, or complaint" },
+          symptoms: { type: "string", description: "The problem description, symptoms, or complaint — list every concern if there are several (e.g. \"P0420 plus front brakes plus oil change\"); each becomes its own job" },
           dtc_codes: {
             type: "array",
             items: { type: "string" },
@@ -234,10 +309,22 @@ function buildTools() {
     },
     {
       name: "customer_approved",
-      description: "Customer has approved the estimate — trigger parts ordering and AutoLeap estimate creation. Call when user says customer approved, go ahead, approved, greenlit, etc.",
+      description: "Customer has approved the estimate — trigger parts ordering and AutoLeap estimate creation. Call when user says customer approved, go ahead, approved, greenlit, etc. For multi-job estimates pass which jobs were approved or declined (e.g. \"approved the brakes, declined the cat\"); only approved jobs' parts are ordered.",
       input_schema: {
         type: "object",
-        properties: {},
+        properties: {
+          approved_jobs: {
+            type: "array",
+            items: { type: "string" },
+            description: "Jobs the customer approved, by name or number as the user said them (e.g. \"brakes\", \"2\"). Omit when the whole estimate was approved.",
+          },
+          declined_jobs: {
+            type: "array",
+            items: { type: "string" },
+            description: "Jobs the customer declined (e.g. \"cat\", \"oil change\"). Declined work is kept as deferred.",
+          },
+          tier: { type: "string", enum: ["good", "better", "best"], description: "Good / Better / Best option the customer picked, if they picked one. Parts are switched to it before ordering." },
+        },
       },
     },
     {
@@ -252,6 +339,80 @@ function buildTools() {
         required: ["confirmed"],
       },
     },
+    {
+      name: "record_outcome",
+      description: "Record what the problem on the most recent estimate actually turned out to be, so SAM's diagnostics learn from it. Call when a tech reports the real cause or the completed repair (e.g. \"the Civic was actually the upstream O2, 1.2 hrs\").",
+      input_schema: {
+        type: "object",
+        properties: {
+          actual_cause: { type: "string", description: "What the tech found the real cause to be (e.g. \"Upstream O2 sensor failure\")" },
+          was_correct: { type: "boolean", description: "True if the actual cause matches SAM's top diagnosis, false otherwise" },
+          fixed: { type: "boolean", description: "Whether the repair resolved the problem (default true)" },
+          labor_hours: { type: "number", description: "Actual labor hours spent, if mentioned" },
+          parts_used: {
+            type: "array",
+            items: { type: "string" },
+            description: "Parts actually installed, if mentioned",
+          },
+          notes: { type: "string", description: "Any other technician notes" },
+          job: { type: "string", description: "Job the outcome is for, by name or number (multi-job estimates). Omit when the estimate has one job" },
+        },
+        required: ["actual_cause", "was_correct"],
+      },
+    },
+    {
+      name: "revise_estimate",
+      description: "Revise the most recent estimate in place — swap a part to OEM/aftermarket/another brand or supplier, switch to the Good/Better/Best option, drop a part, add labor time, or change a job's labor hours. Re-prices, updates AutoLeap and regenerates the PDF. Call for edits like \"swap to OEM pads\", \"drop the rotors\", \"add 0.5 hr diag\", \"use the NAPA part instead\".",
+      input_schema: {
+        type: "object",
+        properties: {
+          changes: {
+            type: "array",
+            description: "One entry per edit, in the order the user gave them",
+            items: {
+              type: "object",
+              properties: {
+                action: { type: "string", enum: ["swap_part", "choose_tier", "remove_part", "add_labor", "set_labor"], description: "swap_part: replace a part's selection; choose_tier: switch to the Good/Better/Best option; remove_part: drop it; add_labor: add a labor line; set_labor: change a job's labor hours" },
+                part: { type: "string", description: "Part as the user referred to it (e.g. \"pads\", \"rotors\"). Omit on swap_part to switch every part to the given supplier" },
+                tier: { type: "string", enum: ["oem", "aftermarket"], description: "swap_part: OEM or aftermarket" },
+                brand: { type: "string", description: "swap_part: preferred brand (e.g. \"Bosch\")" },
+                supplier: { type: "string", description: "swap_part: preferred supplier (e.g. \"NAPA\")" },
+                part_number: { type: "string", description: "swap_part: exact part number, if given" },
+                option: { type: "string", enum: ["good", "better", "best"], description: "choose_tier: Good (economy aftermarket), Better (premium aftermarket) or Best (OEM)" },
+                hours: { type: "number", description: "add_labor / set_labor: labor hours" },
+                description: { type: "string", description: "add_labor: what the time is for (e.g. \"Diagnostic time\")" },
+                job: { type: "string", description: "Job the labor or option applies to, by name or number (multi-job estimates)" },
+              },
+              required: ["action"],
+            },
+          },
+        },
+        required: ["changes"],
+      },
+    },
+    {
+      name: "deferred_work",
+      description: "Act on declined work SAM reminded the advisor about: re-quote it (runs a fresh estimate for the declined job) or dismiss it (no more reminders). Call when the advisor answers a declined-work reminder.",
+      input_schema: {
+        type: "object",
+        properties: {
+          action: { type: "string", enum: ["requote", "dismiss"], description: "requote: build a new estimate for the job; dismiss: stop tracking it" },
+          job: { type: "string", description: "Declined job as the user referred to it (e.g. \"rear brakes\"). Omit when only one reminder is pending" },
+          customer_name: { type: "string", description: "Customer, if the user named one (e.g. \"Jane Smith\")" },
+          customer_phone: { type: "string", description: "Customer phone, if given — finds declined work not reminded in this chat" },
+          vin: { type: "string", description: "VIN, if given" },
+        },
+        required: ["action"],
+      },
+    },
+    {
+      name: "retry_estimate",
+      description: "Retry the most recent estimate after it failed, timed out or was interrupted. Resumes from the step that failed, reusing the diagnosis, research and parts pricing that already finished. Call when the user says retry, try again, pick it back up, etc.",
+      input_schema: {
+        type: "object",
+        properties: {},
+      },
+    },
   ];
 }
 
@@ -261,24 +422,20 @@ function buildTools() {
  * Call Claude with the current session history and return the response.
  * Handles session persistence and history trimming.
  *
- * @param {string} platform   "telegram" | "whatsapp"
+ * @param {string} platform   "telegram" | "whatsapp" | "slack"
  * @param {string} chatId     Platform-native chat identifier
  * @param {string} userText   The user's message text
  * @param {object} [deps={}]  Dependency injection for testing
  * @returns {Promise<{ text: string, toolCall: object|null, stopReason: string }>}
  */
 async function processMessage(platform, chatId, userText, deps = {}) {
-  // API key guard — catch early before constructing Anthropic client
-  if (!process.env.ANTHROPIC_API_KEY && !deps.claudeClient) {
+  // API key guard — catch early before calling Claude
+  if (!deps.claudeClient && !llm.isConfigured()) {
     return { text: "AI not configured — set ANTHROPIC_API_KEY.", toolCall: null };
   }
 
-  let claudeClient;
-  try {
-    claudeClient = deps.claudeClient || new (require("@anthropic-ai/sdk"))({ apiKey: process.env.ANTHROPIC_API_KEY });
-  } catch (_) {
-    return { text: "AI not configured — set ANTHROPIC_API_KEY.", toolCall: null };
-  }
+  // Chat turns aren't a run — usage is booked to the shop (SHOP_ID) only
+  const claudeClient = deps.claudeClient || llm.client({ purpose: "chat" });
 
   const store = makeSessionAdapter(deps.sessionStore || null);
 
@@ -298,9 +455,9 @@ async function processMessage(platform, chatId, userText, deps = {}) {
 
   try {
     const response = await claudeClient.messages.create({
-      model: process.env.CLAUDE_SONNET_MODEL || "claude-sonnet-4-6",
+      model: llm.resolveModel("sonnet"),
       max_tokens: 600,
-      system: buildSystemPrompt(session.lastEstimate),
+      system: buildSystemPrompt(session.lastEstimate, session.deferredReminders || []),
       tools: buildTools(),
       messages: history,
     });
@@ -330,6 +487,132 @@ async function processMessage(platform, chatId, userText, deps = {}) {
   }
 }
 
+// ── Run Estimate ──────────────────────────────────────────────────────────────
+
+/**
+ * Queue buildEstimate() for a chat, store the results in its session and
+ * format the reply. Shared by the run_estimate tool and resumeEstimate().
+ *
+ * @param {string} platform
+ * @param {string} chatId
+ * @param {object} params - buildEstimate() params
+ * @param {object} deps
+ * @param {string} [jobId] - Job row being re-queued after a restart
+ * @returns {Promise<{ messages: string[], pdfPath?: string, recommendationsPdfPath?: string, wiringDiagrams?: object[] }>}
+ */
+async function runEstimateJob(platform, chatId, params, deps, jobId) {
+  const store = makeSessionAdapter(deps.sessionStore || null);
+  const enqueueEstimate_ = deps.enqueueEstimate || enqueueEstimate;
+  const buildEstimate_ = deps.buildEstimate_ || buildEstimate;
+
+  try {
+    const results = await enqueueEstimate_(
+      `${platform}:${chatId}`,
+      // signal: aborted by the CANCEL command or the job time limit
+      ({ signal } = {}) => (buildEstimate_ ? buildEstimate_({ ...params, signal }) : Promise.reject(new Error("buildEstimate not configured"))),
+      {
+        // Called again with { update: true } as jobs ahead finish (live ETA)
+        notifyPosition: async (pos, waitMin, info) => {
+          if (deps.notifyPosition) await deps.notifyPosition(pos, waitMin, info);
+        },
+        // Persisted with the job so a restart can re-queue it (see job-queue recoverJobs)
+        record: { platform, chatId, params },
+        jobId,
+      }
+    );
+
+    // Persist estimate result in session
+    const currentSession = await store.get(platform, chatId) || { lastEstimate: null, history: [], stage: "idle", collectedData: {} };
+    await store.set(platform, chatId, { ...currentSession, lastEstimate: results, stage: "done" });
+
+    let messages;
+    try {
+      messages = formatForWhatsApp(results);
+    } catch (_) {
+      // Fallback when results don't have full estimate shape (partial results)
+      messages = ["Estimate complete. Check AutoLeap for details."];
+    }
+
+    // Append warning notes in plain language (ERR-01)
+    if (results.warnings && results.warnings.length > 0) {
+      for (const w of results.warnings) {
+        // warnings may be strings (like "NO_MOTOR_LABOR") or objects with .code
+        const code = typeof w === "string" ? w : w.code;
+        const friendly = getErrorMessage(code);
+        if (friendly) {
+          // Append as a note on the last message
+          if (messages.length > 0) {
+            messages[messages.length - 1] += `\n\nNote: ${friendly}`;
+          } else {
+            messages.push(`Note: ${friendly}`);
+          }
+        }
+      }
+    }
+
+    return {
+      messages,
+      pdfPath: results.pdfPath,
+      // Recommended services when the estimate PDF is AutoLeap's and can't list them
+      recommendationsPdfPath: results.recommendationsPdfPath || null,
+      wiringDiagrams: results.wiringDiagrams || [],
+    };
+  } catch (err) {
+    log.error(`Pipeline error: ${err.message}`);
+    // Steps that finished are checkpointed under the runId (retry_estimate)
+    const resumable = params.runId && err?.reason_code !== "CANCELLED";
+    const reply = translateError(err.message);
+    return { messages: [resumable ? `${reply}\nOr say "retry" to pick up where it stopped.` : reply] };
+  }
+}
+
+/**
+ * Re-run a queued estimate left behind by a restart (job-queue recoverJobs).
+ * Live progress and queue-position callbacks come from the gateway's deps.
+ *
+ * @param {string} platform
+ * @param {string} chatId
+ * @param {object} job - sam_jobs row with stored params
+ * @param {object} [deps={}]
+ * @returns {Promise<{ messages: string[], pdfPath?: string, recommendationsPdfPath?: string, wiringDiagrams?: object[] }>}
+ */
+function resumeEstimate(platform, chatId, job, deps = {}) {
+  log.info(`Resuming queued estimate ${job.id} for ${platform}:${chatId}`);
+  const params = {
+    ...job.params,
+    progressCallback: async (stage) => {
+      if (deps.onProgress) await deps.onProgress(stage);
+    },
+  };
+  return runEstimateJob(platform, chatId, params, deps, job.id);
+}
+
+// ── Cancel ────────────────────────────────────────────────────────────────────
+
+/** True for the chat commands that cancel an estimate ("cancel", "/cancel"). */
+function isCancelCommand(text) {
+  return CANCEL_COMMANDS.has(String(text || "").trim().toLowerCase());
+}
+
+/**
+ * CANCEL command: drop this chat's queued estimate or abort the running one.
+ * The pending run_estimate reply then reports "Estimate cancelled."
+ *
+ * @param {string} platform
+ * @param {string} chatId
+ * @param {object} [deps={}]
+ * @returns {string}
+ */
+function cancelChatEstimate(platform, chatId, deps = {}) {
+  const cancelEstimate_ = deps.cancelEstimate || cancelEstimate;
+  const cancelled = cancelEstimate_(`${platform}:${chatId}`);
+  if (!cancelled) return "No estimate in progress — nothing to cancel.";
+  log.info(`Estimate cancelled by ${platform}:${chatId} (${cancelled.status})`);
+  return cancelled.status === "running"
+    ? "Stopping your estimate now."
+    : "Removed your estimate from the queue.";
+}
+
 // ── Handle Tool Call ──────────────────────────────────────────────────────────
 
 /**
@@ -339,19 +622,25 @@ async function processMessage(platform, chatId, userText, deps = {}) {
  * @param {string} chatId
  * @param {{ name: string, input: object, id: string }} toolCall
  * @param {object} [deps={}]
- * @returns {Promise<{ messages: string[], pdfPath?: string, wiringDiagrams?: object[] }>}
+ * @returns {Promise<{ messages: string[], pdfPath?: string, recommendationsPdfPath?: string, wiringDiagrams?: object[] }>}
  */
 async function handleToolCall(platform, chatId, toolCall, deps = {}) {
   const store = makeSessionAdapter(deps.sessionStore || null);
 
   // Resolve injectable dependencies with production fallbacks
-  const enqueueEstimate_ = deps.enqueueEstimate || enqueueEstimate;
-  const buildEstimate_ = deps.buildEstimate_ || buildEstimate;
   const handleOrderRequest_ = deps.handleOrderRequest_ || handleOrderRequest;
   const handleApprovalAndOrder_ = deps.handleApprovalAndOrder_ || handleApprovalAndOrder;
+  const reviseEstimate_ = deps.reviseEstimate_ || reviseEstimate;
+  const getResumePoint_ = deps.getResumePoint_ || getResumePoint;
+  const getJobHistory_ = deps.getJobHistory_ || getJobHistory;
   const getToken_ = deps.getToken_ || getToken;
   const getEstimate_ = deps.getEstimate_ || getEstimate;
   const cleanupTestRun_ = deps.cleanupTestRun_ || cleanupTestRun;
+  const recordOutcome_ = deps.recordOutcome_ || recordOutcome;
+  const learnFromOutcome_ = deps.learnFromOutcome_ || learnFromOutcome;
+  const captureDeclinedWork_ = deps.captureDeclinedWork_ || captureDeclinedWork;
+  const getDeferredWork_ = deps.getDeferredWork_ || getDeferredWork;
+  const updateDeferredStatus_ = deps.updateDeferredStatus_ || updateDeferredStatus;
 
   // ── run_estimate ────────────────────────────────────────────────────────────
   if (toolCall.name === "run_estimate") {
@@ -366,6 +655,19 @@ async function handleToolCall(platform, chatId, toolCall, deps = {}) {
       return { messages: [`I need the customer's ${missing.join(" and ")} before I can build the estimate. What's their info?`] };
     }
 
+    // A mistyped VIN would price parts for the wrong vehicle — ask before queuing
+    if (input.vin) {
+      const vinCheck = validateVin(input.vin);
+      if (!vinCheck.valid) {
+        log.info(`Blocked estimate — VIN ${vinCheck.vin} ${vinCheck.message}`);
+        const ask = vinCheck.suggestion
+          ? `That VIN doesn't check out — did you mean ${vinCheck.suggestion}?`
+          : `That VIN doesn't check out (${vinCheck.message}).`;
+        return { messages: [`${ask} Send the corrected VIN, or tell me to go by year/make/model.`] };
+      }
+      input.vin = vinCheck.vin;
+    }
+
     log.info(`Claude triggered estimate: ${input.year || "?"} ${input.make} ${input.model} — ${input.symptoms}`);
 
     // Build params for the pipeline
@@ -385,64 +687,111 @@ async function handleToolCall(platform, chatId, toolCall, deps = {}) {
         name: input.customer_name,
         phone: input.customer_phone || null,
       } : null,
-      // No progressCallback — just ACK + result (CONV-04 simplified)
-      progressCallback: async () => {},
+      // Checkpoints are saved under this runId; it's stored with the job so
+      // retry_estimate can resume the run
+      runId: generateRunId(),
+      // Pipeline stages ("diagnosis_done", "research_done", "building_estimate") for
+      // gateways that show live progress; the rest just get ACK + result (CONV-04)
+      progressCallback: async (stage) => {
+        if (deps.onProgress) await deps.onProgress(stage);
+      },
     };
 
     // Check if this user already has an active/queued job
     const userId = `${platform}:${chatId}`;
     const existing = getStatus(userId);
     if (existing) {
-      const pos = existing.position;
-      const waitMin = pos * 15;
-      return { messages: [`Already working on an estimate for you — you're #${pos} in queue (~${waitMin} min). I'll send results when it's your turn.`] };
+      if (existing.status === "running") {
+        return { messages: ["Already working on an estimate for you — I'll send results as soon as it's done."] };
+      }
+      return { messages: [`Already working on an estimate for you — you're #${existing.position} in queue (~${existing.waitMinutes} min). I'll send results when it's your turn.`] };
     }
 
-    try {
-      const results = await enqueueEstimate_(
-        userId,
-        () => (buildEstimate_ ? buildEstimate_(params) : Promise.reject(new Error("buildEstimate not configured"))),
-        {
-          notifyPosition: async (pos, waitMin) => {
-            if (deps.notifyPosition) await deps.notifyPosition(pos, waitMin);
-          },
-        }
-      );
+    return runEstimateJob(platform, chatId, params, deps);
+  }
 
-      // Persist estimate result in session
-      const currentSession = await store.get(platform, chatId) || { lastEstimate: null, history: [], stage: "idle", collectedData: {} };
-      await store.set(platform, chatId, { ...currentSession, lastEstimate: results, stage: "done" });
+  // ── retry_estimate ──────────────────────────────────────────────────────────
+  if (toolCall.name === "retry_estimate") {
+    if (getStatus(`${platform}:${chatId}`)) {
+      return { messages: ["Already working on an estimate for you — I'll send results as soon as it's done."] };
+    }
 
-      let messages;
-      try {
-        messages = formatForWhatsApp(results);
-      } catch (_) {
-        // Fallback when results don't have full estimate shape (partial results)
-        messages = ["Estimate complete. Check AutoLeap for details."];
-      }
+    const [lastJob] = await getJobHistory_({ platform, chatId, limit: 1 });
+    const runId = lastJob?.params?.runId;
+    if (!runId) return { messages: ["No earlier estimate to retry. Send me a vehicle + problem first."] };
+    if (!getResumePoint_) return { messages: [translateError("no autoleap credentials")] };
 
-      // Append warning notes in plain language (ERR-01)
-      if (results.warnings && results.warnings.length > 0) {
-        for (const w of results.warnings) {
-          // warnings may be strings (like "NO_MOTOR_LABOR") or objects with .code
-          const code = typeof w === "string" ? w : w.code;
-          const friendly = getErrorMessage(code);
-          if (friendly) {
-            // Append as a note on the last message
-            if (messages.length > 0) {
-              messages[messages.length - 1] += `\n\nNote: ${friendly}`;
-            } else {
-              messages.push(`Note: ${friendly}`);
-            }
-          }
-        }
+    const resumeAt = await getResumePoint_(runId);
+    if (!resumeAt.step) {
+      return { messages: ["The last estimate finished every step — nothing to retry. Tell me what to change and I'll revise it."] };
+    }
+
+    log.info(`Retrying run ${runId} at ${resumeAt.step.id} for ${platform}:${chatId}`);
+    const params = {
+      ...lastJob.params,
+      resume: true,
+      progressCallback: async (stage) => {
+        if (deps.onProgress) await deps.onProgress(stage);
+      },
+    };
+    const result = await runEstimateJob(platform, chatId, params, deps);
+    const note = resumeAt.completed.length > 0
+      ? `Picked up at the ${resumeAt.step.label} — reused the ${resumeAt.completed.join(", ")} from the first attempt.`
+      : "Ran the estimate again from the start.";
+    return { ...result, messages: [note, ...result.messages] };
+  }
+
+  // ── deferred_work ───────────────────────────────────────────────────────────
+  if (toolCall.name === "deferred_work") {
+    const input = toolCall.input || {};
+    const session = await store.get(platform, chatId) || {};
+    const reminders = session.deferredReminders || [];
+    const looked = (input.customer_phone || input.vin) && getDeferredWork_
+      ? await getDeferredWork_({ vin: input.vin || null, customerPhone: input.customer_phone || null })
+      : [];
+    const candidates = [...reminders, ...looked.filter((row) => !reminders.some((r) => r.id === row.id))];
+    const row = matchDeferred(candidates, input);
+    if (!row) {
+      if (candidates.length === 0) return { messages: ["No declined work waiting on a reply here. Give me the customer's phone or the VIN and I'll look it up."] };
+      return { messages: [`Which one?\n${candidates.map((r, i) => `${i + 1}. ${describeDeferred(r)}`).join("\n")}`] };
+    }
+
+    const forget = async () => {
+      const current = await store.get(platform, chatId) || {};
+      const rest = (current.deferredReminders || []).filter((r) => r.id !== row.id);
+      await store.set(platform, chatId, { ...current, deferredReminders: rest });
+    };
+
+    if (input.action === "dismiss") {
+      if (updateDeferredStatus_ && !(await updateDeferredStatus_(row.id, "dismissed"))) {
+        return { messages: [translateError("")] };
       }
+      await forget();
+      return { messages: [`Dismissed — no more reminders for ${describeDeferred(row)}.`] };
+    }
 
-      return { messages, pdfPath: results.pdfPath, wiringDiagrams: results.wiringDiagrams || [] };
-    } catch (err) {
-      log.error(`Pipeline error: ${err.message}`);
-      return { messages: [translateError(err.message)] };
+    // requote: a fresh estimate for the declined job, same vehicle and customer
+    const v = row.vehicle || {};
+    const estimateCall = {
+      name: "run_estimate",
+      id: toolCall.id,
+      input: {
+        year: v.year || undefined,
+        make: v.make,
+        model: v.model,
+        vin: row.vin || undefined,
+        symptoms: row.job_query || row.job_name,
+        customer_name: row.customer_name || input.customer_name,
+        customer_phone: row.customer_phone || input.customer_phone,
+      },
+    };
+    if (!estimateCall.input.make || !estimateCall.input.model) {
+      return { messages: [`No vehicle on file for ${describeDeferred(row)} — send the year, make and model and I'll quote it.`] };
     }
+    const result = await handleToolCall(platform, chatId, estimateCall, deps);
+    if (updateDeferredStatus_) await updateDeferredStatus_(row.id, "requoted");
+    await forget();
+    return result;
   }
 
   // ── order_parts ─────────────────────────────────────────────────────────────
@@ -463,17 +812,59 @@ async function handleToolCall(platform, chatId, toolCall, deps = {}) {
 
   // ── customer_approved ───────────────────────────────────────────────────────
   if (toolCall.name === "customer_approved") {
-    const lastResults = (await store.get(platform, chatId))?.lastEstimate || null;
+    const session = await store.get(platform, chatId);
+    const lastResults = session?.lastEstimate || null;
     if (!lastResults) return { messages: ["No recent estimate. Send me a vehicle + problem first."] };
     if (!handleApprovalAndOrder_) return { messages: [translateError("no autoleap credentials")] };
     try {
-      const result = await handleApprovalAndOrder_(lastResults);
+      const decision = {
+        approved: toolCall.input?.approved_jobs || [],
+        declined: toolCall.input?.declined_jobs || [],
+        tier: toolCall.input?.tier || null,
+      };
+      const result = await handleApprovalAndOrder_(lastResults, decision);
+      const approval = result.approval || null;
+
+      if (approval?.unmatched?.length > 0) {
+        const jobList = (lastResults.jobs || []).map((j, i) => `${i + 1}. ${j.name}`).join("\n");
+        return { messages: [`Couldn't match "${approval.unmatched.join("\", \"")}" to a job on this estimate. Jobs:\n${jobList}`] };
+      }
+
+      // Keep declined jobs past session expiry so the advisor is reminded to re-quote.
+      // Non-fatal: the approval/order still goes through if the tracker is down.
+      if (approval?.declined?.length > 0 && captureDeclinedWork_) {
+        try {
+          await captureDeclinedWork_(lastResults, { platform, chatId });
+        } catch (err) {
+          log.warn(`Deferred work capture failed: ${err.message}`);
+        }
+      }
+
+      // Persist line-level approval state (handleApprovalAndOrder updated lastResults.jobs)
+      if (approval) await store.set(platform, chatId, { ...session, lastEstimate: lastResults });
+
+      const multiJob = (lastResults.jobs || []).length > 1;
+      let approvalLine = "";
+      if (multiJob && approval) {
+        if (approval.approved.length > 0) approvalLine += `Approved: ${approval.approved.join(", ")}\n`;
+        if (approval.declined.length > 0) approvalLine += `Declined (deferred): ${approval.declined.join(", ")}\n`;
+      }
+
+      if (result.tierError) {
+        await store.set(platform, chatId, { ...session, lastEstimate: lastResults });
+        return { messages: [`Approval recorded, but nothing was ordered — ${result.error}`] };
+      }
+
+      if (result.nothingToOrder) {
+        return { messages: [`*Recorded.*\n${approvalLine}Nothing approved — no parts ordered.`] };
+      }
       if (result.success) {
         return { messages: [
           `*Customer approved! Parts ordered.*\n` +
+          approvalLine +
           `Order: ${result.orderId || "confirmed"}\n` +
-          `Parts: ${result.partsOrdered || "?"} items\n` +
-          `Total: $${result.total || "?"}\n\n` +
+          `Parts: ${result.partsOrdered || result.added?.length || "?"} items\n` +
+          `Total: $${result.total || result.cart_summary?.total || "?"}\n\n` +
           `Parts on the way.`,
         ] };
       }
@@ -488,6 +879,39 @@ async function handleToolCall(platform, chatId, toolCall, deps = {}) {
     }
   }
 
+  // ── revise_estimate ─────────────────────────────────────────────────────────
+  if (toolCall.name === "revise_estimate") {
+    const session = await store.get(platform, chatId);
+    const lastResults = session?.lastEstimate || null;
+    if (!lastResults) return { messages: ["No recent estimate to revise. Send me a vehicle + problem first."] };
+    if (!reviseEstimate_) return { messages: [translateError("no autoleap credentials")] };
+    try {
+      const result = await reviseEstimate_(lastResults, toolCall.input?.changes || []);
+      if (!result.success) {
+        return { messages: [`No changes made. ${result.error || ""}`.trim()] };
+      }
+
+      // Persist the revised estimate (reviseEstimate mutated lastResults and appended the version)
+      await store.set(platform, chatId, { ...session, lastEstimate: lastResults });
+
+      const money = (n) => (n != null ? `$${Number(n).toFixed(2)}` : "?");
+      let text = `*Estimate revised — v${result.version}*\n`;
+      text += result.applied.map((line) => `• ${line}`).join("\n");
+      if (result.errors?.length > 0) text += `\n${result.errors.map((e) => `Skipped: ${e}`).join("\n")}`;
+      if (lastResults.customer_ready === false) {
+        text += `\n\nPricing needs review before sending.`;
+      } else {
+        text += `\n\nTotal: *${money(result.totalAfter)}* (was ${money(result.totalBefore)})`;
+      }
+      if (!result.synced && (lastResults.autoLeapEstimate?.estimateId || lastResults.estimate?.estimateId)) {
+        text += `\nNote: AutoLeap wasn't updated — make the same change there.`;
+      }
+      return { messages: [text], pdfPath: result.pdfPath || null };
+    } catch (err) {
+      return { messages: [translateError(err.message)] };
+    }
+  }
+
   // ── cleanup_estimate ────────────────────────────────────────────────────────
   if (toolCall.name === "cleanup_estimate") {
     const lastResults = (await store.get(platform, chatId))?.lastEstimate || null;
@@ -542,9 +966,142 @@ async function handleToolCall(platform, chatId, toolCall, deps = {}) {
     }
   }
 
+  // ── record_outcome ──────────────────────────────────────────────────────────
+  if (toolCall.name === "record_outcome") {
+    const lastResults = (await store.get(platform, chatId))?.lastEstimate || null;
+    if (!lastResults) return { messages: ["No recent estimate to record an outcome against."] };
+
+    const input = toolCall.input || {};
+    // Each job has its own diagnosis — the outcome is filed against the job it was for
+    const jobs = lastResults.jobs || [];
+    let job = jobs.length === 1 ? jobs[0] : null;
+    if (jobs.length > 1) {
+      const idx = outcomeJobIndex(jobs, input.job);
+      if (idx === -1) {
+        return { messages: [`Which job was that for? ${jobs.map((j, i) => `${i + 1}. ${j.name}`).join(", ")}`] };
+      }
+      job = jobs[idx];
+    }
+
+    const diagnosisId = job?.diagnosis?.ai?.diagnosis_id || (jobs.length <= 1 ? lastResults.diagnosis?.ai?.diagnosis_id : null) || null;
+    if (!diagnosisId) {
+      return { messages: [`The ${job && jobs.length > 1 ? `${job.name} job` : "last estimate"} didn't have an AI diagnosis on file, so there's nothing to record against.`] };
+    }
+    if (!recordOutcome_) return { messages: [translateError("")] };
+
+    if (!input.actual_cause) return { messages: ["What did it turn out to be?"] };
+
+    try {
+      const partsUsed = Array.isArray(input.parts_used) && input.parts_used.length > 0 ? input.parts_used : null;
+      const outcome = await recordOutcome_(
+        diagnosisId,
+        input.actual_cause,
+        input.was_correct === true,
+        partsUsed,
+        input.labor_hours || null,
+        input.notes || null
+      );
+      if (!outcome || outcome.error) {
+        log.error(`recordOutcome failed: ${outcome?.error || "no result"}`);
+        return { messages: [translateError(outcome?.error || "")] };
+      }
+
+      // Only a repair that actually cured the vehicle is a confirmed fix worth learning from
+      let learned = false;
+      if (input.fixed !== false && learnFromOutcome_) {
+        try {
+          const entry = await learnFromOutcome_(diagnosisId, input.actual_cause);
+          learned = !!entry && !entry.error;
+          if (!learned) log.warn(`learnFromOutcome skipped: ${entry?.error || "no result"}`);
+        } catch (err) {
+          log.warn(`learnFromOutcome failed (non-fatal): ${err.message}`);
+        }
+      }
+
+      const v = lastResults.vehicle || {};
+      const vName = [v.year, v.make, v.model].filter(Boolean).join(" ") || "last vehicle";
+      const jobName = job && jobs.length > 1 ? ` (${job.name})` : "";
+      let msg = `*Outcome recorded* — ${vName}${jobName}: ${input.actual_cause}`;
+      if (input.labor_hours) msg += ` (${input.labor_hours} hrs)`;
+      msg += input.was_correct === true ? `.\nMatched the diagnosis.` : `.\nDiagnosis missed — noted.`;
+      if (learned) msg += ` Added to the knowledge base.`;
+      return { messages: [msg] };
+    } catch (err) {
+      return { messages: [translateError(err.message)] };
+    }
+  }
+
   return { messages: ["Unknown action."] };
 }
 
+/**
+ * Job a record_outcome reference points at: "2" / "job 2", or words from the
+ * job's name, query, system, top cause or DTCs. -1 when none or several match.
+ */
+function outcomeJobIndex(jobs, ref) {
+  const text = String(ref || "").trim().toLowerCase();
+  const num = text.match(/^(?:job\s*)?#?(\d+)$/);
+  if (num) {
+    const idx = Number(num[1]) - 1;
+    return idx >= 0 && idx < jobs.length ? idx : -1;
+  }
+  const words = text.split(/[^a-z0-9]+/).filter((w) => w.length > 2 && w !== "the" && w !== "job");
+  if (words.length === 0) return -1;
+  const matches = jobs.map((j, i) => ({ i, haystack: [j.name, j.query, j.system, j.diagnosis?.ai?.diagnoses?.[0]?.cause, ...(j.dtcCodes || [])].filter(Boolean).join(" ").toLowerCase() }))
+    .filter(({ haystack }) => words.every((w) => haystack.includes(w.replace(/s$/, ""))));
+  return matches.length === 1 ? matches[0].i : -1;
+}
+
+// ── Declined Work ─────────────────────────────────────────────────────────────
+
+/** "Jane Smith — 2018 Toyota Camry — Rear brakes" */
+function describeDeferred(row) {
+  const v = row.vehicle || {};
+  return [row.customer_name, [v.year, v.make, v.model].filter(Boolean).join(" "), row.job_name].filter(Boolean).join(" — ");
+}
+
+/**
+ * The declined-work row the advisor means: matched by job, then customer
+ * name; the only candidate when nothing narrows it. Null when ambiguous.
+ */
+function matchDeferred(candidates, { job, customer_name: customerName } = {}) {
+  const words = (text) => String(text || "").toLowerCase().split(/[^a-z0-9]+/).filter((w) => w.length > 2);
+  const mentions = (field, said) => {
+    const saidWords = words(said);
+    return saidWords.length > 0 && saidWords.every((w) => String(field || "").toLowerCase().includes(w));
+  };
+  let matches = candidates;
+  if (job) matches = matches.filter((r) => mentions(r.job_name, job) || mentions(r.job_query, job));
+  if (customerName && matches.length > 1) matches = matches.filter((r) => mentions(r.customer_name, customerName));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Record a declined-work reminder on the chat's session so the advisor's
+ * reply ("yes, re-quote it") reaches the deferred_work tool with the row.
+ * Passed to deferred-work startReminderScheduler() as onReminded.
+ *
+ * @param {string} platform
+ * @param {string} chatId
+ * @param {object} row - sam_deferred_work row that was just reminded
+ * @param {object} [deps={}]
+ */
+async function rememberReminder(platform, chatId, row, deps = {}) {
+  const store = makeSessionAdapter(deps.sessionStore || null);
+  const session = await store.get(platform, chatId) || { lastEstimate: null, history: [], stage: "idle", collectedData: {} };
+  const kept = (session.deferredReminders || []).filter((r) => r.id !== row.id);
+  const entry = {
+    id: row.id,
+    job_name: row.job_name,
+    job_query: row.job_query || null,
+    customer_name: row.customer_name || null,
+    customer_phone: row.customer_phone || null,
+    vin: row.vin || null,
+    vehicle: row.vehicle || {},
+  };
+  await store.set(platform, chatId, { ...session, deferredReminders: [...kept, entry].slice(-MAX_REMINDERS) });
+}
+
 // ── Handle Message ────────────────────────────────────────────────────────────
 
 /**
@@ -552,15 +1109,20 @@ async function handleToolCall(platform, chatId, toolCall, deps = {}) {
  * Calls Claude, handles fast-path for non-tool responses, and executes
  * tool calls through the pipeline with proper ACK ordering.
  *
- * @param {string} platform       "telegram" | "whatsapp"
+ * @param {string} platform       "telegram" | "whatsapp" | "slack"
  * @param {string} chatId         Platform-native chat identifier
  * @param {string} messageText    The user's message text
  * @param {object} [deps={}]      Dependency injection for testing
- * @returns {Promise<{ messages: string[], pdfPath?: string, wiringDiagrams?: object[] }>}
+ * @returns {Promise<{ messages: string[], pdfPath?: string, recommendationsPdfPath?: string, wiringDiagrams?: object[] }>}
  */
 async function handleMessage(platform, chatId, messageText, deps = {}) {
   const store = makeSessionAdapter(deps.sessionStore || null);
 
+  // ── CANCEL: handled here, not by Claude — it must work while a job holds the queue ──
+  if (isCancelCommand(messageText)) {
+    return { messages: [cancelChatEstimate(platform, chatId, deps)] };
+  }
+
   const { text, toolCall } = await processMessage(platform, chatId, messageText, deps);
 
   // ── FAST PATH: no tool call — return immediately without touching job queue ──
@@ -613,6 +1175,7 @@ async function handleMessage(platform, chatId, messageText, deps = {}) {
   return {
     messages: allMessages,
     pdfPath: toolResult.pdfPath,
+    recommendationsPdfPath: toolResult.recommendationsPdfPath || null,
     wiringDiagrams: toolResult.wiringDiagrams || [],
   };
 }
@@ -622,6 +1185,9 @@ async function handleMessage(platform, chatId, messageText, deps = {}) {
 module.exports = {
   processMessage,
   handleMessage,
+  resumeEstimate,
+  rememberReminder,
+  isCancelCommand,
   buildSystemPrompt,
   buildTools,
   translateError,
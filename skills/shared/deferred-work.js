@@ -0,0 +1,278 @@
+"use strict";
+
+// skills/shared/deferred-work.js
+// Declined-work tracker: keeps jobs the customer turned down (past the 24h
+// session TTL) and reminds the advisor to re-quote them after an interval.
+// The advisor answers a reminder through the deferred_work chat tool
+// (conversation.js): re-quote it or dismiss it.
+// Supabase-backed; falls back to an in-memory Map when SUPABASE_URL or
+// SUPABASE_ANON_KEY are absent (tests, local dev).
+
+const crypto = require("crypto");
+const { createClient } = require("@supabase/supabase-js");
+
+const LOG = "[deferred-work]";
+const TABLE = "sam_deferred_work";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REMIND_DAYS = Number(process.env.DEFERRED_REMINDER_DAYS) || 90;
+const DEFAULT_CHECK_MS = Number(process.env.DEFERRED_REMINDER_CHECK_MS) || 60 * 60 * 1000; // hourly
+// Rows still waiting on the advisor — "requoted" and "dismissed" are closed
+const PENDING = ["open", "reminded"];
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_ANON_KEY;
+
+let supabase = null;
+if (SUPABASE_URL && SUPABASE_KEY) {
+  supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+}
+
+// In-memory fallback store — only used when Supabase is not configured
+const memStore = new Map();
+
+/**
+ * captureDeclinedWork — store every deferred job from an estimate.
+ * Jobs already captured (job.deferredId set) are skipped, so calling this
+ * again after a second approval message doesn't duplicate rows.
+ *
+ * @param {object} results  buildEstimate() results with results.jobs[].deferred
+ * @param {object} opts
+ * @param {string} opts.platform  Advisor chat platform to remind
+ * @param {string|number} opts.chatId
+ * @param {number} [opts.remindAfterDays]  Defaults to DEFERRED_REMINDER_DAYS (90)
+ * @returns {Promise<object[]>}  Rows created
+ */
+async function captureDeclinedWork(results, { platform, chatId, remindAfterDays } = {}) {
+  const jobs = (results?.jobs || []).filter((j) => j.deferred && !j.deferredId);
+  if (jobs.length === 0 || !platform || chatId == null) return [];
+
+  const days = Number(remindAfterDays) || DEFAULT_REMIND_DAYS;
+  const vehicle = results.vehicle || {};
+  const customer = results.customer || {};
+  const created = [];
+
+  for (const job of jobs) {
+    const declinedAt = job.deferredAt ? new Date(job.deferredAt) : new Date();
+    const row = {
+      id: crypto.randomUUID(),
+      shop_id: results.shopId || null,
+      vin: vehicle.vin || null,
+      customer_name: customer.name || results.estimate?.customerName || null,
+      customer_phone: customer.phone || null,
+      vehicle: { year: vehicle.year || null, make: vehicle.make || null, model: vehicle.model || null },
+      job_name: job.name,
+      job_query: job.query || null,
+      quoted_total: job.subtotal?.total || null,
+      estimate_id: results.autoLeapEstimate?.estimateId || results.estimate?.estimateId || null,
+      platform,
+      chat_id: String(chatId),
+      status: "open",
+      declined_at: declinedAt.toISOString(),
+      remind_at: new Date(declinedAt.getTime() + days * DAY_MS).toISOString(),
+      reminded_at: null,
+    };
+
+    if (supabase) {
+      try {
+        const { error } = await supabase.from(TABLE).insert(row);
+        if (error) {
+          console.error(`${LOG} insert error: ${error.message}`);
+          continue;
+        }
+      } catch (err) {
+        console.error(`${LOG} insert error: ${err.message}`);
+        continue;
+      }
+    } else {
+      memStore.set(row.id, row);
+    }
+
+    job.deferredId = row.id;
+    created.push(row);
+  }
+
+  if (created.length > 0) {
+    console.log(`${LOG} Captured ${created.length} declined job(s) — reminder in ${days} days`);
+  }
+  return created;
+}
+
+/**
+ * getDeferredWork — declined work for a vehicle or customer that is still
+ * waiting on the advisor (open or reminded), newest first.
+ *
+ * @param {object} key  { vin } and/or { customerPhone }
+ * @returns {Promise<object[]>}
+ */
+async function getDeferredWork({ vin, customerPhone } = {}) {
+  if (!vin && !customerPhone) return [];
+
+  if (supabase) {
+    try {
+      // One .eq query per key — the values are user input and never go into an .or() filter string
+      const keys = [["vin", vin], ["customer_phone", customerPhone]].filter(([, value]) => value);
+      const byId = new Map();
+      for (const [column, value] of keys) {
+        const { data, error } = await supabase.from(TABLE).select("*").in("status", PENDING).eq(column, value);
+        if (error) throw new Error(error.message);
+        for (const row of data || []) byId.set(row.id, row);
+      }
+      return [...byId.values()].sort((a, b) => b.declined_at.localeCompare(a.declined_at));
+    } catch (err) {
+      console.error(`${LOG} getDeferredWork error: ${err.message}`);
+      return [];
+    }
+  }
+
+  return [...memStore.values()]
+    .filter((r) => PENDING.includes(r.status))
+    .filter((r) => (vin && r.vin === vin) || (customerPhone && r.customer_phone === customerPhone))
+    .sort((a, b) => b.declined_at.localeCompare(a.declined_at));
+}
+
+/**
+ * getDueReminders — open rows whose remind_at has passed.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.platform]  Only reminders for this gateway
+ * @param {Date} [opts.now]
+ * @returns {Promise<object[]>}
+ */
+async function getDueReminders({ platform, now = new Date() } = {}) {
+  const nowIso = now.toISOString();
+
+  if (supabase) {
+    try {
+      let query = supabase.from(TABLE).select("*").eq("status", "open").lte("remind_at", nowIso);
+      if (platform) query = query.eq("platform", platform);
+      const { data, error } = await query.order("remind_at", { ascending: true });
+      if (error) throw new Error(error.message);
+      return data || [];
+    } catch (err) {
+      console.error(`${LOG} getDueReminders error: ${err.message}`);
+      return [];
+    }
+  }
+
+  return [...memStore.values()]
+    .filter((r) => r.status === "open" && r.remind_at <= nowIso)
+    .filter((r) => !platform || r.platform === platform)
+    .sort((a, b) => a.remind_at.localeCompare(b.remind_at));
+}
+
+/**
+ * updateStatus — move a row to "reminded", "requoted" or "dismissed".
+ *
+ * @param {string} id
+ * @param {string} status
+ * @returns {Promise<boolean>}  false when the row couldn't be updated
+ */
+async function updateStatus(id, status) {
+  const patch = { status };
+  if (status === "reminded") patch.reminded_at = new Date().toISOString();
+
+  if (supabase) {
+    try {
+      const { error } = await supabase.from(TABLE).update(patch).eq("id", id);
+      if (error) throw new Error(error.message);
+      return true;
+    } catch (err) {
+      console.error(`${LOG} updateStatus error: ${err.message}`);
+      return false;
+    }
+  }
+
+  const row = memStore.get(id);
+  if (!row) return false;
+  memStore.set(id, { ...row, ...patch });
+  return true;
+}
+
+/**
+ * formatReminder — advisor-facing reminder text.
+ * e.g. "Jane Smith's Camry — rear brakes declined 90 days ago, want me to re-quote?"
+ *
+ * @param {object} row
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function formatReminder(row, now = new Date()) {
+  const v = row.vehicle || {};
+  const vehicleName = v.model || [v.year, v.make].filter(Boolean).join(" ") || "vehicle";
+  const owner = row.customer_name ? `${row.customer_name}'s ${vehicleName}` : `The ${[v.year, v.make, v.model].filter(Boolean).join(" ") || vehicleName}`;
+  const days = Math.max(0, Math.round((now.getTime() - new Date(row.declined_at).getTime()) / DAY_MS));
+  const job = String(row.job_name || "work").replace(/^./, (c) => c.toLowerCase());
+  let text = `${owner} — ${job} declined ${days} day${days === 1 ? "" : "s"} ago, want me to re-quote?`;
+  if (row.quoted_total) text += ` (was $${Number(row.quoted_total).toFixed(2)})`;
+  if (row.customer_phone) text += `\nCustomer: ${row.customer_phone}`;
+  return text;
+}
+
+/**
+ * runReminderCheck — send every due reminder once and mark it reminded.
+ * A failed send leaves the row open so the next check retries it.
+ *
+ * @param {function} send  async (chatId, text) => void — rejects when not delivered
+ * @param {object} [opts]  { platform, now, onReminded }
+ * @param {function} [opts.onReminded]  async (row) => void after a reminder is sent —
+ *   the gateway records it on the chat so the advisor's reply can act on it
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+async function runReminderCheck(send, opts = {}) {
+  const due = await getDueReminders(opts);
+  let sent = 0, failed = 0;
+
+  for (const row of due) {
+    try {
+      await send(row.chat_id, formatReminder(row, opts.now));
+    } catch (err) {
+      failed++;
+      console.error(`${LOG} reminder send failed for ${row.id}: ${err.message}`);
+      continue;
+    }
+    sent++;
+    if (!(await updateStatus(row.id, "reminded"))) {
+      console.warn(`${LOG} ${row.id} not marked reminded — it will be sent again`);
+    }
+    if (opts.onReminded) {
+      await Promise.resolve()
+        .then(() => opts.onReminded({ ...row, status: "reminded" }))
+        .catch((err) => console.error(`${LOG} onReminded failed for ${row.id}: ${err.message}`));
+    }
+  }
+
+  if (sent > 0 || failed > 0) {
+    console.log(`${LOG} Reminders: ${sent} sent, ${failed} failed`);
+  }
+  return { sent, failed };
+}
+
+/**
+ * startReminderScheduler — run runReminderCheck on an interval.
+ *
+ * @param {object} opts
+ * @param {string} opts.platform  Gateway platform — only its chats are reminded
+ * @param {function} opts.send  async (chatId, text) => void — must reject when the message
+ *   isn't delivered; a send that resolves marks the row reminded
+ * @param {function} [opts.onReminded]  async (row) => void — see runReminderCheck
+ * @param {number} [opts.intervalMs]  Defaults to DEFERRED_REMINDER_CHECK_MS (1h)
+ * @returns {function} stop — clears the interval
+ */
+function startReminderScheduler({ platform, send, onReminded, intervalMs = DEFAULT_CHECK_MS }) {
+  const tick = () => runReminderCheck(send, { platform, onReminded }).catch((err) =>
+    console.error(`${LOG} reminder check error: ${err.message}`)
+  );
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  captureDeclinedWork,
+  getDeferredWork,
+  getDueReminders,
+  updateStatus,
+  formatReminder,
+  runReminderCheck,
+  startReminderScheduler,
+};
@@ -5,8 +5,8 @@ const os = require("os");
 const fs = require("fs");
 const path = require("path");
 const { execSync } = require("child_process");
+const browserPool = require("./browser-pool");
 
-const CHROME_CDP_PORT = parseInt(process.env.CHROME_DEBUG_PORT, 10) || 18800;
 const ARTIFACTS_DIR = path.join(os.tmpdir(), "sam-artifacts");
 const SCREENSHOTS_DIR = path.join(os.homedir(), ".openclaw", "media", "browser");
 const ARTIFACT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
@@ -51,12 +51,18 @@ function getDiskFreeMb() {
 
 async function checkHealth() {
   const chrome = isProcessRunning("chrome") || isProcessRunning("chromium");
-  const cdp = await checkPort(CHROME_CDP_PORT);
+  // One Chrome per browser worker; cdp is true only when every worker answers
+  const workers = await Promise.all(browserPool.getPoolStatus().map(async (w) => ({
+    ...w,
+    cdp: await checkPort(w.cdpPort),
+  })));
+  const cdp = workers.every((w) => w.cdp);
   const disk_free_mb = getDiskFreeMb();
   const uptime_s = Math.round((Date.now() - startTime) / 1000);
   return {
     chrome,
     cdp,
+    workers,
     disk_free_mb,
     uptime_s,
     disk_warning: disk_free_mb > 0 && disk_free_mb < 500,
@@ -0,0 +1,534 @@
+"use strict";
+
+// skills/shared/http-recorder.js
+// Record/replay for outbound HTTP, so a full buildEstimate() run can be repeated
+// offline as a regression test. record() taps http/https.request and global fetch
+// (node-fetch rides on http/https) and writes every call — NHTSA, AutoLeap,
+// PartsTech, ProDemand, Supabase, OpenAI and Anthropic — to a JSON fixture.
+// replay() serves that fixture back with no network access.
+// Loopback hosts pass through untouched: that is the Chrome CDP connection. Steps
+// driven through the browser itself are not captured, and replay switches them
+// off by leaving their login env vars unset.
+
+const http = require("http");
+const https = require("https");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { PassThrough, Writable } = require("stream");
+
+const LOG = "[http-recorder]";
+const FIXTURE_VERSION = 1;
+const DEFAULT_PASSTHROUGH = ["localhost", "127.0.0.1", "::1", "[::1]"];
+// Query params and env vars whose values never go into a fixture
+const SECRET_NAME = /key|token|secret|password|passwd|auth|sig/i;
+// Env vars that pick pipeline code paths (platform on/off, base URLs, models)
+const SERVICE_ENV = /^(SUPABASE|ANTHROPIC|OPENAI|CLAUDE|AUTOLEAP|PARTSTECH|PRODEMAND|ALLDATA|IDENTIFIX|ARI)_/;
+// Chrome logins — those steps talk to the platform from the browser, not from Node
+const BROWSER_LOGIN = /_(EMAIL|USERNAME|PASSWORD)$/;
+const TEXT_TYPE = /json|text|xml|html|javascript|x-www-form-urlencoded/i;
+// Hop-by-hop and per-connection headers — content-length is recomputed on replay
+const DROP_HEADERS = new Set(["set-cookie", "transfer-encoding", "connection", "keep-alive", "content-length"]);
+
+const originals = {
+  httpRequest: http.request,
+  httpGet: http.get,
+  httpsRequest: https.request,
+  httpsGet: https.get,
+  fetch: globalThis.fetch,
+};
+
+// Active session: { mode, fixture, label, passthrough, seq, calls, entries, misses, loose }
+let session = null;
+
+// ── Fixture encoding ──
+
+function redactUrl(url) {
+  const u = new URL(String(url));
+  u.username = "";
+  u.password = "";
+  for (const name of [...u.searchParams.keys()]) {
+    if (SECRET_NAME.test(name)) u.searchParams.set(name, "REDACTED");
+  }
+  return u.toString();
+}
+
+function hashBody(buf) {
+  if (!buf || !buf.length) return "-";
+  return crypto.createHash("sha256").update(buf).digest("hex").slice(0, 16);
+}
+
+function isText(headers) {
+  return !headers["content-encoding"] && TEXT_TYPE.test(headers["content-type"] || "");
+}
+
+function encodeBody(buf, headers) {
+  if (!buf.length) return { body: "" };
+  return isText(headers) ? { body: buf.toString("utf8") } : { bodyBase64: buf.toString("base64") };
+}
+
+function decodeBody(entry) {
+  return entry.bodyBase64 != null ? Buffer.from(entry.bodyBase64, "base64") : Buffer.from(entry.body || "", "utf8");
+}
+
+function cleanHeaders(headers, { decoded = false } = {}) {
+  const out = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    const key = name.toLowerCase();
+    if (DROP_HEADERS.has(key)) continue;
+    // fetch() has already decompressed the body it hands back
+    if (decoded && key === "content-encoding") continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+function lowerHeaders(headers) {
+  const out = {};
+  if (Array.isArray(headers)) {
+    for (const [name, value] of headers) out[String(name).toLowerCase()] = String(value);
+  } else {
+    for (const [name, value] of Object.entries(headers || {})) out[name.toLowerCase()] = value;
+  }
+  return out;
+}
+
+function toBuffer(chunk, encoding) {
+  if (Buffer.isBuffer(chunk)) return chunk;
+  if (typeof chunk === "string") return Buffer.from(chunk, typeof encoding === "string" ? encoding : "utf8");
+  return Buffer.from(chunk);
+}
+
+/**
+ * Env vars that decide which platforms the pipeline calls — secrets as null.
+ * Browser logins are left out, so replay runs with those steps switched off.
+ */
+function snapshotEnv() {
+  const env = {};
+  for (const [name, value] of Object.entries(process.env)) {
+    if (!SERVICE_ENV.test(name) || BROWSER_LOGIN.test(name) || !value) continue;
+    env[name] = SECRET_NAME.test(name) ? null : value;
+  }
+  return env;
+}
+
+/**
+ * Make the service env match the recording, so the pipeline takes the same
+ * code paths: unrecorded services are switched off, URLs and models restored,
+ * and secrets filled with a placeholder where this machine has none.
+ */
+function applyEnv(env) {
+  if (!env) return;
+  for (const name of Object.keys(process.env)) {
+    if (SERVICE_ENV.test(name) && !(name in env)) delete process.env[name];
+  }
+  for (const [name, value] of Object.entries(env)) {
+    if (value != null) process.env[name] = value;
+    else if (!process.env[name]) process.env[name] = "replay-placeholder";
+  }
+}
+
+// ── Recording ──
+
+function saveCall(call, reqBody, response) {
+  const reqHeaders = call.headers;
+  const entry = {
+    seq: call.seq,
+    method: call.method,
+    url: redactUrl(call.url),
+    requestHash: hashBody(reqBody),
+  };
+  if (reqBody.length) {
+    entry.requestBody = isText(reqHeaders) ? reqBody.toString("utf8") : `<${reqBody.length} bytes>`;
+  }
+  if (response.error) {
+    entry.error = response.error.message;
+    if (response.error.code) entry.errorCode = response.error.code;
+  } else {
+    entry.status = response.status;
+    entry.statusText = response.statusText || "";
+    entry.headers = response.headers;
+    Object.assign(entry, encodeBody(response.body, response.headers));
+  }
+  entry.durationMs = Date.now() - call.startedAt;
+  session.calls.push(entry);
+}
+
+function recordRequest(original, call, args) {
+  const req = original(...args);
+  const chunks = [];
+  let saved = false;
+
+  const { write, end } = req;
+  req.write = function (chunk, ...rest) {
+    if (chunk != null && typeof chunk !== "function") chunks.push(toBuffer(chunk, rest[0]));
+    return write.call(this, chunk, ...rest);
+  };
+  req.end = function (chunk, ...rest) {
+    if (chunk != null && typeof chunk !== "function") chunks.push(toBuffer(chunk, rest[0]));
+    return end.call(this, chunk, ...rest);
+  };
+
+  // Tap emit instead of adding a "data" listener, so the caller's stream mode is untouched
+  req.prependListener("response", (res) => {
+    const body = [];
+    const emit = res.emit;
+    res.emit = function (event, ...evArgs) {
+      if (event === "data") body.push(toBuffer(evArgs[0]));
+      else if (event === "end" && !saved && session?.mode === "record") {
+        saved = true;
+        saveCall(call, Buffer.concat(chunks), {
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          headers: cleanHeaders(res.headers),
+          body: Buffer.concat(body),
+        });
+      }
+      return emit.call(this, event, ...evArgs);
+    };
+  });
+  req.on("error", (err) => {
+    if (saved || session?.mode !== "record") return;
+    saved = true;
+    saveCall(call, Buffer.concat(chunks), { error: err });
+  });
+  return req;
+}
+
+// ── Replay ──
+
+function indexCalls(calls) {
+  const exact = new Map();
+  const loose = new Map();
+  for (const entry of [...calls].sort((a, b) => a.seq - b.seq)) {
+    const slot = { entry, used: false };
+    const exactKey = `${entry.method} ${entry.url} ${entry.requestHash}`;
+    const looseKey = `${entry.method} ${entry.url}`;
+    if (!exact.has(exactKey)) exact.set(exactKey, []);
+    if (!loose.has(looseKey)) loose.set(looseKey, []);
+    exact.get(exactKey).push(slot);
+    loose.get(looseKey).push(slot);
+  }
+  return { exact, loose, all: [...exact.values()].flat() };
+}
+
+/**
+ * Next unused recording for a request: same method, URL and body first, then —
+ * for bodies that carry timestamps or run ids — same method and URL in recorded order.
+ */
+function takeRecorded(method, url, reqBody) {
+  const key = `${method} ${redactUrl(url)}`;
+  const exact = session.entries.exact.get(`${key} ${hashBody(reqBody)}`) || [];
+  let slot = exact.find((s) => !s.used);
+  if (!slot) {
+    slot = (session.entries.loose.get(key) || []).find((s) => !s.used);
+    if (slot) session.loose++;
+  }
+  if (!slot) {
+    session.misses.push({ method, url: redactUrl(url) });
+    const err = new Error(`${LOG} no recorded response for ${method} ${redactUrl(url)}`);
+    err.code = "REPLAY_MISS";
+    return { error: err };
+  }
+  slot.used = true;
+  const { entry } = slot;
+  if (entry.error) {
+    const err = new Error(entry.error);
+    if (entry.errorCode) err.code = entry.errorCode;
+    return { error: err };
+  }
+  return { entry, body: decodeBody(entry) };
+}
+
+function toIncomingMessage(entry, body) {
+  const res = new PassThrough();
+  res.statusCode = entry.status;
+  res.statusMessage = entry.statusText || http.STATUS_CODES[entry.status] || "";
+  res.headers = { ...entry.headers, "content-length": String(body.length) };
+  res.rawHeaders = Object.entries(res.headers).flatMap(([name, value]) =>
+    Array.isArray(value) ? value.flatMap((v) => [name, String(v)]) : [name, String(value)]
+  );
+  res.httpVersion = "1.1";
+  res.complete = true;
+  res.end(body);
+  return res;
+}
+
+/** Stands in for http.ClientRequest: buffers the body, answers from the fixture on end() */
+class ReplayRequest extends Writable {
+  constructor(call) {
+    // Not auto-destroyed on finish: the response is still to come
+    super({ autoDestroy: false });
+    this.call = call;
+    this.method = call.method;
+    this.host = call.url.host;
+    this.protocol = call.url.protocol;
+    this.path = call.url.pathname + call.url.search;
+    this.chunks = [];
+    if (call.callback) this.once("response", call.callback);
+    this.once("finish", () => process.nextTick(() => this.respond()));
+  }
+
+  _write(chunk, encoding, done) {
+    this.chunks.push(toBuffer(chunk, encoding));
+    done();
+  }
+
+  respond() {
+    if (this.destroyed || !session) return;
+    const { entry, body, error } = takeRecorded(this.method, this.call.url, Buffer.concat(this.chunks));
+    if (error) return this.destroy(error);
+    this.emit("response", toIncomingMessage(entry, body));
+  }
+
+  abort() { this.destroy(); }
+  setTimeout() { return this; }
+  setNoDelay() {}
+  setSocketKeepAlive() {}
+  setHeader() {}
+  getHeader() { return undefined; }
+  removeHeader() {}
+  flushHeaders() {}
+}
+
+// ── Hooks ──
+
+/** Normalize http.request's (url?, options?, callback?) arguments */
+function describeRequest(protocol, args) {
+  let url = null;
+  let options = {};
+  let callback = null;
+  for (const arg of args) {
+    if (typeof arg === "function") callback = arg;
+    else if (typeof arg === "string" || arg instanceof URL) url = new URL(String(arg));
+    else if (arg && typeof arg === "object") options = arg;
+  }
+  if (!url) {
+    const host = options.hostname || String(options.host || "localhost").replace(/:\d+$/, "");
+    const port = options.port ? `:${options.port}` : "";
+    url = new URL(`${options.protocol || protocol}//${host}${port}${options.path || "/"}`);
+  }
+  return {
+    url,
+    method: String(options.method || "GET").toUpperCase(),
+    headers: lowerHeaders(options.headers),
+    callback,
+  };
+}
+
+function passesThrough(call) {
+  // WebSocket upgrades (CDP, Playwright) can't be recorded as request/response
+  return session.passthrough.has(call.url.hostname) || "upgrade" in call.headers;
+}
+
+function hookRequest(protocol, original) {
+  return function request(...args) {
+    if (!session) return original(...args);
+    const call = describeRequest(protocol, args);
+    if (passesThrough(call)) return original(...args);
+    if (session.mode === "record") {
+      call.seq = ++session.seq;
+      call.startedAt = Date.now();
+      return recordRequest(original, call, args);
+    }
+    return new ReplayRequest(call);
+  };
+}
+
+function hookGet(request) {
+  return function get(...args) {
+    const req = request(...args);
+    req.end();
+    return req;
+  };
+}
+
+async function hookedFetch(input, init) {
+  if (!session) return originals.fetch(input, init);
+  const request = new Request(input, init);
+  const call = {
+    url: new URL(request.url),
+    method: request.method,
+    headers: lowerHeaders([...request.headers]),
+  };
+  if (passesThrough(call)) return originals.fetch(request);
+
+  const reqBody = Buffer.from(await request.clone().arrayBuffer());
+
+  if (session.mode === "replay") {
+    const { entry, body, error } = takeRecorded(call.method, call.url, reqBody);
+    if (error) throw error;
+    const empty = entry.status === 204 || entry.status === 304 || call.method === "HEAD";
+    return new Response(empty ? null : body, {
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: { ...entry.headers, "content-length": String(body.length) },
+    });
+  }
+
+  call.seq = ++session.seq;
+  call.startedAt = Date.now();
+  let res;
+  try {
+    res = await originals.fetch(request);
+  } catch (err) {
+    if (session?.mode === "record") saveCall(call, reqBody, { error: err.cause || err });
+    throw err;
+  }
+  const body = Buffer.from(await res.clone().arrayBuffer());
+  if (session?.mode === "record") {
+    saveCall(call, reqBody, {
+      status: res.status,
+      statusText: res.statusText,
+      headers: cleanHeaders(Object.fromEntries(res.headers), { decoded: true }),
+      body,
+    });
+  }
+  return res;
+}
+
+function install() {
+  http.request = hookRequest("http:", originals.httpRequest);
+  https.request = hookRequest("https:", originals.httpsRequest);
+  http.get = hookGet(http.request);
+  https.get = hookGet(https.request);
+  if (originals.fetch) globalThis.fetch = hookedFetch;
+}
+
+function uninstall() {
+  http.request = originals.httpRequest;
+  http.get = originals.httpGet;
+  https.request = originals.httpsRequest;
+  https.get = originals.httpsGet;
+  if (originals.fetch) globalThis.fetch = originals.fetch;
+}
+
+// ── Public API ──
+
+/**
+ * record — capture outbound HTTP until stop(), which writes the fixture.
+ * Secrets in query strings are redacted; request headers are not stored.
+ *
+ * @param {object} opts
+ * @param {string}   opts.fixture       Path the fixture is written to
+ * @param {string}   [opts.label]       Free-text description stored in the fixture
+ * @param {string[]} [opts.passthrough] Hostnames left live (default: loopback)
+ */
+function record({ fixture, label = null, passthrough = DEFAULT_PASSTHROUGH } = {}) {
+  if (session) throw new Error(`${LOG} already ${session.mode === "record" ? "recording" : "replaying"}`);
+  if (!fixture) throw new Error(`${LOG} record needs a fixture path`);
+  session = {
+    mode: "record",
+    fixture,
+    label,
+    env: snapshotEnv(),
+    passthrough: new Set(passthrough),
+    seq: 0,
+    calls: [],
+  };
+  install();
+  console.log(`${LOG} Recording outbound HTTP to ${fixture}`);
+  const logins = Object.keys(process.env).filter((name) => SERVICE_ENV.test(name) && BROWSER_LOGIN.test(name));
+  if (logins.length) {
+    console.log(`${LOG} Browser logins set (${logins.join(", ")}) — those steps run live and are off on replay`);
+  }
+}
+
+/**
+ * replay — answer outbound HTTP from a fixture until stop(). A request with no
+ * recording fails like a network error (code REPLAY_MISS) and is listed by stop().
+ *
+ * @param {object} opts
+ * @param {string|object} opts.fixture  Fixture path, or an already-parsed fixture
+ * @param {string[]} [opts.passthrough] Hostnames left live (default: loopback)
+ * @param {boolean}  [opts.applyEnv]    Match the service env to the recording (default true)
+ */
+function replay({ fixture, passthrough = DEFAULT_PASSTHROUGH, applyEnv: matchEnv = true } = {}) {
+  if (session) throw new Error(`${LOG} already ${session.mode === "record" ? "recording" : "replaying"}`);
+  const data = typeof fixture === "string" ? JSON.parse(fs.readFileSync(fixture, "utf8")) : fixture;
+  if (!data || data.version !== FIXTURE_VERSION || !Array.isArray(data.calls)) {
+    throw new Error(`${LOG} not a version ${FIXTURE_VERSION} fixture: ${typeof fixture === "string" ? fixture : "(object)"}`);
+  }
+  if (matchEnv) applyEnv(data.env);
+  session = {
+    mode: "replay",
+    fixture: typeof fixture === "string" ? fixture : null,
+    passthrough: new Set(passthrough),
+    entries: indexCalls(data.calls),
+    misses: [],
+    loose: 0,
+  };
+  install();
+  console.log(`${LOG} Replaying ${data.calls.length} recorded call(s)${session.fixture ? ` from ${session.fixture}` : ""}`);
+}
+
+/**
+ * stop — remove the hooks. In record mode the fixture is written here.
+ *
+ * @returns {object|null}  Record: { mode, fixture, calls }.
+ *   Replay: { mode, fixture, served, loose, misses: [{method, url}], unused }
+ *   — unused counts recordings the run never asked for. null when inactive.
+ */
+function stop() {
+  if (!session) return null;
+  const active = session;
+  session = null;
+  uninstall();
+
+  if (active.mode === "record") {
+    const calls = active.calls.sort((a, b) => a.seq - b.seq);
+    fs.mkdirSync(path.dirname(path.resolve(active.fixture)), { recursive: true });
+    fs.writeFileSync(active.fixture, JSON.stringify({
+      version: FIXTURE_VERSION,
+      label: active.label,
+      recordedAt: new Date().toISOString(),
+      env: active.env,
+      calls,
+    }, null, 2));
+    console.log(`${LOG} Wrote ${calls.length} call(s) to ${active.fixture}`);
+    return { mode: "record", fixture: active.fixture, calls: calls.length };
+  }
+
+  const used = active.entries.all.filter((s) => s.used).length;
+  return {
+    mode: "replay",
+    fixture: active.fixture,
+    served: used,
+    loose: active.loose,
+    misses: active.misses,
+    unused: active.entries.all.length - used,
+  };
+}
+
+/**
+ * fromArgv — start recording or replaying from `--record <fixture>` or
+ * `--replay <fixture>` on a script's command line.
+ *
+ * @param {string[]} [argv]
+ * @returns {"record"|"replay"|null}
+ */
+function fromArgv(argv = process.argv) {
+  for (const mode of ["record", "replay"]) {
+    const i = argv.indexOf(`--${mode}`);
+    if (i === -1) continue;
+    const fixture = argv[i + 1];
+    if (!fixture || fixture.startsWith("--")) throw new Error(`${LOG} --${mode} needs a fixture path`);
+    if (mode === "record") record({ fixture });
+    else replay({ fixture });
+    return mode;
+  }
+  return null;
+}
+
+/** @returns {"record"|"replay"|null} */
+function currentMode() {
+  return session ? session.mode : null;
+}
+
+module.exports = {
+  record,
+  replay,
+  stop,
+  fromArgv,
+  currentMode,
+};
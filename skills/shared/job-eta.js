@@ -0,0 +1,110 @@
+"use strict";
+
+// skills/shared/job-eta.js
+// Queue wait estimates learned from real run times. Every finished estimate
+// reports its pipeline runtime (the orchestrator's pipeline_metric) under its
+// request type; a waiting job's duration is predicted from recent runs of the
+// same type, and its wait from the jobs ahead of it spread over the workers.
+// Runtimes are kept in memory and re-seeded from sam_jobs on startup.
+
+const { classifyRequest } = require("./request-type");
+
+const DEFAULT_DURATION_MS = 15 * 60 * 1000; // no history yet: the old flat guess
+const SAMPLES_PER_TYPE = 20;
+const MIN_SAMPLES = 3;
+// A running job already past its prediction is assumed to need at least this much more
+const MIN_REMAINING_MS = 60 * 1000;
+
+// requestType -> runtimes in ms, oldest first
+const samples = new Map();
+
+/**
+ * Request type of a queued job, from its buildEstimate() params.
+ * @param {object|null} params
+ * @returns {string} "diagnostic" | "maintenance" | "general"
+ */
+function requestTypeOf(params) {
+  return classifyRequest(String(params?.query || "")).type;
+}
+
+/**
+ * Add one finished run's runtime to its type's history.
+ * @param {string} requestType
+ * @param {number} ms
+ */
+function recordDuration(requestType, ms) {
+  if (!requestType || !(ms > 0)) return;
+  const list = samples.get(requestType) || [];
+  list.push(ms);
+  if (list.length > SAMPLES_PER_TYPE) list.shift();
+  samples.set(requestType, list);
+}
+
+/**
+ * Seed history from stored job rows (newest first, as getRecentDurations returns them).
+ * @param {object[]} rows - [{ request_type, runtime_ms, duration_ms }]
+ */
+function seedDurations(rows) {
+  for (const row of [...(rows || [])].reverse()) {
+    recordDuration(row.request_type, row.runtime_ms ?? row.duration_ms);
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Predicted runtime for a request type: median of its recent runs, else of
+ * all recent runs, else DEFAULT_DURATION_MS.
+ *
+ * @param {string} requestType
+ * @returns {number} ms
+ */
+function predictDuration(requestType) {
+  const own = samples.get(requestType) || [];
+  if (own.length >= MIN_SAMPLES) return median(own);
+  const all = [...samples.values()].flat();
+  if (all.length >= MIN_SAMPLES) return median(all);
+  return DEFAULT_DURATION_MS;
+}
+
+/**
+ * Time until a worker frees up for a job, given the jobs ahead of it.
+ * Running jobs finish after their predicted remaining time; queued jobs ahead
+ * each take the next free worker in FIFO order.
+ *
+ * @param {object} opts
+ * @param {object[]} opts.running - [{ predictedMs, startedAt }]
+ * @param {number[]} opts.queued - predictedMs of each queued job ahead, in order
+ * @param {number} opts.workers - Pool size
+ * @param {number} [opts.now]
+ * @returns {number} ms
+ */
+function estimateWaitMs({ running, queued, workers, now = Date.now() }) {
+  const free = running.map((job) => Math.max(job.predictedMs - (now - job.startedAt), MIN_REMAINING_MS));
+  while (free.length < workers) free.push(0);
+  free.sort((a, b) => a - b);
+  for (const ms of queued) {
+    free[0] += ms;
+    free.sort((a, b) => a - b);
+  }
+  return free[0];
+}
+
+/** Wait in whole minutes for chat messages; 0 only when there is no wait. */
+function toMinutes(ms) {
+  return ms > 0 ? Math.max(1, Math.round(ms / 60000)) : 0;
+}
+
+module.exports = {
+  requestTypeOf,
+  recordDuration,
+  seedDurations,
+  predictDuration,
+  estimateWaitMs,
+  toMinutes,
+  DEFAULT_DURATION_MS,
+};
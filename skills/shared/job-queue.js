@@ -1,9 +1,20 @@
 "use strict";
 
-// [job-queue] Singleton serial job queue using p-queue with concurrency: 1.
-// Both gateways import this one module so they share a single queue instance
-// within the gateway process. Prevents concurrent buildEstimate() calls from
-// corrupting the shared Chrome browser session on the Pi.
+// [job-queue] Singleton job queue using p-queue, one slot per browser worker.
+// The queue is per process: each gateway service (telegram, whatsapp, slack,
+// api) runs its own. Each running job leases a worker from browser-pool.js —
+// its own Chrome profile and CDP port — and the pool's lock files keep the
+// other services' queues off that worker, so concurrent buildEstimate() calls
+// never share a browser session. With one worker (the default) estimates run
+// one at a time across all services.
+//
+// The queue itself lives in process memory; every job is also recorded in the
+// job store (sam_jobs) so a restart can re-queue waiting jobs and report the
+// one that was running — see recoverJobs().
+//
+// Each job gets an AbortSignal: cancelEstimate() and the per-job wall-clock
+// limit (ESTIMATE_JOB_TIMEOUT_MS) abort it, and buildEstimate() threads the
+// signal through research and the AutoLeap playbook.
 
 const EventEmitter = require("events");
 
@@ -16,28 +27,78 @@ try {
   PQueue = mod.default || mod;
 }
 
+const browserPool = require("./browser-pool");
+const jobEta = require("./job-eta");
+
+// Job persistence — Supabase when configured, in-memory otherwise
+let jobStore = null;
+try {
+  jobStore = require("./job-store");
+} catch (_) {}
+
+const LOG = "[job-queue]";
+const JOB_TIMEOUT_MS = Number(process.env.ESTIMATE_JOB_TIMEOUT_MS) || 20 * 60 * 1000; // 20 min
+// A waiting chat gets a new ETA when its position changes or its wait moves by this much
+const ETA_UPDATE_MIN = 2;
+// An aborted job that ignores its signal keeps its worker this long before the
+// worker is handed on anyway — its Chrome may still be busy.
+const ABORT_GRACE_MS = Number(process.env.ESTIMATE_ABORT_GRACE_MS) || 60 * 1000;
+
 // Module-level singletons — shared across all importers in the same process
-const queue = new PQueue({ concurrency: 1 });
+const queue = new PQueue({ concurrency: browserPool.POOL_SIZE });
 const emitter = new EventEmitter();
 
-// userId -> { status: "queued"|"running", position, queuedAt, startedAt? }
+// userId -> { status: "queued"|"running", position, queuedAt, requestType, predictedMs, startedAt?, workerId? }
 const activeJobs = new Map();
 
+// userId -> { notifyPosition, position, waitMinutes } for waiting jobs — last ETA sent
+const waiters = new Map();
+
+// Seed learned run times from finished jobs (empty without Supabase)
+jobStore?.getRecentDurations().then(jobEta.seedDurations).catch(() => {});
+
+// userId -> AbortController for the active job (kept apart so getStatus stays plain data)
+const controllers = new Map();
+
+/**
+ * Abort reason for a cancelled or timed-out job. reason_code matches retry.js
+ * FailureClass so retries and circuit breakers leave it alone.
+ */
+function jobAbortError(code, message) {
+  const err = new Error(message);
+  err.reason_code = code;
+  err.retryable = false;
+  return err;
+}
+
 /**
  * Enqueue a job for the given userId.
  *
  * @param {string} userId - Unique identifier for the user/session.
- * @param {function(): Promise<*>} jobFn - The async work to run.
+ * @param {function({ signal: AbortSignal, worker: object }): Promise<*>} jobFn - The async work to run.
+ *   signal aborts on cancelEstimate() or when the job passes its time limit.
+ *   worker is the leased browser worker; it is also browserPool.currentWorker()
+ *   for everything jobFn awaits.
  * @param {object} [opts]
- * @param {function(position: number, waitMinutes: number): void} [opts.notifyPosition]
- *   Called synchronously (before queue.add) when this job must wait. Receives:
+ * @param {function(position: number, waitMinutes: number, info?: { update: boolean }): void} [opts.notifyPosition]
+ *   Called synchronously (before queue.add) when this job must wait, then again
+ *   with { update: true } whenever a job ahead finishes and the ETA moves. Receives:
  *     position   - 1-based queue position (e.g. 2 = second in line)
- *     waitMinutes - estimated wait in minutes (position-1 × 15)
+ *     waitMinutes - estimated wait, from learned run times of the jobs ahead (see job-eta.js)
+ * @param {object} [opts.record] - Persisted with the job so it can be re-queued after a restart
+ * @param {string} [opts.record.platform]
+ * @param {string|number} [opts.record.chatId] - Chat to deliver results / restart notices to
+ * @param {object} [opts.record.params] - buildEstimate() params (callbacks are dropped)
+ * @param {string} [opts.jobId] - Existing job row being re-queued by recoverJobs()
+ * @param {number} [opts.timeoutMs] - Wall-clock limit once running (default ESTIMATE_JOB_TIMEOUT_MS, 0 = none)
+ * @param {number} [opts.abortGraceMs] - How long an aborted job that ignores its signal keeps its
+ *   browser worker (default ESTIMATE_ABORT_GRACE_MS, 60s)
  *
  * @returns {Promise<*>} Resolves to jobFn's return value.
  *   If userId is already active, returns { alreadyQueued: true, position } immediately.
+ *   Rejects with reason_code "CANCELLED" or "JOB_TIMEOUT" when aborted.
  */
-async function enqueueEstimate(userId, jobFn, { notifyPosition } = {}) {
+async function enqueueEstimate(userId, jobFn, { notifyPosition, record, jobId, timeoutMs = JOB_TIMEOUT_MS, abortGraceMs = ABORT_GRACE_MS } = {}) {
   // Idempotent check: if this userId already has an active job, return early.
   // activeJobs is set synchronously before queue.add(), so this check is race-safe
   // in Node.js's single-threaded event loop.
@@ -46,48 +107,346 @@ async function enqueueEstimate(userId, jobFn, { notifyPosition } = {}) {
     return { alreadyQueued: true, position: existing.position };
   }
 
-  // Capture position BEFORE modifying queue or activeJobs.
-  // queue.size  = jobs WAITING (not yet running)
-  // queue.pending = jobs currently RUNNING (max 1 with concurrency:1)
-  // position = size + pending + 1 (accounts for the running job)
-  const position = queue.size + queue.pending + 1;
-  const waitMinutes = (queue.size + queue.pending) * 15;
+  // Capture position BEFORE modifying activeJobs.
+  // activeJobs = every job WAITING or RUNNING. Not queue.size + queue.pending:
+  // a job cancelled while waiting leaves activeJobs at once, but p-queue keeps
+  // its (no-op) task until that task's turn comes.
+  const ahead = activeJobs.size;
+  const position = ahead + 1;
+  const mustWait = ahead >= browserPool.POOL_SIZE;
+
+  // Predicted run time from recent runs of the same request type
+  const requestType = jobEta.requestTypeOf(record?.params);
+  const predictedMs = jobEta.predictDuration(requestType);
 
   // Mark synchronously to prevent double-enqueue race before returning to event loop
-  activeJobs.set(userId, { status: "queued", position, queuedAt: Date.now() });
+  activeJobs.set(userId, { status: "queued", position, queuedAt: Date.now(), requestType, predictedMs });
+  const waitMinutes = mustWait ? jobEta.toMinutes(waitMsFor(userId)) : 0;
+  const controller = new AbortController();
+  const { signal } = controller;
+  controllers.set(userId, controller);
+
+  // Record the job without holding up the queue; the task awaits the row
+  // before starting so the "running" mark always lands after the insert.
+  const saved = !jobStore ? Promise.resolve(null)
+    : jobId ? Promise.resolve({ id: jobId })
+    : jobStore.createJob({ userId, ...(record || {}), requestType }).catch(() => null);
+
+  // Cancelled while still waiting: drop it now rather than when its turn comes
+  let rejectQueued;
+  const dropped = new Promise((_, reject) => { rejectQueued = reject; });
+  signal.addEventListener("abort", () => {
+    if (activeJobs.get(userId)?.status !== "queued") return;
+    activeJobs.delete(userId);
+    controllers.delete(userId);
+    waiters.delete(userId);
+    saved.then((row) => persist(row, { status: "cancelled", finished_at: new Date().toISOString() }));
+    emitter.emit("job:cancel", { userId, status: "queued" });
+    rejectQueued(signal.reason);
+    refreshEtas();
+  }, { once: true });
 
-  // Notify the caller of their queue position when they must wait
-  if ((queue.pending > 0 || queue.size > 0) && typeof notifyPosition === "function") {
+  // Notify the caller of their queue position when every worker is taken
+  if (mustWait && typeof notifyPosition === "function") {
+    waiters.set(userId, { notifyPosition, position, waitMinutes });
     notifyPosition(position, waitMinutes);
   }
 
-  // Add to the serial queue and return the promise
-  return queue.add(async () => {
+  // Add to the serial queue
+  const task = queue.add(async () => {
+    // Cancelled while queued — the caller's promise has already rejected
+    if (signal.aborted) return undefined;
+
+    // A slot is free, so a worker is free too — unless an aborted job is
+    // still winding down on it (see ABORT_GRACE_MS)
+    const worker = await browserPool.acquireWorker(userId);
+    if (signal.aborted) {
+      browserPool.releaseWorker(worker);
+      return undefined;
+    }
+
     // Update status to running when our turn arrives
-    activeJobs.set(userId, { status: "running", position, startedAt: Date.now() });
-    emitter.emit("job:start", { userId });
+    const startedAt = Date.now();
+    activeJobs.set(userId, { ...activeJobs.get(userId), status: "running", startedAt, workerId: worker.id });
+    waiters.delete(userId);
+    emitter.emit("job:start", { userId, workerId: worker.id });
+
+    // Wall-clock limit: a hung ProDemand/MOTOR step can't hold the queue forever
+    const timer = timeoutMs > 0
+      ? setTimeout(() => controller.abort(jobAbortError("JOB_TIMEOUT", `Estimate timed out after ${formatLimit(timeoutMs)}`)), timeoutMs)
+      : null;
 
+    let row = null;
     try {
-      const result = await jobFn();
+      row = await saved;
+      await persist(row, { status: "running", started_at: new Date(startedAt).toISOString() });
+
+      // Raced against the signal so a step that ignores it still frees the queue
+      const work = browserPool.runWithWorker(worker, () => Promise.resolve().then(() => jobFn({ signal, worker })));
+      holdWorker(worker, work, signal, abortGraceMs);
+      const result = await Promise.race([work, abortPromise(signal)]);
+
+      // Learn from the pipeline's own metric (buildEstimate results.metrics)
+      const runtimeMs = result?.metrics?.total_runtime_ms ?? null;
+      const ranAs = result?.metrics?.request_type || requestType;
+      if (runtimeMs) jobEta.recordDuration(ranAs, runtimeMs);
+
+      await persist(row, {
+        status: "done",
+        ...finishedAt(startedAt),
+        request_type: ranAs,
+        runtime_ms: runtimeMs,
+        result_ref: jobStore?.resultRef(result) ?? null,
+      });
       emitter.emit("job:complete", { userId, result });
       return result;
     } catch (error) {
+      const status = error?.reason_code === "CANCELLED" ? "cancelled"
+        : error?.reason_code === "JOB_TIMEOUT" ? "timed_out"
+        : "failed";
+      await persist(row, { status, ...finishedAt(startedAt), error: error?.message || String(error) });
       emitter.emit("job:error", { userId, error });
       throw error;
     } finally {
       // Always clear — no memory leak
+      clearTimeout(timer);
       activeJobs.delete(userId);
+      controllers.delete(userId);
+      refreshEtas();
     }
   });
+
+  // Settles with the task, or at once if the job is cancelled while queued
+  return Promise.race([task, dropped]);
+}
+
+/**
+ * Cancel a user's job. A queued job is dropped from the queue; a running one
+ * is aborted through its AbortSignal and the queue moves on.
+ *
+ * @param {string} userId
+ * @returns {{ status: "queued"|"running" } | null} Status at cancel time, or null if no active job
+ */
+function cancelEstimate(userId) {
+  const job = activeJobs.get(userId);
+  const controller = controllers.get(userId);
+  if (!job || !controller) return null;
+  controller.abort(jobAbortError("CANCELLED", "Estimate cancelled"));
+  return { status: job.status };
+}
+
+/**
+ * Release the worker once the job's own promise settles — not when the queue
+ * gives up on it — so an aborted job still driving Chrome can't collide with
+ * the next one. After graceMs past an abort it is released regardless.
+ */
+function holdWorker(worker, work, signal, graceMs) {
+  let released = false;
+  let grace = null;
+  const release = () => {
+    if (released) return;
+    released = true;
+    clearTimeout(grace);
+    browserPool.releaseWorker(worker);
+  };
+  work.then(release, release);
+  signal.addEventListener("abort", () => {
+    grace = setTimeout(() => {
+      if (released) return;
+      console.warn(`${LOG} Worker ${worker.id} still busy ${graceMs / 1000}s after abort — releasing it`);
+      release();
+    }, graceMs);
+  }, { once: true });
+}
+
+function abortPromise(signal) {
+  return new Promise((_, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+  });
+}
+
+/**
+ * Predicted wait before userId's job starts, from the jobs ahead of it.
+ * activeJobs is in enqueue order and the queue is FIFO, so "ahead" is simply
+ * every entry before it.
+ */
+function waitMsFor(userId) {
+  const running = [];
+  const queued = [];
+  for (const [id, job] of activeJobs) {
+    if (id === userId) break;
+    if (job.status === "running") running.push(job);
+    else queued.push(job.predictedMs);
+  }
+  return jobEta.estimateWaitMs({ running, queued, workers: browserPool.POOL_SIZE });
+}
+
+/**
+ * Re-send ETAs to waiting chats after a slot frees up. Only chats whose
+ * position changed or whose wait moved by ETA_UPDATE_MIN hear about it; a job
+ * with no wait left is about to start and gets its ACK instead.
+ */
+function refreshEtas() {
+  for (const [userId, last] of waiters) {
+    if (activeJobs.get(userId)?.status !== "queued") {
+      waiters.delete(userId);
+      continue;
+    }
+    const position = [...activeJobs.keys()].indexOf(userId) + 1;
+    const waitMinutes = jobEta.toMinutes(waitMsFor(userId));
+    if (waitMinutes === 0) continue;
+    if (position === last.position && Math.abs(waitMinutes - last.waitMinutes) < ETA_UPDATE_MIN) continue;
+    last.position = position;
+    last.waitMinutes = waitMinutes;
+    Promise.resolve()
+      .then(() => last.notifyPosition(position, waitMinutes, { update: true }))
+      .catch((err) => console.error(`${LOG} ETA update for ${userId} failed: ${err.message}`));
+  }
+}
+
+function formatLimit(ms) {
+  return ms >= 60000 ? `${Math.round(ms / 60000)} min` : `${Math.round(ms / 1000)}s`;
 }
 
 /**
  * Returns the current status of a userId's job, or null if no active job.
+ * position is live: activeJobs keeps enqueue order and the queue runs FIFO,
+ * so running jobs come first and everyone behind them moves up as jobs finish.
+ * waitMinutes is the live predicted wait (0 once running).
+ *
  * @param {string} userId
- * @returns {{ status: string, position: number, queuedAt: number, startedAt?: number } | null}
+ * @returns {{ status: string, position: number, waitMinutes: number, queuedAt: number, requestType: string, predictedMs: number, startedAt?: number, workerId?: string } | null}
  */
 function getStatus(userId) {
-  return activeJobs.get(userId) || null;
+  const job = activeJobs.get(userId);
+  if (!job) return null;
+  return {
+    ...job,
+    position: [...activeJobs.keys()].indexOf(userId) + 1,
+    waitMinutes: job.status === "running" ? 0 : jobEta.toMinutes(waitMsFor(userId)),
+  };
+}
+
+// ── Persistence ──────────────────────────────────────────────────────────────
+
+/** Patch a job row; never throws — persistence must not fail the estimate. */
+async function persist(row, patch) {
+  if (!jobStore || !row) return;
+  try {
+    await jobStore.updateJob(row.id, patch);
+  } catch (err) {
+    console.error(`${LOG} persist error: ${err.message}`);
+  }
+}
+
+function finishedAt(startedAt) {
+  const now = Date.now();
+  return { finished_at: new Date(now).toISOString(), duration_ms: now - startedAt };
+}
+
+function describeJob(row) {
+  const p = row.params || {};
+  const vehicle = [p.year, p.make, p.model].filter(Boolean).join(" ");
+  const concern = String(p.query || "").slice(0, 60);
+  return [vehicle, concern].filter(Boolean).join(" — ") || "your vehicle";
+}
+
+/**
+ * Chat notice for a job the previous process left behind.
+ *
+ * @param {object} row - sam_jobs row
+ * @param {boolean} requeued - true if the job was put back in the queue
+ * @returns {string}
+ */
+function formatRecoveryNotice(row, requeued) {
+  if (requeued) {
+    return `SAM restarted — your estimate for ${describeJob(row)} is back in the queue. I'll send results when it's done.`;
+  }
+  // Runs with a runId checkpointed their finished steps (retry_estimate)
+  return row.params?.runId
+    ? `Sorry — SAM restarted before your estimate for ${describeJob(row)} finished. Say "retry" and I'll pick up where it stopped.`
+    : `Sorry — SAM restarted before your estimate for ${describeJob(row)} finished. Send the job again and I'll start over.`;
+}
+
+/**
+ * Recover jobs left behind by a crash or restart. Call once on gateway startup.
+ *
+ * Jobs that were running are marked failed (the browser session they used is
+ * gone, so they can't pick up mid-way); the chat can retry_estimate to resume
+ * them from their last checkpoint. Queued jobs with stored params are
+ * handed to resume() in their original order; without resume() they are failed
+ * too. Each affected chat is told what happened via notify().
+ *
+ * @param {object} opts
+ * @param {string} opts.platform - Only this gateway's jobs
+ * @param {function(object): Promise<*>} [opts.resume] - (row) => re-enqueue the job,
+ *   passing { jobId: row.id } to enqueueEstimate so the same row is reused.
+ *   Must call enqueueEstimate before its first await to keep queue order.
+ * @param {function(string, string): Promise<void>} [opts.notify] - (chatId, text)
+ * @returns {Promise<{ requeued: number, failed: number }>}
+ */
+async function recoverJobs({ platform, resume, notify } = {}) {
+  if (!jobStore) return { requeued: 0, failed: 0 };
+
+  const rows = await jobStore.getUnfinishedJobs({ platform });
+  let requeued = 0, failed = 0;
+
+  for (const row of rows) {
+    const canResume = row.status === "queued" && row.params && typeof resume === "function";
+
+    if (!canResume) {
+      failed++;
+      await persist(row, {
+        status: "failed",
+        finished_at: new Date().toISOString(),
+        error: row.status === "running" ? "Interrupted by restart" : "Not resumable after restart",
+      });
+    }
+
+    if (typeof notify === "function" && row.chat_id) {
+      try {
+        await notify(row.chat_id, formatRecoveryNotice(row, canResume));
+      } catch (err) {
+        console.error(`${LOG} recovery notice failed for ${row.id}: ${err.message}`);
+      }
+    }
+
+    if (canResume) {
+      requeued++;
+      // Not awaited — resume resolves when the estimate finishes
+      try {
+        Promise.resolve(resume(row)).catch((err) =>
+          console.error(`${LOG} resumed job ${row.id} failed: ${err.message}`)
+        );
+      } catch (err) {
+        console.error(`${LOG} resume failed for ${row.id}: ${err.message}`);
+      }
+    }
+  }
+
+  if (requeued > 0 || failed > 0) {
+    console.log(`${LOG} Recovered jobs${platform ? ` (${platform})` : ""}: ${requeued} re-queued, ${failed} failed`);
+  }
+  return { requeued, failed };
+}
+
+/**
+ * Recent jobs with status, timings and result pointer, newest first.
+ * See job-store getJobHistory() for options.
+ */
+async function getJobHistory(opts) {
+  return jobStore ? jobStore.getJobHistory(opts) : [];
 }
 
-module.exports = { enqueueEstimate, getStatus, emitter, queue };
+module.exports = {
+  enqueueEstimate,
+  getStatus,
+  cancelEstimate,
+  recoverJobs,
+  getJobHistory,
+  formatRecoveryNotice,
+  emitter,
+  queue,
+  JOB_TIMEOUT_MS,
+};
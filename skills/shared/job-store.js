@@ -0,0 +1,234 @@
+"use strict";
+
+// skills/shared/job-store.js
+// Persistence for the estimate job queue: every enqueued job is written to
+// sam_jobs so queued work survives a gateway crash or restart, and finished
+// rows double as job history (status, timings, result pointer).
+// Supabase-backed; falls back to an in-memory Map when SUPABASE_URL or
+// SUPABASE_ANON_KEY are absent (tests, local dev) — no restart safety there.
+
+const crypto = require("crypto");
+const { createClient } = require("@supabase/supabase-js");
+
+const LOG = "[job-store]";
+const TABLE = "sam_jobs";
+const HISTORY_LIMIT = 20;
+const DURATIONS_LIMIT = 200;
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_ANON_KEY;
+
+let supabase = null;
+if (SUPABASE_URL && SUPABASE_KEY) {
+  supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+}
+
+// In-memory fallback store — only used when Supabase is not configured
+const memStore = new Map();
+
+/**
+ * toStoredParams — JSON-safe copy of buildEstimate() params.
+ * Callbacks (progressCallback) and other non-serializable values are dropped;
+ * the gateway re-attaches its own when the job is re-queued.
+ *
+ * @param {object|null} params
+ * @returns {object|null}
+ */
+function toStoredParams(params) {
+  if (!params) return null;
+  try {
+    return JSON.parse(JSON.stringify(params));
+  } catch (err) {
+    console.error(`${LOG} params not serializable: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * resultRef — small pointer to a finished estimate, kept on the job row
+ * instead of the full results object (that lives in the session).
+ *
+ * @param {object} results  buildEstimate() results
+ * @returns {object|null}  { runId, estimateId, estimateCode, total, pdfPath }
+ */
+function resultRef(results) {
+  if (!results || typeof results !== "object") return null;
+  const estimate = results.estimate || {};
+  return {
+    runId: results.runId || null,
+    estimateId: estimate.estimateId || results.autoLeapEstimate?.estimateId || null,
+    estimateCode: estimate.estimateCode || null,
+    total: estimate.total ?? null,
+    pdfPath: results.pdfPath || null,
+  };
+}
+
+/**
+ * createJob — record a newly enqueued job.
+ *
+ * @param {object} job
+ * @param {string} job.userId  Queue key
+ * @param {string} [job.platform]
+ * @param {string|number} [job.chatId]
+ * @param {object} [job.params]  buildEstimate() params
+ * @param {string} [job.requestType]  Predicted request type (see request-type.js)
+ * @returns {Promise<object>}  The row (always returned, even if the insert failed)
+ */
+async function createJob({ userId, platform = null, chatId = null, params = null, requestType = null }) {
+  const row = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    platform,
+    chat_id: chatId == null ? null : String(chatId),
+    params: toStoredParams(params),
+    status: "queued",
+    request_type: requestType,
+    error: null,
+    result_ref: null,
+    queued_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    duration_ms: null,
+    runtime_ms: null,
+  };
+
+  if (supabase) {
+    try {
+      const { error } = await supabase.from(TABLE).insert(row);
+      if (error) console.error(`${LOG} insert error: ${error.message}`);
+    } catch (err) {
+      console.error(`${LOG} insert error: ${err.message}`);
+    }
+  } else {
+    memStore.set(row.id, row);
+  }
+
+  return row;
+}
+
+/**
+ * updateJob — patch a job row (status transitions, timings, result pointer).
+ *
+ * @param {string} id
+ * @param {object} patch
+ * @returns {Promise<void>}
+ */
+async function updateJob(id, patch) {
+  if (supabase) {
+    try {
+      const { error } = await supabase.from(TABLE).update(patch).eq("id", id);
+      if (error) console.error(`${LOG} update error: ${error.message}`);
+    } catch (err) {
+      console.error(`${LOG} update error: ${err.message}`);
+    }
+    return;
+  }
+
+  const row = memStore.get(id);
+  if (row) memStore.set(id, { ...row, ...patch });
+}
+
+/**
+ * getUnfinishedJobs — rows still "queued" or "running", oldest first.
+ * Called on startup: anything here was left behind by the previous process.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.platform]  Only this gateway's jobs
+ * @returns {Promise<object[]>}
+ */
+async function getUnfinishedJobs({ platform } = {}) {
+  if (supabase) {
+    try {
+      let query = supabase.from(TABLE).select("*").in("status", ["queued", "running"]);
+      if (platform) query = query.eq("platform", platform);
+      const { data, error } = await query.order("queued_at", { ascending: true });
+      if (error) throw new Error(error.message);
+      return data || [];
+    } catch (err) {
+      console.error(`${LOG} getUnfinishedJobs error: ${err.message}`);
+      return [];
+    }
+  }
+
+  return [...memStore.values()]
+    .filter((r) => r.status === "queued" || r.status === "running")
+    .filter((r) => !platform || r.platform === platform)
+    .sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+}
+
+/**
+ * getJobHistory — recent jobs, newest first.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.platform]
+ * @param {string|number} [opts.chatId]
+ * @param {string} [opts.userId]
+ * @param {number} [opts.limit]  Default 20
+ * @returns {Promise<object[]>}
+ */
+async function getJobHistory({ platform, chatId, userId, limit = HISTORY_LIMIT } = {}) {
+  if (supabase) {
+    try {
+      let query = supabase.from(TABLE).select("*");
+      if (platform) query = query.eq("platform", platform);
+      if (chatId != null) query = query.eq("chat_id", String(chatId));
+      if (userId) query = query.eq("user_id", userId);
+      const { data, error } = await query.order("queued_at", { ascending: false }).limit(limit);
+      if (error) throw new Error(error.message);
+      return data || [];
+    } catch (err) {
+      console.error(`${LOG} getJobHistory error: ${err.message}`);
+      return [];
+    }
+  }
+
+  // Reversed first so rows queued in the same millisecond stay newest-first
+  return [...memStore.values()].reverse()
+    .filter((r) => !platform || r.platform === platform)
+    .filter((r) => chatId == null || r.chat_id === String(chatId))
+    .filter((r) => !userId || r.user_id === userId)
+    .sort((a, b) => b.queued_at.localeCompare(a.queued_at))
+    .slice(0, limit);
+}
+
+/**
+ * getRecentDurations — run times of the most recent finished jobs that have a
+ * request type, newest first. Seeds the queue's wait estimates on startup.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.limit]  Default 200
+ * @returns {Promise<object[]>}  [{ request_type, runtime_ms, duration_ms }]
+ */
+async function getRecentDurations({ limit = DURATIONS_LIMIT } = {}) {
+  if (supabase) {
+    try {
+      const { data, error } = await supabase.from(TABLE)
+        .select("request_type, runtime_ms, duration_ms")
+        .eq("status", "done")
+        .not("request_type", "is", null)
+        .order("finished_at", { ascending: false })
+        .limit(limit);
+      if (error) throw new Error(error.message);
+      return data || [];
+    } catch (err) {
+      console.error(`${LOG} getRecentDurations error: ${err.message}`);
+      return [];
+    }
+  }
+
+  return [...memStore.values()].reverse()
+    .filter((r) => r.status === "done" && r.request_type)
+    .sort((a, b) => (b.finished_at || "").localeCompare(a.finished_at || ""))
+    .slice(0, limit)
+    .map(({ request_type, runtime_ms, duration_ms }) => ({ request_type, runtime_ms, duration_ms }));
+}
+
+module.exports = {
+  createJob,
+  updateJob,
+  getUnfinishedJobs,
+  getJobHistory,
+  getRecentDurations,
+  resultRef,
+  toStoredParams,
+};
@@ -0,0 +1,445 @@
+"use strict";
+
+// skills/shared/llm-client.js
+// The one way SAM talks to Claude. Diagnosis, MOTOR navigation and the chat
+// engine all go through createMessage(), which picks the model for a tier,
+// retries rate limits and outages, enforces a timeout, caches repeatable
+// requests and books the tokens and cost of every call against the run and
+// the shop. Usage rows go to Supabase (sam_llm_usage) when configured and are
+// always kept in memory for the current process.
+//
+// LLM_PROVIDER=mock (or setProvider()) swaps the Anthropic API for a
+// deterministic in-process provider, so tests never need a key or network.
+
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { withRetry } = require("./retry");
+
+const LOG = "[llm-client]";
+const TABLE = "sam_llm_usage";
+
+// ANTHROPIC_BASE_URL (same variable as the SDK) points at a proxy or local stub
+const DEFAULT_API_URL = "https://api.anthropic.com";
+const API_VERSION = "2023-06-01";
+
+const DEFAULT_MODELS = {
+  sonnet: "claude-sonnet-4-6",
+  haiku: "claude-haiku-4-5-20251001",
+};
+
+// USD per million tokens, by model family
+const PRICES = {
+  opus: { input: 5, output: 25 },
+  sonnet: { input: 3, output: 15 },
+  haiku: { input: 1, output: 5 },
+};
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 60000;
+const DEFAULT_CACHE_TTL_MS = Number(process.env.LLM_CACHE_TTL_MS) || 10 * 60 * 1000;
+const CACHE_MAX = 200;
+// In-memory usage rows kept for per-run / per-shop totals
+const MEM_MAX_ROWS = 2000;
+
+let supabase = null;
+if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+  try {
+    const { createClient } = require("@supabase/supabase-js");
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+  } catch {
+    // supabase-js not installed — usage stays in memory
+  }
+}
+
+// Run + shop the current pipeline is working for, for calls that don't pass them
+const context = new AsyncLocalStorage();
+// cache key -> { response, expiresAt }, least recently stored first
+const cache = new Map();
+const usageRows = [];
+let provider = null;
+
+// ── Models ───────────────────────────────────────────────────────────────────
+
+/**
+ * Model id for a tier. CLAUDE_SONNET_MODEL / CLAUDE_HAIKU_MODEL override the
+ * defaults; anything that isn't a known tier is taken as a model id.
+ *
+ * @param {string} [tier="sonnet"]  "sonnet" | "haiku" | model id
+ * @returns {string}
+ */
+function resolveModel(tier = "sonnet") {
+  if (tier === "sonnet") return process.env.CLAUDE_SONNET_MODEL || DEFAULT_MODELS.sonnet;
+  if (tier === "haiku") return process.env.CLAUDE_HAIKU_MODEL || DEFAULT_MODELS.haiku;
+  return tier;
+}
+
+/**
+ * Cost in USD of one call. Unknown model families are priced as Sonnet.
+ *
+ * @param {string} model
+ * @param {{ input_tokens?: number, output_tokens?: number }} usage
+ * @returns {number}
+ */
+function estimateCost(model, usage) {
+  const family = Object.keys(PRICES).find((name) => String(model).includes(name)) || "sonnet";
+  const price = PRICES[family];
+  const cost = ((usage?.input_tokens || 0) * price.input + (usage?.output_tokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// ── Providers ────────────────────────────────────────────────────────────────
+
+function apiError(message, props) {
+  return Object.assign(new Error(message), props);
+}
+
+/**
+ * POST /v1/messages to the Anthropic API. Errors carry reason_code and
+ * retryable so withRetry() retries rate limits and outages only.
+ */
+function anthropicProvider(request, { timeoutMs, signal }) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    return Promise.reject(apiError("ANTHROPIC_API_KEY not set", { reason_code: "AUTH_FAILED", retryable: false }));
+  }
+  const body = JSON.stringify(request);
+  const url = new URL("v1/messages", (process.env.ANTHROPIC_BASE_URL || DEFAULT_API_URL).replace(/\/?$/, "/"));
+
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === "http:" ? http : https).request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "x-api-key": apiKey,
+          "anthropic-version": API_VERSION,
+        },
+        signal: signal || undefined,
+      },
+      (res) => {
+        let raw = "";
+        res.on("data", (c) => (raw += c));
+        res.on("end", () => {
+          clearTimeout(timer);
+          const status = res.statusCode;
+          if (status >= 200 && status < 300) {
+            try {
+              return resolve(JSON.parse(raw));
+            } catch {
+              return reject(apiError(`Anthropic API parse error: ${raw.substring(0, 200)}`, { reason_code: "PARSE_ERROR", retryable: false }));
+            }
+          }
+          const message = `Anthropic API error: ${status} — ${raw.substring(0, 300)}`;
+          if (status === 401 || status === 403) return reject(apiError(message, { status, reason_code: "AUTH_FAILED", retryable: false }));
+          if (status === 429) return reject(apiError(message, { status, reason_code: "RATE_LIMITED", retryable: true }));
+          if (status >= 500) return reject(apiError(message, { status, reason_code: "PLATFORM_DOWN", retryable: true }));
+          reject(apiError(message, { status, reason_code: "BAD_REQUEST", retryable: false }));
+        });
+      }
+    );
+    const timer = setTimeout(() => {
+      req.destroy(apiError(`Anthropic API timed out after ${timeoutMs}ms`, { reason_code: "TIMEOUT", retryable: true }));
+    }, timeoutMs);
+    req.on("error", (err) => {
+      clearTimeout(timer);
+      if (signal?.aborted) return reject(signal.reason || err);
+      if (!err.reason_code) Object.assign(err, { reason_code: "NETWORK", retryable: true });
+      reject(err);
+    });
+    req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Deterministic stand-in for the Anthropic API. `respond(request)` returns
+ * the reply text, an array of content blocks, or a whole message; without
+ * it the reply is a stable digest of the request. Token counts are estimated
+ * at ~4 characters per token so cost accounting can be tested too.
+ *
+ * @param {function(object): (string|object[]|object)} [respond]
+ * @returns {function} provider
+ */
+function createMockProvider(respond) {
+  return async (request) => {
+    const digest = hashRequest(request).slice(0, 12);
+    const reply = respond ? await respond(request) : `mock response ${digest}`;
+    const message = typeof reply === "string" || Array.isArray(reply) ? { content: reply } : reply;
+    const content = typeof message.content === "string" ? [{ type: "text", text: message.content }] : message.content || [];
+    const outputChars = content.reduce((n, b) => n + (b.text || JSON.stringify(b.input || "")).length, 0);
+    const inputChars = JSON.stringify([request.system || "", request.messages || []]).length;
+    return {
+      id: `msg_mock_${digest}`,
+      type: "message",
+      role: "assistant",
+      model: request.model,
+      stop_reason: content.some((b) => b.type === "tool_use") ? "tool_use" : "end_turn",
+      usage: { input_tokens: Math.ceil(inputChars / 4), output_tokens: Math.ceil(outputChars / 4) },
+      ...message,
+      content,
+    };
+  };
+}
+
+/**
+ * Replace the provider (tests). "mock" selects the default mock provider;
+ * null goes back to LLM_PROVIDER / the Anthropic API.
+ *
+ * @param {function|string|null} next
+ * @returns {function|null} the previous override
+ */
+function setProvider(next) {
+  const previous = provider;
+  provider = next === "mock" ? createMockProvider() : next;
+  return previous;
+}
+
+function currentProvider() {
+  if (provider) return provider;
+  if (process.env.LLM_PROVIDER === "mock") return (provider = createMockProvider());
+  return anthropicProvider;
+}
+
+/**
+ * True when calls can be made: an API key is set or a mock is in place.
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return !!(provider || process.env.LLM_PROVIDER === "mock" || process.env.ANTHROPIC_API_KEY);
+}
+
+// ── Cache ────────────────────────────────────────────────────────────────────
+
+function hashRequest(request) {
+  return crypto.createHash("sha256").update(JSON.stringify(request)).digest("hex");
+}
+
+function cacheGet(key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (hit.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  return hit.response;
+}
+
+function cacheSet(key, response, ttlMs) {
+  cache.delete(key);
+  cache.set(key, { response, expiresAt: Date.now() + ttlMs });
+  while (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+}
+
+/** Drop every cached response. */
+function clearCache() {
+  cache.clear();
+}
+
+// ── Usage accounting ─────────────────────────────────────────────────────────
+
+function recordUsage(row) {
+  usageRows.push(row);
+  if (usageRows.length > MEM_MAX_ROWS) usageRows.shift();
+  if (!supabase) return;
+  // Fire and forget — a lost usage row must never fail the call it describes
+  supabase.from(TABLE).insert(row)
+    .then(({ error }) => { if (error) console.error(`${LOG} usage insert error: ${error.message}`); })
+    .catch((err) => console.error(`${LOG} usage insert error: ${err.message}`));
+}
+
+function summarize(rows) {
+  const total = { calls: 0, cached_calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, by_model: {} };
+  for (const row of rows) {
+    total.calls++;
+    if (row.cached) total.cached_calls++;
+    total.input_tokens += row.input_tokens || 0;
+    total.output_tokens += row.output_tokens || 0;
+    total.cost_usd += Number(row.cost_usd) || 0;
+    const model = (total.by_model[row.model] ||= { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+    model.calls++;
+    model.input_tokens += row.input_tokens || 0;
+    model.output_tokens += row.output_tokens || 0;
+    model.cost_usd += Number(row.cost_usd) || 0;
+  }
+  total.cost_usd = Math.round(total.cost_usd * 1e6) / 1e6;
+  return total;
+}
+
+/**
+ * Token and cost totals for one run, from this process's calls.
+ *
+ * @param {string} runId
+ * @returns {{ calls, cached_calls, input_tokens, output_tokens, cost_usd, by_model }}
+ */
+function getRunUsage(runId) {
+  return summarize(usageRows.filter((row) => row.run_id === runId));
+}
+
+/**
+ * Token and cost totals for a shop — from sam_llm_usage when Supabase is
+ * configured, otherwise from this process's calls. Never throws.
+ *
+ * @param {string} shopId
+ * @param {{ since?: string|Date }} [opts]  Only calls at or after this time
+ * @returns {Promise<object>} same shape as getRunUsage()
+ */
+async function getShopUsage(shopId, opts = {}) {
+  const since = opts.since ? new Date(opts.since).toISOString() : null;
+  if (supabase) {
+    try {
+      let query = supabase.from(TABLE)
+        .select("model, input_tokens, output_tokens, cost_usd, cached")
+        .eq("shop_id", shopId);
+      if (since) query = query.gte("created_at", since);
+      const { data, error } = await query;
+      if (error) throw new Error(error.message);
+      return summarize(data || []);
+    } catch (err) {
+      console.error(`${LOG} usage query error (${shopId}): ${err.message}`);
+    }
+  }
+  return summarize(usageRows.filter((row) => row.shop_id === shopId && (!since || row.created_at >= since)));
+}
+
+/** Forget in-memory usage (tests). */
+function resetUsage() {
+  usageRows.length = 0;
+}
+
+// ── Run context ──────────────────────────────────────────────────────────────
+
+/**
+ * Run fn with { runId, shopId } as the accounting context for every call it
+ * makes, including ones deep in helpers that don't know about the run.
+ *
+ * @param {{ runId?: string, shopId?: string }} ctx
+ * @param {function(): *} fn
+ * @returns {*} fn's return value
+ */
+function runWithContext(ctx, fn) {
+  return context.run({ ...ctx }, fn);
+}
+
+/**
+ * Make { runId, shopId } the accounting context for the rest of the current
+ * async function (buildEstimate sets it once the runId is known).
+ *
+ * @param {{ runId?: string, shopId?: string }} ctx
+ */
+function bindRun(ctx) {
+  context.enterWith({ ...ctx });
+}
+
+// ── Calls ────────────────────────────────────────────────────────────────────
+
+/**
+ * Messages API call. `params` is the API body; `tier` may stand in for `model`.
+ *
+ * @param {object} params  { tier?, model?, max_tokens, system?, messages, tools?, temperature? }
+ * @param {object} [opts]
+ * @param {string} [opts.runId]       Accounting — defaults to the run context
+ * @param {string} [opts.shopId]      Accounting — defaults to the run context, then SHOP_ID
+ * @param {string} [opts.purpose]     Label stored with the usage row (e.g. "diagnosis")
+ * @param {boolean|number} [opts.cache]  Reuse an identical earlier response; a number is the TTL in ms
+ * @param {number} [opts.timeoutMs]   Per attempt
+ * @param {number} [opts.maxRetries=2]
+ * @param {number} [opts.retryDelayMs=1000]
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<object>} API message ({ content, stop_reason, usage, ... })
+ */
+async function createMessage(params, opts = {}) {
+  const { tier, ...rest } = params;
+  const request = { ...rest, model: rest.model || resolveModel(tier) };
+  const ctx = context.getStore() || {};
+  const runId = opts.runId || ctx.runId || null;
+  const shopId = opts.shopId || ctx.shopId || process.env.SHOP_ID || null;
+  const row = (response, cached, startedAt) => ({
+    run_id: runId,
+    shop_id: shopId,
+    model: request.model,
+    purpose: opts.purpose || null,
+    input_tokens: cached ? 0 : response.usage?.input_tokens || 0,
+    output_tokens: cached ? 0 : response.usage?.output_tokens || 0,
+    cost_usd: cached ? 0 : estimateCost(request.model, response.usage),
+    cached,
+    duration_ms: Date.now() - startedAt,
+    created_at: new Date().toISOString(),
+  });
+
+  const startedAt = Date.now();
+  const key = opts.cache ? hashRequest(request) : null;
+  const hit = key && cacheGet(key);
+  if (hit) {
+    recordUsage(row(hit, true, startedAt));
+    return hit;
+  }
+
+  const send = currentProvider();
+  const response = await withRetry(
+    () => send(request, { timeoutMs: opts.timeoutMs || DEFAULT_TIMEOUT_MS, signal: opts.signal || null }),
+    { maxRetries: opts.maxRetries ?? 2, baseDelay: opts.retryDelayMs ?? 1000, signal: opts.signal || null }
+  );
+
+  recordUsage(row(response, false, startedAt));
+  if (key) cacheSet(key, response, typeof opts.cache === "number" ? opts.cache : DEFAULT_CACHE_TTL_MS);
+  return response;
+}
+
+/**
+ * Single-prompt call returning the reply text.
+ *
+ * @param {string} prompt
+ * @param {object} [opts]  createMessage() opts plus { tier, model, system, maxTokens }
+ * @returns {Promise<string>} text blocks joined and trimmed
+ */
+async function complete(prompt, opts = {}) {
+  const { tier, model, system, maxTokens, ...callOpts } = opts;
+  const response = await createMessage(
+    {
+      tier,
+      model,
+      max_tokens: maxTokens || 1024,
+      ...(system ? { system } : {}),
+      messages: [{ role: "user", content: prompt }],
+    },
+    callOpts
+  );
+  return (response.content || [])
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join("")
+    .trim();
+}
+
+/**
+ * Client with the SDK's `messages.create(params)` shape, for code written
+ * against @anthropic-ai/sdk. `defaults` are createMessage() opts.
+ *
+ * @param {object} [defaults]
+ * @returns {{ messages: { create: function(object): Promise<object> } }}
+ */
+function client(defaults = {}) {
+  return { messages: { create: (params) => createMessage(params, defaults) } };
+}
+
+module.exports = {
+  createMessage,
+  complete,
+  client,
+  isConfigured,
+  resolveModel,
+  estimateCost,
+  runWithContext,
+  bindRun,
+  getRunUsage,
+  getShopUsage,
+  resetUsage,
+  clearCache,
+  setProvider,
+  createMockProvider,
+  DEFAULT_MODELS,
+  PRICES,
+};
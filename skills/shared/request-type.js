@@ -0,0 +1,30 @@
+"use strict";
+
+// skills/shared/request-type.js
+// Request classification shared by the orchestrator (routing, pipeline
+// metrics) and the job queue (wait estimates are learned per type).
+
+const MAINTENANCE_KEYWORDS = [
+  "oil change", "brake", "pad", "rotor", "tire rotation",
+  "alignment", "tune up", "spark plug", "transmission fluid",
+  "coolant flush", "cabin filter", "air filter", "battery",
+  "belt", "hose", "wiper",
+];
+
+/**
+ * Classify request type for routing
+ */
+function classifyRequest(query) {
+  const dtcMatch = query.match(/[PBCU][0-9]{4}/gi);
+  const isDTC = dtcMatch && dtcMatch.length > 0;
+  const isMaintenance = MAINTENANCE_KEYWORDS.some((kw) =>
+    query.toLowerCase().includes(kw)
+  );
+
+  return {
+    type: isDTC ? "diagnostic" : isMaintenance ? "maintenance" : "general",
+    dtcCodes: dtcMatch || [],
+  };
+}
+
+module.exports = { classifyRequest };
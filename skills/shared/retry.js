@@ -2,6 +2,8 @@
 
 const RETRYABLE = new Set(["TIMEOUT", "STALE_TAB", "NETWORK"]);
 const TERMINAL = new Set(["AUTH_FAILED", "PLATFORM_DOWN", "NOT_FOUND", "PARSE_ERROR"]);
+// Job aborted by the queue (cancel / wall-clock limit) — not the platform's fault
+const ABORTED = new Set(["CANCELLED", "JOB_TIMEOUT"]);
 
 const FailureClass = {
   TIMEOUT: "TIMEOUT",
@@ -11,6 +13,8 @@ const FailureClass = {
   PLATFORM_DOWN: "PLATFORM_DOWN",
   NOT_FOUND: "NOT_FOUND",
   PARSE_ERROR: "PARSE_ERROR",
+  CANCELLED: "CANCELLED",
+  JOB_TIMEOUT: "JOB_TIMEOUT",
 
   isRetryable(code) {
     return RETRYABLE.has(code);
@@ -33,13 +37,17 @@ async function withRetry(fn, opts = {}) {
   const maxRetries = opts.maxRetries ?? 2;
   const baseDelay = opts.baseDelay ?? 1000;
   const jitter = opts.jitter ?? 0.2;
+  const signal = opts.signal || null;
 
   let lastError;
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    signal?.throwIfAborted();
     try {
       return await fn(attempt);
     } catch (err) {
       lastError = err;
+      // Cancelled or over the job time limit — never retry
+      if (signal?.aborted) throw signal.reason;
       if (err.retryable === false) throw err;
       const code = err.reason_code || FailureClass.classify(err);
       if (!FailureClass.isRetryable(code) && err.retryable !== true) throw err;
@@ -78,6 +86,7 @@ function circuitBreaker(name, opts = {}) {
         failures = 0;
         return result;
       } catch (err) {
+        if (ABORTED.has(err?.reason_code)) throw err;
         failures++;
         if (failures >= failThreshold) {
           openedAt = Date.now();
@@ -1,12 +1,12 @@
 "use strict";
 
 const net = require("net");
+const { currentWorker } = require("./browser-pool");
 
-const CHROME_CDP_PORT = parseInt(process.env.CHROME_DEBUG_PORT, 10) || 18800;
-
+// CDP port of the browser worker this run leased (or the default Chrome)
 function checkCDP() {
   return new Promise((resolve) => {
-    const sock = net.createConnection({ host: "127.0.0.1", port: CHROME_CDP_PORT }, () => {
+    const sock = net.createConnection({ host: "127.0.0.1", port: currentWorker().cdpPort }, () => {
       sock.destroy();
       resolve(true);
     });
@@ -24,7 +24,7 @@ const memCache = new Map();
 
 /**
  * makeKey — produce the canonical "platform:chatId" composite key.
- * @param {string} platform  "telegram" | "whatsapp"
+ * @param {string} platform  "telegram" | "whatsapp" | "slack"
  * @param {string|number} chatId  platform-native ID
  * @returns {string}  e.g. "telegram:1385723011"
  */
@@ -17,6 +17,19 @@ class TabManager {
     });
   }
 
+  // Claim a tab for a run; false if a different run already holds it
+  lease(tabId, platform, runId) {
+    const info = this._tabs.get(tabId);
+    if (info && info.runId !== runId) return false;
+    if (info) {
+      info.platform = platform;
+      info.acquiredAt = Date.now();
+    } else {
+      this.register(tabId, platform, runId);
+    }
+    return true;
+  }
+
   release(tabId) {
     this._tabs.delete(tabId);
   }
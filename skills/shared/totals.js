@@ -0,0 +1,234 @@
+"use strict";
+
+// skills/shared/totals.js
+// Local estimate totals engine — prices estimate lines from the shop config
+// (config/shop-config.json or the Supabase shop settings).
+//
+// Used when AutoLeap's markup matrix isn't available (MATRIX_FALLBACK pricing)
+// and by estimate-pdf/generate.js. AutoLeap-native estimates keep AutoLeap's totals.
+//
+// Rules:
+//   - Labor: hours × rate (line rate, else shop.laborRatePerHour). Not taxed.
+//   - Parts / fluids / tires / sublet: retail unit price when given, else cost marked up.
+//     The markup comes from the shop's cost-bracket matrix (markup.matrix.parts /
+//     .fluids / .tires — same idea as AutoLeap's native matrix) when one is set,
+//     else the flat markup.partsMarkupPercent / fluidsMarkupPercent / subletMarkupPercent.
+//     Parts, fluids and tires are taxed; sublet (outside labor) is not.
+//   - Diagnostic fee: shop.diagnosticFee, only when requested. Not taxed.
+//   - Shop supplies: shop.shopSuppliesPercent of labor, capped at shop.shopSuppliesCap. Taxed.
+//   - Tax: shop.taxRate × taxable subtotal. A line's own `taxable` flag overrides its type.
+
+const DEFAULT_MARKUP = { part: 40, fluid: 30, tire: 40, sublet: 20 };
+// Tires have no flat percentage of their own — without a tires matrix they take the parts markup
+const MARKUP_KEYS = { part: "partsMarkupPercent", fluid: "fluidsMarkupPercent", tire: "partsMarkupPercent", sublet: "subletMarkupPercent" };
+const MATRIX_CATEGORIES = { part: "parts", fluid: "fluids", tire: "tires" };
+const TAXABLE_BY_TYPE = { labor: false, part: true, fluid: true, tire: true, sublet: false, fee: false, supplies: true };
+
+// Part types that are billed as fluids (fluids markup, not parts markup)
+const FLUID_PATTERN = /\b(oil|fluid|coolant|antifreeze|atf|cvt|refrigerant|r-?134a|r-?1234yf|grease|lubricant|def|washer)\b/i;
+// Filters are parts even when named after a fluid ("oil filter")
+const NOT_FLUID_PATTERN = /\b(filter|pan|pump|cooler|seal|gasket|line|hose|cap|sensor|switch|reservoir|plug)\b/i;
+// Tires themselves — not TPMS sensors, valve stems or repair kits
+const TIRE_PATTERN = /\btires?\b/i;
+const NOT_TIRE_PATTERN = /\b(sensor|tpms|valve|stem|patch|plug|repair|pressure|gauge|rotation|balance)\b/i;
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+/**
+ * getMatrixPercent — markup from a cost-bracket matrix.
+ * Brackets are [{ upTo, percent }] with upTo the bracket's upper unit cost
+ * (exclusive); a bracket with upTo null catches everything above.
+ * e.g. [{ upTo: 10, percent: 100 }, ..., { upTo: 500, percent: 35 }, { upTo: null, percent: 25 }]
+ *
+ * @param {object[]} brackets
+ * @param {number} unitCost
+ * @returns {number|null}  null when no bracket matches
+ */
+function getMatrixPercent(brackets, unitCost) {
+  if (!Array.isArray(brackets) || brackets.length === 0) return null;
+  const cost = Number(unitCost);
+  if (!Number.isFinite(cost)) return null;
+
+  const sorted = [...brackets].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+  const bracket = sorted.find((b) => cost < (b.upTo ?? Infinity));
+  const pct = Number(bracket?.percent);
+  return bracket && Number.isFinite(pct) && pct >= 0 ? pct : null;
+}
+
+/**
+ * getMarkupPercent — markup for a line type from the shop config.
+ * With a unit cost and a matrix for the type's category, the cost bracket
+ * decides; otherwise the flat percentage applies.
+ *
+ * @param {string} type  "part" | "fluid" | "tire" | "sublet"
+ * @param {object} shopConfig
+ * @param {number} [unitCost]  Cost of one unit (selects the matrix bracket)
+ * @returns {number}
+ */
+function getMarkupPercent(type, shopConfig, unitCost) {
+  if (unitCost != null) {
+    const matrixPct = getMatrixPercent(shopConfig?.markup?.matrix?.[MATRIX_CATEGORIES[type]], unitCost);
+    if (matrixPct != null) return matrixPct;
+  }
+  const key = MARKUP_KEYS[type] || MARKUP_KEYS.part;
+  const pct = Number(shopConfig?.markup?.[key]);
+  return Number.isFinite(pct) && pct >= 0 ? pct : DEFAULT_MARKUP[type] ?? DEFAULT_MARKUP.part;
+}
+
+/**
+ * getRetailUnitPrice — customer price for one unit of a part quote.
+ * An explicit retail price wins; otherwise cost (incl. core) is marked up.
+ *
+ * @param {object} part  PartsTech quote ({ retailPrice | totalCost | price, ... })
+ * @param {number} markupPercent
+ * @returns {number}  0 when the quote has no usable price
+ */
+function getRetailUnitPrice(part, markupPercent) {
+  if (!part) return 0;
+
+  const explicitRetail = Number(part.retailPrice ?? part.customerPrice ?? part.priceRetail ?? 0);
+  if (Number.isFinite(explicitRetail) && explicitRetail > 0) return explicitRetail;
+
+  const base = getPartCost(part);
+  if (base <= 0) return 0;
+
+  return round2(base * (1 + markupPercent / 100));
+}
+
+/**
+ * getPartCost — unit cost of a part quote (incl. core), 0 when unknown.
+ *
+ * @param {object} part
+ * @returns {number}
+ */
+function getPartCost(part) {
+  const base = Number(part?.totalCost ?? part?.cost ?? part?.price ?? 0);
+  return Number.isFinite(base) && base > 0 ? base : 0;
+}
+
+/**
+ * priceUnit — customer price for one unit of a part quote, marked up with the
+ * shop's matrix (or flat percentage) for the line type.
+ *
+ * @param {object} part  PartsTech quote
+ * @param {string} type  "part" | "fluid" | "tire" | "sublet"
+ * @param {object} shopConfig
+ * @returns {number}
+ */
+function priceUnit(part, type, shopConfig) {
+  return getRetailUnitPrice(part, getMarkupPercent(type, shopConfig, getPartCost(part)));
+}
+
+/**
+ * classifyPartType — "fluid" for oil/ATF/coolant/etc., "tire" for tires, otherwise "part".
+ *
+ * @param {string} text  Part type or description
+ * @returns {string}
+ */
+function classifyPartType(text) {
+  const s = String(text || "");
+  if (TIRE_PATTERN.test(s) && !NOT_TIRE_PATTERN.test(s)) return "tire";
+  return FLUID_PATTERN.test(s) && !NOT_FLUID_PATTERN.test(s) ? "fluid" : "part";
+}
+
+/**
+ * priceLine — price a single estimate line.
+ *
+ * @param {object} line  { type, description, hours?, rate?, qty?, unitCost?, unitPrice?, amount?, taxable? }
+ * @param {object} shopConfig
+ * @returns {object}  line with { type, qty, unitPrice, total, taxable }
+ */
+function priceLine(line, shopConfig) {
+  const type = line.type || "part";
+  let qty, unitPrice;
+
+  if (type === "labor") {
+    qty = Number(line.hours) || 0;
+    unitPrice = Number(line.rate) || Number(shopConfig?.shop?.laborRatePerHour) || 0;
+  } else if (type === "fee") {
+    qty = 1;
+    unitPrice = Number(line.amount ?? line.unitPrice) || 0;
+  } else {
+    qty = Number(line.qty) || 1;
+    unitPrice = Number(line.unitPrice) > 0
+      ? Number(line.unitPrice)
+      : priceUnit({ totalCost: line.unitCost }, type, shopConfig);
+  }
+
+  return {
+    ...line,
+    type,
+    qty,
+    unitPrice: round2(unitPrice),
+    total: round2(qty * unitPrice),
+    taxable: typeof line.taxable === "boolean" ? line.taxable : TAXABLE_BY_TYPE[type] ?? true,
+  };
+}
+
+/**
+ * computeTotals — full estimate totals from line items and the shop config.
+ *
+ * @param {object[]} lines  Estimate lines (see priceLine)
+ * @param {object} shopConfig  { shop: {...}, markup: {...} }
+ * @param {object} [opts]
+ * @param {boolean} [opts.diagnosticFee]  Add shop.diagnosticFee as a line
+ * @returns {object}  { lines, labor, parts, fluids, tires, sublet, diagnosticFee, supplies,
+ *                      taxableSubtotal, nonTaxableSubtotal, subtotal, taxRate, tax, total }
+ */
+function computeTotals(lines = [], shopConfig = {}, opts = {}) {
+  const shop = shopConfig.shop || {};
+  const priced = lines.map((line) => priceLine(line, shopConfig));
+
+  const fee = Number(shop.diagnosticFee) || 0;
+  if (opts.diagnosticFee && fee > 0 && !priced.some((l) => l.type === "fee" && l.diagnostic)) {
+    priced.push(priceLine({ type: "fee", description: "Diagnostic fee", amount: fee, diagnostic: true }, shopConfig));
+  }
+
+  const sum = (type) => round2(priced.filter((l) => l.type === type).reduce((s, l) => s + l.total, 0));
+  const labor = sum("labor");
+  const parts = sum("part");
+  const fluids = sum("fluid");
+  const tires = sum("tire");
+  const sublet = sum("sublet");
+  const diagnosticFee = sum("fee");
+
+  let supplies = round2(labor * (Number(shop.shopSuppliesPercent) || 0) / 100);
+  const cap = Number(shop.shopSuppliesCap);
+  if (Number.isFinite(cap) && cap > 0) supplies = Math.min(supplies, cap);
+
+  const taxableLines = round2(priced.filter((l) => l.taxable).reduce((s, l) => s + l.total, 0));
+  const taxableSubtotal = round2(taxableLines + (TAXABLE_BY_TYPE.supplies ? supplies : 0));
+  const subtotal = round2(labor + parts + fluids + tires + sublet + diagnosticFee + supplies);
+  const nonTaxableSubtotal = round2(subtotal - taxableSubtotal);
+  const taxRate = Number(shop.taxRate) || 0;
+  const tax = round2(taxableSubtotal * taxRate);
+
+  return {
+    lines: priced,
+    labor,
+    parts,
+    fluids,
+    tires,
+    sublet,
+    diagnosticFee,
+    supplies,
+    taxableSubtotal,
+    nonTaxableSubtotal,
+    subtotal,
+    taxRate,
+    tax,
+    total: round2(subtotal + tax),
+  };
+}
+
+module.exports = {
+  computeTotals,
+  priceLine,
+  getMarkupPercent,
+  getMatrixPercent,
+  getRetailUnitPrice,
+  priceUnit,
+  classifyPartType,
+};
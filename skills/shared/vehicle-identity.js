@@ -0,0 +1,253 @@
+"use strict";
+
+// skills/shared/vehicle-identity.js
+// Which exact engine a vehicle has, and which engine option on a platform
+// picker (MOTOR's vehicle sidebar, ProDemand's Engine qualifiers) is that
+// engine. The engine code comes from the curated VIN patterns
+// (vin-decoder/scripts/engine-codes.js), else from NHTSA's EngineModel;
+// displacement, cylinders, fuel and turbo fill in around it.
+//
+// Selectors call matchEngineOption() first and only fall back to their own
+// gas-engine heuristics when it can't confirm a match — and then report it
+// with engineMismatchWarning() so the estimate says the engine is a guess.
+
+const { lookupEnginePattern } = require("../vin-decoder/scripts/engine-codes");
+
+const VALID_CYLINDERS = new Set([2, 3, 4, 5, 6, 8, 10, 12, 16]);
+
+// Points per signal when scoring an option against the identity
+const SCORE = {
+  code: 20,
+  vinCode: 15,
+  vinCodeConflict: -15,
+  displacement: 8,
+  displacementConflict: -10,
+  cylinders: 3,
+  cylindersConflict: -5,
+  turbo: 3,
+  turboConflict: -6,
+  fuel: 5,
+  fuelConflict: -10,
+  hybrid: -4,
+};
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** "2", "1.998", "2.0L Turbo" → "2.0L"; null when there's no number */
+function normalizeDisplacement(value) {
+  const m = String(value ?? "").match(/(\d{1,2}(?:\.\d+)?)/);
+  if (!m) return null;
+  const liters = parseFloat(m[1]);
+  return liters > 0 && liters < 20 ? `${liters.toFixed(1)}L` : null;
+}
+
+function normalizeCylinders(value) {
+  const n = parseInt(value, 10);
+  return VALID_CYLINDERS.has(n) ? n : null;
+}
+
+function normalizeFuel(value) {
+  const t = String(value || "").toLowerCase();
+  if (!t || t === "n/a") return null;
+  if (t.includes("diesel")) return "diesel";
+  if (t.includes("hybrid")) return "hybrid";
+  if (t.includes("electric")) return "electric";
+  if (/gas|flex|petrol/.test(t)) return "gas";
+  return null;
+}
+
+/** NHTSA EngineModel is sometimes a code (K20C2, L83, 2GR-FKS), sometimes prose */
+function isEngineCode(value) {
+  const s = String(value || "").trim();
+  if (!/^[A-Z0-9][A-Z0-9-]{1,9}$/i.test(s)) return false;
+  return /\d/.test(s) ? /[A-Z]/i.test(s) : /^[A-Z]{3}$/.test(s);
+}
+
+/**
+ * Resolve the engine identity for a decoded (or manually entered) vehicle.
+ *
+ * @param {object} vehicle - decodeVin() result or { vin, year, make, model, engine: { displacement, cylinders, fuelType } }
+ * @returns {{ code: string|null, vinCode: string|null, displacement: string|null, cylinders: number|null, fuel: string|null, turbo: boolean|null, source: string, label: string }|null}
+ *   source: "vin_pattern" | "nhtsa" | "request"; null when nothing is known about the engine
+ */
+function resolveEngineIdentity(vehicle) {
+  if (!vehicle) return null;
+  const engine = typeof vehicle.engine === "string" ? { displacement: vehicle.engine } : (vehicle.engine || {});
+
+  const decoded = normalizeDisplacement(engine.displacement);
+  let pattern = lookupEnginePattern(vehicle);
+  // A pattern that disagrees with NHTSA's displacement is the pattern's fault
+  if (pattern && decoded && pattern.displacement !== decoded) pattern = null;
+
+  const nhtsaCode = isEngineCode(engine.code) ? String(engine.code).toUpperCase() : null;
+  const fromNhtsa = ["nhtsa", "cache"].includes(vehicle.source);
+
+  const identity = {
+    code: pattern?.code || nhtsaCode,
+    vinCode: pattern?.vinCode || null,
+    displacement: pattern?.displacement || decoded,
+    cylinders: pattern?.cylinders || normalizeCylinders(engine.cylinders),
+    fuel: pattern?.fuel || normalizeFuel(engine.fuelType),
+    turbo: pattern ? pattern.turbo : (typeof engine.turbo === "boolean" ? engine.turbo : null),
+    source: pattern ? "vin_pattern" : (nhtsaCode || fromNhtsa ? "nhtsa" : "request"),
+  };
+  if (!identity.code && !identity.displacement) return null;
+
+  identity.label = [
+    identity.displacement,
+    identity.cylinders ? `${identity.cylinders}cyl` : null,
+    identity.turbo ? "turbo" : null,
+    identity.code ? `(${identity.code})` : null,
+  ].filter(Boolean).join(" ");
+  return identity;
+}
+
+/**
+ * Score one option label against the identity.
+ *
+ * @param {string} text - e.g. "2.0L L4 DOHC 16V GAS FI", "5.3L Eng VIN C"
+ * @param {object} identity - resolveEngineIdentity() result
+ * @returns {{ score: number, hits: string[], conflicts: string[] }}
+ */
+function scoreEngineOption(text, identity) {
+  const t = String(text || "");
+  const lower = t.toLowerCase();
+  const hits = [];
+  const conflicts = [];
+  let score = 0;
+
+  if (identity.code) {
+    // "2.7 EcoBoost" should also match "2.7L EcoBoost"
+    const code = escapeRegExp(identity.code).replace(/\s+/g, "L?[\\s-]*");
+    if (new RegExp(`(^|[^A-Z0-9])${code}([^A-Z0-9]|$)`, "i").test(t)) {
+      score += SCORE.code;
+      hits.push(`code ${identity.code}`);
+    }
+  }
+
+  const vinLetter = t.match(/\bVIN\s*[:#]?\s*([A-Z0-9])\b/i)?.[1]?.toUpperCase();
+  if (identity.vinCode && vinLetter) {
+    if (vinLetter === identity.vinCode) {
+      score += SCORE.vinCode;
+      hits.push(`VIN ${vinLetter}`);
+    } else {
+      score += SCORE.vinCodeConflict;
+      conflicts.push(`VIN ${vinLetter}`);
+    }
+  }
+
+  const displacement = normalizeDisplacement(t.match(/(\d{1,2}\.\d)\s*L?\b/i)?.[1]);
+  if (identity.displacement && displacement) {
+    if (displacement === identity.displacement) {
+      score += SCORE.displacement;
+      hits.push(displacement);
+    } else {
+      score += SCORE.displacementConflict;
+      conflicts.push(displacement);
+    }
+  }
+
+  const cylMatch = t.match(/\b[VIL]-?(\d{1,2})\b/i) || t.match(/\b(\d{1,2})[\s-]*cyl/i);
+  const cylinders = normalizeCylinders(cylMatch?.[1]);
+  if (identity.cylinders && cylinders) {
+    if (cylinders === identity.cylinders) {
+      score += SCORE.cylinders;
+      hits.push(`${cylinders}cyl`);
+    } else {
+      score += SCORE.cylindersConflict;
+      conflicts.push(`${cylinders}cyl`);
+    }
+  }
+
+  const turbo = /turbo|ecoboost/.test(lower);
+  if (identity.turbo === true && turbo) {
+    score += SCORE.turbo;
+  } else if (identity.turbo === false && turbo) {
+    score += SCORE.turboConflict;
+    conflicts.push("turbo");
+  }
+
+  const electric = /electric|\bb?ev\b|battery|plug-?in|phev/.test(lower);
+  const diesel = /diesel/.test(lower);
+  if (identity.fuel === "gas" || identity.fuel === null) {
+    if (electric) {
+      score += SCORE.fuelConflict;
+      conflicts.push("electric");
+    } else if (diesel && identity.fuel === "gas") {
+      score += SCORE.fuelConflict;
+      conflicts.push("diesel");
+    } else if (/hybrid/.test(lower)) {
+      score += SCORE.hybrid;
+    }
+  } else if (identity.fuel === "diesel") {
+    if (diesel) score += SCORE.fuel;
+    else if (/\bgas\b|gasoline/.test(lower)) score += SCORE.fuelConflict;
+  }
+
+  return { score, hits, conflicts };
+}
+
+/**
+ * Pick the option that is this vehicle's engine.
+ *
+ * matched is true only when the best option positively names the engine
+ * (code, VIN letter or displacement) and contradicts nothing known about it.
+ *
+ * @param {string[]} options - Option labels, in display order
+ * @param {object|null} identity - resolveEngineIdentity() result
+ * @returns {{ index: number, text: string|null, matched: boolean|null, score: number, conflict: boolean, reason: string }}
+ *   matched null — no identity to match against; the caller's own heuristic decides
+ */
+function matchEngineOption(options, identity) {
+  if (!identity) return { index: -1, text: null, matched: null, score: 0, conflict: false, reason: "engine unknown" };
+  if (!options || options.length === 0) {
+    return { index: -1, text: null, matched: false, score: 0, conflict: false, reason: "no engine options" };
+  }
+
+  let best = null;
+  options.forEach((text, index) => {
+    const scored = scoreEngineOption(text, identity);
+    if (!best || scored.score > best.score) best = { index, text, ...scored };
+  });
+
+  const matched = best.hits.length > 0 && best.conflicts.length === 0;
+  return {
+    index: best.index,
+    text: best.text,
+    matched,
+    score: best.score,
+    conflict: best.conflicts.length > 0,
+    reason: matched
+      ? `matched ${best.hits.join(", ")}`
+      : `no option matches ${identity.label}${best.conflicts.length ? ` (closest has ${best.conflicts.join(", ")})` : ""}`,
+  };
+}
+
+/**
+ * ENGINE_MISMATCH warning for results.warnings.
+ *
+ * @param {string} platform - "MOTOR" | "ProDemand"
+ * @param {object} identity - resolveEngineIdentity() result
+ * @param {string|null} picked - What the fallback heuristic selected instead
+ * @returns {{ code: string, msg: string, platform: string, engineCode: string|null, picked: string|null }}
+ */
+function engineMismatchWarning(platform, identity, picked) {
+  const fallback = picked ? ` — fell back to "${picked}"` : "";
+  return {
+    code: "ENGINE_MISMATCH",
+    msg: `${platform} has no engine option matching ${identity.label}${fallback}. Verify the engine before trusting labor and parts.`,
+    platform,
+    engineCode: identity.code || null,
+    picked: picked || null,
+  };
+}
+
+module.exports = {
+  resolveEngineIdentity,
+  scoreEngineOption,
+  matchEngineOption,
+  engineMismatchWarning,
+  normalizeDisplacement,
+};
@@ -46,8 +46,18 @@ const DEFAULT_SETTINGS = {
   partsMarkupPercent: 40,
   fluidsMarkupPercent: 30,
   subletMarkupPercent: 20,
+  // Cost-bracket markup per category — { parts, fluids, tires }: [{ upTo, percent }].
+  // null = flat percentages above (see skills/shared/totals.js)
+  markupMatrix: null,
   defaultPartsType: "aftermarket",
   preferredSuppliers: ["AutoZone Commercial", "O'Reilly Auto Parts", "NAPA"],
+  // Supplier scoring (partstech-search/scripts/supplier-score.js)
+  brandBlacklist: [],
+  supplierReturnRates: {}, // { "Supplier Name": 0.04 } — share of parts returned
+  supplierWeights: null,   // overrides for { price, availability, distance, preferred, returns }
+  // Shop-stock fluids priced per unit instead of searched in PartsTech
+  // (vehicle-specs/scripts/fluid-lines.js): [{ match, fluid, unit, cost, increment, description }]
+  bulkFluids: [],
   showOEMandAftermarket: true,
   warrantyLabor: "12 months / 12,000 miles",
   warrantyParts: "Per manufacturer warranty",
@@ -103,10 +113,15 @@ function transformToOrchestratorFormat(shopName, settings) {
       partsMarkupPercent: s.partsMarkupPercent,
       fluidsMarkupPercent: s.fluidsMarkupPercent,
       subletMarkupPercent: s.subletMarkupPercent,
+      matrix: s.markupMatrix || null,
     },
     preferences: {
       defaultPartsType: s.defaultPartsType,
       preferredSuppliers: s.preferredSuppliers || [],
+      brandBlacklist: s.brandBlacklist || [],
+      supplierReturnRates: s.supplierReturnRates || {},
+      supplierWeights: s.supplierWeights || null,
+      bulkFluids: s.bulkFluids || [],
       showOEMandAftermarket: s.showOEMandAftermarket !== false,
       includeFluidCapacities: true,
       includeTorqueSpecs: true,
@@ -0,0 +1,560 @@
+/**
+ * Slack Gateway Server — thin adapter
+ *
+ * Wire protocol only. All routing delegated to conversation.handleMessage().
+ * Receives Events API callbacks (DMs and @mentions) and slash commands, posts
+ * progress and results as Block Kit messages, and uploads the estimate PDF.
+ *
+ * Usage:
+ *   node skills/slack-gateway/scripts/server.js
+ *
+ * Environment:
+ *   SLACK_BOT_TOKEN=xoxb-...          (scopes: chat:write, files:write, app_mentions:read, im:history)
+ *   SLACK_SIGNING_SECRET=...          (request signature verification)
+ *   SLACK_PORT=3001                   (separate from the WhatsApp gateway's PORT)
+ *
+ * Slack app setup:
+ *   Event Subscriptions URL  http://<host>:3001/slack/events  (app_mention, message.im)
+ *   Slash command URL        http://<host>:3001/slack/commands (e.g. /sam)
+ */
+
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { URL } = require("url");
+
+// ── Load env ──────────────────────────────────────────────────────────────────
+
+const envPath = path.join(__dirname, "../../../config/.env");
+if (fs.existsSync(envPath)) {
+  const lines = fs.readFileSync(envPath, "utf8").split("\n");
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+    const eqIdx = trimmed.indexOf("=");
+    if (eqIdx === -1) continue;
+    const key = trimmed.slice(0, eqIdx);
+    const val = trimmed.slice(eqIdx + 1);
+    if (!process.env[key]) process.env[key] = val;
+  }
+}
+
+// ── Shared modules ────────────────────────────────────────────────────────────
+
+let conversation;
+try {
+  conversation = require("../../shared/conversation");
+} catch (_) {
+  conversation = { handleMessage: null };
+}
+
+const sessionStore = require("../../shared/session-store");
+const { queue, recoverJobs } = require("../../shared/job-queue");
+const deferredWork = require("../../shared/deferred-work");
+const { formatHelp, formatStatus, formatQueueUpdate } = require("../../whatsapp-gateway/scripts/formatter");
+
+const LOG = "[slack-gateway]";
+const PORT = parseInt(process.env.SLACK_PORT, 10) || 3001;
+const SLACK_API = "https://slack.com/api";
+
+// Slack rejects requests signed more than 5 minutes ago (replay protection)
+const SIGNATURE_MAX_AGE_S = 5 * 60;
+
+// Block Kit limits: 3000 chars per section text, 50 blocks per message
+const SECTION_MAX_CHARS = 3000;
+const MAX_BLOCKS = 50;
+
+const PROGRESS_LABELS = {
+  diagnosis_done: "Diagnosis done — researching repair data...",
+  research_done: "Research done — pricing parts and labor...",
+  building_estimate: "Building the estimate...",
+};
+
+// ── Startup side effects (only when run directly, not when required by tests) ──
+
+if (require.main === module) {
+  if (!process.env.SLACK_BOT_TOKEN || !process.env.SLACK_SIGNING_SECRET) {
+    console.error(`${LOG} SLACK_BOT_TOKEN and SLACK_SIGNING_SECRET must be set`);
+    process.exit(1);
+  }
+
+  // Session cleanup on startup
+  sessionStore.cleanupExpiredSessions().catch(() => {});
+  setInterval(() => sessionStore.cleanupExpiredSessions().catch(() => {}), 6 * 60 * 60 * 1000);
+
+  // Graceful shutdown — wait for active job to finish before exiting
+  process.on("SIGTERM", async () => {
+    console.log(`${LOG} SIGTERM — draining queue...`);
+    queue.pause();
+    await queue.onIdle();
+    process.exit(0);
+  });
+}
+
+// ── Request verification ──────────────────────────────────────────────────────
+
+/**
+ * Verify a Slack request signature (X-Slack-Signature / X-Slack-Request-Timestamp).
+ * Exported for test assertions.
+ *
+ * @param {string} rawBody   Raw request body, exactly as received
+ * @param {object} headers   Node request headers (lower-cased names)
+ * @param {string} [secret]  Signing secret (default: SLACK_SIGNING_SECRET)
+ * @param {number} [nowMs]   Current time, for tests
+ * @returns {boolean}
+ */
+function verifySlackSignature(rawBody, headers, secret = process.env.SLACK_SIGNING_SECRET, nowMs = Date.now()) {
+  const timestamp = headers["x-slack-request-timestamp"];
+  const signature = headers["x-slack-signature"];
+  if (!secret || !timestamp || !signature) return false;
+  if (Math.abs(nowMs / 1000 - Number(timestamp)) > SIGNATURE_MAX_AGE_S) return false;
+
+  const expected = "v0=" + crypto
+    .createHmac("sha256", secret)
+    .update(`v0:${timestamp}:${rawBody}`)
+    .digest("hex");
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ── Payload parsing ───────────────────────────────────────────────────────────
+
+/**
+ * Remove bot mentions and decode Slack's HTML escaping.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanSlackText(text) {
+  return String(text || "")
+    .replace(/<@[A-Z0-9]+(\|[^>]*)?>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Extract the message to handle from an Events API event_callback.
+ * Handles @mentions in channels and direct messages; ignores bot messages,
+ * edits and other subtypes (including our own replies).
+ *
+ * @param {object} payload  Parsed Events API body
+ * @returns {{ channelId: string, userId: string, text: string }|null}
+ */
+function parseSlackEvent(payload) {
+  const event = payload?.event;
+  if (payload?.type !== "event_callback" || !event) return null;
+  if (event.bot_id || event.subtype) return null;
+
+  // Channel messages arrive as app_mention; DMs as message.im (a channel mention
+  // also fires a plain message event, so only DMs are taken from "message")
+  const isMention = event.type === "app_mention";
+  const isDirect = event.type === "message" && event.channel_type === "im";
+  if (!isMention && !isDirect) return null;
+
+  const text = cleanSlackText(event.text);
+  if (!text || !event.channel) return null;
+  return { channelId: event.channel, userId: event.user || null, text };
+}
+
+/**
+ * Parse a slash command (application/x-www-form-urlencoded).
+ *
+ * @param {string} rawBody
+ * @returns {{ channelId: string, userId: string, text: string, command: string, responseUrl: string|null }}
+ */
+function parseSlashCommand(rawBody) {
+  const params = new URLSearchParams(rawBody);
+  return {
+    channelId: params.get("channel_id") || "",
+    userId: params.get("user_id") || null,
+    text: cleanSlackText(params.get("text")),
+    command: params.get("command") || "",
+    responseUrl: params.get("response_url") || null,
+  };
+}
+
+// ── Block Kit formatting ──────────────────────────────────────────────────────
+
+/**
+ * Convert conversation output (WhatsApp-style markdown) to Slack mrkdwn.
+ * *bold* and _italic_ are shared; **bold** and ~~strike~~ need converting.
+ */
+function toSlackMrkdwn(text) {
+  return String(text || "")
+    .replace(/\*\*(.+?)\*\*/g, "*$1*")
+    .replace(/~~(.+?)~~/g, "~$1~");
+}
+
+/**
+ * Split text into chunks under maxLength, preferring line breaks.
+ */
+function splitText(text, maxLength) {
+  if (text.length <= maxLength) return [text];
+  const chunks = [];
+  let remaining = text;
+  while (remaining.length > 0) {
+    let chunk = remaining.slice(0, maxLength);
+    const nl = chunk.lastIndexOf("\n");
+    if (remaining.length > maxLength && nl > maxLength / 2) chunk = remaining.slice(0, nl + 1);
+    chunks.push(chunk);
+    remaining = remaining.slice(chunk.length);
+  }
+  return chunks;
+}
+
+/**
+ * Block Kit blocks for one message: mrkdwn sections, one per paragraph group,
+ * each under the section text limit.
+ * Exported for test assertions.
+ *
+ * @param {string} text
+ * @returns {object[]} blocks
+ */
+function toBlocks(text) {
+  const blocks = [];
+  for (const paragraph of toSlackMrkdwn(text).split(/\n{2,}/)) {
+    if (!paragraph.trim()) continue;
+    for (const chunk of splitText(paragraph, SECTION_MAX_CHARS)) {
+      blocks.push({ type: "section", text: { type: "mrkdwn", text: chunk } });
+    }
+  }
+  return blocks.slice(0, MAX_BLOCKS);
+}
+
+/** Notification fallback text (shown in push notifications and old clients). */
+function fallbackText(text) {
+  const plain = String(text || "").replace(/[*_~`]/g, "").trim();
+  return plain.length > 300 ? plain.substring(0, 297) + "..." : plain;
+}
+
+// ── Slack Web API helpers ─────────────────────────────────────────────────────
+
+/**
+ * Call a Slack Web API method with a JSON body.
+ * Logs on failure but does not throw.
+ *
+ * @returns {Promise<object>} Slack response ({ ok, ... })
+ */
+async function slackAPI(method, body = {}) {
+  try {
+    const fetch = (await import("node-fetch")).default;
+    const resp = await fetch(`${SLACK_API}/${method}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await resp.json();
+    if (!data.ok) console.error(`${LOG} ${method} failed: ${data.error}`);
+    return data;
+  } catch (err) {
+    console.error(`${LOG} ${method} error: ${err.message}`);
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Post a message as Block Kit sections.
+ *
+ * @param {string} channelId
+ * @param {string} text
+ * @returns {Promise<object>} Slack response (ts of the posted message on success)
+ */
+async function postMessage(channelId, text) {
+  console.log(`${LOG} → ${channelId}: "${String(text).substring(0, 60)}..."`);
+  return slackAPI("chat.postMessage", {
+    channel: channelId,
+    text: fallbackText(text),
+    blocks: toBlocks(text),
+  });
+}
+
+/**
+ * Replace a message's content (used for the live progress message).
+ */
+async function updateMessage(channelId, ts, text) {
+  return slackAPI("chat.update", {
+    channel: channelId,
+    ts,
+    text: fallbackText(text),
+    blocks: [{ type: "context", elements: [{ type: "mrkdwn", text }] }],
+  });
+}
+
+/**
+ * Upload a file to a channel (files.getUploadURLExternal → upload → complete).
+ *
+ * @param {string} channelId
+ * @param {string} filePath  Local path to the file
+ * @param {string} title
+ */
+async function uploadFile(channelId, filePath, title) {
+  try {
+    const fetch = (await import("node-fetch")).default;
+    const data = fs.readFileSync(filePath);
+    const filename = path.basename(filePath);
+
+    // Step 1: reserve an upload URL (this method takes form parameters, not JSON)
+    const reserveResp = await fetch(`${SLACK_API}/files.getUploadURLExternal`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`,
+      },
+      body: new URLSearchParams({ filename, length: String(data.length) }),
+    });
+    const reserved = await reserveResp.json();
+    if (!reserved.ok) {
+      console.error(`${LOG} files.getUploadURLExternal failed: ${reserved.error}`);
+      return false;
+    }
+
+    // Step 2: upload the bytes
+    const uploadResp = await fetch(reserved.upload_url, {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream" },
+      body: data,
+    });
+    if (!uploadResp.ok) {
+      console.error(`${LOG} File upload failed: HTTP ${uploadResp.status}`);
+      return false;
+    }
+
+    // Step 3: share it in the channel
+    const done = await slackAPI("files.completeUploadExternal", {
+      files: [{ id: reserved.file_id, title: title || filename }],
+      channel_id: channelId,
+    });
+    return !!done.ok;
+  } catch (err) {
+    console.error(`${LOG} uploadFile failed: ${err.message}`);
+    return false;
+  }
+}
+
+// ── Core message handler ──────────────────────────────────────────────────────
+
+// Slack retries events it thinks we missed — remember recent event IDs
+const recentEventIds = new Set();
+const RECENT_EVENTS_MAX = 500;
+
+function isDuplicateEvent(eventId) {
+  if (!eventId) return false;
+  if (recentEventIds.has(eventId)) return true;
+  recentEventIds.add(eventId);
+  if (recentEventIds.size > RECENT_EVENTS_MAX) {
+    recentEventIds.delete(recentEventIds.values().next().value);
+  }
+  return false;
+}
+
+/**
+ * Post a conversation response: messages, wiring diagrams, then the estimate PDF
+ * and the recommended services sheet.
+ *
+ * @param {string} channelId
+ * @param {{ messages?: string[], pdfPath?: string, recommendationsPdfPath?: string, wiringDiagrams?: object[] }} response
+ */
+async function deliverResponse(channelId, response) {
+  for (const m of response.messages || []) {
+    await postMessage(channelId, m);
+  }
+
+  // Wiring diagrams as image files
+  for (const [i, diagram] of (response.wiringDiagrams || []).entries()) {
+    const imgPath = diagram.screenshotPath || diagram;
+    if (typeof imgPath === "string" && fs.existsSync(imgPath)) {
+      await uploadFile(channelId, imgPath, diagram.name ? `Wiring: ${diagram.name}` : `Wiring Diagram ${i + 1}`);
+    }
+  }
+
+  if (response.pdfPath && fs.existsSync(response.pdfPath)) {
+    const uploaded = await uploadFile(channelId, response.pdfPath, "Estimate PDF");
+    if (!uploaded) await postMessage(channelId, "PDF available — view estimate in AutoLeap.");
+  }
+  if (response.recommendationsPdfPath && fs.existsSync(response.recommendationsPdfPath)) {
+    await uploadFile(channelId, response.recommendationsPdfPath, "Recommended services");
+  }
+}
+
+/**
+ * Handle one message from Slack and deliver the reply to its channel.
+ *
+ * @param {string} channelId
+ * @param {string} text
+ */
+async function handleSlackMessage(channelId, text) {
+  console.log(`${LOG} From ${channelId}: "${text.substring(0, 100)}"`);
+
+  // Quick commands that don't need Claude
+  const textLower = text.trim().toLowerCase();
+  if (!textLower || textLower === "help" || textLower === "?") {
+    await postMessage(channelId, formatHelp());
+    return;
+  }
+  if (textLower === "status" || textLower === "ping") {
+    await postMessage(channelId, formatStatus());
+    return;
+  }
+
+  if (!conversation.handleMessage) {
+    console.warn(`${LOG} conversation.handleMessage not available`);
+    return;
+  }
+
+  // Progress: one message posted with the ACK, edited as the pipeline moves on
+  let progressTs = null;
+
+  try {
+    const response = await conversation.handleMessage("slack", channelId, text, {
+      sendAck: async () => {
+        const posted = await slackAPI("chat.postMessage", {
+          channel: channelId,
+          text: "Working on it...",
+          blocks: [{ type: "context", elements: [{ type: "mrkdwn", text: "Working on it..." }] }],
+        });
+        if (posted.ok) progressTs = posted.ts;
+      },
+      notifyPosition: async (pos, waitMin, info) => {
+        await postMessage(channelId, info?.update
+          ? formatQueueUpdate(pos, waitMin)
+          : `Got it! You're #${pos} in queue — SAM is busy with other estimates. Yours starts in ~${waitMin} min.`);
+      },
+      onProgress: async (stage) => {
+        if (progressTs && PROGRESS_LABELS[stage]) await updateMessage(channelId, progressTs, PROGRESS_LABELS[stage]);
+      },
+    });
+
+    if (progressTs) await updateMessage(channelId, progressTs, "Done ✓");
+    await deliverResponse(channelId, response);
+  } catch (err) {
+    console.error(`${LOG} Pipeline error: ${err.message}`);
+    await postMessage(channelId, "Something went wrong — try sending the job again.").catch(() => {});
+  }
+}
+
+// ── HTTP Server ───────────────────────────────────────────────────────────────
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  // Health check
+  if (url.pathname === "/health" || url.pathname === "/") {
+    sendJson(res, 200, { status: "ok", platform: "slack" });
+    return;
+  }
+
+  if (req.method !== "POST" || (url.pathname !== "/slack/events" && url.pathname !== "/slack/commands")) {
+    res.writeHead(404);
+    res.end("Not Found");
+    return;
+  }
+
+  const rawBody = await readBody(req).catch(() => "");
+  if (!verifySlackSignature(rawBody, req.headers)) {
+    console.warn(`${LOG} Rejected request with bad signature`);
+    res.writeHead(401);
+    res.end("Unauthorized");
+    return;
+  }
+
+  // Slash command — acknowledge within 3s, reply in the channel afterwards
+  if (url.pathname === "/slack/commands") {
+    const command = parseSlashCommand(rawBody);
+    sendJson(res, 200, { response_type: "in_channel" });
+    if (command.channelId) {
+      setImmediate(() => handleSlackMessage(command.channelId, command.text));
+    }
+    return;
+  }
+
+  // Events API
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (err) {
+    console.error(`${LOG} Parse error: ${err.message}`);
+    res.writeHead(400);
+    res.end("Bad Request");
+    return;
+  }
+
+  // One-time URL verification when the events URL is saved in the Slack app
+  if (payload.type === "url_verification") {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end(payload.challenge || "");
+    return;
+  }
+
+  // Respond immediately — before any async pipeline work
+  sendJson(res, 200, { ok: true });
+
+  if (isDuplicateEvent(payload.event_id)) return;
+  const message = parseSlackEvent(payload);
+  if (!message) return;
+
+  setImmediate(() => handleSlackMessage(message.channelId, message.text));
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`${LOG} Slack gateway running on port ${PORT}`);
+    console.log(`${LOG} Events URL: http://0.0.0.0:${PORT}/slack/events`);
+    console.log(`${LOG} Commands URL: http://0.0.0.0:${PORT}/slack/commands`);
+    console.log(`${LOG} Health check: http://0.0.0.0:${PORT}/health`);
+  });
+
+  // Declined-work reminders to the advisor's Slack channel
+  deferredWork.startReminderScheduler({
+    platform: "slack",
+    // Must reject when Slack refuses the message, or the row is marked reminded
+    send: async (channelId, text) => {
+      const result = await postMessage(channelId, text);
+      if (!result.ok) throw new Error(`Slack chat.postMessage failed: ${result.error}`);
+    },
+    // The advisor's reply ("yes, re-quote it") goes to the deferred_work tool
+    onReminded: conversation.rememberReminder && ((row) => conversation.rememberReminder("slack", row.chat_id, row)),
+  });
+
+  // Estimates left in the queue by a crash/restart: re-queue waiting ones,
+  // fail the one that was running, and tell each channel
+  recoverJobs({
+    platform: "slack",
+    notify: (channelId, text) => postMessage(channelId, text),
+    resume: conversation.resumeEstimate && ((job) => conversation.resumeEstimate("slack", job.chat_id, job)
+      .then((response) => deliverResponse(job.chat_id, response))),
+  }).catch((err) => console.error(`${LOG} job recovery error: ${err.message}`));
+}
+
+// ── Exports (test hooks) ──────────────────────────────────────────────────────
+
+module.exports = {
+  verifySlackSignature,
+  parseSlackEvent,
+  parseSlashCommand,
+  cleanSlackText,
+  toBlocks,
+};
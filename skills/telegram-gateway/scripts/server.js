@@ -34,8 +34,9 @@ const { validateEnv, checkHealth, cleanupArtifacts } = require("../../shared/hea
 const { createLogger } = require("../../shared/logger");
 const log = createLogger("telegram-gateway");
 const sessionStore = require("../../shared/session-store");
-const { queue } = require("../../shared/job-queue");
+const { queue, recoverJobs } = require("../../shared/job-queue");
 const conversation = require("../../shared/conversation");
+const deferredWork = require("../../shared/deferred-work");
 
 // Validate required env vars
 const envCheck = validateEnv(["TELEGRAM_BOT_TOKEN", "SUPABASE_URL", "SUPABASE_ANON_KEY"]);
@@ -77,7 +78,7 @@ process.on("SIGTERM", async () => {
   process.exit(0);
 });
 
-const { formatHelp, formatStatus } = require("../../whatsapp-gateway/scripts/formatter");
+const { formatHelp, formatStatus, formatQueueUpdate } = require("../../whatsapp-gateway/scripts/formatter");
 
 const LOG = "[telegram]";
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
@@ -86,6 +87,10 @@ const API_BASE = `https://api.telegram.org/bot${BOT_TOKEN}`;
 
 let lastUpdateId = 0;
 
+// Per-chat reply chains: one chat's messages are answered in order, but a long
+// estimate doesn't stall the poll loop for other chats (or for CANCEL)
+const chatChains = new Map();
+
 // ── Telegram API Helpers ──
 
 async function telegramAPI(method, body = {}) {
@@ -98,9 +103,16 @@ async function telegramAPI(method, body = {}) {
   return resp.json();
 }
 
+/**
+ * Send text to a chat, split into Telegram-sized chunks. Logs on failure but
+ * does not throw.
+ *
+ * @returns {Promise<boolean>} true when every chunk was delivered
+ */
 async function sendMessage(chatId, text, options = {}) {
   const formatted = toTelegramMarkdown(text);
   const chunks = splitMessage(formatted, 4000);
+  let delivered = true;
   for (const chunk of chunks) {
     console.log(`${LOG} → ${chatId}: "${chunk.substring(0, 60)}..."`);
     const result = await telegramAPI("sendMessage", {
@@ -112,12 +124,18 @@ async function sendMessage(chatId, text, options = {}) {
     if (!result.ok) {
       if (result.description?.includes("parse") || result.description?.includes("can't")) {
         // Retry without Markdown
-        await telegramAPI("sendMessage", { chat_id: chatId, text: chunk, ...options });
+        const plain = await telegramAPI("sendMessage", { chat_id: chatId, text: chunk, ...options });
+        if (!plain.ok) {
+          console.error(`${LOG} Send failed:`, plain.description);
+          delivered = false;
+        }
       } else {
         console.error(`${LOG} Send failed:`, result.description);
+        delivered = false;
       }
     }
   }
+  return delivered;
 }
 
 async function editMessage(chatId, messageId, text) {
@@ -207,11 +225,11 @@ async function handleMessage(chatId, messageText, username) {
   if (textLower === "status" || textLower === "ping") return { messages: [formatStatus()] };
   if (textLower === "/health") {
     const health = await checkHealth();
-    const statusEmoji = health.cdp ? "\u2705" : "\u274C";
     const msg = [
       `*SAM Health Check*`,
       `Chrome: ${health.chrome ? "running" : "stopped"}`,
-      `CDP (port 18800): ${statusEmoji}`,
+      ...health.workers.map((w) =>
+        `CDP ${w.id} (${w.profile}, port ${w.cdpPort}): ${w.cdp ? "\u2705" : "\u274C"}${w.busy ? " busy" : ""}`),
       `Disk: ${health.disk_free_mb}MB free${health.disk_warning ? " \u26A0 LOW" : ""}`,
       `Uptime: ${Math.round(health.uptime_s / 60)}min`,
     ].join("\n");
@@ -227,15 +245,45 @@ async function handleMessage(chatId, messageText, username) {
         // NO parse_mode — plain text avoids Markdown parse errors on vehicle names
       });
     },
-    notifyPosition: async (pos, waitMin) => {
+    notifyPosition: async (pos, waitMin, info) => {
       await telegramAPI("sendMessage", {
         chat_id: chatId,
-        text: `Got it! You're #${pos} in queue — one estimate is running now. Yours starts in ~${waitMin} min.`,
+        text: info?.update
+          ? formatQueueUpdate(pos, waitMin)
+          : `Got it! You're #${pos} in queue — SAM is busy with other estimates. Yours starts in ~${waitMin} min.`,
       });
     },
   });
 }
 
+/**
+ * Send a conversation response: messages, wiring diagrams as photos, then the PDF.
+ */
+async function sendResponse(chatId, response) {
+  for (const m of response.messages || []) {
+    await sendMessage(chatId, m);
+  }
+
+  // Send wiring diagrams as photos
+  if (response.wiringDiagrams?.length > 0) {
+    for (let i = 0; i < response.wiringDiagrams.length; i++) {
+      const diagram = response.wiringDiagrams[i];
+      const imgPath = diagram.screenshotPath || diagram;
+      if (imgPath && fs.existsSync(imgPath)) {
+        const caption = diagram.name ? `Wiring: ${diagram.name}` : `Wiring Diagram ${i + 1}`;
+        await sendPhoto(chatId, imgPath, caption);
+      }
+    }
+  }
+
+  if (response.pdfPath && fs.existsSync(response.pdfPath)) {
+    await sendDocument(chatId, response.pdfPath, "Estimate PDF");
+  }
+  if (response.recommendationsPdfPath && fs.existsSync(response.recommendationsPdfPath)) {
+    await sendDocument(chatId, response.recommendationsPdfPath, "Recommended services");
+  }
+}
+
 // ── Polling Loop ──
 
 async function pollUpdates() {
@@ -260,39 +308,33 @@ async function pollUpdates() {
       const text = msg.text;
       const username = msg.from?.username || msg.from?.first_name;
 
-      try {
-        await sendTyping(chatId);
-        const response = await handleMessage(chatId, text, username);
-
-        for (const m of response.messages) {
-          await sendMessage(chatId, m);
-        }
-
-        // Send wiring diagrams as photos
-        if (response.wiringDiagrams?.length > 0) {
-          for (let i = 0; i < response.wiringDiagrams.length; i++) {
-            const diagram = response.wiringDiagrams[i];
-            const imgPath = diagram.screenshotPath || diagram;
-            if (imgPath && fs.existsSync(imgPath)) {
-              const caption = diagram.name ? `Wiring: ${diagram.name}` : `Wiring Diagram ${i + 1}`;
-              await sendPhoto(chatId, imgPath, caption);
-            }
-          }
-        }
-
-        if (response.pdfPath && fs.existsSync(response.pdfPath)) {
-          await sendDocument(chatId, response.pdfPath, "Estimate PDF");
-        }
-      } catch (err) {
-        console.error(`${LOG} Error:`, err.message);
-        await sendMessage(chatId, "Something went wrong. Try again.");
+      // CANCEL can't wait behind the estimate it is cancelling
+      if (conversation.isCancelCommand?.(text)) {
+        replyTo(chatId, text, username);
+        continue;
       }
+      const next = (chatChains.get(chatId) || Promise.resolve()).then(() => replyTo(chatId, text, username));
+      chatChains.set(chatId, next);
+      next.then(() => {
+        if (chatChains.get(chatId) === next) chatChains.delete(chatId);
+      });
     }
   } catch (err) {
     console.error(`${LOG} Poll error:`, err.message);
   }
 }
 
+async function replyTo(chatId, text, username) {
+  try {
+    await sendTyping(chatId);
+    const response = await handleMessage(chatId, text, username);
+    await sendResponse(chatId, response);
+  } catch (err) {
+    console.error(`${LOG} Error:`, err.message);
+    await sendMessage(chatId, "Something went wrong. Try again.").catch(() => {});
+  }
+}
+
 async function startPolling() {
   console.log(`${LOG} Starting SAM (Claude-powered)...`);
   const me = await telegramAPI("getMe");
@@ -300,6 +342,26 @@ async function startPolling() {
   console.log(`${LOG} Claude: ${process.env.ANTHROPIC_API_KEY ? "enabled" : "DISABLED"}`);
   console.log(`${LOG} Listening...`);
 
+  // Declined-work reminders ("rear brakes declined 90 days ago, want me to re-quote?")
+  deferredWork.startReminderScheduler({
+    platform: "telegram",
+    // Must reject when Telegram refuses the message, or the row is marked reminded
+    send: async (chatId, text) => {
+      if (!(await sendMessage(chatId, text))) throw new Error("Telegram sendMessage failed");
+    },
+    // The advisor's reply ("yes, re-quote it") goes to the deferred_work tool
+    onReminded: (row) => conversation.rememberReminder("telegram", row.chat_id, row),
+  });
+
+  // Estimates left in the queue by a crash/restart: re-queue waiting ones,
+  // fail the one that was running, and tell each chat
+  recoverJobs({
+    platform: "telegram",
+    notify: (chatId, text) => sendMessage(chatId, text),
+    resume: (job) => conversation.resumeEstimate("telegram", job.chat_id, job)
+      .then((response) => sendResponse(job.chat_id, response)),
+  }).catch((err) => log.error("job recovery error", { error: err.message }));
+
   while (true) {
     await pollUpdates();
   }
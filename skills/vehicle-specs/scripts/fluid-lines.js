@@ -0,0 +1,215 @@
+/**
+ * Fluid Lines — quantity-accurate fluid line items from capacity specs
+ *
+ * Oil changes, coolant flushes, transmission and brake fluid services need
+ * the fluid on the estimate by the sellable unit: 4.4 qt of 0W-20 is 5 quarts,
+ * 6.4 qt of coolant is 2 gallons. The capacity comes from getVehicleSpecs()
+ * (stored research specs first); the lines go into the job's partsNeeded with
+ * lineType "fluid" so totals price them with the fluids markup.
+ *
+ * Only capacities from AllData or the request itself size a line, and only
+ * when they fall inside the fluid's plausible range — a bad number is worse
+ * than none. Anything else is reported as missing for the advisor to add.
+ *
+ * Fluids on the shop's bulk price list (preferences.bulkFluids) are priced from
+ * that list instead of being searched in PartsTech:
+ *   [{ match: "0W-20", fluid: "engineOil", unit: "qt", cost: 4.1, increment: 0.5, description, brand, partNumber }]
+ * match is a case-insensitive substring of the fluid name; fluid (optional)
+ * limits the entry to one fluid key; increment (default 1) is the smallest
+ * amount the shop bills (bulk oil is metered).
+ */
+
+"use strict";
+
+const { SERVICES } = require("./maintenance");
+
+const QUARTS_PER_UNIT = { qt: 1, l: 1.0567, gal: 4, pt: 0.5 };
+const CAPACITY = /(\d+(?:\.\d+)?)\s*(quarts?|qts?|liters?|litres?|l\b|gallons?|gal\b|pints?|pts?)/i;
+const SHOP_STOCK = "Shop stock";
+// getVehicleSpecs() capacitySource values a line may be sized from
+const TRUSTED_SOURCES = ["alldata", "request"];
+
+const serviceMatch = (id) => SERVICES.find((s) => s.id === id).match;
+
+// Which jobs use which fluid, and how it's sold when it's bought per job
+const FLUID_JOBS = [
+  {
+    key: "engineOil",
+    job: /oil\s*(change|service)|oil\s*(and|&)\s*filter|\blube\b|\bLOF\b/i,
+    capacityFields: ["capacityWithFilter", "capacity"],
+    quarts: [3, 10],
+    unit: "qt",
+    part: /\boil\b/i,
+    name: (spec) => (/^\d{1,2}W-?\d{2}$/i.test(spec.weight || "") ? `${spec.weight.toUpperCase()} motor oil` : "motor oil"),
+  },
+  {
+    key: "coolant",
+    job: serviceMatch("coolant"),
+    capacityFields: ["capacity"],
+    quarts: [4, 30],
+    unit: "gal",
+    part: /coolant|antifreeze/i,
+    name: (spec) => (specType(spec) ? `${specType(spec)} coolant` : "coolant 50/50 prediluted"),
+  },
+  {
+    key: "transmission",
+    job: serviceMatch("transmission_fluid"),
+    // A fluid service is a drain-and-fill when the specs know that amount
+    capacityFields: ["drainAndFill", "capacity"],
+    quarts: [1.5, 20],
+    unit: "qt",
+    part: /\batf\b|trans(mission)?\s*fluid|cvt\s*fluid/i,
+    name: (spec) => specType(spec) || "automatic transmission fluid",
+  },
+  {
+    key: "brakeFluid",
+    job: serviceMatch("brake_fluid"),
+    capacityFields: ["capacity"],
+    quarts: [0.5, 3],
+    // A flush and bleed uses about a quart whatever the system holds
+    defaultQuarts: 1,
+    unit: "qt",
+    part: /brake\s*fluid/i,
+    name: (spec) => {
+      const dot = String(spec.type || "").match(/DOT\s*\d(\.\d)?/i);
+      return dot ? `${dot[0].toUpperCase()} brake fluid` : "brake fluid";
+    },
+  },
+];
+
+/** Spec type without "(check …)" advice; null when it's only advice */
+function specType(spec) {
+  const type = String(spec?.type || "").replace(/\(.*?\)/g, "").trim();
+  return type && !/check|manual|vehicle-specific/i.test(type) ? type : null;
+}
+
+function unitKey(unit) {
+  const u = String(unit || "").toLowerCase();
+  if (u.startsWith("q")) return "qt";
+  if (u.startsWith("l")) return "l";
+  if (u.startsWith("g")) return "gal";
+  if (u.startsWith("p")) return "pt";
+  return null;
+}
+
+/**
+ * Capacity text in quarts.
+ *
+ * @param {string} text - "4.4 qt", "4.2 L", "1.5 gallons"
+ * @returns {number|null}
+ */
+function capacityInQuarts(text) {
+  const m = String(text || "").match(CAPACITY);
+  if (!m) return null;
+  const quarts = parseFloat(m[1]) * QUARTS_PER_UNIT[unitKey(m[2])];
+  return quarts > 0 ? Math.round(quarts * 100) / 100 : null;
+}
+
+/** Quantity to bill in `unit`, rounded up to the increment */
+function sellableQty(quarts, unit, increment = 1) {
+  const step = Number(increment) > 0 ? Number(increment) : 1;
+  const amount = quarts / QUARTS_PER_UNIT[unitKey(unit) || "qt"];
+  return Math.round(Math.ceil(amount / step - 1e-9) * step * 100) / 100;
+}
+
+/** Bulk price list entry for a fluid, or null */
+function findBulkFluid(key, name, bulkFluids) {
+  return (bulkFluids || []).find((entry) => {
+    if (!entry || !(Number(entry.cost) > 0) || !unitKey(entry.unit)) return false;
+    if (entry.fluid && entry.fluid !== key) return false;
+    return !entry.match || name.toLowerCase().includes(String(entry.match).toLowerCase());
+  }) || null;
+}
+
+/**
+ * Fluid lines the job needs, sized from the capacity specs.
+ *
+ * @param {string} jobText - Job name and query ("Oil change 2019 Civic")
+ * @param {object} fluids - getVehicleSpecs().fluids
+ * @param {object[]} [bulkFluids] - Shop bulk price list (preferences.bulkFluids)
+ * @returns {{ lines: object[], missing: string[] }}
+ *   lines in extractPartsNeeded() format plus { qty, unit, lineType: "fluid", fluid, bulkFluid? };
+ *   missing names the fluids the job needs without a trusted, plausible capacity, with the reason
+ */
+function fluidLinesFor(jobText, fluids, bulkFluids) {
+  const lines = [];
+  const missing = [];
+
+  for (const def of FLUID_JOBS) {
+    if (!def.job.test(jobText || "")) continue;
+    const spec = fluids?.[def.key] || {};
+    const name = def.name(spec);
+    const trusted = TRUSTED_SOURCES.includes(spec.capacitySource);
+    const capacity = trusted ? def.capacityFields.map((f) => spec[f]).find((c) => capacityInQuarts(c)) || null : null;
+    const quarts = capacityInQuarts(capacity) || def.defaultQuarts || null;
+    if (!quarts) {
+      missing.push(`${name} (no capacity from AllData or the request)`);
+      continue;
+    }
+    const [min, max] = def.quarts;
+    if (quarts < min || quarts > max) {
+      missing.push(`${name} (${capacity} is outside ${min}–${max} qt)`);
+      continue;
+    }
+
+    const bulk = findBulkFluid(def.key, name, bulkFluids);
+    const unit = bulk ? unitKey(bulk.unit) : def.unit;
+    lines.push({
+      partType: name,
+      searchTerms: [name],
+      qty: sellableQty(quarts, unit, bulk?.increment),
+      unit,
+      lineType: "fluid",
+      fluid: { key: def.key, capacity, quarts },
+      ...(bulk ? { bulkFluid: bulk } : {}),
+    });
+  }
+  return { lines, missing };
+}
+
+/**
+ * Swap the job's fluid guesses (an AI repair plan's "engine oil", qty 1) for
+ * lines sized from the capacity specs.
+ *
+ * @param {object[]} partsNeeded - extractPartsNeeded() result
+ * @param {string} jobText
+ * @param {object} fluids - getVehicleSpecs().fluids
+ * @param {object[]} [bulkFluids]
+ * @returns {{ partsNeeded: object[], lines: object[], missing: string[] }}
+ */
+function withFluidLines(partsNeeded, jobText, fluids, bulkFluids) {
+  const { lines, missing } = fluidLinesFor(jobText, fluids, bulkFluids);
+  const replaced = (p) => lines.some((line) => {
+    const def = FLUID_JOBS.find((d) => d.key === line.fluid.key);
+    return def.part.test(p.partType || "") && !/filter|plug|gasket|seal|pan/i.test(p.partType || "");
+  });
+  return { partsNeeded: [...(partsNeeded || []).filter((p) => !replaced(p)), ...lines], lines, missing };
+}
+
+/**
+ * Bundle item for a fluid priced from the bulk list — shaped like a PartsTech
+ * pick so totals, tiers and the PDF treat it like any other line.
+ *
+ * @param {object} line - fluidLinesFor() line with bulkFluid
+ * @returns {object} { requested, selected }
+ */
+function bulkFluidItem(line) {
+  const bulk = line.bulkFluid;
+  const cost = Number(bulk.cost);
+  return {
+    requested: line,
+    selected: {
+      description: bulk.description || line.partType,
+      brand: bulk.brand || SHOP_STOCK,
+      partNumber: bulk.partNumber || null,
+      supplier: SHOP_STOCK,
+      price: cost,
+      cost,
+      totalCost: cost,
+      availability: "In Stock",
+      bulk: true,
+    },
+  };
+}
+
+module.exports = { fluidLinesFor, withFluidLines, bulkFluidItem, capacityInQuarts, sellableQty, FLUID_JOBS };
@@ -0,0 +1,219 @@
+/**
+ * Maintenance Schedule — mileage-based services due on the vehicle
+ *
+ * Given the vehicle, its current mileage and the shop's repair history for
+ * that VIN, lists the interval services (spark plugs, coolant, transmission
+ * fluid, timing belt, brake fluid) that are due or overdue. The estimate
+ * builder attaches them as optional "recommended" lines — they are never
+ * added to the estimate total.
+ *
+ * Intervals are typical severe-enough-to-matter values, not OEM schedules:
+ * the advisor confirms against the owner's manual before selling the job.
+ */
+
+"use strict";
+
+// Flag a service this many miles before its interval comes up
+const DUE_SOON_MILES = 3000;
+// Used to place a prior repair on the odometer when its RO has no mileage
+const MILES_PER_MONTH = 1000;
+
+// Belt-driven engines by code; everything else is assumed to have a chain
+const TIMING_BELT_CODES = {
+  "1MZ-FE": 90000,
+  "3MZ-FE": 90000,
+  "2GR-FE": null, // chain — listed so the Toyota V6 rule below can't catch it
+  EJ25: 105000,
+  J30: 105000,
+  J32: 105000,
+  J35: 105000,
+  J37: 105000,
+};
+
+/** Timing belt interval for the vehicle, or null when it has a chain */
+function timingBeltMiles(v) {
+  if (v.engineCode) {
+    const code = Object.keys(TIMING_BELT_CODES).find((c) => v.engineCode.startsWith(c));
+    if (code) return TIMING_BELT_CODES[code];
+  }
+  // Honda / Acura V6 (J-series) — all belt-driven
+  if ((v.make === "honda" || v.make === "acura") && v.cylinders === 6) return 105000;
+  // Subaru 2.5 NA before the FB chain engines
+  if (v.make === "subaru" && v.cylinders === 4 && v.year && v.year <= 2010) return 105000;
+  return null;
+}
+
+const SERVICES = [
+  {
+    id: "spark_plugs",
+    name: "Spark plug replacement",
+    match: /spark\s*plugs?|tune[\s-]?up/i,
+    miles: (v) => (v.year && v.year < 2005 ? 60000 : 100000),
+    hours: (v) => (v.cylinders >= 6 ? 2.0 : 1.0),
+    applies: (v) => v.fuel !== "electric" && v.fuel !== "diesel",
+  },
+  {
+    id: "coolant",
+    name: "Coolant flush",
+    match: /coolant\s*(flush|exchange|service|change|replace)|antifreeze|cooling system\s*(flush|service)|radiator flush/i,
+    miles: (v) => (v.year && v.year < 2005 ? 30000 : 100000),
+    months: 60,
+    hours: () => 1.0,
+    applies: () => true,
+  },
+  {
+    id: "transmission_fluid",
+    name: "Transmission fluid service",
+    match: /trans(mission)?\s*(fluid|flush|service)|\bATF\b|CVT\s*fluid/i,
+    miles: () => 60000,
+    hours: () => 1.0,
+    applies: (v) => v.fuel !== "electric",
+  },
+  {
+    id: "timing_belt",
+    name: "Timing belt replacement",
+    match: /timing\s*belt/i,
+    miles: timingBeltMiles,
+    months: 84,
+    hours: (v) => (v.cylinders >= 6 ? 4.0 : 3.0),
+    applies: (v) => timingBeltMiles(v) != null,
+  },
+  {
+    id: "brake_fluid",
+    name: "Brake fluid flush",
+    match: /brake\s*fluid|brake\s*(system\s*)?flush|bleed brakes/i,
+    miles: () => 30000,
+    months: 36,
+    hours: () => 0.8,
+    applies: () => true,
+  },
+];
+
+/** "112,400" / 112400 → 112400; null when unknown */
+function parseMileage(value) {
+  const n = parseInt(String(value ?? "").replace(/[^\d]/g, ""), 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function normalizeVehicle(vehicle) {
+  const identity = vehicle.engineIdentity || {};
+  return {
+    year: parseInt(vehicle.year, 10) || null,
+    make: String(vehicle.make || "").toLowerCase(),
+    cylinders: identity.cylinders || parseInt(vehicle.engine?.cylinders, 10) || null,
+    engineCode: String(vehicle.engineCode || identity.code || "").toUpperCase() || null,
+    fuel: identity.fuel || null,
+  };
+}
+
+function repairText(repair) {
+  const parts = (repair.parts_used || []).map((p) => p.name || "").join(" ");
+  return `${repair.repair_description || ""} ${parts}`;
+}
+
+function monthsBetween(from, to) {
+  return (to.getTime() - from.getTime()) / (1000 * 60 * 60 * 24 * 30.44);
+}
+
+/**
+ * Most recent repair that performed the service, placed on the odometer.
+ * ROs without a mileage are placed by date at MILES_PER_MONTH.
+ */
+function lastPerformed(service, repairs, mileage, now) {
+  let last = null;
+  for (const repair of repairs) {
+    if (!service.match.test(repairText(repair))) continue;
+    const date = repair.completed_at ? new Date(repair.completed_at) : null;
+    if (!date || isNaN(date)) continue;
+    if (!last || date > last.date) last = { date, repair };
+  }
+  if (!last) return null;
+
+  const months = Math.max(0, monthsBetween(last.date, now));
+  const recorded = parseMileage(last.repair.mileage);
+  const estimated = !(recorded && recorded <= mileage);
+  return {
+    date: last.date.toISOString().slice(0, 10),
+    months: Math.round(months),
+    mileage: estimated ? Math.max(0, Math.round(mileage - months * MILES_PER_MONTH)) : recorded,
+    estimated,
+    description: last.repair.repair_description || null,
+  };
+}
+
+function fmtMiles(n) {
+  return `${Number(n).toLocaleString("en-US")} mi`;
+}
+
+/**
+ * Services due or overdue at the current mileage.
+ *
+ * @param {object} vehicle - { year, make, model, engine, engineCode, engineIdentity }
+ * @param {number|string} mileage - Current odometer
+ * @param {object} [opts]
+ * @param {Array} [opts.repairs] - Shop repair history for this VIN (getVehicleHistory().repairs)
+ * @param {string[]} [opts.exclude] - Job names / queries already on the estimate — their services are skipped
+ * @param {number} [opts.laborRate] - Shop labor rate, for the labor estimate on each line
+ * @param {Date} [opts.now]
+ * @returns {Array<{ service: string, name: string, status: "overdue"|"due", reason: string, intervalMiles: number,
+ *   dueAtMileage: number|null, lastDone: object|null, hours: number, laborEstimate: number|null, optional: true }>}
+ *   overdue first; empty when the mileage is unknown
+ */
+function getMaintenanceDue(vehicle, mileage, opts = {}) {
+  const odometer = parseMileage(mileage);
+  if (!vehicle || !odometer) return [];
+
+  const v = normalizeVehicle(vehicle);
+  const repairs = Array.isArray(opts.repairs) ? opts.repairs : [];
+  const onEstimate = (opts.exclude || []).join(" ");
+  const now = opts.now || new Date();
+  const due = [];
+
+  for (const service of SERVICES) {
+    if (!service.applies(v)) continue;
+    if (service.match.test(onEstimate)) continue;
+
+    const interval = service.miles(v);
+    const last = lastPerformed(service, repairs, odometer, now);
+    let status = null;
+    let reason;
+    let dueAtMileage = null;
+    let overdueBy = 0;
+
+    if (last) {
+      dueAtMileage = last.mileage + interval;
+      overdueBy = odometer - dueAtMileage;
+      const byTime = service.months && last.months >= service.months;
+      if (overdueBy >= 0 || byTime) status = "overdue";
+      else if (overdueBy >= -DUE_SOON_MILES) status = "due";
+      const ago = `${last.estimated ? "~" : ""}${fmtMiles(odometer - last.mileage)} / ${last.months} months ago`;
+      reason = `Last done ${last.date} (${ago}) — every ${fmtMiles(interval)}${service.months ? ` or ${service.months / 12} years` : ""}`;
+    } else if (odometer >= interval - DUE_SOON_MILES) {
+      // No record here — it may have been done elsewhere, so never "overdue"
+      status = "due";
+      reason = `No record at this shop — recommended every ${fmtMiles(interval)}`;
+    }
+    if (!status) continue;
+
+    const hours = service.hours(v);
+    due.push({
+      service: service.id,
+      name: service.name,
+      status,
+      reason,
+      intervalMiles: interval,
+      dueAtMileage,
+      lastDone: last,
+      hours,
+      laborEstimate: opts.laborRate > 0 ? Math.round(hours * opts.laborRate * 100) / 100 : null,
+      optional: true,
+      _overdueBy: overdueBy,
+    });
+  }
+
+  return due
+    .sort((a, b) => (a.status === b.status ? b._overdueBy - a._overdueBy : a.status === "overdue" ? -1 : 1))
+    .map(({ _overdueBy, ...item }) => item);
+}
+
+module.exports = { getMaintenanceDue, parseMileage, SERVICES };
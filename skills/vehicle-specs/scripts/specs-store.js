@@ -0,0 +1,226 @@
+/**
+ * Vehicle Specs Store — fluid capacities, torque values, firing order and
+ * special tools learned from research, keyed by engine code and by YMME
+ *
+ * Every estimate's AllData / ProDemand research is mined for specs
+ * (extractSpecsFromResearch in specs.js) and merged in here, so the mechanic
+ * reference for a vehicle gets more specific with each job. Rows are keyed
+ * "engine:<code>" (shared by every vehicle with that engine) and
+ * "ymme:<year>|<make>|<model>|<displacement>" (this vehicle only).
+ *
+ * A capacity already stored is not replaced by one job that disagrees: the
+ * new value waits as a candidate until a second job's research agrees with it.
+ * Engine-code rows are shared, so one bad extraction would otherwise reach
+ * every vehicle with that engine.
+ *
+ * Supabase-backed (vehicle_specs) with an in-memory Map in front; the Map is
+ * the only layer when SUPABASE_URL or SUPABASE_ANON_KEY are absent.
+ */
+
+"use strict";
+
+const LOG = "[vehicle-specs]";
+const TABLE = "vehicle_specs";
+// Special tools kept per key — AllData pages can list dozens
+const MAX_TOOLS = 20;
+// Fluid fields holding an amount (see extractSpecsFromResearch)
+const CAPACITY_FIELDS = ["capacityWithFilter", "capacity", "drainAndFill"];
+// Jobs that must agree on a different capacity before it replaces the stored one
+const CAPACITY_AGREEMENT = 2;
+
+let supabase = null;
+if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+  try {
+    const { createClient } = require("@supabase/supabase-js");
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+  } catch {
+    // supabase-js not installed — memory only
+  }
+}
+
+// spec_key -> row
+const memStore = new Map();
+
+function emptySpecs() {
+  return { fluids: {}, torque: {}, firingOrder: null, specialTools: [], sources: {}, jobCount: 0 };
+}
+
+/**
+ * Store keys for a vehicle, most general first: engine code, then YMME.
+ *
+ * @param {object} vehicle - { year, make, model, engine, engineCode }
+ * @returns {string[]}
+ */
+function specKeysFor(vehicle) {
+  if (!vehicle) return [];
+  const keys = [];
+  const code = vehicle.engineCode || vehicle.engineIdentity?.code;
+  if (code) keys.push(`engine:${String(code).toUpperCase()}`);
+
+  const displacement = typeof vehicle.engine === "string" ? vehicle.engine : vehicle.engine?.displacement;
+  if (vehicle.year && vehicle.make && vehicle.model) {
+    const parts = [vehicle.year, vehicle.make, vehicle.model, displacement && displacement !== "N/A" ? displacement : ""];
+    keys.push(`ymme:${parts.map((p) => String(p).trim().toLowerCase()).join("|")}`);
+  }
+  return keys;
+}
+
+/** "4.4 qt" vs "4.4 quarts" — same amount and unit */
+function sameCapacity(a, b) {
+  const parse = (v) => String(v || "").toLowerCase().match(/(\d+(?:\.\d+)?)\s*([a-z])/);
+  const x = parse(a);
+  const y = parse(b);
+  return !!(x && y && parseFloat(x[1]) === parseFloat(y[1]) && x[2] === y[2]);
+}
+
+/**
+ * One job's fluids merged into a stored entry. Non-capacity fields (weight,
+ * type) take the new value; a capacity that disagrees with the stored one is
+ * held in candidates until CAPACITY_AGREEMENT jobs report it.
+ */
+function learnFluid(stored = {}, found = {}) {
+  const confirmations = { ...stored.confirmations };
+  const candidates = { ...stored.candidates };
+  const next = { ...stored };
+  for (const [field, value] of Object.entries(found)) {
+    if (!CAPACITY_FIELDS.includes(field)) next[field] = value;
+  }
+  for (const field of CAPACITY_FIELDS) {
+    const value = found[field];
+    if (!value) continue;
+    if (!stored[field]) {
+      next[field] = value;
+      next.capacitySource = found.capacitySource || found.source;
+      confirmations[field] = 1;
+    } else if (sameCapacity(stored[field], value)) {
+      confirmations[field] = (confirmations[field] || 1) + 1;
+      delete candidates[field];
+    } else {
+      const count = sameCapacity(candidates[field]?.value, value) ? candidates[field].count + 1 : 1;
+      // Needs CAPACITY_AGREEMENT jobs, and more of them than confirmed the stored value
+      if (count >= Math.max(CAPACITY_AGREEMENT, (confirmations[field] || 1) + 1)) {
+        next[field] = value;
+        next.capacitySource = found.capacitySource || found.source;
+        confirmations[field] = count;
+        delete candidates[field];
+      } else {
+        candidates[field] = { value, count };
+        console.log(`${LOG} ${field} ${value} disagrees with stored ${stored[field]} — held until another job agrees`);
+      }
+    }
+  }
+  return { ...next, confirmations, candidates };
+}
+
+/**
+ * b's values over a's; fluids and torque merged per entry, tools unioned.
+ * learn: b is a new job's extraction (capacities need agreement), else b is
+ * the more specific stored row (YMME over engine) and simply wins.
+ */
+function mergeSpecs(a, b, { learn = false } = {}) {
+  const fluids = { ...a.fluids };
+  for (const [name, fluid] of Object.entries(b.fluids || {})) {
+    fluids[name] = learn ? learnFluid(fluids[name], fluid) : { ...fluids[name], ...fluid };
+  }
+  const seen = new Set();
+  const specialTools = [...(a.specialTools || []), ...(b.specialTools || [])]
+    .filter((t) => !seen.has(t.toLowerCase()) && seen.add(t.toLowerCase()))
+    .slice(0, MAX_TOOLS);
+  const sources = { ...a.sources };
+  for (const [source, count] of Object.entries(b.sources || {})) {
+    sources[source] = (sources[source] || 0) + count;
+  }
+  return {
+    fluids,
+    torque: { ...a.torque, ...b.torque },
+    firingOrder: b.firingOrder || a.firingOrder || null,
+    specialTools,
+    sources,
+    jobCount: (a.jobCount || 0) + (b.jobCount || 0),
+  };
+}
+
+async function readRow(key) {
+  if (memStore.has(key)) return memStore.get(key);
+  if (!supabase) return null;
+
+  try {
+    const { data, error } = await supabase.from(TABLE).select("specs").eq("spec_key", key).maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) return null;
+    memStore.set(key, data.specs);
+    return data.specs;
+  } catch (err) {
+    console.error(`${LOG} Lookup error (${key}): ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Stored specs for a vehicle — the engine-code row with the YMME row over it.
+ * Never throws — a lookup error reads as nothing stored.
+ *
+ * @param {object} vehicle
+ * @returns {Promise<object|null>} { fluids, torque, firingOrder, specialTools, sources, jobCount, keys }
+ */
+async function getStoredSpecs(vehicle) {
+  const keys = specKeysFor(vehicle);
+  let merged = null;
+  const found = [];
+  for (const key of keys) {
+    const row = await readRow(key);
+    if (!row) continue;
+    found.push(key);
+    merged = mergeSpecs(merged || emptySpecs(), { ...row, jobCount: 0 });
+    merged.jobCount = Math.max(merged.jobCount, row.jobCount || 0);
+  }
+  return merged ? { ...merged, keys: found } : null;
+}
+
+/**
+ * Merge newly extracted specs into every key for the vehicle.
+ * Never throws — a lost write only means the next job learns it again.
+ *
+ * @param {object} vehicle
+ * @param {object} specs - extractSpecsFromResearch() result
+ * @returns {Promise<string[]>} keys written (empty when there was nothing to store)
+ */
+async function saveSpecs(vehicle, specs) {
+  const hasData = specs && (Object.keys(specs.fluids || {}).length > 0 || Object.keys(specs.torque || {}).length > 0
+    || specs.firingOrder || specs.specialTools?.length > 0);
+  if (!hasData) return [];
+
+  const written = [];
+  for (const key of specKeysFor(vehicle)) {
+    const existing = (await readRow(key)) || emptySpecs();
+    const updated = mergeSpecs(existing, { ...specs, jobCount: 1 }, { learn: true });
+    memStore.set(key, updated);
+    written.push(key);
+    if (!supabase) continue;
+
+    // Engine-code rows are shared across vehicles — only YMME rows name one
+    const ymme = key.startsWith("ymme:");
+    try {
+      const { error } = await supabase.from(TABLE).upsert({
+        spec_key: key,
+        engine_code: ymme ? null : key.slice("engine:".length),
+        year: ymme ? Number(vehicle.year) || null : null,
+        make: ymme ? vehicle.make : null,
+        model: ymme ? vehicle.model : null,
+        specs: updated,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: "spec_key" });
+      if (error) throw new Error(error.message);
+    } catch (err) {
+      console.error(`${LOG} Write error (${key}): ${err.message}`);
+    }
+  }
+  return written;
+}
+
+/** Empty the in-memory layer (tests). */
+function clearMemoryStore() {
+  memStore.clear();
+}
+
+module.exports = { getStoredSpecs, saveSpecs, specKeysFor, clearMemoryStore };
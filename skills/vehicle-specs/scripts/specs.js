@@ -6,22 +6,38 @@
  * - Fluid capacities and types
  * - Torque specifications
  * - Special tools required
+ *
+ * Specs found in each job's AllData / ProDemand research are kept in the
+ * vehicle specs store (specs-store.js) by engine code and YMME, and
+ * getVehicleSpecs() reads them before falling back to the generic values.
  */
 
-const { execSync } = require("child_process");
-
-// Common specs database (cache for frequent lookups)
-// In production, this would be populated from AllData/ProDemand extractions
-const COMMON_SPECS_CACHE = {
-  // Example: Honda 2.0L K20 engine specs
-  "K20C2": {
-    oil: { withFilter: "4.4 quarts", withoutFilter: "4.0 quarts", weight: "0W-20", spec: "API SN" },
-    coolant: { capacity: "6.4 quarts", type: "Honda Type 2 Blue (OAT)" },
-    sparkPlugGap: "0.039-0.043 in",
-    firingOrder: "1-3-4-2",
-  },
-  // Add more engine codes as extracted
-};
+const { getStoredSpecs, saveSpecs } = require("./specs-store");
+
+// Fluid names in capacity headings → store key. Other fluids first: "oil"
+// only means engine oil when no other fluid is named ("coolant capacity —
+// check engine oil level after" is coolant).
+const FLUID_NAMES = [
+  { key: "coolant", pattern: /coolant|antifreeze|cooling system/i },
+  { key: "transmission", pattern: /transmission|transaxle|\batf\b|cvt fluid/i },
+  { key: "differential", pattern: /differential|axle/i },
+  { key: "transferCase", pattern: /transfer case/i },
+  { key: "engineOil", pattern: /engine oil|crankcase|\boil\b/i },
+];
+// "Engine oil capacity with filter: 4.4 qt" — a spec heading, not a repair story
+const CAPACITY_HEADING = /^([^:]{0,60}\bcapacit(?:y|ies)\b[^:]{0,40}):\s*(.+)$/i;
+const CAPACITY = /(\d+(?:\.\d+)?)\s*(quarts?|qts?|liters?|litres?|l\b|gallons?|gal\b|pints?)/i;
+const OIL_WEIGHT = /\b(\d{1,2}W-?\d{2})\b/i;
+const FIRING_ORDER = /firing order[:\s]*((?:\d{1,2}\s*-\s*){2,11}\d{1,2})/i;
+const TORQUE = /^(.{3,60}?)(:?)\s+(\d+(?:\.\d+)?(?:\s*-\s*\d+(?:\.\d+)?)?\s*(?:ft[\s.-]*lbs?|in[\s.-]*lbs?|lb[\s.-]*ft|n[·.]?m))/i;
+
+// Torque names the mechanic reference shows by key
+const TORQUE_KEYS = [
+  { key: "oilDrainPlug", pattern: /drain plug/i },
+  { key: "wheelLugNuts", pattern: /lug nut|wheel nut/i },
+  { key: "sparkPlugs", pattern: /spark plug/i },
+  { key: "o2Sensor", pattern: /\bo2\b|oxygen sensor|a\/f sensor|air.?fuel ratio sensor/i },
+];
 
 // Bank identification for common engine configurations
 const BANK_CONFIG = {
@@ -132,6 +148,7 @@ function getFluidSpecs(vehicle) {
   return {
     engineOil: {
       capacityWithFilter: vehicle.oilCapacity || "Check service manual",
+      capacitySource: vehicle.oilCapacity ? "request" : null,
       capacityWithoutFilter: "Approximately 0.5 qt less",
       weight: vehicle.oilWeight || "Check oil cap or manual",
       specification: "Check owner's manual for OEM spec",
@@ -140,6 +157,7 @@ function getFluidSpecs(vehicle) {
     },
     coolant: {
       capacity: vehicle.coolantCapacity || "Check service manual",
+      capacitySource: vehicle.coolantCapacity ? "request" : null,
       type: vehicle.coolantType || "Check reservoir cap for type",
       mixRatio: "50/50 with distilled water",
     },
@@ -236,8 +254,120 @@ function getSpecialTools(repairType) {
   return toolsByRepair[repairType] || ["Refer to service manual for special tools"];
 }
 
+function torqueKey(name) {
+  return TORQUE_KEYS.find((t) => t.pattern.test(name))?.key || name.trim();
+}
+
+/**
+ * Capacity field for a spec heading, or null for amounts the fluid lines don't use.
+ */
+function capacityField(key, heading) {
+  if (/without filter/i.test(heading)) return null;
+  if (key === "engineOil") return "capacityWithFilter";
+  if (key === "transmission" && /drain|refill|service/i.test(heading)) return "drainAndFill";
+  return "capacity";
+}
+
 /**
- * Main function: Get complete vehicle specs for a repair
+ * Pull fluid capacities, torque values, firing order and special tools out
+ * of one job's research output.
+ *
+ * Capacities and oil weight come from AllData only — its capacity fields and
+ * "… capacity: 4.4 qt" headings. ProDemand Real Fixes are repair stories
+ * ("added 1 quart of oil") and only contribute torque, firing order and tools.
+ *
+ * @param {object} research - { alldata, prodemand } as returned by the orchestrator's researchJob()
+ * @returns {{ fluids: object, torque: object, firingOrder: string|null, specialTools: string[], sources: object }}
+ */
+function extractSpecsFromResearch({ alldata, prodemand } = {}) {
+  const specs = { fluids: {}, torque: {}, firingOrder: null, specialTools: [], sources: {} };
+  const texts = [];
+  const capacities = [];
+
+  if (alldata && !alldata.error) {
+    for (const [name, value] of Object.entries(alldata.torqueSpecs || {})) {
+      specs.torque[torqueKey(name)] = { value, source: "alldata" };
+    }
+    for (const [name, value] of Object.entries(alldata.fluidCapacities || {})) capacities.push({ heading: name, value });
+    specs.specialTools.push(...(alldata.specialTools || []));
+    for (const text of [...(alldata.procedures || []), ...(alldata.notes || [])]) texts.push({ text, source: "alldata" });
+  }
+  if (prodemand && !prodemand.error) {
+    for (const fix of prodemand.realFixes || []) {
+      for (const text of [fix.complaint, fix.cause, fix.correction]) {
+        if (text) texts.push({ text, source: "prodemand" });
+      }
+    }
+  }
+
+  for (const { text, source } of texts) {
+    for (const sentence of text.split(/(?<=[.;])\s+|\n/)) {
+      const firing = sentence.match(FIRING_ORDER);
+      if (firing) specs.firingOrder = firing[1].replace(/\s+/g, "");
+
+      // "Drain plug: 29 ft-lb" or "tighten the drain plug to 29 ft-lb" — prose only for names we know
+      const torque = sentence.match(TORQUE);
+      const name = torque && torqueKey(torque[1]);
+      if (torque && (torque[2] || TORQUE_KEYS.some((t) => t.key === name)) && !specs.torque[name]) {
+        specs.torque[name] = { value: torque[3].trim(), source };
+      }
+
+      if (source === "alldata") {
+        const heading = sentence.match(CAPACITY_HEADING);
+        if (heading) capacities.push({ heading: heading[1], value: heading[2] });
+
+        const weight = /oil/i.test(text) && sentence.match(OIL_WEIGHT);
+        if (weight) specs.fluids.engineOil = { ...specs.fluids.engineOil, weight: weight[1].toUpperCase(), source };
+      }
+
+      if (/special tool|required tool/i.test(sentence) && !specs.specialTools.includes(sentence.trim())) {
+        specs.specialTools.push(sentence.trim());
+      }
+    }
+  }
+
+  for (const { heading, value } of capacities) {
+    const capacity = String(value).match(CAPACITY);
+    const fluid = capacity && FLUID_NAMES.find((f) => f.pattern.test(heading));
+    const field = fluid && capacityField(fluid.key, heading);
+    if (!field || specs.fluids[fluid.key]?.[field]) continue;
+    specs.fluids[fluid.key] = {
+      ...specs.fluids[fluid.key], [field]: `${capacity[1]} ${capacity[2]}`, source: "alldata", capacitySource: "alldata",
+    };
+  }
+
+  const found = Object.keys(specs.fluids).length + Object.keys(specs.torque).length
+    + (specs.firingOrder ? 1 : 0) + specs.specialTools.length;
+  if (found > 0) {
+    for (const source of new Set([
+      ...Object.values(specs.torque).map((t) => t.source),
+      ...Object.values(specs.fluids).map((f) => f.source),
+      ...(alldata?.specialTools?.length ? ["alldata"] : []),
+    ])) specs.sources[source] = 1;
+  }
+  return specs;
+}
+
+/**
+ * Store whatever specs one job's research turned up for this vehicle.
+ * Never throws.
+ *
+ * @param {object} vehicle - results.vehicle (engineCode, year, make, model, engine)
+ * @param {object} research - { alldata, prodemand }
+ * @returns {Promise<string[]>} store keys updated
+ */
+async function recordResearchSpecs(vehicle, research) {
+  try {
+    return await saveSpecs(vehicle, extractSpecsFromResearch(research));
+  } catch (err) {
+    console.error(`[vehicle-specs] Could not record research specs: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Main function: Get complete vehicle specs for a repair.
+ * Stored specs (engine code / YMME) win over the generic values.
  */
 async function getVehicleSpecs({ vehicle, repairType }) {
   const engineConfig = getEngineConfig(
@@ -257,7 +387,7 @@ async function getVehicleSpecs({ vehicle, repairType }) {
         displacement: vehicle.engine?.displacement,
         cylinders: vehicle.engine?.cylinders,
         fuelType: vehicle.engine?.fuelType,
-        code: vehicle.engine?.code || "See VIN position 8",
+        code: vehicle.engineCode || "See VIN position 8",
         configuration: engineConfig,
       },
       transmission: vehicle.transmission,
@@ -284,14 +414,40 @@ async function getVehicleSpecs({ vehicle, repairType }) {
       VIN: ${vehicle.vin || "N/A"}`,
   };
 
-  // TODO: Enhance with live extraction from AllData/ProDemand
-  // This would call the browser automation skills to get vehicle-specific values
+  const stored = await getStoredSpecs(vehicle);
+  specs.specsSource = stored ? "stored" : "generic";
+  if (stored) {
+    const { engineOil = {}, coolant = {}, transmission = {}, ...otherFluids } = stored.fluids;
+    Object.assign(specs.fluids.engineOil, pick(engineOil, ["capacityWithFilter", "weight"]), capacitySource(engineOil, "capacityWithFilter"));
+    Object.assign(specs.fluids.coolant, pick(coolant, ["capacity", "type"]), capacitySource(coolant, "capacity"));
+    Object.assign(specs.fluids.transmission, pick(transmission, ["capacity", "drainAndFill", "type"]),
+      capacitySource(transmission, "drainAndFill", "capacity"));
+    Object.assign(specs.fluids, otherFluids);
+    specs.torqueSpecs = { ...specs.torqueSpecs, ...stored.torque };
+    specs.firingOrder = stored.firingOrder;
+    const generic = specs.specialTools.filter((t) => !stored.specialTools.some((s) => s.toLowerCase() === t.toLowerCase()));
+    specs.specialTools = [...stored.specialTools, ...generic];
+    console.log(`[vehicle-specs] Stored specs: ${stored.keys.join(", ")} (${stored.jobCount} job(s))`);
+  }
 
   return specs;
 }
 
+/** { capacitySource } for a stored fluid with a capacity — fluid lines only size from trusted sources */
+function capacitySource(fluid, ...fields) {
+  if (!fields.some((f) => fluid[f])) return {};
+  return { capacitySource: fluid.capacitySource || fluid.source || null };
+}
+
+/** The non-empty fields of obj named in keys */
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter((k) => obj[k]).map((k) => [k, obj[k]]));
+}
+
 module.exports = {
   getVehicleSpecs,
+  extractSpecsFromResearch,
+  recordResearchSpecs,
   getO2SensorLocations,
   getFluidSpecs,
   getTorqueSpecs,
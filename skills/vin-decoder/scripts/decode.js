@@ -3,23 +3,179 @@
  *
  * Decodes a VIN into Year/Make/Model/Engine and other vehicle specs.
  * API Docs: https://vpic.nhtsa.dot.gov/api/
+ *
+ * VINs are validated before any lookup, including the position 9 check digit,
+ * with a "did you mean" suggestion for single-character typos. Decodes are
+ * cached (vin-cache.js), and when NHTSA can't be reached the year, make and
+ * country come from the bundled WMI table (wmi.js) instead.
  */
 
+const { WMI, YEAR_CODES, lookupWmi, modelYearFromVin } = require("./wmi");
+const { getCachedDecode, saveDecode } = require("./vin-cache");
+
+// NHTSA_VPIC_URL points at a mirror or a local stub
 const NHTSA_BASE_URL = "https://vpic.nhtsa.dot.gov/api/vehicles";
+const NHTSA_TIMEOUT_MS = 10000;
+
+// Check digit: letters transliterate to numbers, each position has a weight
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Characters commonly misread or mistyped for each other (I, O, Q never appear in a VIN)
+const LOOKALIKES = ["0ODQ", "1IL7", "2Z", "5S", "6G", "8B", "UV", "MN", "PR", "EF"];
+const MAX_SUGGESTIONS = 3;
 
 /**
- * Decode a VIN
- * @param {string} vin - 17-character VIN
- * @returns {object} Decoded vehicle info
+ * The check digit (position 9) a VIN should have.
+ * @param {string} vin - 17 valid VIN characters (uppercase)
+ * @returns {string} "0"–"9" or "X"
+ */
+function computeCheckDigit(vin) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const ch = vin[i];
+    const value = /[0-9]/.test(ch) ? Number(ch) : TRANSLITERATION[ch];
+    sum += value * WEIGHTS[i];
+  }
+  const remainder = sum % 11;
+  return remainder === 10 ? "X" : String(remainder);
+}
+
+function passesCheckDigit(vin) {
+  return /^[A-HJ-NPR-Z0-9]{17}$/.test(vin) && vin[8] === computeCheckDigit(vin);
+}
+
+/**
+ * How implausible a candidate VIN is: a WMI we no longer recognize, a
+ * position 10 that isn't a model-year code, or letters in the last four
+ * positions (always digits on North American vehicles). 0 is plausible.
  */
-async function decodeVin(vin) {
-  if (!vin || vin.length !== 17) {
-    throw new Error(`Invalid VIN: "${vin}" — must be 17 characters`);
+function implausibility(candidate, original) {
+  let score = 0;
+  if (WMI[original.slice(0, 3)] && !WMI[candidate.slice(0, 3)]) score += 2;
+  if (!YEAR_CODES.includes(candidate[9])) score += 2;
+  if (/[A-Z]/.test(candidate.slice(13)) && !/[A-Z]/.test(original.slice(13))) score += 2;
+  return score;
+}
+
+/**
+ * VINs one character away from `vin` that pass the check digit, most likely
+ * first: lookalike swaps (I→1, O→0, S→5, B→8...), then a corrected check
+ * digit. Candidates that don't look like a real VIN are dropped.
+ *
+ * @param {string} vin - 17 characters (uppercase)
+ * @returns {string[]}
+ */
+function suggestVins(vin) {
+  const found = [];
+  for (let i = 0; i < 17; i++) {
+    if (i === 8) continue;
+    const groups = LOOKALIKES.filter((group) => group.includes(vin[i]));
+    for (const ch of new Set(groups.join(""))) {
+      if (ch === vin[i] || "IOQ".includes(ch)) continue;
+      const candidate = vin.slice(0, i) + ch + vin.slice(i + 1);
+      if (passesCheckDigit(candidate) && !found.includes(candidate)) found.push(candidate);
+    }
+  }
+  // Otherwise the check digit itself may be the typo
+  const clean = vin.replace(/[IOQ]/g, (ch) => (ch === "I" ? "1" : "0"));
+  if (/^[A-HJ-NPR-Z0-9]{17}$/.test(clean)) {
+    const fixed = clean.slice(0, 8) + computeCheckDigit(clean) + clean.slice(9);
+    const changed = [...fixed].filter((ch, i) => ch !== vin[i]).length;
+    if (changed === 1 && !found.includes(fixed)) found.push(fixed);
+  }
+  return found
+    .map((candidate) => ({ candidate, score: implausibility(candidate, vin) }))
+    .filter(({ score }) => score < 2)
+    .sort((a, b) => a.score - b.score)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Validate a VIN: length, allowed characters and the position 9 check digit.
+ * Spaces and dashes are dropped and letters uppercased first. When a single
+ * character is wrong, `suggestion` is the most likely intended VIN.
+ *
+ * @param {string} vin
+ * @returns {{ valid: boolean, vin: string, reason: string|null, message: string|null, suggestion: string|null, suggestions: string[] }}
+ *   reason: "length" | "characters" | "check_digit"
+ */
+function validateVin(vin) {
+  const normalized = String(vin || "").replace(/[\s-]/g, "").toUpperCase();
+  const invalid = (reason, message) => {
+    const suggestions = normalized.length === 17 && /^[A-Z0-9]{17}$/.test(normalized) ? suggestVins(normalized) : [];
+    return { valid: false, vin: normalized, reason, message, suggestion: suggestions[0] || null, suggestions };
+  };
+
+  if (normalized.length !== 17) return invalid("length", "must be 17 characters");
+  if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(normalized)) {
+    return invalid("characters", "VINs never contain I, O or Q");
   }
+  const expected = computeCheckDigit(normalized);
+  if (normalized[8] !== expected) {
+    return invalid("check_digit", `check digit is ${normalized[8]}, expected ${expected}`);
+  }
+  return { valid: true, vin: normalized, reason: null, message: null, suggestion: null, suggestions: [] };
+}
+
+/**
+ * Basic decode without the network: year from position 10, make and
+ * manufacturer from the WMI table, country from the first character.
+ * Model, trim and engine are unknown ("N/A" / null).
+ *
+ * @param {string} vin - Valid 17-character VIN
+ * @returns {object} Same shape as decodeVin(), with source "offline"
+ */
+function decodeVinOffline(vin) {
+  const normalized = String(vin).toUpperCase();
+  const year = modelYearFromVin(normalized);
+  const { make, manufacturer, country } = lookupWmi(normalized);
+
+  return {
+    vin: normalized,
+    year: year ? String(year) : null,
+    make,
+    model: null,
+    trim: "N/A",
+    engine: {
+      displacement: "N/A",
+      cylinders: "N/A",
+      fuelType: "N/A",
+      configuration: "N/A",
+      horsepower: "N/A",
+      code: "N/A",
+      turbo: null,
+    },
+    transmission: "N/A",
+    driveType: "N/A",
+    bodyClass: "N/A",
+    doors: "N/A",
+    plant: {
+      city: "N/A",
+      country: country || "N/A",
+    },
+    manufacturer,
+    ymme: [year, make].filter(Boolean).join(" "),
+    source: "offline",
+  };
+}
 
+/**
+ * Look a VIN up on NHTSA vPIC.
+ * @param {string} vin - Valid 17-character VIN
+ * @param {number} timeoutMs
+ * @returns {object} Decoded vehicle (source "nhtsa")
+ */
+async function fetchNhtsaDecode(vin, timeoutMs) {
   const fetch = (await import("node-fetch")).default;
-  const url = `${NHTSA_BASE_URL}/DecodeVinValues/${vin}?format=json`;
-  const response = await fetch(url);
+  const baseUrl = (process.env.NHTSA_VPIC_URL || NHTSA_BASE_URL).replace(/\/$/, "");
+  const url = `${baseUrl}/DecodeVinValues/${vin}?format=json`;
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
 
   if (!response.ok) {
     throw new Error(`NHTSA API error: ${response.status}`);
@@ -28,12 +184,12 @@ async function decodeVin(vin) {
   const data = await response.json();
   const result = data.Results?.[0];
 
-  if (!result) {
+  if (!result || !result.Make) {
     throw new Error("No results returned from NHTSA");
   }
 
   // Extract the key fields
-  const vehicle = {
+  return {
     vin,
     year: result.ModelYear,
     make: result.Make,
@@ -45,6 +201,9 @@ async function decodeVin(vin) {
       fuelType: result.FuelTypePrimary || "N/A",
       configuration: result.EngineConfiguration || "N/A",
       horsepower: result.EngineHP || "N/A",
+      // Engine code when NHTSA has one (K20C2, L83) — see shared/vehicle-identity.js
+      code: result.EngineModel || "N/A",
+      turbo: result.Turbo === "Yes" ? true : result.Turbo === "No" ? false : null,
     },
     transmission: result.TransmissionStyle || "N/A",
     driveType: result.DriveType || "N/A",
@@ -56,21 +215,62 @@ async function decodeVin(vin) {
     },
     // Useful for searching repair databases
     ymme: `${result.ModelYear} ${result.Make} ${result.Model} ${result.DisplacementL ? result.DisplacementL + "L" : ""}`.trim(),
+    source: "nhtsa",
   };
+}
+
+/**
+ * Decode a VIN: cache first, then NHTSA, then the offline tables when NHTSA
+ * is unreachable. `source` on the result says which one answered.
+ *
+ * @param {string} vin - 17-character VIN
+ * @param {object} [opts]
+ * @param {boolean} [opts.offline=false] - Skip NHTSA and the cache
+ * @param {number} [opts.timeoutMs=10000] - NHTSA request timeout
+ * @returns {object} Decoded vehicle info — source: "cache" | "nhtsa" | "offline"
+ * @throws {Error} code "VIN_INVALID" (with .reason and .suggestion) for a malformed VIN
+ */
+async function decodeVin(vin, opts = {}) {
+  const check = validateVin(vin);
+  if (!check.valid) {
+    const hint = check.suggestion ? ` (did you mean ${check.suggestion}?)` : "";
+    const err = new Error(`Invalid VIN: "${vin}" — ${check.message}${hint}`);
+    err.code = "VIN_INVALID";
+    err.reason = check.reason;
+    err.suggestion = check.suggestion;
+    throw err;
+  }
+  vin = check.vin;
+
+  if (opts.offline) return decodeVinOffline(vin);
+
+  const cached = await getCachedDecode(vin);
+  if (cached) {
+    console.log(`[vin-decoder] Decoded (cached): ${cached.ymme}`);
+    return { ...cached, source: "cache" };
+  }
+
+  let vehicle;
+  try {
+    vehicle = await fetchNhtsaDecode(vin, opts.timeoutMs || NHTSA_TIMEOUT_MS);
+  } catch (err) {
+    vehicle = decodeVinOffline(vin);
+    console.log(`[vin-decoder] NHTSA unavailable (${err.message}) — offline decode: ${vehicle.ymme || "unknown make"}`);
+    return vehicle;
+  }
 
+  await saveDecode(vin, vehicle);
   console.log(`[vin-decoder] Decoded: ${vehicle.ymme}`);
   return vehicle;
 }
 
 /**
- * Validate a VIN format (basic check)
+ * Validate a VIN (length, characters and check digit)
  * @param {string} vin
  * @returns {boolean}
  */
 function isValidVin(vin) {
-  if (!vin || vin.length !== 17) return false;
-  // VINs don't contain I, O, or Q
-  return /^[A-HJ-NPR-Z0-9]{17}$/i.test(vin);
+  return validateVin(vin).valid;
 }
 
-module.exports = { decodeVin, isValidVin };
+module.exports = { decodeVin, decodeVinOffline, isValidVin, validateVin, computeCheckDigit };
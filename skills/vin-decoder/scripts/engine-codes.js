@@ -0,0 +1,78 @@
+/**
+ * Curated VIN → engine-code patterns
+ *
+ * NHTSA's EngineModel field is often blank or free text, but for many
+ * vehicles the VIN itself pins the engine: GM and Ford encode it in
+ * position 8, Honda in the model code (positions 4–6). Each entry is
+ * scoped by make, model and model year so a letter that means one engine
+ * on a Silverado can't be read onto a Malibu. Add patterns as shops run
+ * into engines the selectors get wrong.
+ */
+
+// { makes, model (RegExp), years [from, to], pos (0-based) + chars | prefix, engine }
+const ENGINE_PATTERNS = [
+  // GM full-size trucks / SUVs (K2 platform) — VIN position 8
+  { makes: ["Chevrolet", "GMC", "Cadillac"], model: /silverado|sierra|tahoe|suburban|yukon|escalade/i, years: [2014, 2018], pos: 7, chars: "C",
+    engine: { code: "L83", displacement: "5.3L", cylinders: 8, fuel: "gas", turbo: false } },
+  { makes: ["Chevrolet", "GMC", "Cadillac"], model: /silverado|sierra|tahoe|suburban|yukon|escalade/i, years: [2014, 2018], pos: 7, chars: "J",
+    engine: { code: "L86", displacement: "6.2L", cylinders: 8, fuel: "gas", turbo: false } },
+  { makes: ["Chevrolet", "GMC"], model: /silverado|sierra/i, years: [2014, 2018], pos: 7, chars: "H",
+    engine: { code: "LV3", displacement: "4.3L", cylinders: 6, fuel: "gas", turbo: false } },
+
+  // Ford F-150 (13th gen) — VIN position 8
+  { makes: ["Ford"], model: /f-?150/i, years: [2015, 2020], pos: 7, chars: "P",
+    engine: { code: "2.7 EcoBoost", displacement: "2.7L", cylinders: 6, fuel: "gas", turbo: true } },
+  { makes: ["Ford"], model: /f-?150/i, years: [2015, 2020], pos: 7, chars: "G",
+    engine: { code: "3.5 EcoBoost", displacement: "3.5L", cylinders: 6, fuel: "gas", turbo: true } },
+  { makes: ["Ford"], model: /f-?150/i, years: [2015, 2017], pos: 7, chars: "F",
+    engine: { code: "5.0 Coyote", displacement: "5.0L", cylinders: 8, fuel: "gas", turbo: false } },
+  { makes: ["Ford"], model: /f-?150/i, years: [2018, 2020], pos: 7, chars: "5",
+    engine: { code: "5.0 Coyote", displacement: "5.0L", cylinders: 8, fuel: "gas", turbo: false } },
+  { makes: ["Ford"], model: /f-?150/i, years: [2015, 2017], pos: 7, chars: "8",
+    engine: { code: "3.5 Ti-VCT", displacement: "3.5L", cylinders: 6, fuel: "gas", turbo: false } },
+  { makes: ["Ford"], model: /f-?150/i, years: [2018, 2020], pos: 7, chars: "B",
+    engine: { code: "3.3 Ti-VCT", displacement: "3.3L", cylinders: 6, fuel: "gas", turbo: false } },
+
+  // Honda — model code in positions 4–6
+  { makes: ["Honda"], model: /civic/i, years: [2016, 2021], prefix: "FC2",
+    engine: { code: "K20C2", displacement: "2.0L", cylinders: 4, fuel: "gas", turbo: false } },
+  { makes: ["Honda"], model: /civic/i, years: [2016, 2021], prefix: "FC1",
+    engine: { code: "L15B7", displacement: "1.5L", cylinders: 4, fuel: "gas", turbo: true } },
+  { makes: ["Honda"], model: /civic/i, years: [2017, 2021], prefix: "FK7",
+    engine: { code: "L15B7", displacement: "1.5L", cylinders: 4, fuel: "gas", turbo: true } },
+  { makes: ["Honda"], model: /civic/i, years: [2017, 2021], prefix: "FK8",
+    engine: { code: "K20C1", displacement: "2.0L", cylinders: 4, fuel: "gas", turbo: true } },
+  { makes: ["Honda"], model: /accord/i, years: [2018, 2022], prefix: "CV1",
+    engine: { code: "L15BE", displacement: "1.5L", cylinders: 4, fuel: "gas", turbo: true } },
+  { makes: ["Honda"], model: /accord/i, years: [2018, 2022], prefix: "CV2",
+    engine: { code: "K20C4", displacement: "2.0L", cylinders: 4, fuel: "gas", turbo: true } },
+  { makes: ["Honda"], model: /cr-?v/i, years: [2017, 2022], prefix: "RW1",
+    engine: { code: "L15BE", displacement: "1.5L", cylinders: 4, fuel: "gas", turbo: true } },
+  { makes: ["Honda"], model: /cr-?v/i, years: [2017, 2022], prefix: "RW2",
+    engine: { code: "L15BE", displacement: "1.5L", cylinders: 4, fuel: "gas", turbo: true } },
+];
+
+/**
+ * The engine a VIN pins down, if a curated pattern covers it.
+ *
+ * @param {object} vehicle - { vin, year, make, model }
+ * @returns {{ code: string, vinCode: string|null, displacement: string, cylinders: number, fuel: string, turbo: boolean }|null}
+ *   vinCode is the position 8 character for position-8 patterns
+ */
+function lookupEnginePattern({ vin, year, make, model }) {
+  if (!vin || vin.length !== 17 || !make) return null;
+  const upper = vin.toUpperCase();
+  const modelYear = Number(year);
+
+  for (const p of ENGINE_PATTERNS) {
+    if (!p.makes.some((m) => m.toLowerCase() === String(make).toLowerCase())) continue;
+    if (!p.model.test(model || "")) continue;
+    if (!(modelYear >= p.years[0] && modelYear <= p.years[1])) continue;
+    if (p.prefix && upper.slice(3, 3 + p.prefix.length) !== p.prefix) continue;
+    if (p.chars && !p.chars.includes(upper[p.pos])) continue;
+    return { ...p.engine, vinCode: p.pos === 7 ? upper[7] : null };
+  }
+  return null;
+}
+
+module.exports = { ENGINE_PATTERNS, lookupEnginePattern };
@@ -0,0 +1,89 @@
+/**
+ * VIN Decode Cache — NHTSA decodes kept so repeat vehicles skip the network
+ *
+ * A VIN's decode never changes, so entries don't expire. Supabase-backed
+ * (vin_decode_cache) so the cache survives restarts and is shared by every
+ * gateway; an in-memory Map sits in front of it and is the only layer when
+ * SUPABASE_URL or SUPABASE_ANON_KEY are absent (tests, local dev).
+ */
+
+"use strict";
+
+const LOG = "[vin-decoder]";
+const TABLE = "vin_decode_cache";
+// Most recent decodes kept in memory
+const MEM_MAX = 500;
+
+let supabase = null;
+if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+  try {
+    const { createClient } = require("@supabase/supabase-js");
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+  } catch {
+    // supabase-js not installed — memory only
+  }
+}
+
+// VIN -> decoded vehicle, least recently used first
+const memCache = new Map();
+
+function remember(vin, vehicle) {
+  memCache.delete(vin);
+  memCache.set(vin, vehicle);
+  while (memCache.size > MEM_MAX) memCache.delete(memCache.keys().next().value);
+}
+
+/**
+ * Cached decode for a VIN. Never throws — a lookup error is a cache miss.
+ *
+ * @param {string} vin - Normalized (uppercase) VIN
+ * @returns {Promise<object|null>} decoded vehicle
+ */
+async function getCachedDecode(vin) {
+  if (memCache.has(vin)) {
+    const vehicle = memCache.get(vin);
+    remember(vin, vehicle);
+    return vehicle;
+  }
+  if (!supabase) return null;
+
+  try {
+    const { data, error } = await supabase.from(TABLE).select("vehicle").eq("vin", vin).maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) return null;
+    remember(vin, data.vehicle);
+    return data.vehicle;
+  } catch (err) {
+    console.error(`${LOG} Cache lookup error (${vin}): ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a decode. Never throws — a lost entry only means one more NHTSA call.
+ *
+ * @param {string} vin - Normalized (uppercase) VIN
+ * @param {object} vehicle - decodeVin() result
+ * @returns {Promise<boolean>} true if stored in Supabase (or memory when not configured)
+ */
+async function saveDecode(vin, vehicle) {
+  remember(vin, vehicle);
+  if (!supabase) return true;
+
+  try {
+    const { error } = await supabase.from(TABLE)
+      .upsert({ vin, vehicle, decoded_at: new Date().toISOString() }, { onConflict: "vin" });
+    if (error) throw new Error(error.message);
+    return true;
+  } catch (err) {
+    console.error(`${LOG} Cache write error (${vin}): ${err.message}`);
+    return false;
+  }
+}
+
+/** Empty the in-memory layer (tests). */
+function clearMemoryCache() {
+  memCache.clear();
+}
+
+module.exports = { getCachedDecode, saveDecode, clearMemoryCache };
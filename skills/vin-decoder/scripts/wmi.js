@@ -0,0 +1,256 @@
+/**
+ * WMI + model-year tables for offline VIN decoding
+ *
+ * The World Manufacturer Identifier (VIN positions 1–3) names the make and
+ * where the vehicle was built; position 10 encodes the model year. Together
+ * they give year + make without NHTSA — enough to keep the pipeline going
+ * during a vPIC outage. Covers the makes US shops see day to day; anything
+ * else still gets its country from the first character.
+ */
+
+// WMI → [make, manufacturer]
+const WMI = {
+  // Acura / Honda
+  "19U": ["Acura", "Honda of America"],
+  "19V": ["Acura", "Honda of America"],
+  "5J8": ["Acura", "Honda of America"],
+  "JH4": ["Acura", "Honda Motor Co."],
+  "2HN": ["Acura", "Honda of Canada"],
+  "19X": ["Honda", "Honda of America"],
+  "1HG": ["Honda", "Honda of America"],
+  "5FN": ["Honda", "Honda of America"],
+  "5J6": ["Honda", "Honda of America"],
+  "2HG": ["Honda", "Honda of Canada"],
+  "2HK": ["Honda", "Honda of Canada"],
+  "3HG": ["Honda", "Honda de Mexico"],
+  "JHM": ["Honda", "Honda Motor Co."],
+  "JHL": ["Honda", "Honda Motor Co."],
+  // Toyota / Lexus / Scion
+  "4T1": ["Toyota", "Toyota Motor Manufacturing"],
+  "4T3": ["Toyota", "Toyota Motor Manufacturing"],
+  "4T4": ["Toyota", "Toyota Motor Manufacturing"],
+  "5TD": ["Toyota", "Toyota Motor Manufacturing"],
+  "5TF": ["Toyota", "Toyota Motor Manufacturing"],
+  "5YF": ["Toyota", "Toyota Motor Manufacturing"],
+  "2T1": ["Toyota", "Toyota Motor Manufacturing Canada"],
+  "2T3": ["Toyota", "Toyota Motor Manufacturing Canada"],
+  "3TM": ["Toyota", "Toyota Motor Manufacturing de Baja California"],
+  "JTD": ["Toyota", "Toyota Motor Corporation"],
+  "JTE": ["Toyota", "Toyota Motor Corporation"],
+  "JTM": ["Toyota", "Toyota Motor Corporation"],
+  "JTN": ["Toyota", "Toyota Motor Corporation"],
+  "JT2": ["Toyota", "Toyota Motor Corporation"],
+  "JT3": ["Toyota", "Toyota Motor Corporation"],
+  "JT4": ["Toyota", "Toyota Motor Corporation"],
+  "JTK": ["Scion", "Toyota Motor Corporation"],
+  "JTH": ["Lexus", "Toyota Motor Corporation"],
+  "JTJ": ["Lexus", "Toyota Motor Corporation"],
+  "2T2": ["Lexus", "Toyota Motor Manufacturing Canada"],
+  "58A": ["Lexus", "Toyota Motor Manufacturing"],
+  // Ford / Lincoln
+  "1FA": ["Ford", "Ford Motor Company"],
+  "1FB": ["Ford", "Ford Motor Company"],
+  "1FD": ["Ford", "Ford Motor Company"],
+  "1FM": ["Ford", "Ford Motor Company"],
+  "1FT": ["Ford", "Ford Motor Company"],
+  "1ZV": ["Ford", "AutoAlliance International"],
+  "2FA": ["Ford", "Ford Motor Company of Canada"],
+  "2FM": ["Ford", "Ford Motor Company of Canada"],
+  "2FT": ["Ford", "Ford Motor Company of Canada"],
+  "3FA": ["Ford", "Ford Motor Company de Mexico"],
+  "3FM": ["Ford", "Ford Motor Company de Mexico"],
+  "3FT": ["Ford", "Ford Motor Company de Mexico"],
+  "1LN": ["Lincoln", "Ford Motor Company"],
+  "5LM": ["Lincoln", "Ford Motor Company"],
+  "2LM": ["Lincoln", "Ford Motor Company of Canada"],
+  // General Motors
+  "1G1": ["Chevrolet", "General Motors"],
+  "1GB": ["Chevrolet", "General Motors"],
+  "1GC": ["Chevrolet", "General Motors"],
+  "1GN": ["Chevrolet", "General Motors"],
+  "2G1": ["Chevrolet", "General Motors of Canada"],
+  "2GN": ["Chevrolet", "General Motors of Canada"],
+  "3G1": ["Chevrolet", "General Motors de Mexico"],
+  "3GC": ["Chevrolet", "General Motors de Mexico"],
+  "3GN": ["Chevrolet", "General Motors de Mexico"],
+  "KL1": ["Chevrolet", "GM Korea"],
+  "KL7": ["Chevrolet", "GM Korea"],
+  "1G4": ["Buick", "General Motors"],
+  "2G4": ["Buick", "General Motors of Canada"],
+  "KL4": ["Buick", "GM Korea"],
+  "LRB": ["Buick", "SAIC General Motors"],
+  "1G6": ["Cadillac", "General Motors"],
+  "1GY": ["Cadillac", "General Motors"],
+  "1GK": ["GMC", "General Motors"],
+  "1GT": ["GMC", "General Motors"],
+  "2GT": ["GMC", "General Motors of Canada"],
+  "3GK": ["GMC", "General Motors de Mexico"],
+  "3GT": ["GMC", "General Motors de Mexico"],
+  "1G2": ["Pontiac", "General Motors"],
+  "1G8": ["Saturn", "General Motors"],
+  // Stellantis
+  "1C3": ["Chrysler", "FCA US"],
+  "2C3": ["Chrysler", "FCA Canada"],
+  "2C4": ["Chrysler", "FCA Canada"],
+  "1C4": ["Jeep", "FCA US"],
+  "1J4": ["Jeep", "Chrysler Corporation"],
+  "1J8": ["Jeep", "Chrysler Corporation"],
+  "ZAC": ["Jeep", "FCA Italy"],
+  "3C4": ["Dodge", "FCA Mexico"],
+  "1B3": ["Dodge", "Chrysler Corporation"],
+  "1D7": ["Dodge", "Chrysler Corporation"],
+  "1C6": ["Ram", "FCA US"],
+  "3C6": ["Ram", "FCA Mexico"],
+  "3C7": ["Ram", "FCA Mexico"],
+  "3C3": ["Fiat", "FCA Mexico"],
+  "ZFA": ["Fiat", "FCA Italy"],
+  "ZAR": ["Alfa Romeo", "FCA Italy"],
+  "ZAM": ["Maserati", "Maserati S.p.A."],
+  // Nissan / Infiniti
+  "1N4": ["Nissan", "Nissan North America"],
+  "1N6": ["Nissan", "Nissan North America"],
+  "5N1": ["Nissan", "Nissan North America"],
+  "3N1": ["Nissan", "Nissan Mexicana"],
+  "3N6": ["Nissan", "Nissan Mexicana"],
+  "3N8": ["Nissan", "Nissan Mexicana"],
+  "JN1": ["Nissan", "Nissan Motor Co."],
+  "JN8": ["Nissan", "Nissan Motor Co."],
+  "KNM": ["Nissan", "Renault Samsung Motors"],
+  "JNK": ["Infiniti", "Nissan Motor Co."],
+  "JNR": ["Infiniti", "Nissan Motor Co."],
+  "5N3": ["Infiniti", "Nissan North America"],
+  // Hyundai / Kia / Genesis
+  "KMH": ["Hyundai", "Hyundai Motor Company"],
+  "KM8": ["Hyundai", "Hyundai Motor Company"],
+  "5NP": ["Hyundai", "Hyundai Motor Manufacturing Alabama"],
+  "5NM": ["Hyundai", "Hyundai Motor Manufacturing Alabama"],
+  "5NT": ["Hyundai", "Hyundai Motor Manufacturing Alabama"],
+  "KMT": ["Genesis", "Hyundai Motor Company"],
+  "KNA": ["Kia", "Kia Corporation"],
+  "KND": ["Kia", "Kia Corporation"],
+  "5XX": ["Kia", "Kia Georgia"],
+  "5XY": ["Kia", "Kia Georgia"],
+  "3KP": ["Kia", "Kia Mexico"],
+  // Subaru / Mazda / Mitsubishi / Suzuki
+  "JF1": ["Subaru", "Subaru Corporation"],
+  "JF2": ["Subaru", "Subaru Corporation"],
+  "4S3": ["Subaru", "Subaru of Indiana Automotive"],
+  "4S4": ["Subaru", "Subaru of Indiana Automotive"],
+  "JM1": ["Mazda", "Mazda Motor Corporation"],
+  "JM3": ["Mazda", "Mazda Motor Corporation"],
+  "3MZ": ["Mazda", "Mazda de Mexico"],
+  "3MV": ["Mazda", "Mazda de Mexico"],
+  "7MM": ["Mazda", "Mazda Toyota Manufacturing"],
+  "JA3": ["Mitsubishi", "Mitsubishi Motors"],
+  "JA4": ["Mitsubishi", "Mitsubishi Motors"],
+  "ML3": ["Mitsubishi", "Mitsubishi Motors Thailand"],
+  "4A3": ["Mitsubishi", "Mitsubishi Motors North America"],
+  "4A4": ["Mitsubishi", "Mitsubishi Motors North America"],
+  "JS2": ["Suzuki", "Suzuki Motor Corporation"],
+  "JS3": ["Suzuki", "Suzuki Motor Corporation"],
+  // Volkswagen Group
+  "WVW": ["Volkswagen", "Volkswagen AG"],
+  "WVG": ["Volkswagen", "Volkswagen AG"],
+  "WV1": ["Volkswagen", "Volkswagen Commercial Vehicles"],
+  "WV2": ["Volkswagen", "Volkswagen Commercial Vehicles"],
+  "1VW": ["Volkswagen", "Volkswagen Chattanooga"],
+  "1V2": ["Volkswagen", "Volkswagen Chattanooga"],
+  "3VW": ["Volkswagen", "Volkswagen de Mexico"],
+  "WAU": ["Audi", "Audi AG"],
+  "WA1": ["Audi", "Audi AG"],
+  "WUA": ["Audi", "Audi Sport GmbH"],
+  "TRU": ["Audi", "Audi Hungaria"],
+  "WP0": ["Porsche", "Porsche AG"],
+  "WP1": ["Porsche", "Porsche AG"],
+  // BMW / MINI / Mercedes-Benz / smart
+  "WBA": ["BMW", "BMW AG"],
+  "WBS": ["BMW", "BMW M GmbH"],
+  "WBX": ["BMW", "BMW AG"],
+  "WBY": ["BMW", "BMW AG"],
+  "5UX": ["BMW", "BMW Manufacturing Co."],
+  "5YM": ["BMW", "BMW Manufacturing Co."],
+  "4US": ["BMW", "BMW Manufacturing Co."],
+  "WMW": ["MINI", "BMW AG"],
+  "WDB": ["Mercedes-Benz", "Mercedes-Benz AG"],
+  "WDC": ["Mercedes-Benz", "Mercedes-Benz AG"],
+  "WDD": ["Mercedes-Benz", "Mercedes-Benz AG"],
+  "W1K": ["Mercedes-Benz", "Mercedes-Benz AG"],
+  "W1N": ["Mercedes-Benz", "Mercedes-Benz AG"],
+  "WD3": ["Mercedes-Benz", "Mercedes-Benz AG"],
+  "4JG": ["Mercedes-Benz", "Mercedes-Benz U.S. International"],
+  "55S": ["Mercedes-Benz", "Mercedes-Benz U.S. International"],
+  "WME": ["smart", "smart GmbH"],
+  // Volvo / JLR / Tesla / Rivian
+  "YV1": ["Volvo", "Volvo Car Corporation"],
+  "YV4": ["Volvo", "Volvo Car Corporation"],
+  "7JR": ["Volvo", "Volvo Car USA"],
+  "SAJ": ["Jaguar", "Jaguar Land Rover"],
+  "SAD": ["Jaguar", "Jaguar Land Rover"],
+  "SAL": ["Land Rover", "Jaguar Land Rover"],
+  "5YJ": ["Tesla", "Tesla, Inc."],
+  "7SA": ["Tesla", "Tesla, Inc."],
+  "LRW": ["Tesla", "Tesla Shanghai"],
+  "7FC": ["Rivian", "Rivian Automotive"],
+  "7PD": ["Rivian", "Rivian Automotive"],
+};
+
+// First VIN character → country or region of manufacture
+const REGIONS = [
+  [/^[145]/, "United States"],
+  [/^7[A-E]/, "New Zealand"],
+  [/^7/, "United States"],
+  [/^2/, "Canada"],
+  [/^3/, "Mexico"],
+  [/^J/, "Japan"],
+  [/^K/, "South Korea"],
+  [/^L/, "China"],
+  [/^M[A-E]/, "India"],
+  [/^M[L-R]/, "Thailand"],
+  [/^S/, "United Kingdom"],
+  [/^T[R-V]/, "Hungary"],
+  [/^V[F-R]/, "France"],
+  [/^V[S-W]/, "Spain"],
+  [/^W/, "Germany"],
+  [/^Y[S-W]/, "Sweden"],
+  [/^Z/, "Italy"],
+  [/^9[A-E]/, "Brazil"],
+];
+
+// Position 10 codes in order — the cycle repeats every 30 years (1980, 2010, 2040)
+const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+/**
+ * Model year from VIN position 10. For North American light vehicles a letter
+ * in position 7 means the 2010+ cycle and a digit the 1980–2009 cycle; when
+ * that points past next year, the earlier cycle is used.
+ *
+ * @param {string} vin - 17-character VIN (uppercase)
+ * @param {number} [currentYear]
+ * @returns {number|null}
+ */
+function modelYearFromVin(vin, currentYear = new Date().getFullYear()) {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index < 0) return null;
+  const cycles = [1980 + index, 2010 + index, 2040 + index].filter((y) => y <= currentYear + 1);
+  if (cycles.length === 0) return null;
+  if (/[0-9]/.test(vin[6]) && cycles[0] < 2010) return cycles[0];
+  return cycles[cycles.length - 1];
+}
+
+/**
+ * Make and manufacturer from the WMI, plus the country of manufacture.
+ *
+ * @param {string} vin - 17-character VIN (uppercase)
+ * @returns {{ make: string|null, manufacturer: string|null, country: string|null }}
+ */
+function lookupWmi(vin) {
+  const entry = WMI[vin.slice(0, 3)] || null;
+  const region = REGIONS.find(([pattern]) => pattern.test(vin));
+  return {
+    make: entry ? entry[0] : null,
+    manufacturer: entry ? entry[1] : null,
+    country: region ? region[1] : null,
+  };
+}
+
+module.exports = { WMI, YEAR_CODES, modelYearFromVin, lookupWmi };
@@ -54,6 +54,9 @@ const ERROR_MESSAGES = {
   CIRCUIT_OPEN: "Some research sources are temporarily unavailable \u2014 estimate may be less detailed.",
   TIMEOUT: "Research took longer than expected \u2014 some details may be missing.",
   PDF_AUTOLEAP_UNAVAILABLE: "AutoLeap PDF couldn't be downloaded \u2014 view estimate in AutoLeap directly.",
+  VIN_INVALID: "The VIN didn't pass its check digit \u2014 estimate built from year/make/model. Double-check the VIN.",
+  VIN_DECODED_OFFLINE: "VIN lookup was unavailable \u2014 model and engine taken from the request. Confirm before ordering parts.",
+  ENGINE_MISMATCH: "Couldn't find this exact engine in the labor guide \u2014 closest match used. Verify labor and parts.",
 };
 
 function getErrorMessage(reason_code) {
@@ -106,6 +109,18 @@ function formatForWhatsApp(results) {
     msg1 += `\n`;
   }
 
+  // Multi-concern requests: one line per job so each can be approved separately
+  const multiJob = results.jobs?.length > 1;
+  if (multiJob) {
+    msg1 += `*JOBS:*\n`;
+    results.jobs.forEach((job, i) => {
+      msg1 += `${i + 1}. ${escapeMarkdown(job.name)}`;
+      if (!blocked && job.subtotal?.total > 0) msg1 += ` \u2014 $${job.subtotal.total.toFixed(2)}`;
+      msg1 += `\n`;
+    });
+    msg1 += `\n`;
+  }
+
   // Estimate total — suppressed when pricing gate is blocked
   if (blocked) {
     msg1 += `\n\u26A0 *Parts pricing couldn't be resolved — review before sending*\n`;
@@ -121,6 +136,16 @@ function formatForWhatsApp(results) {
     msg1 += `_Pricing in AutoLeap estimate_\n`;
   }
 
+  // Maintenance due at this mileage — offered separately, not in the total
+  if (results.recommendedServices?.length > 0) {
+    msg1 += `\n*Also recommended (optional):*\n`;
+    for (const s of results.recommendedServices) {
+      msg1 += `\u2022 ${escapeMarkdown(s.name)}${s.status === "overdue" ? " \u2014 overdue" : ""}`;
+      if (!blocked && s.laborEstimate != null) msg1 += ` (~$${s.laborEstimate.toFixed(2)} labor)`;
+      msg1 += `\n`;
+    }
+  }
+
   if (pdfPath && !blocked) {
     msg1 += `\n\u{1F4C4} PDF estimate attached`;
   }
@@ -191,12 +216,18 @@ function formatForWhatsApp(results) {
   if (parts?.bestValueBundle?.parts?.length > 0) {
     const isNative = results.estimateSource === "autoleap-native";
     msg2 += isNative ? `*PARTS (via PartsTech \u2192 AutoLeap):*\n` : `*PARTS:*\n`;
+    let lastJob = null;
     for (const item of parts.bestValueBundle.parts) {
+      if (multiJob && item.selected && item.jobIndex !== lastJob && results.jobs[item.jobIndex]) {
+        lastJob = item.jobIndex;
+        msg2 += `_${item.jobIndex + 1}. ${escapeMarkdown(results.jobs[item.jobIndex].name)}_\n`;
+      }
       if (item.selected) {
         const p = item.selected;
         msg2 += `\u2713 ${escapeMarkdown(p.brand)} ${escapeMarkdown(p.description)}`;
         if (p.position) msg2 += ` (${escapeMarkdown(p.position)})`;
         msg2 += `\n  #${escapeMarkdown(p.partNumber)} | ${escapeMarkdown(p.availability)}\n`;
+        if (item.score?.reason) msg2 += `  _Picked: ${escapeMarkdown(item.score.reason)}_\n`;
         // Don't show wholesale price — AutoLeap has the retail price
       }
     }
@@ -209,6 +240,25 @@ function formatForWhatsApp(results) {
     }
   }
 
+  // Good / Better / Best options per job (labor + that tier's parts)
+  const tierJobs = (results.jobs || []).map((job, i) => ({ job, i })).filter(({ job }) => job.tierOptions);
+  if (tierJobs.length > 0) {
+    msg2 += `\n*OPTIONS (Good / Better / Best):*\n`;
+    for (const { job, i } of tierJobs) {
+      if (multiJob) msg2 += `_${i + 1}. ${escapeMarkdown(job.name)}_\n`;
+      for (const key of ["good", "better", "best"]) {
+        const opt = job.tierOptions[key];
+        if (!opt) continue;
+        msg2 += `${opt.selected ? "\u2713" : "\u2022"} *${opt.label}*`;
+        if (!blocked) msg2 += ` $${opt.total.toFixed(2)}`;
+        msg2 += ` \u2014 ${opt.description}`;
+        if (opt.brands?.length > 0) msg2 += ` (${opt.brands.map(escapeMarkdown).join(", ")})`;
+        msg2 += `\n`;
+      }
+    }
+    msg2 += `_Reply with the option the customer picks, e.g. "go with Better"_\n`;
+  }
+
   // Platform research summary
   const platforms = [];
   if (diagnosis?.identifix && !diagnosis.identifix.error && diagnosis.identifix.fixCount > 0) {
@@ -334,6 +384,8 @@ function formatHelp() {
     `\u2022 *ORDER* — Place parts from last estimate`,
     `\u2022 *APPROVED* — Customer approved, order parts`,
     `\u2022 *SEND* — Email estimate to customer`,
+    `\u2022 *CANCEL* — Stop the estimate that's queued or running`,
+    `\u2022 *RETRY* — Resume the last estimate from the step that failed`,
     `\u2022 *HELP* — Show this message`,
   ].join("\n");
 }
@@ -346,6 +398,17 @@ function formatStatus() {
   return `*SAM is online* \u2713\nReady to build estimates.`;
 }
 
+/**
+ * Format a live queue ETA update (sent when jobs ahead finish).
+ * @param {number} position - 1-based queue position
+ * @param {number} waitMinutes - Predicted wait
+ * @returns {string}
+ */
+function formatQueueUpdate(position, waitMinutes) {
+  const eta = waitMinutes > 0 ? `~${waitMinutes} min` : "any moment now";
+  return `Queue update: you're now #${position} \u2014 your estimate starts in ${eta}.`;
+}
+
 /**
  * Format a greeting response.
  * @returns {string}
@@ -425,4 +488,4 @@ function formatResearchFirst(results) {
   return messages;
 }
 
-module.exports = { formatForWhatsApp, formatHelp, formatStatus, formatGreeting, formatResearchFirst, getErrorMessage, escapeMarkdown, splitMessage };
+module.exports = { formatForWhatsApp, formatHelp, formatStatus, formatQueueUpdate, formatGreeting, formatResearchFirst, getErrorMessage, escapeMarkdown, splitMessage };
@@ -52,7 +52,9 @@ try {
 }
 
 const sessionStore = require("../../shared/session-store");
-const { queue } = require("../../shared/job-queue");
+const { queue, recoverJobs } = require("../../shared/job-queue");
+const { formatQueueUpdate } = require("./formatter");
+const deferredWork = require("../../shared/deferred-work");
 
 const LOG = "[wa-gateway]";
 const PORT = parseInt(process.env.PORT, 10) || 3000;
@@ -108,11 +110,12 @@ function parseTwilioBody(body) {
  * @param {string} to       Normalized +E.164 phone number
  * @param {string} body     Message text
  * @param {string} [mediaUrl] Public URL to attach as MMS media
+ * @returns {Promise<boolean>} true when Twilio accepted the message
  */
 async function sendWhatsAppMessage(to, body, mediaUrl) {
   if (!process.env.TWILIO_ACCOUNT_SID) {
     console.warn(`${LOG} TWILIO_ACCOUNT_SID not set — skipping outbound message`);
-    return;
+    return false;
   }
   try {
     const fetch = (await import("node-fetch")).default;
@@ -139,21 +142,29 @@ async function sendWhatsAppMessage(to, body, mediaUrl) {
       const text = await resp.text().catch(() => "");
       console.error(`${LOG} Twilio send error ${resp.status}: ${text.substring(0, 200)}`);
     }
+    return resp.ok;
   } catch (err) {
     console.error(`${LOG} sendWhatsAppMessage failed: ${err.message}`);
+    return false;
   }
 }
 
 // ── Meta WhatsApp helpers ─────────────────────────────────────────────────────
 
+/**
+ * Send text messages through the Meta Cloud API.
+ *
+ * @returns {Promise<boolean>} true when Meta accepted every message
+ */
 async function sendMetaMessages(to, messages) {
   const fetch = (await import("node-fetch")).default;
   const token = process.env.META_WHATSAPP_TOKEN;
   const phoneNumberId = process.env.META_PHONE_NUMBER_ID;
   const baseUrl = `https://graph.facebook.com/v18.0/${phoneNumberId}/messages`;
+  let delivered = true;
 
   for (const msg of messages) {
-    await fetch(baseUrl, {
+    const resp = await fetch(baseUrl, {
       method: "POST",
       headers: {
         Authorization: `Bearer ${token}`,
@@ -166,7 +177,12 @@ async function sendMetaMessages(to, messages) {
         text: { body: msg },
       }),
     });
+    if (!resp.ok) {
+      console.error(`${LOG} Meta send error ${resp.status}`);
+      delivered = false;
+    }
   }
+  return delivered;
 }
 
 /**
@@ -224,6 +240,73 @@ async function sendMetaDocument(to, filePath, caption) {
   }
 }
 
+// ── Response delivery ─────────────────────────────────────────────────────────
+
+/**
+ * Send one plain text message through the configured provider.
+ *
+ * @returns {Promise<boolean>} true when the provider accepted it
+ */
+function sendText(to, text) {
+  return PROVIDER === "twilio" ? sendWhatsAppMessage(to, text) : sendMetaMessages(to, [text]);
+}
+
+/**
+ * Deliver a conversation response: result messages, then the PDF and the
+ * recommended services sheet (Twilio via WHATSAPP_PDF_BASE_URL media link,
+ * Meta via document upload).
+ *
+ * @param {string} to
+ * @param {{ messages?: string[], pdfPath?: string, recommendationsPdfPath?: string }} response
+ */
+async function deliverResponse(to, response) {
+  if (PROVIDER === "twilio") {
+    // Send each result message via outbound Twilio REST
+    for (const msg of response.messages || []) {
+      await sendWhatsAppMessage(to, msg);
+    }
+    // PDF delivery via MediaUrl if base URL is configured
+    if (response.pdfPath) {
+      if (process.env.WHATSAPP_PDF_BASE_URL) {
+        const filename = path.basename(response.pdfPath);
+        const mediaUrl = process.env.WHATSAPP_PDF_BASE_URL.replace(
+          /\/$/,
+          ""
+        ) + "/" + filename;
+        await sendWhatsAppMessage(
+          to,
+          "Estimate PDF attached.",
+          mediaUrl
+        );
+      } else {
+        await sendWhatsAppMessage(
+          to,
+          "PDF available — view estimate in AutoLeap."
+        );
+      }
+    }
+    if (response.recommendationsPdfPath && process.env.WHATSAPP_PDF_BASE_URL) {
+      const mediaUrl = process.env.WHATSAPP_PDF_BASE_URL.replace(/\/$/, "") +
+        "/" + path.basename(response.recommendationsPdfPath);
+      await sendWhatsAppMessage(to, "Recommended services attached.", mediaUrl);
+    }
+  } else {
+    // Meta: send messages
+    await sendMetaMessages(to, response.messages || []);
+    // PDF delivery via document upload
+    if (response.pdfPath && process.env.META_WHATSAPP_TOKEN) {
+      await sendMetaDocument(to, response.pdfPath, "Estimate PDF");
+    } else if (response.pdfPath) {
+      await sendMetaMessages(to, [
+        "PDF available — view estimate in AutoLeap.",
+      ]);
+    }
+    if (response.recommendationsPdfPath && process.env.META_WHATSAPP_TOKEN) {
+      await sendMetaDocument(to, response.recommendationsPdfPath, "Recommended services");
+    }
+  }
+}
+
 // ── Empty TwiML constant ──────────────────────────────────────────────────────
 
 const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
@@ -342,8 +425,10 @@ const server = http.createServer(async (req, res) => {
                   ]);
                 }
               },
-              notifyPosition: async (pos, waitMin) => {
-                const msg = `You're #${pos} in queue (~${waitMin} min). I'll send results when it's your turn.`;
+              notifyPosition: async (pos, waitMin, info) => {
+                const msg = info?.update
+                  ? formatQueueUpdate(pos, waitMin)
+                  : `You're #${pos} in queue (~${waitMin} min). I'll send results when it's your turn.`;
                 if (PROVIDER === "twilio") {
                   await sendWhatsAppMessage(capturedFrom, msg);
                 } else {
@@ -353,43 +438,7 @@ const server = http.createServer(async (req, res) => {
             }
           );
 
-          if (PROVIDER === "twilio") {
-            // Send each result message via outbound Twilio REST
-            for (const msg of response.messages || []) {
-              await sendWhatsAppMessage(capturedFrom, msg);
-            }
-            // PDF delivery via MediaUrl if base URL is configured
-            if (response.pdfPath) {
-              if (process.env.WHATSAPP_PDF_BASE_URL) {
-                const filename = path.basename(response.pdfPath);
-                const mediaUrl = process.env.WHATSAPP_PDF_BASE_URL.replace(
-                  /\/$/,
-                  ""
-                ) + "/" + filename;
-                await sendWhatsAppMessage(
-                  capturedFrom,
-                  "Estimate PDF attached.",
-                  mediaUrl
-                );
-              } else {
-                await sendWhatsAppMessage(
-                  capturedFrom,
-                  "PDF available — view estimate in AutoLeap."
-                );
-              }
-            }
-          } else {
-            // Meta: send messages
-            await sendMetaMessages(capturedFrom, response.messages || []);
-            // PDF delivery via document upload
-            if (response.pdfPath && process.env.META_WHATSAPP_TOKEN) {
-              await sendMetaDocument(capturedFrom, response.pdfPath, "Estimate PDF");
-            } else if (response.pdfPath) {
-              await sendMetaMessages(capturedFrom, [
-                "PDF available — view estimate in AutoLeap.",
-              ]);
-            }
-          }
+          await deliverResponse(capturedFrom, response);
         } catch (err) {
           console.error(`${LOG} Pipeline error: ${err.message}`);
           // Attempt to notify the user
@@ -423,6 +472,26 @@ if (require.main === module) {
     console.log(`${LOG} Webhook URL: http://0.0.0.0:${PORT}/webhook`);
     console.log(`${LOG} Health check: http://0.0.0.0:${PORT}/health`);
   });
+
+  // Declined-work reminders to the advisor's WhatsApp chat
+  deferredWork.startReminderScheduler({
+    platform: "whatsapp",
+    // Must reject when the provider refuses the message, or the row is marked reminded
+    send: async (to, text) => {
+      if (!(await sendText(to, text))) throw new Error(`WhatsApp send via ${PROVIDER} failed`);
+    },
+    // The advisor's reply ("yes, re-quote it") goes to the deferred_work tool
+    onReminded: conversation.rememberReminder && ((row) => conversation.rememberReminder("whatsapp", row.chat_id, row)),
+  });
+
+  // Estimates left in the queue by a crash/restart: re-queue waiting ones,
+  // fail the one that was running, and tell each chat
+  recoverJobs({
+    platform: "whatsapp",
+    notify: sendText,
+    resume: conversation.resumeEstimate && ((job) => conversation.resumeEstimate("whatsapp", job.chat_id, job)
+      .then((response) => deliverResponse(job.chat_id, response))),
+  }).catch((err) => console.error(`${LOG} job recovery error: ${err.message}`));
 }
 
 // ── Exports (test hooks) ──────────────────────────────────────────────────────
@@ -0,0 +1,36 @@
+-- Run: psql $DATABASE_URL -f supabase/migrations/013_sam_deferred_work.sql
+-- Or: apply via Supabase Dashboard > SQL Editor
+
+-- Migration 013: sam_deferred_work table for declined-work follow-up
+-- sam_sessions rows expire after 24h, so declined jobs are copied here when the
+-- customer turns them down and the gateway scheduler reminds the advisor later.
+-- Lookup keys: VIN and/or customer phone (walk-ins without a VIN still match by phone)
+
+CREATE TABLE IF NOT EXISTS sam_deferred_work (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id          text,
+  vin              text,                       -- 17-char VIN when known
+  customer_name    text,
+  customer_phone   text,
+  vehicle          jsonb,                      -- { year, make, model }
+  job_name         text NOT NULL,              -- "Rear brakes"
+  job_query        text,                       -- original concern text for a re-quote
+  quoted_total     numeric(10,2),              -- job subtotal at decline time
+  estimate_id      text,                       -- AutoLeap estimate the job was declined on
+  platform         text NOT NULL,              -- advisor chat to remind: "telegram" | "whatsapp"
+  chat_id          text NOT NULL,
+  status           text DEFAULT 'open',        -- "open" | "reminded" | "requoted" | "dismissed"
+  declined_at      timestamptz DEFAULT now(),
+  remind_at        timestamptz NOT NULL,
+  reminded_at      timestamptz,
+  created_at       timestamptz DEFAULT now()
+);
+
+-- Index for the reminder sweep (status = 'open' AND remind_at <= now())
+CREATE INDEX IF NOT EXISTS sam_deferred_work_due_idx ON sam_deferred_work (status, remind_at);
+CREATE INDEX IF NOT EXISTS sam_deferred_work_vin_idx ON sam_deferred_work (vin);
+CREATE INDEX IF NOT EXISTS sam_deferred_work_phone_idx ON sam_deferred_work (customer_phone);
+
+COMMENT ON TABLE sam_deferred_work IS
+  'Declined estimate jobs kept past session expiry so SAM can remind the advisor to re-quote. '
+  'Status is text (not enum) to avoid migrations when new follow-up states are added.';
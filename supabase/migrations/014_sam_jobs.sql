@@ -0,0 +1,33 @@
+-- Run: psql $DATABASE_URL -f supabase/migrations/014_sam_jobs.sql
+-- Or: apply via Supabase Dashboard > SQL Editor
+
+-- Migration 014: sam_jobs table for the restart-safe estimate queue
+-- The gateway job queue is in process memory; every enqueued estimate is also
+-- written here so a crash or systemd restart can't drop it silently. On startup
+-- each gateway re-queues its "queued" rows and fails its "running" rows (telling
+-- the chat), and finished rows stay as job history.
+
+CREATE TABLE IF NOT EXISTS sam_jobs (
+  id           uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id      text NOT NULL,              -- queue key: "telegram:1385723011", "api:<runId>"
+  platform     text,                       -- "telegram" | "whatsapp" | "slack" | "api"
+  chat_id      text,                       -- chat to notify / deliver results to
+  params       jsonb,                      -- buildEstimate() params (callbacks stripped) for re-queueing
+  status       text DEFAULT 'queued',      -- "queued" | "running" | "done" | "failed" | "cancelled" | "timed_out"
+  error        text,
+  result_ref   jsonb,                      -- { runId, estimateId, estimateCode, total, pdfPath }
+  queued_at    timestamptz DEFAULT now(),
+  started_at   timestamptz,
+  finished_at  timestamptz,
+  duration_ms  integer                     -- started_at → finished_at
+);
+
+-- Index for the startup recovery sweep (status IN ('queued','running') per platform)
+CREATE INDEX IF NOT EXISTS sam_jobs_status_idx ON sam_jobs (platform, status, queued_at);
+-- Index for per-chat job history
+CREATE INDEX IF NOT EXISTS sam_jobs_chat_idx ON sam_jobs (platform, chat_id, queued_at DESC);
+
+COMMENT ON TABLE sam_jobs IS
+  'Estimate job queue persistence and history for SAM gateways. '
+  'params and result_ref are JSONB so the pipeline can add fields without migrations. '
+  'Status is text (not enum) to avoid migrations when new job states are added.';
@@ -0,0 +1,14 @@
+-- Run: psql $DATABASE_URL -f supabase/migrations/015_sam_jobs_durations.sql
+-- Or: apply via Supabase Dashboard > SQL Editor
+
+-- Migration 015: learned queue wait estimates
+-- Each job records its request type (diagnostic / maintenance / general, as
+-- classified by the orchestrator) and the pipeline's own runtime from its
+-- pipeline_metric. The queue predicts a waiting job's duration from the recent
+-- runtimes of its type instead of a flat 15 minutes.
+
+ALTER TABLE sam_jobs ADD COLUMN IF NOT EXISTS request_type text;   -- "diagnostic" | "maintenance" | "general"
+ALTER TABLE sam_jobs ADD COLUMN IF NOT EXISTS runtime_ms   integer; -- buildEstimate() total_runtime_ms
+
+-- Index for loading recent runtimes per type on startup
+CREATE INDEX IF NOT EXISTS sam_jobs_durations_idx ON sam_jobs (status, finished_at DESC) WHERE request_type IS NOT NULL;
@@ -0,0 +1,24 @@
+-- Run: psql $DATABASE_URL -f supabase/migrations/016_sam_run_checkpoints.sql
+-- Or: apply via Supabase Dashboard > SQL Editor
+
+-- Migration 016: sam_run_checkpoints for resumable estimate runs
+-- buildEstimate() saves the pipeline state after each step that succeeds,
+-- keyed by runId. The retry_estimate command re-runs the same runId with
+-- resume set: the state after the last good step is restored and the pipeline
+-- starts at the first step that failed, so diagnosis, ProDemand research and
+-- PartsTech pricing aren't repeated when only the AutoLeap step died.
+
+CREATE TABLE IF NOT EXISTS sam_run_checkpoints (
+  run_id    text NOT NULL,               -- buildEstimate() runId
+  step      text NOT NULL,               -- "vehicle" | "diagnosis" | "history" | "research" | "specs" | "parts" | "cart" | "estimate" | "pdf" | "screenshots"
+  state     jsonb NOT NULL,              -- { results, jobs } after the step
+  saved_at  timestamptz DEFAULT now(),
+  PRIMARY KEY (run_id, step)
+);
+
+-- Index for pruning old checkpoints (they are ignored after 24 hours)
+CREATE INDEX IF NOT EXISTS sam_run_checkpoints_saved_idx ON sam_run_checkpoints (saved_at);
+
+COMMENT ON TABLE sam_run_checkpoints IS
+  'Per-step pipeline state for resuming failed SAM estimate runs. '
+  'Rows older than 24 hours are not resumed and can be deleted.';
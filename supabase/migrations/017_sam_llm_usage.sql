@@ -0,0 +1,29 @@
+-- Run: psql $DATABASE_URL -f supabase/migrations/017_sam_llm_usage.sql
+-- Or: apply via Supabase Dashboard > SQL Editor
+
+-- Migration 017: sam_llm_usage for per-run and per-shop Claude accounting
+-- Every Claude call goes through skills/shared/llm-client.js, which inserts one
+-- row per call: the model, token counts and estimated cost, booked to the
+-- estimate run (run_id) and the shop. Cache hits are recorded with zero tokens
+-- so hit rates can be measured. Chat turns have no run_id.
+
+CREATE TABLE IF NOT EXISTS sam_llm_usage (
+  id             bigserial PRIMARY KEY,
+  run_id         text,                       -- buildEstimate() runId (null for chat)
+  shop_id        text,
+  model          text NOT NULL,
+  purpose        text,                       -- "diagnosis" | "motor_nav" | "estimate_review" | "chat"
+  input_tokens   integer NOT NULL DEFAULT 0,
+  output_tokens  integer NOT NULL DEFAULT 0,
+  cost_usd       numeric(12, 6) NOT NULL DEFAULT 0,
+  cached         boolean NOT NULL DEFAULT false,
+  duration_ms    integer,
+  created_at     timestamptz DEFAULT now()
+);
+
+-- Per-run totals and per-shop spend over a period
+CREATE INDEX IF NOT EXISTS sam_llm_usage_run_idx ON sam_llm_usage (run_id);
+CREATE INDEX IF NOT EXISTS sam_llm_usage_shop_idx ON sam_llm_usage (shop_id, created_at);
+
+COMMENT ON TABLE sam_llm_usage IS
+  'One row per Claude call made by SAM: tokens and estimated USD cost by run and shop.';
@@ -0,0 +1,17 @@
+-- Run: psql $DATABASE_URL -f supabase/migrations/018_vin_decode_cache.sql
+-- Or: apply via Supabase Dashboard > SQL Editor
+
+-- Migration 018: vin_decode_cache for NHTSA VIN decodes
+-- decodeVin() (skills/vin-decoder/scripts/decode.js) checks this table before
+-- calling NHTSA vPIC and stores every successful decode, so a returning vehicle
+-- never needs the network. A VIN's decode doesn't change, so rows don't expire.
+-- Offline decodes (WMI table only, during an NHTSA outage) are not stored.
+
+CREATE TABLE IF NOT EXISTS vin_decode_cache (
+  vin         text PRIMARY KEY,            -- normalized 17-character VIN
+  vehicle     jsonb NOT NULL,              -- decodeVin() result
+  decoded_at  timestamptz DEFAULT now()
+);
+
+COMMENT ON TABLE vin_decode_cache IS
+  'NHTSA vPIC decodes by VIN, reused instead of calling NHTSA again.';
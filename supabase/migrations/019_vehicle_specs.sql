@@ -0,0 +1,42 @@
+-- Run: psql $DATABASE_URL -f supabase/migrations/019_vehicle_specs.sql
+-- Or: apply via Supabase Dashboard > SQL Editor
+
+-- Migration 019: vehicle_specs — mechanic reference specs learned from research
+-- After each estimate's research step, skills/vehicle-specs/scripts/specs.js
+-- pulls fluid capacities, torque values, firing order and special tools out of
+-- the AllData / ProDemand output and merges them in here. getVehicleSpecs()
+-- reads these rows before its generic values. Each vehicle writes two rows:
+--   engine:<code>                              shared by every vehicle with that engine
+--   ymme:<year>|<make>|<model>|<displacement>  that vehicle only (read over the engine row)
+
+CREATE TABLE IF NOT EXISTS vehicle_specs (
+  spec_key     text PRIMARY KEY,            -- "engine:K20C2" or "ymme:2019|honda|civic|2.0l"
+  engine_code  text,                        -- engine rows only
+  year         integer,                     -- YMME rows only
+  make         text,
+  model        text,
+  specs        jsonb NOT NULL,              -- { fluids, torque, firingOrder, specialTools, sources, jobCount }
+  updated_at   timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS vehicle_specs_engine_idx ON vehicle_specs (engine_code);
+
+COMMENT ON TABLE vehicle_specs IS
+  'Fluid, torque, firing-order and special-tool specs by engine code and YMME, filled from estimate research.';
+
+-- Seed: the Honda K20C2 entry that used to be hardcoded in specs.js
+INSERT INTO vehicle_specs (spec_key, engine_code, specs) VALUES (
+  'engine:K20C2',
+  'K20C2',
+  '{
+    "fluids": {
+      "engineOil": { "capacityWithFilter": "4.4 quarts", "weight": "0W-20", "source": "seed" },
+      "coolant": { "capacity": "6.4 quarts", "type": "Honda Type 2 Blue (OAT)", "source": "seed" }
+    },
+    "torque": {},
+    "firingOrder": "1-3-4-2",
+    "specialTools": [],
+    "sources": { "seed": 1 },
+    "jobCount": 0
+  }'::jsonb
+) ON CONFLICT (spec_key) DO NOTHING;
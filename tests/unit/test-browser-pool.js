@@ -0,0 +1,183 @@
+"use strict";
+
+// [test-browser-pool] Tests for skills/shared/browser-pool.js and its use by job-queue.js
+// Runs with a two-worker pool (set before require) so jobs can overlap.
+// Guard: if browser-pool.js does not exist yet, skip all tests gracefully.
+
+process.env.SAM_BROWSER_WORKERS = "sam-a:19801, sam-b:19802";
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const LOCK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "test-browser-pool-"));
+process.env.SAM_BROWSER_LOCK_DIR = LOCK_DIR;
+
+let pool, enqueueEstimate;
+
+try {
+  pool = require("../../skills/shared/browser-pool");
+  ({ enqueueEstimate } = require("../../skills/shared/job-queue"));
+} catch (err) {
+  console.log("[test-browser-pool] WARNING: browser-pool.js not yet created — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("parseWorkers: profile:port list, bad and duplicate entries skipped, default when empty", () => {
+    const ws = pool.parseWorkers("openclaw:18800, sam-2:18801,broken,sam-3:abc,sam-2:18802,dup:18801");
+    assert(ws.length === 2, `expected 2 workers, got ${ws.length}`);
+    assert(ws[1].id === "w2" && ws[1].profile === "sam-2" && ws[1].cdpUrl === "http://127.0.0.1:18801", "worker fields");
+    assert(ws[0].tabs !== ws[1].tabs, "each worker has its own TabManager");
+
+    const fallback = pool.parseWorkers("");
+    assert(fallback.length === 1 && fallback[0].cdpPort > 0, "single default worker");
+    assert(pool.POOL_SIZE === 2, "pool sized from SAM_BROWSER_WORKERS");
+  });
+
+  test("acquire/release: idle workers first, then FIFO waiters; tabs released with the run", async () => {
+    const a = await pool.acquireWorker("run-1");
+    const b = await pool.acquireWorker("run-2");
+    assert(a !== b, "distinct workers");
+
+    const order = [];
+    const third = pool.acquireWorker("run-3").then((w) => { order.push("run-3"); return w; });
+    const fourth = pool.acquireWorker("run-4").then((w) => { order.push("run-4"); return w; });
+    await tick();
+    assert(order.length === 0, "waits while both workers are busy");
+
+    pool.runWithWorker(b, () => pool.leaseTab({}, "prodemand"));
+    assert(b.tabs.getTabsForRun("run-2").length === 1, "tab leased to run-2");
+    pool.releaseWorker(b);
+    const w3 = await third;
+    assert(w3 === b && w3.runId === "run-3", "released worker handed to the first waiter");
+    assert(b.tabs.getTabsForRun("run-2").length === 0, "previous run's tabs released");
+
+    pool.releaseWorker(a);
+    await fourth;
+    assert(order.join(",") === "run-3,run-4", "FIFO");
+    pool.releaseWorker(a);
+    pool.releaseWorker(b);
+    assert(pool.getPoolStatus().every((w) => !w.busy), "all idle again");
+  });
+
+  test("currentWorker follows the job across awaits; leaseTab rejects a tab held by another run", async () => {
+    const [w1, w2] = pool.workers;
+    assert(pool.currentWorker() === w1, "first worker outside a job");
+
+    w2.runId = "run-x";
+    const seen = await pool.runWithWorker(w2, async () => {
+      await tick();
+      return pool.currentWorker();
+    });
+    assert(seen === w2, "leased worker after an await");
+
+    const page = {};
+    pool.runWithWorker(w2, () => pool.leaseTab(page, "autoleap"));
+    w2.runId = "run-y";
+    let err = null;
+    try { pool.runWithWorker(w2, () => pool.leaseTab(page, "autoleap")); } catch (e) { err = e; }
+    assert(err && /leased by run run-x/.test(err.message), "conflicting lease throws");
+    w2.tabs.releaseRun("run-x");
+    w2.runId = null;
+  });
+
+  test("lock files keep other processes off leased workers; dead owners' locks are taken over", async () => {
+    const lock = (port, pid) => fs.writeFileSync(path.join(LOCK_DIR, `${port}.lock`), JSON.stringify({ pid }));
+    const locked = (port) => fs.existsSync(path.join(LOCK_DIR, `${port}.lock`));
+
+    const a = await pool.acquireWorker("run-1");
+    assert(a.cdpPort === 19801 && locked(19801), "lease locks the worker's port");
+    pool.releaseWorker(a);
+    assert(!locked(19801), "release removes the lock");
+
+    // Another gateway (a live process) holds the first worker
+    lock(19801, process.ppid);
+    const b = await pool.acquireWorker("run-2");
+    assert(b.cdpPort === 19802, "worker locked by a live process skipped");
+
+    let waited = null;
+    const c = pool.acquireWorker("run-3").then((w) => { waited = w; return w; });
+    await tick();
+    assert(waited === null, "waits while the idle worker is locked elsewhere");
+    fs.unlinkSync(path.join(LOCK_DIR, "19801.lock"));
+    await c;
+    assert(waited.cdpPort === 19801, "picked up once the other process lets go");
+
+    pool.releaseWorker(waited);
+    pool.releaseWorker(b);
+    // A crashed gateway's lock
+    lock(19801, 2147483646);
+    const d = await pool.acquireWorker("run-4");
+    assert(d.cdpPort === 19801 && JSON.parse(fs.readFileSync(path.join(LOCK_DIR, "19801.lock"), "utf8")).pid === process.pid,
+      "dead owner's lock taken over");
+    pool.releaseWorker(d);
+  });
+
+  test("job queue runs one job per worker in parallel, each on its own worker", async () => {
+    const platform = "test-pool-" + Date.now();
+    const running = [];
+    let peak = 0;
+    const releases = [];
+    const job = (name) => async ({ worker }) => {
+      running.push(name);
+      peak = Math.max(peak, running.length);
+      const current = pool.currentWorker();
+      await new Promise((r) => releases.push(r));
+      running.splice(running.indexOf(name), 1);
+      return { name, worker: worker.id, current: current.id };
+    };
+
+    const positions = [];
+    const p1 = enqueueEstimate(platform + ":1", job("1"), {});
+    const p2 = enqueueEstimate(platform + ":2", job("2"), {});
+    const p3 = enqueueEstimate(platform + ":3", job("3"), {
+      notifyPosition: (position, waitMinutes) => positions.push({ position, waitMinutes }),
+    });
+    await new Promise((r) => setTimeout(r, 20));
+
+    assert(running.length === 2 && running.includes("1") && running.includes("2"), `two jobs running, got ${running}`);
+    assert(positions.length === 1 && positions[0].position === 3 && positions[0].waitMinutes === 15, "third job told to wait");
+
+    releases.shift()();
+    const r1 = await p1;
+    await new Promise((r) => setTimeout(r, 20));
+    assert(running.includes("3"), "third job starts when a worker frees up");
+    releases.forEach((r) => r());
+    const [r2, r3] = await Promise.all([p2, p3]);
+
+    assert(peak === 2, "never more jobs than workers");
+    assert(r1.worker !== r2.worker, "parallel jobs on different workers");
+    assert(r3.worker === r1.worker, "third job reuses the freed worker");
+    assert([r1, r2, r3].every((r) => r.worker === r.current), "currentWorker() inside the job is its worker");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  fs.rmSync(LOCK_DIR, { recursive: true, force: true });
+  console.log(`\n[test-browser-pool] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,237 @@
+"use strict";
+
+// [test-checkpoints] Tests for skills/shared/checkpoint-store.js and resumable
+// runs in the orchestrator (retry_estimate). In-memory store — no Supabase.
+// Guard: if checkpoint-store.js or the orchestrator can't load, skip gracefully.
+
+let saveCheckpoint, getCheckpoints, getResumePoint, buildEstimate, splitJobs;
+
+try {
+  ({ saveCheckpoint, getCheckpoints } = require("../../skills/shared/checkpoint-store"));
+  ({ getResumePoint, buildEstimate, splitJobs } = require("../../skills/estimate-builder/scripts/orchestrator"));
+} catch (err) {
+  console.log("[test-checkpoints] WARNING: checkpoint-store.js or orchestrator.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const STEPS_BEFORE_ESTIMATE = ["vehicle", "diagnosis", "history", "research", "specs", "parts", "cart"];
+
+/** Pipeline state as the orchestrator checkpoints it after Step 5.5, for a brake job */
+function brakeJobState() {
+  const jobs = splitJobs("front brakes");
+  jobs[0].diagnosis = { alldata: null, identifix: null, prodemand: null };
+  jobs[0].partsNeeded = [];
+  const results = {
+    shopId: null,
+    vehicle: { year: 2019, make: "Honda", model: "Civic", engine: {} },
+    customer: { name: "Jane Doe", phone: "5551234567" },
+    diagnosis: null,
+    parts: null,
+    estimate: null,
+    mechanicSpecs: { fluids: {} },
+    pdfPath: null,
+    screenshots: [],
+    wiringDiagrams: [],
+    tsbs: [],
+    dtcTestPlan: [],
+    warnings: [{ code: "NO_MOTOR_LABOR", msg: "from the first attempt" }],
+  };
+  return { results, jobs };
+}
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("saveCheckpoint stores a copy; later pipeline mutations don't leak in", async () => {
+    const runId = "cp-copy-" + Date.now();
+    const results = { vehicle: { make: "Honda" }, warnings: [] };
+    assert(await saveCheckpoint(runId, "vehicle", { results, jobs: null }), "saved");
+    results.vehicle.make = "Toyota";
+    results.warnings.push({ code: "X" });
+
+    const saved = await getCheckpoints(runId);
+    assert(saved.vehicle.results.vehicle.make === "Honda", "vehicle as it was at the checkpoint");
+    assert(saved.vehicle.results.warnings.length === 0, "warnings as they were");
+
+    saved.vehicle.results.vehicle.make = "Ford";
+    assert((await getCheckpoints(runId)).vehicle.results.vehicle.make === "Honda", "reads are copies too");
+  });
+
+  test("getCheckpoints: unknown run → empty; callbacks are dropped from saved state", async () => {
+    const empty = await getCheckpoints("cp-none-" + Date.now());
+    assert(Object.keys(empty).length === 0, "nothing saved");
+    assert(!(await saveCheckpoint(null, "vehicle", {})), "no runId → not saved");
+
+    const runId = "cp-fn-" + Date.now();
+    await saveCheckpoint(runId, "parts", { results: { onDone: () => {} }, jobs: [] });
+    const saved = await getCheckpoints(runId);
+    assert(saved.parts && !("onDone" in saved.parts.results), "function dropped");
+  });
+
+  test("getResumePoint: starts at the first step without a checkpoint", async () => {
+    const runId = "cp-resume-" + Date.now();
+    for (const step of STEPS_BEFORE_ESTIMATE) await saveCheckpoint(runId, step, { results: {}, jobs: [] });
+
+    const point = await getResumePoint(runId);
+    assert(point.step.id === "estimate", `resume at ${point.step?.id}`);
+    assert(point.completed.length === 7 && point.completed.includes("PartsTech pricing"), "finished steps reused");
+  });
+
+  test("getResumePoint: a gap restarts at the gap; no checkpoints → from the start; all done → null", async () => {
+    const gap = "cp-gap-" + Date.now();
+    await saveCheckpoint(gap, "vehicle", { results: {}, jobs: null });
+    await saveCheckpoint(gap, "research", { results: {}, jobs: [] });
+    const atGap = await getResumePoint(gap);
+    assert(atGap.step.id === "diagnosis" && atGap.completed.length === 1, `resume at ${atGap.step?.id}`);
+
+    const fresh = await getResumePoint("cp-fresh-" + Date.now());
+    assert(fresh.step.id === "vehicle" && fresh.completed.length === 0, "from the start");
+
+    const done = "cp-done-" + Date.now();
+    for (const step of ["vehicle", "diagnosis", "history", "research", "specs", "parts", "cart", "estimate", "pdf", "screenshots"]) {
+      await saveCheckpoint(done, step, { results: {}, jobs: [] });
+    }
+    assert((await getResumePoint(done)).step === null, "nothing left to retry");
+  });
+
+  test("buildEstimate resume: restores finished steps, re-runs the failed one, leaves it resumable", async () => {
+    const runId = "cp-build-" + Date.now();
+    const state = brakeJobState();
+    for (const step of STEPS_BEFORE_ESTIMATE) await saveCheckpoint(runId, step, state);
+
+    // No playbook in tests, so Step 6 fails again ("not configured") — it isn't checkpointed, later steps are
+    const results = await buildEstimate({
+      runId,
+      resume: true,
+      year: 2019, make: "Honda", model: "Civic", query: "front brakes",
+      customer: state.results.customer,
+    });
+
+    const steps = results._runCtx.steps;
+    assert(steps.filter((s) => s.status === "resumed").length === 7, "seven steps restored");
+    assert(!steps.some((s) => s.step === "estimate"), "failed step not marked done");
+    assert(results.warnings.some((w) => w.msg === "from the first attempt"), "restored state carried through");
+    assert(results.estimate?.error, "Step 6 re-ran");
+    assert(results.runId === runId && results.metrics.steps_completed === 9, "metrics count finished steps");
+
+    const saved = await getCheckpoints(runId);
+    assert(!saved.estimate && saved.pdf && saved.screenshots, "only the failed step left unsaved");
+    assert((await getResumePoint(runId)).step.id === "estimate", "still resumable at Step 6");
+  });
+
+  test("buildEstimate resume: a parts search that priced nothing isn't checkpointed", async () => {
+    const runId = "cp-parts-" + Date.now();
+    const state = brakeJobState();
+    for (const step of ["vehicle", "diagnosis", "history", "research", "specs"]) await saveCheckpoint(runId, step, state);
+
+    // No PartsTech in tests — the brake parts come back unpriced
+    const results = await buildEstimate({ runId, resume: true, year: 2019, make: "Honda", model: "Civic", query: "front brakes" });
+
+    assert(results.parts?.bestValueBundle?.parts?.length > 0 && !results.parts.bestValueBundle.parts.some((p) => p.selected), "parts unpriced");
+    const saved = await getCheckpoints(runId);
+    assert(!saved.parts && saved.cart && saved.estimate, "parts step unsaved, later steps saved");
+    assert((await getResumePoint(runId)).step.id === "parts", "retry starts at the parts search");
+  });
+
+  test("buildEstimate resume: research errored but the AutoLeap estimate went through — Step 6 isn't re-run", async () => {
+    const runId = "cp-research-" + Date.now();
+    const state = brakeJobState();
+    state.jobs[0].diagnosis.identifix = { error: "Identifix timeout" };
+    state.results.estimate = { success: true, estimateId: "est-1", estimateCode: "1042", total: 250 };
+    state.results.estimateSource = "autoleap-native";
+    for (const step of ["vehicle", "diagnosis", "history", "specs", "parts", "cart", "estimate"]) await saveCheckpoint(runId, step, state);
+
+    const point = await getResumePoint(runId);
+    assert(point.step.id === "pdf", `resume after the estimate, got ${point.step?.id}`);
+    assert(!point.completed.includes("ProDemand / AllData research"), "research not listed as reused");
+
+    const results = await buildEstimate({
+      runId, resume: true, year: 2019, make: "Honda", model: "Civic", query: "front brakes", customer: state.results.customer,
+    });
+    assert(results.estimate?.success && results.estimate.estimateId === "est-1" && !results.estimate.error, "estimate kept, Step 6 not re-run");
+    assert(!results._runCtx.steps.some((s) => s.step === "estimate" && s.status === "done"), "Step 6 restored, not run");
+    assert((await getResumePoint(runId)).step === null, "finished run isn't retryable");
+  });
+
+  test("buildEstimate resume at Step 7: no AutoLeap estimate → local PDF from the totals engine", async () => {
+    const runId = "cp-pdf-" + Date.now();
+    const state = brakeJobState();
+    state.results.customer = null;
+    state.results.resolvedLaborRate = 135;
+    state.results.laborServices = [{ jobIndex: 0, name: null, procedure: "Brake Pads, Front - R&R", hours: 1.5 }];
+    state.results.parts = {
+      bestValueBundle: {
+        parts: [{
+          jobIndex: 0,
+          requested: { partType: "brake pads", position: "front", qty: 1 },
+          selected: { description: "Ceramic Brake Pads", brand: "Wagner", partNumber: "QC1210", price: 40, totalCost: 40, supplier: "AutoZone", availability: "In Stock" },
+        }],
+        totalCost: 40,
+      },
+      individualResults: [],
+    };
+    for (const step of [...STEPS_BEFORE_ESTIMATE, "estimate"]) await saveCheckpoint(runId, step, state);
+
+    // Capture what the PDF is built from
+    const pdfLib = require("../../skills/estimate-pdf/scripts/generate");
+    const generate = pdfLib.generateEstimatePDF;
+    let printed = null;
+    pdfLib.generateEstimatePDF = (params) => { printed = params; return generate(params); };
+    let results;
+    try {
+      results = await buildEstimate({ runId, resume: true, year: 2019, make: "Honda", model: "Civic", query: "front brakes" });
+    } finally {
+      pdfLib.generateEstimatePDF = generate;
+    }
+
+    assert(results.pdfSource === "local" && /estimate-local-\d+\.pdf$/.test(results.pdfPath || ""), `local PDF, got ${results.pdfPath}`);
+    assert(require("fs").existsSync(results.pdfPath), "PDF written");
+    require("fs").unlinkSync(results.pdfPath);
+    assert(printed.laborLines.length === 1 && printed.laborLines[0].hours === 1.5 && printed.laborLines[0].total === 202.5, `labor on the PDF: ${JSON.stringify(printed.laborLines)}`);
+    assert(printed.partLines.length === 1, "pads on the PDF");
+    assert(results.totals?.labor === 202.5 && printed.totals.total === results.totals.total, `PDF total ${printed.totals.total} vs ${results.totals?.total}`);
+    assert((await getCheckpoints(runId)).pdf, "pdf step checkpointed");
+  });
+
+  test("buildEstimate resume at Step 7: AutoLeap PDF → recommended services on their own sheet", async () => {
+    const runId = "cp-rec-" + Date.now();
+    const state = brakeJobState();
+    state.results.pdfPath = "/tmp/autoleap-estimate.pdf";
+    state.results.pdfSource = "autoleap-native";
+    state.results.recommendedServices = [{ service: "coolant", name: "Coolant flush", status: "due", reason: "No record at this shop", hours: 1, laborEstimate: 150, optional: true }];
+    for (const step of [...STEPS_BEFORE_ESTIMATE, "estimate"]) await saveCheckpoint(runId, step, state);
+
+    const results = await buildEstimate({ runId, resume: true, year: 2019, make: "Honda", model: "Civic", query: "front brakes" });
+
+    assert(results.pdfPath === "/tmp/autoleap-estimate.pdf", "AutoLeap PDF kept");
+    assert(/recommended-\d+\.pdf$/.test(results.recommendationsPdfPath || ""), `sheet, got ${results.recommendationsPdfPath}`);
+    assert(require("fs").existsSync(results.recommendationsPdfPath), "sheet written");
+    require("fs").unlinkSync(results.recommendationsPdfPath);
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-checkpoints] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
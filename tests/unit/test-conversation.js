@@ -1,10 +1,10 @@
 "use strict";
 
 // [test-conversation] Tests for skills/shared/conversation.js
-// Covers CONV-01 through CONV-06 and ERR-01 through ERR-03.
+// Covers CONV-01 through CONV-06, ERR-01 through ERR-03, RETRY-01 and DEFER-01.
 // Guard: if conversation.js does not exist yet, skip all tests gracefully.
 
-let buildSystemPrompt, buildTools, translateError, handleMessage;
+let buildSystemPrompt, buildTools, translateError, handleMessage, resumeEstimate, rememberReminder;
 
 try {
   const mod = require("../../skills/shared/conversation");
@@ -12,6 +12,8 @@ try {
   buildTools        = mod.buildTools;
   translateError    = mod.translateError;
   handleMessage     = mod.handleMessage;
+  resumeEstimate    = mod.resumeEstimate;
+  rememberReminder  = mod.rememberReminder;
 } catch (err) {
   console.log("[test-conversation] WARNING: conversation.js not yet created — skipping");
   process.exit(0);
@@ -391,17 +393,492 @@ async function runTests() {
 
   // ── buildTools: shape validation ──────────────────────────────────────────
 
-  test("buildTools() returns array of 4 tools with correct names", () => {
+  test("buildTools() returns array of 8 tools with correct names", () => {
     const tools = buildTools();
     assert(Array.isArray(tools), "buildTools() must return an array");
-    assert(tools.length === 4, `buildTools() must return exactly 4 tools, got ${tools.length}`);
+    assert(tools.length === 8, `buildTools() must return exactly 8 tools, got ${tools.length}`);
     const names = tools.map((t) => t.name);
-    const expected = ["run_estimate", "order_parts", "customer_approved", "cleanup_estimate"];
+    const expected = ["run_estimate", "order_parts", "customer_approved", "cleanup_estimate", "record_outcome", "revise_estimate", "deferred_work", "retry_estimate"];
     for (const name of expected) {
       assert(names.includes(name), `buildTools() must include tool named "${name}"`);
     }
   });
 
+  // ── FDBK-01: record_outcome feeds the learning loop ────────────────────────
+
+  function makeOutcomeResponse(input) {
+    return {
+      stop_reason: "tool_use",
+      content: [{ type: "tool_use", name: "record_outcome", id: "tu_fb", input }],
+    };
+  }
+
+  test("FDBK-01: record_outcome resolves lastEstimate diagnosis_id and learns from a confirmed fix", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-fdbk01-" + Date.now();
+    sessionStore.setSession("telegram::" + chatId, {
+      history: [],
+      lastEstimate: {
+        vehicle: { year: 2019, make: "Honda", model: "Civic" },
+        diagnosis: { ai: { diagnosis_id: "diag-123", diagnoses: [{ cause: "Catalytic converter" }] } },
+      },
+    });
+
+    let recorded = null, learned = null;
+    const result = await handleMessage("telegram", chatId, "the Civic was actually the upstream O2, 1.2 hrs", {
+      claudeClient: mockClaude(makeOutcomeResponse({
+        actual_cause: "Upstream O2 sensor failure",
+        was_correct: false,
+        labor_hours: 1.2,
+      })),
+      sessionStore,
+      recordOutcome_: async (...args) => { recorded = args; return { id: "out-1" }; },
+      learnFromOutcome_: async (...args) => { learned = args; return { id: "kb-1" }; },
+    });
+
+    assert(recorded !== null, "recordOutcome must be called");
+    assert(recorded[0] === "diag-123", "recordOutcome must receive the session's diagnosis_id");
+    assert(recorded[1] === "Upstream O2 sensor failure", "recordOutcome must receive the actual cause");
+    assert(recorded[2] === false, "was_correct must be passed through");
+    assert(recorded[4] === 1.2, "labor hours must be passed through");
+    assert(learned && learned[0] === "diag-123", "learnFromOutcome must be called for a confirmed fix");
+    assert(result.messages.join(" ").includes("Outcome recorded"), "reply must confirm the outcome was recorded");
+  });
+
+  test("FDBK-01: record_outcome does not learn when the repair did not fix the vehicle", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-fdbk01b-" + Date.now();
+    sessionStore.setSession("telegram::" + chatId, {
+      history: [],
+      lastEstimate: { vehicle: {}, diagnosis: { ai: { diagnosis_id: "diag-456" } } },
+    });
+
+    let learnCalled = false;
+    await handleMessage("telegram", chatId, "replaced the O2, light came back", {
+      claudeClient: mockClaude(makeOutcomeResponse({ actual_cause: "Upstream O2 sensor failure", was_correct: false, fixed: false })),
+      sessionStore,
+      recordOutcome_: async () => ({ id: "out-2" }),
+      learnFromOutcome_: async () => { learnCalled = true; return {}; },
+    });
+
+    assert(!learnCalled, "learnFromOutcome must not be called when fixed is false");
+  });
+
+  test("FDBK-01: record_outcome without a diagnosis on file does not call recordOutcome", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-fdbk01c-" + Date.now();
+    sessionStore.setSession("telegram::" + chatId, { history: [], lastEstimate: { vehicle: {}, diagnosis: null } });
+
+    let recordCalled = false;
+    const result = await handleMessage("telegram", chatId, "it was the thermostat", {
+      claudeClient: mockClaude(makeOutcomeResponse({ actual_cause: "Thermostat stuck open", was_correct: false })),
+      sessionStore,
+      recordOutcome_: async () => { recordCalled = true; return {}; },
+    });
+
+    assert(!recordCalled, "recordOutcome must not be called without a diagnosis_id");
+    assert(result.messages.length > 0, "must still reply to the tech");
+  });
+
+  test("FDBK-01: record_outcome on a multi-job estimate files against the named job, asks when it isn't named", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-fdbk01d-" + Date.now();
+    const lastEstimate = {
+      vehicle: { year: 2016, make: "Honda", model: "Civic" },
+      diagnosis: { ai: { diagnosis_id: "diag-cat" } },
+      jobs: [
+        { name: "P0420", query: "P0420 catalyst efficiency", diagnosis: { ai: { diagnosis_id: "diag-cat", diagnoses: [{ cause: "Catalytic converter" }] } } },
+        { name: "Rough idle", query: "rough idle misfire", diagnosis: { ai: { diagnosis_id: "diag-idle", diagnoses: [{ cause: "Ignition coil" }] } } },
+      ],
+    };
+    sessionStore.setSession("telegram::" + chatId, { history: [], lastEstimate });
+
+    let recorded = null;
+    const deps = {
+      sessionStore,
+      recordOutcome_: async (...args) => { recorded = args; return { id: "out-3" }; },
+      learnFromOutcome_: async () => ({ id: "kb-3" }),
+    };
+    const named = await handleMessage("telegram", chatId, "the idle was a vacuum leak", {
+      ...deps,
+      claudeClient: mockClaude(makeOutcomeResponse({ actual_cause: "Vacuum leak", was_correct: false, job: "rough idle" })),
+    });
+    assert(recorded && recorded[0] === "diag-idle", `filed against the second job, got ${recorded && recorded[0]}`);
+    assert(named.messages.join(" ").includes("(Rough idle)"), "reply names the job");
+
+    recorded = null;
+    const byNumber = await handleMessage("telegram", chatId, "job 1 was the cat", {
+      ...deps,
+      claudeClient: mockClaude(makeOutcomeResponse({ actual_cause: "Catalytic converter", was_correct: true, job: "1" })),
+    });
+    assert(recorded && recorded[0] === "diag-cat" && byNumber.messages.length > 0, "job by number");
+
+    recorded = null;
+    const unnamed = await handleMessage("telegram", chatId, "it was a vacuum leak", {
+      ...deps,
+      claudeClient: mockClaude(makeOutcomeResponse({ actual_cause: "Vacuum leak", was_correct: false })),
+    });
+    assert(recorded === null, "nothing recorded without a job");
+    assert(unnamed.messages.join(" ").includes("Which job") && unnamed.messages.join(" ").includes("2. Rough idle"), unnamed.messages.join(" "));
+  });
+
+  // ── APPR-01: per-job customer approval ────────────────────────────────────
+
+  test("APPR-01: customer_approved passes approved/declined jobs and persists approval state", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-appr01-" + Date.now();
+    sessionStore.setSession("telegram::" + chatId, {
+      history: [],
+      lastEstimate: {
+        vehicle: { year: 2019, make: "Honda", model: "Civic" },
+        jobs: [{ name: "P0420" }, { name: "Front brakes" }],
+      },
+    });
+
+    let decision = null;
+    const result = await handleMessage("telegram", chatId, "approved the brakes, declined the cat", {
+      claudeClient: mockClaude({
+        stop_reason: "tool_use",
+        content: [{ type: "tool_use", name: "customer_approved", id: "tu_ap", input: { approved_jobs: ["brakes"], declined_jobs: ["cat"] } }],
+      }),
+      sessionStore,
+      handleApprovalAndOrder_: async (lastResults, d) => {
+        decision = d;
+        lastResults.jobs[0].approval = "declined";
+        lastResults.jobs[1].approval = "approved";
+        return { success: true, partsOrdered: 1, approval: { approved: ["Front brakes"], declined: ["P0420"], unmatched: [] } };
+      },
+    });
+
+    assert(decision && decision.approved[0] === "brakes" && decision.declined[0] === "cat", "decision passed through");
+    const saved = sessionStore.getSession("telegram::" + chatId);
+    assert(saved.lastEstimate.jobs[0].approval === "declined", "approval state persisted to session");
+    const text = result.messages.join(" ");
+    assert(text.includes("Approved: Front brakes") && text.includes("Declined (deferred): P0420"), "reply lists both");
+  });
+
+  test("APPR-01: customer_approved with an unknown job lists the jobs instead of ordering", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-appr01b-" + Date.now();
+    sessionStore.setSession("telegram::" + chatId, {
+      history: [],
+      lastEstimate: { vehicle: {}, jobs: [{ name: "P0420" }, { name: "Front brakes" }] },
+    });
+
+    let orderCalled = false;
+    const result = await handleMessage("telegram", chatId, "approved the transmission", {
+      claudeClient: mockClaude({
+        stop_reason: "tool_use",
+        content: [{ type: "tool_use", name: "customer_approved", id: "tu_ap2", input: { approved_jobs: ["transmission"] } }],
+      }),
+      sessionStore,
+      handleApprovalAndOrder_: async () => ({ success: false, approval: { approved: [], declined: [], unmatched: ["transmission"] } }),
+      handleOrderRequest_: async () => { orderCalled = true; return { success: true }; },
+    });
+
+    assert(!orderCalled, "must not fall back to ordering everything");
+    assert(result.messages.join(" ").includes("2. Front brakes"), "reply lists the jobs");
+  });
+
+  test("APPR-01: declined jobs are captured for re-quote reminders; capture failure is non-fatal", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-appr01c-" + Date.now();
+    sessionStore.setSession("telegram::" + chatId, {
+      history: [],
+      lastEstimate: { vehicle: {}, jobs: [{ name: "P0420" }, { name: "Front brakes" }] },
+    });
+
+    let captured = null;
+    const result = await handleMessage("telegram", chatId, "declined the cat", {
+      claudeClient: mockClaude({
+        stop_reason: "tool_use",
+        content: [{ type: "tool_use", name: "customer_approved", id: "tu_ap3", input: { declined_jobs: ["cat"] } }],
+      }),
+      sessionStore,
+      handleApprovalAndOrder_: async () => ({ success: true, partsOrdered: 1, approval: { approved: ["Front brakes"], declined: ["P0420"], unmatched: [] } }),
+      captureDeclinedWork_: async (results, opts) => {
+        captured = opts;
+        throw new Error("supabase down");
+      },
+    });
+
+    assert(captured && captured.platform === "telegram" && captured.chatId === chatId, "capture called with advisor chat");
+    assert(result.messages.join(" ").includes("Parts ordered"), "order still confirmed");
+  });
+
+  // ── REV-01: estimate revisions ─────────────────────────────────────────────
+
+  test("REV-01: revise_estimate passes changes, persists the new version and replies with totals", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-rev01-" + Date.now();
+    sessionStore.setSession("telegram::" + chatId, {
+      history: [],
+      lastEstimate: { vehicle: { year: 2018, make: "Toyota", model: "Camry" }, jobs: [{ name: "Front brakes" }] },
+    });
+
+    let received = null;
+    const result = await handleMessage("telegram", chatId, "swap to OEM pads", {
+      claudeClient: mockClaude({
+        stop_reason: "tool_use",
+        content: [{ type: "tool_use", name: "revise_estimate", id: "tu_rev", input: { changes: [{ action: "swap_part", part: "pads", tier: "oem" }] } }],
+      }),
+      sessionStore,
+      reviseEstimate_: async (lastResults, changes) => {
+        received = changes;
+        lastResults.version = 2;
+        lastResults.revisions = [{ version: 2 }];
+        return { success: true, version: 2, applied: ["brake pads: Wagner → Toyota"], errors: [], totalBefore: 310, totalAfter: 360, pdfPath: "/tmp/rev.pdf", synced: true };
+      },
+    });
+
+    assert(received && received[0].tier === "oem", "changes passed through");
+    const saved = sessionStore.getSession("telegram::" + chatId);
+    assert(saved.lastEstimate.version === 2, "revised estimate persisted");
+    const text = result.messages.join(" ");
+    assert(text.includes("v2") && text.includes("$360.00") && text.includes("$310.00"), `reply: ${text}`);
+    assert(result.pdfPath === "/tmp/rev.pdf", "revised PDF returned");
+  });
+
+  test("REV-01: revise_estimate with nothing applicable reports it", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-rev01b-" + Date.now();
+    sessionStore.setSession("telegram::" + chatId, { history: [], lastEstimate: { vehicle: {}, jobs: [] } });
+
+    const result = await handleMessage("telegram", chatId, "drop the spark plugs", {
+      claudeClient: mockClaude({
+        stop_reason: "tool_use",
+        content: [{ type: "tool_use", name: "revise_estimate", id: "tu_rev2", input: { changes: [{ action: "remove_part", part: "spark plugs" }] } }],
+      }),
+      sessionStore,
+      reviseEstimate_: async () => ({ success: false, error: "No part matching \"spark plugs\" on this estimate" }),
+    });
+
+    assert(result.messages.join(" ").includes("No changes made"), "reported");
+  });
+
+  test("QUEUE-06: resumeEstimate re-queues stored params on the same job row and saves the session", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-resume-" + Date.now();
+    const stages = [];
+    let enqueued = null;
+
+    const result = await resumeEstimate("telegram", chatId, {
+      id: "job-123",
+      params: { year: 2019, make: "Honda", model: "Civic", query: "P0420", customer: { name: "Jane Doe", phone: "5551234567" } },
+    }, {
+      sessionStore,
+      onProgress: async (stage) => { stages.push(stage); },
+      enqueueEstimate: async (userId, jobFn, opts) => { enqueued = { userId, opts }; return jobFn(); },
+      buildEstimate_: async (params) => {
+        await params.progressCallback("building_estimate");
+        return { vehicle: { year: 2019, make: params.make, model: params.model }, diagnosis: {}, estimate: {}, warnings: [] };
+      },
+    });
+
+    assert(enqueued.userId === `telegram:${chatId}` && enqueued.opts.jobId === "job-123", "same queue key + job row");
+    assert(enqueued.opts.record.params.make === "Honda", "params recorded");
+    assert(stages.join(",") === "building_estimate", "progress reaches the gateway");
+    assert(result.messages.length > 0, "reply formatted");
+    assert(sessionStore.getSession("telegram::" + chatId)?.lastEstimate?.vehicle?.model === "Civic", "session updated");
+  });
+
+  test("QUEUE-07: CANCEL cancels this chat's estimate without calling Claude", async () => {
+    const chatId = "chat-cancel-" + Date.now();
+    const cancelled = [];
+    let claudeCalled = false;
+    const deps = {
+      claudeClient: { messages: { create: async () => { claudeCalled = true; return {}; } } },
+      sessionStore: mockSessionStore(),
+      cancelEstimate: (userId) => { cancelled.push(userId); return cancelled.length === 1 ? { status: "running" } : null; },
+    };
+
+    const first = await handleMessage("telegram", chatId, " Cancel ", deps);
+    const second = await handleMessage("telegram", chatId, "/cancel", deps);
+
+    assert(!claudeCalled, "handled before Claude");
+    assert(cancelled[0] === `telegram:${chatId}`, "queue key for this chat");
+    assert(first.messages[0].includes("Stopping"), "running job reply");
+    assert(second.messages[0].includes("nothing to cancel"), "no-job reply");
+  });
+
+  test("QUEUE-07: run_estimate hands the queue's abort signal to buildEstimate", async () => {
+    const controller = new AbortController();
+    let seenSignal = null;
+    await resumeEstimate("telegram", "chat-signal-" + Date.now(), { id: "job-sig", params: { make: "Honda", model: "Civic", query: "P0420" } }, {
+      sessionStore: mockSessionStore(),
+      enqueueEstimate: async (userId, jobFn) => jobFn({ signal: controller.signal }),
+      buildEstimate_: async (params) => {
+        seenSignal = params.signal;
+        return { vehicle: { make: "Honda", model: "Civic" }, diagnosis: {}, estimate: {}, warnings: [] };
+      },
+    });
+    assert(seenSignal === controller.signal, "signal threaded through");
+  });
+
+  // ── RETRY-01: retry_estimate resumes the last run from its checkpoints ─────
+
+  const RETRY_RESPONSE = {
+    stop_reason: "tool_use",
+    content: [{ type: "tool_use", name: "retry_estimate", id: "tu_retry", input: {} }],
+  };
+
+  test("RETRY-01: retry_estimate re-queues the chat's last run with resume and says where it picked up", async () => {
+    const chatId = "chat-retry-" + Date.now();
+    const sessionStore = mockSessionStore();
+    const storedParams = { make: "Honda", model: "Civic", query: "P0420", runId: "run-abc", customer: { name: "Jane Doe", phone: "5551234567" } };
+    let historyQuery = null, built = null, recorded = null;
+
+    const result = await handleMessage("telegram", chatId, "try again", {
+      claudeClient: mockClaude(RETRY_RESPONSE),
+      sessionStore,
+      getJobHistory_: async (opts) => { historyQuery = opts; return [{ id: "job-1", status: "timed_out", params: storedParams }]; },
+      getResumePoint_: async (runId) => ({
+        step: { id: "estimate", label: "AutoLeap estimate" },
+        completed: runId === "run-abc" ? ["AI diagnosis", "PartsTech pricing"] : [],
+      }),
+      enqueueEstimate: async (userId, jobFn, opts) => { recorded = opts.record.params; return jobFn(); },
+      buildEstimate_: async (params) => {
+        built = params;
+        return { vehicle: { make: "Honda", model: "Civic" }, diagnosis: {}, estimate: {}, warnings: [] };
+      },
+    });
+
+    assert(historyQuery.platform === "telegram" && historyQuery.chatId === chatId && historyQuery.limit === 1, "latest job for this chat");
+    assert(built.runId === "run-abc" && built.resume === true, "same runId, resume set");
+    assert(recorded.resume === true, "resume stored with the job (restart-safe)");
+    assert(result.messages[0].includes("Picked up at the AutoLeap estimate") && result.messages[0].includes("PartsTech pricing"), result.messages[0]);
+    assert(sessionStore.getSession("telegram::" + chatId)?.lastEstimate?.vehicle?.model === "Civic", "session updated");
+  });
+
+  test("RETRY-01: retry_estimate with nothing to resume does not queue a run", async () => {
+    let enqueued = false;
+    const deps = {
+      claudeClient: mockClaude(RETRY_RESPONSE),
+      sessionStore: mockSessionStore(),
+      enqueueEstimate: async () => { enqueued = true; },
+    };
+
+    const none = await handleMessage("telegram", "chat-retry-none-" + Date.now(), "retry", {
+      ...deps,
+      getJobHistory_: async () => [],
+    });
+    assert(none.messages.join(" ").includes("No earlier estimate"), "no run on file");
+
+    const finished = await handleMessage("telegram", "chat-retry-done-" + Date.now(), "retry", {
+      ...deps,
+      getJobHistory_: async () => [{ status: "done", params: { runId: "run-done" } }],
+      getResumePoint_: async () => ({ step: null, completed: [] }),
+    });
+    assert(finished.messages.join(" ").includes("nothing to retry"), "finished run");
+    assert(!enqueued, "nothing queued");
+  });
+
+  test("RETRY-01: a failed run_estimate offers retry; a cancelled one does not", async () => {
+    const fail = (reason_code) => resumeEstimate("telegram", "chat-retry-hint-" + Date.now(), {
+      id: "job-hint", params: { make: "Honda", model: "Civic", query: "P0420", runId: "run-hint" },
+    }, {
+      sessionStore: mockSessionStore(),
+      enqueueEstimate: async () => { throw Object.assign(new Error(reason_code === "CANCELLED" ? "Estimate cancelled" : "Estimate timed out after 20 min"), { reason_code }); },
+    });
+
+    const timedOut = await fail("JOB_TIMEOUT");
+    assert(timedOut.messages[0].includes("time limit") && timedOut.messages[0].includes("retry"), timedOut.messages[0]);
+    const cancelled = await fail("CANCELLED");
+    assert(cancelled.messages[0] === "Estimate cancelled.", cancelled.messages[0]);
+  });
+
+  // ── DEFER-01: replies to declined-work reminders ───────────────────────────
+
+  const REMINDED = {
+    id: "dw-1",
+    job_name: "Rear brakes",
+    job_query: "rear brakes grinding",
+    customer_name: "Jane Smith",
+    customer_phone: "+15125550100",
+    vin: null,
+    vehicle: { year: 2018, make: "Toyota", model: "Camry" },
+    chat_id: "42",
+  };
+
+  function makeDeferredResponse(input) {
+    return {
+      stop_reason: "tool_use",
+      content: [{ type: "tool_use", name: "deferred_work", id: "tu_dw", input }],
+    };
+  }
+
+  test("DEFER-01: a reminder is kept on the session and shown to Claude", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-defer-ctx-" + Date.now();
+    await rememberReminder("telegram", chatId, REMINDED, { sessionStore });
+    await rememberReminder("telegram", chatId, REMINDED, { sessionStore });
+    const session = sessionStore.getSession("telegram::" + chatId);
+    assert(session.deferredReminders.length === 1 && session.deferredReminders[0].job_name === "Rear brakes", "stored once");
+
+    let system = "";
+    await handleMessage("telegram", chatId, "hi", {
+      claudeClient: { messages: { create: async (req) => { system = req.system; return makeChatResponse("Hi"); } } },
+      sessionStore,
+    });
+    assert(system.includes("Jane Smith — 2018 Toyota Camry — Rear brakes"), "reminder in the system prompt");
+  });
+
+  test("DEFER-01: requote runs an estimate for the declined job and closes the reminder", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-defer-rq-" + Date.now();
+    await rememberReminder("telegram", chatId, REMINDED, { sessionStore });
+
+    let params = null;
+    const statuses = [];
+    const result = await handleMessage("telegram", chatId, "yes re-quote the brakes", {
+      claudeClient: mockClaude(makeDeferredResponse({ action: "requote", job: "brakes" })),
+      sessionStore,
+      enqueueEstimate: async (userId, jobFn) => jobFn({}),
+      buildEstimate_: async (p) => {
+        params = p;
+        return { vehicle: { year: 2018, make: "Toyota", model: "Camry" }, diagnosis: {}, estimate: {}, warnings: [] };
+      },
+      updateDeferredStatus_: async (id, status) => { statuses.push(`${id}:${status}`); return true; },
+    });
+
+    assert(params && params.make === "Toyota" && params.query === "rear brakes grinding", `estimate params: ${JSON.stringify(params)}`);
+    assert(params.customer.name === "Jane Smith" && params.customer.phone === "+15125550100", "same customer");
+    assert(statuses.join() === "dw-1:requoted", "row marked requoted");
+    assert(result.messages.length > 0, "estimate reply returned");
+    assert(sessionStore.getSession("telegram::" + chatId).deferredReminders.length === 0, "reminder cleared from the session");
+  });
+
+  test("DEFER-01: dismiss by phone lookup; ambiguous or unknown jobs ask which one", async () => {
+    const sessionStore = mockSessionStore();
+    const chatId = "chat-defer-ds-" + Date.now();
+    const other = { ...REMINDED, id: "dw-2", job_name: "Timing belt", job_query: null };
+    const statuses = [];
+    const deps = {
+      sessionStore,
+      getDeferredWork_: async ({ customerPhone }) => (customerPhone === "+15125550100" ? [REMINDED, other] : []),
+      updateDeferredStatus_: async (id, status) => { statuses.push(`${id}:${status}`); return true; },
+    };
+
+    const which = await handleMessage("telegram", chatId, "drop Jane's work", {
+      ...deps,
+      claudeClient: mockClaude(makeDeferredResponse({ action: "dismiss", customer_phone: "+15125550100" })),
+    });
+    assert(which.messages.join(" ").includes("Which one?") && statuses.length === 0, "two rows → asks");
+
+    const dismissed = await handleMessage("telegram", chatId, "drop the timing belt", {
+      ...deps,
+      claudeClient: mockClaude(makeDeferredResponse({ action: "dismiss", job: "timing belt", customer_phone: "+15125550100" })),
+    });
+    assert(statuses.join() === "dw-2:dismissed", "timing belt dismissed");
+    assert(dismissed.messages.join(" ").includes("Dismissed — no more reminders for Jane Smith — 2018 Toyota Camry — Timing belt"), dismissed.messages.join(" "));
+
+    const none = await handleMessage("telegram", "chat-defer-none-" + Date.now(), "dismiss it", {
+      ...deps,
+      claudeClient: mockClaude(makeDeferredResponse({ action: "dismiss" })),
+    });
+    assert(none.messages.join(" ").includes("No declined work waiting"), "nothing to act on");
+  });
+
   // ── Run all tests ─────────────────────────────────────────────────────────
 
   for (const { name, fn } of tests) {
@@ -0,0 +1,130 @@
+"use strict";
+
+// [test-deferred-work] Tests for skills/shared/deferred-work.js (in-memory mode)
+// Covers declined-job capture, due-reminder selection, reminder text and one scheduler tick.
+
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_ANON_KEY;
+
+let deferredWork;
+
+try {
+  deferredWork = require("../../skills/shared/deferred-work");
+} catch (err) {
+  console.log("[test-deferred-work] WARNING: deferred-work.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+const { captureDeclinedWork, getDeferredWork, getDueReminders, formatReminder, runReminderCheck, updateStatus } = deferredWork;
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function makeResults(vin) {
+  return {
+    vehicle: { year: 2018, make: "Toyota", model: "Camry", vin },
+    customer: { name: "Jane Smith", phone: "+15125550100" },
+    autoLeapEstimate: { estimateId: "est-1" },
+    jobs: [
+      { name: "Oil change", approval: "approved", subtotal: { total: 89 } },
+      { name: "Rear brakes", query: "rear brakes grinding", approval: "declined", deferred: true, deferredAt: new Date(Date.now() - 91 * DAY_MS).toISOString(), subtotal: { total: 412.5 } },
+    ],
+  };
+}
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("captureDeclinedWork: stores only deferred jobs and marks them captured", async () => {
+    const results = makeResults("4T1B11HK5JU000001");
+    const rows = await captureDeclinedWork(results, { platform: "telegram", chatId: 42 });
+    assert(rows.length === 1, `expected 1 row, got ${rows.length}`);
+    assert(rows[0].job_name === "Rear brakes" && rows[0].quoted_total === 412.5, "job + quote stored");
+    assert(rows[0].chat_id === "42" && rows[0].estimate_id === "est-1", "chat + estimate stored");
+    assert(results.jobs[1].deferredId === rows[0].id, "job marked with deferredId");
+    const again = await captureDeclinedWork(results, { platform: "telegram", chatId: 42 });
+    assert(again.length === 0, "second call does not duplicate");
+  });
+
+  test("getDeferredWork: finds open work by VIN or customer phone", async () => {
+    const byVin = await getDeferredWork({ vin: "4T1B11HK5JU000001" });
+    assert(byVin.length === 1, "found by VIN");
+    const byPhone = await getDeferredWork({ customerPhone: "+15125550100" });
+    assert(byPhone.length >= 1, "found by phone");
+    assert((await getDeferredWork({})).length === 0, "no key → empty");
+  });
+
+  test("getDueReminders: remind_at honours remindAfterDays and platform", async () => {
+    const results = makeResults("4T1B11HK5JU000002");
+    await captureDeclinedWork(results, { platform: "whatsapp", chatId: "+15125550199", remindAfterDays: 180 });
+    const due = await getDueReminders({ platform: "whatsapp" });
+    assert(due.length === 0, "180-day reminder not due yet");
+    const later = await getDueReminders({ platform: "whatsapp", now: new Date(Date.now() + 100 * DAY_MS) });
+    assert(later.length === 1, "due once the interval passes");
+  });
+
+  test("formatReminder: names customer, vehicle, job and age", () => {
+    const now = new Date("2026-04-01T12:00:00Z");
+    const text = formatReminder({
+      customer_name: "Jane Smith",
+      vehicle: { year: 2018, make: "Toyota", model: "Camry" },
+      job_name: "Rear brakes",
+      declined_at: new Date(now.getTime() - 90 * DAY_MS).toISOString(),
+    }, now);
+    assert(text === "Jane Smith's Camry — rear brakes declined 90 days ago, want me to re-quote?", `got "${text}"`);
+  });
+
+  test("runReminderCheck: sends due telegram reminders once", async () => {
+    const sent = [];
+    const first = await runReminderCheck(async (chatId, text) => sent.push({ chatId, text }), { platform: "telegram" });
+    assert(first.sent === 1 && sent[0].chatId === "42", "one reminder to the advisor chat");
+    assert(sent[0].text.includes("rear brakes declined 91 days ago"), `text: ${sent[0].text}`);
+    const second = await runReminderCheck(async () => sent.push(1), { platform: "telegram" });
+    assert(second.sent === 0 && sent.length === 1, "not re-sent after marked reminded");
+  });
+
+  test("runReminderCheck: onReminded gets each sent row; requoted and dismissed work is closed", async () => {
+    const results = makeResults("4T1B11HK5JU000003");
+    await captureDeclinedWork(results, { platform: "slack", chatId: "C1" });
+    const reminded = [];
+    await runReminderCheck(async () => {}, { platform: "slack", onReminded: async (row) => reminded.push(row) });
+    assert(reminded.length === 1 && reminded[0].status === "reminded" && reminded[0].chat_id === "C1", "reminded row handed on");
+
+    assert((await getDeferredWork({ vin: "4T1B11HK5JU000003" })).length === 1, "reminded work still pending");
+    assert(await updateStatus(reminded[0].id, "requoted"), "status updated");
+    assert((await getDeferredWork({ vin: "4T1B11HK5JU000003" })).length === 0, "requoted work closed");
+    assert(!(await updateStatus("no-such-row", "dismissed")), "unknown row → false");
+  });
+
+  test("runReminderCheck: failed send leaves reminder open for retry", async () => {
+    const now = new Date(Date.now() + 100 * DAY_MS);
+    const result = await runReminderCheck(async () => { throw new Error("network"); }, { platform: "whatsapp", now });
+    assert(result.failed === 1, "failure counted");
+    assert((await getDueReminders({ platform: "whatsapp", now })).length === 1, "still due");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-deferred-work] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,224 @@
+"use strict";
+
+// [test-estimate-api] Tests for skills/estimate-api/scripts/server.js
+// Runs the API on an ephemeral port with a stubbed buildEstimate — no pipeline.
+// Guard: if server.js can't load, skip gracefully.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+let createApiServer, toEstimateParams, serializeResults;
+
+try {
+  ({ createApiServer, toEstimateParams, serializeResults } = require("../../skills/estimate-api/scripts/server"));
+} catch (err) {
+  console.log("[test-estimate-api] WARNING: estimate-api/server.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const KEY = "test-key-123";
+const AUTH = { Authorization: `Bearer ${KEY}`, "Content-Type": "application/json" };
+const BODY = { year: 2019, make: "Honda", model: "Civic", query: "P0420", customer: { name: "Jane Doe", phone: "5551234567" } };
+
+/** Start a server on a free port; returns { base, server, close }. */
+async function startServer(deps) {
+  const server = createApiServer({ apiKeys: [KEY], ...deps });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { base, server, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+/** Read an SSE stream to the end; returns [{ event, data }]. */
+async function readEvents(resp) {
+  const text = await resp.text();
+  return text.split("\n\n").filter((b) => b.startsWith("event:")).map((block) => {
+    const [eventLine, dataLine] = block.split("\n");
+    return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+  });
+}
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("toEstimateParams: conversation-style params; missing fields rejected", () => {
+    const { params } = toEstimateParams({ ...BODY, dtcCodes: ["P0420", "P0171"], query: "P0420 rattle" });
+    assert(params.query === "P0171 P0420 rattle", `query ${params.query}`);
+    assert(params.customer.name === "Jane Doe" && params.year === 2019, "customer + year");
+    assert(toEstimateParams({ make: "Honda", model: "Civic" }).error.includes("query"), "query required");
+    assert(toEstimateParams({ query: "noise" }).error.includes("vin"), "vehicle required");
+    assert(!toEstimateParams({ vin: "1HGBH41JXMN109186", symptoms: "oil change" }).error, "VIN alone is enough");
+  });
+
+  test("serializeResults: drops run context, swaps pdfPath for the download link", () => {
+    const out = serializeResults({ runId: "abc", pdfPath: "/tmp/x.pdf", _runCtx: { steps: [] }, estimate: { total: 10 } }, "/api/estimates/abc/pdf");
+    assert(!("_runCtx" in out) && !("pdfPath" in out), "internal fields dropped");
+    assert(out.pdfUrl === "/api/estimates/abc/pdf" && out.estimate.total === 10, "results kept");
+  });
+
+  test("auth: missing or wrong key → 401, health is open", async () => {
+    const { base, close } = await startServer({ buildEstimate: async () => ({}) });
+    try {
+      const noKey = await fetch(`${base}/api/estimates`, { method: "POST", body: JSON.stringify(BODY) });
+      assert(noKey.status === 401, `no key ${noKey.status}`);
+      const wrong = await fetch(`${base}/api/estimates`, { method: "POST", headers: { Authorization: "Bearer nope" }, body: JSON.stringify(BODY) });
+      assert(wrong.status === 401, `wrong key ${wrong.status}`);
+      const health = await fetch(`${base}/health`);
+      assert(health.status === 200, "health open");
+      const bad = await fetch(`${base}/api/estimates`, { method: "POST", headers: AUTH, body: "{not json" });
+      assert(bad.status === 400, `bad json ${bad.status}`);
+    } finally {
+      await close();
+    }
+  });
+
+  test("POST → SSE stream → GET: progress stages, results and PDF link", async () => {
+    const pdfPath = path.join(os.tmpdir(), `test-estimate-api-${Date.now()}.pdf`);
+    fs.writeFileSync(pdfPath, "%PDF-1.4 test");
+    let gotParams = null;
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+
+    const { base, close } = await startServer({
+      buildEstimate: async (params) => {
+        gotParams = params;
+        await gate;
+        await params.progressCallback("research_done");
+        await params.progressCallback("building_estimate");
+        return { runId: params.runId, vehicle: { year: 2019, make: "Honda", model: "Civic" }, estimate: { total: 842.5 }, pdfPath, _runCtx: {} };
+      },
+    });
+
+    try {
+      const created = await fetch(`${base}/api/estimates`, { method: "POST", headers: AUTH, body: JSON.stringify(BODY) });
+      assert(created.status === 202, `status ${created.status}`);
+      const run = await created.json();
+      assert(run.runId && run.links.events === `/api/estimates/${run.runId}/events`, "links");
+      assert(created.headers.get("location") === `/api/estimates/${run.runId}`, "Location header");
+
+      const running = await (await fetch(`${base}/api/estimates/${run.runId}?api_key=${KEY}`)).json();
+      assert(running.status === "running" && running.position === 1, `running at #1: ${running.status} #${running.position}`);
+      assert(gotParams.runId === run.runId && gotParams.customer.name === "Jane Doe", "runId + params passed to the pipeline");
+
+      const streamResp = await fetch(`${base}/api/estimates/${run.runId}/events`, { headers: AUTH });
+      assert(streamResp.headers.get("content-type") === "text/event-stream", "SSE content type");
+      release();
+      const events = await readEvents(streamResp);
+      const names = events.map((e) => e.event);
+      assert(names[0] === "status", `first event ${names[0]}`);
+      assert(names.includes("progress") && names[names.length - 1] === "done", `events ${names.join(",")}`);
+      assert(events.filter((e) => e.event === "progress").map((e) => e.data.stage).join(",") === "research_done,building_estimate", "stages streamed");
+      const done = events[events.length - 1].data;
+      assert(done.results.estimate.total === 842.5 && done.results.pdfUrl === `/api/estimates/${run.runId}/pdf`, "results in done event");
+
+      const finished = await (await fetch(`${base}/api/estimates/${run.runId}`, { headers: AUTH })).json();
+      assert(finished.status === "done" && finished.position === null, "done, out of the queue");
+      assert(finished.stages.length === 2 && !("_runCtx" in finished.results), "stages + serialized results");
+
+      const pdf = await fetch(`${base}${finished.pdfUrl}`, { headers: AUTH });
+      assert(pdf.status === 200 && pdf.headers.get("content-type") === "application/pdf", "PDF download");
+      assert((await pdf.text()).startsWith("%PDF"), "PDF bytes");
+
+      const unknown = await fetch(`${base}/api/estimates/ffffff`, { headers: AUTH });
+      assert(unknown.status === 404, "unknown run");
+    } finally {
+      release();
+      await close();
+      fs.unlinkSync(pdfPath);
+    }
+  });
+
+  test("failed pipeline: status failed, error event replayed to late subscribers", async () => {
+    const { base, close } = await startServer({ buildEstimate: async () => { throw new Error("AutoLeap login failed"); } });
+    try {
+      const run = await (await fetch(`${base}/api/estimates`, { method: "POST", headers: AUTH, body: JSON.stringify(BODY) })).json();
+      await new Promise((r) => setTimeout(r, 50));
+      const events = await readEvents(await fetch(`${base}/api/estimates/${run.runId}/events`, { headers: AUTH }));
+      const last = events[events.length - 1];
+      assert(last.event === "error" && last.data.error === "AutoLeap login failed", `last event ${last.event}`);
+    } finally {
+      await close();
+    }
+  });
+
+  test("DELETE cancels a running estimate; a finished run → 409", async () => {
+    const { base, close } = await startServer({
+      buildEstimate: ({ signal }) => new Promise((_, reject) => {
+        signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+      }),
+    });
+    try {
+      const run = await (await fetch(`${base}/api/estimates`, { method: "POST", headers: AUTH, body: JSON.stringify(BODY) })).json();
+      await new Promise((r) => setTimeout(r, 50));
+      const del = await fetch(`${base}/api/estimates/${run.runId}`, { method: "DELETE", headers: AUTH });
+      assert(del.status === 202 && (await del.json()).cancelling === "running", `DELETE ${del.status}`);
+
+      await new Promise((r) => setTimeout(r, 50));
+      const after = await (await fetch(`${base}/api/estimates/${run.runId}`, { headers: AUTH })).json();
+      assert(after.status === "cancelled" && after.error === "Estimate cancelled", `status ${after.status}`);
+      const again = await fetch(`${base}/api/estimates/${run.runId}`, { method: "DELETE", headers: AUTH });
+      assert(again.status === 409, `second DELETE ${again.status}`);
+    } finally {
+      await close();
+    }
+  });
+
+  test("POST /retry re-runs a failed estimate under the same runId with resume; an active run → 409", async () => {
+    const calls = [];
+    let release;
+    const { base, close } = await startServer({
+      buildEstimate: async (params) => {
+        calls.push(params);
+        if (calls.length === 1) throw new Error("Playbook failed");
+        await new Promise((resolve) => { release = resolve; });
+        return { runId: params.runId, estimate: { total: 99 } };
+      },
+    });
+    try {
+      const run = await (await fetch(`${base}/api/estimates`, { method: "POST", headers: AUTH, body: JSON.stringify(BODY) })).json();
+      await new Promise((r) => setTimeout(r, 50));
+
+      const retry = await fetch(`${base}/api/estimates/${run.runId}/retry`, { method: "POST", headers: AUTH });
+      const body = await retry.json();
+      assert(retry.status === 202 && body.attempts === 2 && body.runId === run.runId, `retry ${retry.status}`);
+      await new Promise((r) => setTimeout(r, 50));
+      assert(calls[1].runId === run.runId && calls[1].resume === true && calls[0].resume === false, "resume only on the retry");
+
+      const busy = await fetch(`${base}/api/estimates/${run.runId}/retry`, { method: "POST", headers: AUTH });
+      assert(busy.status === 409, `retry while running ${busy.status}`);
+
+      release();
+      await new Promise((r) => setTimeout(r, 50));
+      const after = await (await fetch(`${base}/api/estimates/${run.runId}`, { headers: AUTH })).json();
+      assert(after.status === "done" && after.error === null && after.results.estimate.total === 99, `status ${after.status}`);
+    } finally {
+      await close();
+    }
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-estimate-api] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+"use strict";
+
+// [test-fluid-lines] Tests for skills/vehicle-specs/scripts/fluid-lines.js —
+// fluid line items sized from capacity specs, rounded to sellable units,
+// priced from the shop's bulk fluid list with the fluids markup.
+// Guard: if fluid-lines.js can't load, skip all tests gracefully.
+
+let fluidLib, totals;
+
+try {
+  fluidLib = require("../../skills/vehicle-specs/scripts/fluid-lines");
+  totals = require("../../skills/shared/totals");
+} catch (err) {
+  console.log("[test-fluid-lines] WARNING: fluid-lines.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+const { fluidLinesFor, withFluidLines, bulkFluidItem, capacityInQuarts, sellableQty } = fluidLib;
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+// getVehicleSpecs().fluids for a 2019 Civic with stored specs
+const FLUIDS = {
+  engineOil: { capacityWithFilter: "4.4 qt", weight: "0W-20", capacitySource: "alldata" },
+  coolant: { capacity: "6.4 quarts", type: "Honda Type 2 Blue (OAT)", capacitySource: "alldata" },
+  transmission: { type: "CVT Fluid (vehicle-specific)", capacity: "3.7 L", capacitySource: "alldata" },
+  brakeFluid: { type: "DOT 3 or DOT 4 (check reservoir cap)" },
+};
+const BULK = [
+  { match: "0W-20", fluid: "engineOil", unit: "qt", cost: 4.1, increment: 0.5, description: "Bulk 0W-20 full synthetic" },
+  { match: "5W-30", fluid: "engineOil", unit: "qt", cost: 3.6 },
+];
+const SHOP = {
+  shop: { taxRate: 0 },
+  markup: { partsMarkupPercent: 40, fluidsMarkupPercent: 30, matrix: { fluids: [{ upTo: 10, percent: 60 }, { upTo: null, percent: 30 }] } },
+};
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("capacities in quarts, rounded up to sellable units", () => {
+    assert(capacityInQuarts("4.4 qt") === 4.4 && capacityInQuarts("1.5 gallons") === 6, "qt / gal");
+    assert(Math.abs(capacityInQuarts("4.2 L") - 4.44) < 0.01, "liters converted");
+    assert(capacityInQuarts("Check service manual") === null, "advice is not a capacity");
+    assert(sellableQty(4.4, "qt") === 5 && sellableQty(4.4, "qt", 0.5) === 4.5 && sellableQty(4.5, "qt", 0.5) === 4.5, "quarts");
+    assert(sellableQty(6.4, "gal") === 2 && sellableQty(4, "gal") === 1, "gallons");
+  });
+
+  test("lines per service from the specs; unknown capacity reported", () => {
+    const oil = fluidLinesFor("Oil change 2019 Civic", FLUIDS);
+    assert(oil.lines.length === 1 && oil.missing.length === 0, "one oil line");
+    const [line] = oil.lines;
+    assert(line.partType === "0W-20 motor oil" && line.qty === 5 && line.unit === "qt" && line.lineType === "fluid", JSON.stringify(line));
+
+    const coolant = fluidLinesFor("Coolant flush", FLUIDS).lines[0];
+    assert(coolant.partType === "Honda Type 2 Blue coolant" && coolant.qty === 2 && coolant.unit === "gal", "2 gal coolant");
+    const cvt = fluidLinesFor("CVT fluid exchange", FLUIDS).lines[0];
+    assert(cvt.partType === "CVT Fluid" && cvt.qty === 4, "3.7 L CVT → 4 qt");
+    const brake = fluidLinesFor("Brake fluid flush", FLUIDS).lines[0];
+    assert(brake.partType === "DOT 3 brake fluid" && brake.qty === 1, "brake flush default quart");
+
+    const generic = fluidLinesFor("oil change", { engineOil: { capacityWithFilter: "Check service manual", weight: "Check oil cap or manual" } });
+    assert(generic.lines.length === 0 && generic.missing[0] === "motor oil (no capacity from AllData or the request)", "generic specs → missing");
+    assert(fluidLinesFor("Brake fluid flush", {}).lines[0]?.qty === 1, "brake flush needs no capacity");
+  });
+
+  test("only trusted, plausible capacities size a line", () => {
+    const untrusted = fluidLinesFor("oil change", { engineOil: { capacityWithFilter: "4.4 qt", weight: "0W-20", capacitySource: "prodemand" } });
+    assert(untrusted.lines.length === 0 && /no capacity/.test(untrusted.missing[0]), "prodemand capacity not used");
+    const unsourced = fluidLinesFor("oil change", { engineOil: { capacityWithFilter: "4.4 qt" } });
+    assert(unsourced.lines.length === 0, "capacity without a source not used");
+
+    const story = fluidLinesFor("oil change", { engineOil: { capacityWithFilter: "1 qt", weight: "0W-20", capacitySource: "alldata" } });
+    assert(story.lines.length === 0 && story.missing[0] === "0W-20 motor oil (1 qt is outside 3–10 qt)", story.missing[0]);
+    const huge = fluidLinesFor("coolant flush", { coolant: { capacity: "64 quarts", capacitySource: "alldata" } });
+    assert(huge.lines.length === 0 && /outside 4–30 qt/.test(huge.missing[0]), "coolant out of range");
+
+    const fromRequest = fluidLinesFor("oil change", { engineOil: { capacityWithFilter: "8 qt", capacitySource: "request" } });
+    assert(fromRequest.lines[0]?.qty === 8, "advisor-given capacity used");
+    assert(fluidLinesFor("Replace front brake pads", FLUIDS).lines.length === 0, "no fluid service → no lines");
+  });
+
+  test("repair-plan fluid guesses replaced, bulk list prices shop stock", () => {
+    const planned = [{ partType: "engine oil", qty: 1 }, { partType: "oil filter" }, { partType: "drain plug gasket" }];
+    const { partsNeeded } = withFluidLines(planned, "Oil change", FLUIDS, BULK);
+    assert(partsNeeded.map((p) => p.partType).join() === "oil filter,drain plug gasket,0W-20 motor oil", "engine oil guess replaced");
+    const oil = partsNeeded[2];
+    assert(oil.bulkFluid?.cost === 4.1 && oil.qty === 4.5, "metered bulk oil by the half quart");
+
+    const item = bulkFluidItem(oil);
+    assert(item.selected.bulk && item.selected.supplier === "Shop stock" && item.selected.description === "Bulk 0W-20 full synthetic", "shop stock pick");
+    // 4.10 cost is in the fluids matrix's under-$10 bracket: 60%
+    const unitPrice = totals.priceUnit(item.selected, item.requested.lineType, SHOP);
+    assert(unitPrice === 6.56, `fluids markup, got ${unitPrice}`);
+    const t = totals.computeTotals([{ type: "fluid", qty: oil.qty, unitPrice }], SHOP);
+    assert(t.fluids === 29.52 && t.parts === 0, "billed as fluids");
+
+    const searched = withFluidLines([], "Oil change", { engineOil: { capacityWithFilter: "6 qt", weight: "5W-20", capacitySource: "alldata" } }, BULK).partsNeeded[0];
+    assert(!searched.bulkFluid && searched.qty === 6, "no bulk entry → searched in PartsTech");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-fluid-lines] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
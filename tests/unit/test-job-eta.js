@@ -0,0 +1,94 @@
+"use strict";
+
+// [test-job-eta] Tests for skills/shared/job-eta.js — learned queue wait estimates
+// Guard: if job-eta.js does not exist yet, skip all tests gracefully.
+
+let jobEta;
+
+try {
+  jobEta = require("../../skills/shared/job-eta");
+} catch (err) {
+  console.log("[test-job-eta] WARNING: job-eta.js not yet created — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const MIN = 60 * 1000;
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("requestTypeOf classifies the job's query", () => {
+    assert(jobEta.requestTypeOf({ query: "P0420 catalyst efficiency" }) === "diagnostic", "DTC is diagnostic");
+    assert(jobEta.requestTypeOf({ query: "front brake pads and rotors" }) === "maintenance", "brakes are maintenance");
+    assert(jobEta.requestTypeOf(null) === "general", "no params is general");
+  });
+
+  test("predictDuration: default, then overall median, then per-type median", () => {
+    assert(jobEta.predictDuration("diagnostic") === jobEta.DEFAULT_DURATION_MS, "no history uses the default");
+
+    jobEta.recordDuration("maintenance", 4 * MIN);
+    jobEta.recordDuration("maintenance", 6 * MIN);
+    jobEta.recordDuration("maintenance", 5 * MIN);
+    assert(jobEta.predictDuration("maintenance") === 5 * MIN, "median of own runs");
+    assert(jobEta.predictDuration("diagnostic") === 5 * MIN, "too few own runs falls back to all runs");
+
+    jobEta.seedDurations([
+      { request_type: "diagnostic", runtime_ms: 12 * MIN },
+      { request_type: "diagnostic", runtime_ms: null, duration_ms: 10 * MIN },
+      { request_type: "diagnostic", runtime_ms: 8 * MIN },
+      { request_type: null, runtime_ms: 99 * MIN },
+    ]);
+    assert(jobEta.predictDuration("diagnostic") === 10 * MIN, "seeded rows count, duration_ms as fallback");
+  });
+
+  test("estimateWaitMs spreads jobs ahead over the workers", () => {
+    const now = 100 * MIN;
+    const running = [{ predictedMs: 10 * MIN, startedAt: now - 4 * MIN }];
+
+    const one = jobEta.estimateWaitMs({ running, queued: [5 * MIN], workers: 1, now });
+    assert(one === 11 * MIN, `one worker: remaining 6 + queued 5, got ${one / MIN}`);
+
+    const two = jobEta.estimateWaitMs({ running, queued: [5 * MIN], workers: 2, now });
+    assert(two === 5 * MIN, `two workers: queued job takes the idle one, got ${two / MIN}`);
+
+    const idle = jobEta.estimateWaitMs({ running: [], queued: [], workers: 2, now });
+    assert(idle === 0, "no wait with an idle worker");
+
+    const overrun = jobEta.estimateWaitMs({
+      running: [{ predictedMs: 5 * MIN, startedAt: now - 20 * MIN }], queued: [], workers: 1, now,
+    });
+    assert(overrun === MIN, "overrunning job still counts a minute");
+  });
+
+  test("toMinutes rounds up to at least a minute", () => {
+    assert(jobEta.toMinutes(0) === 0, "zero stays zero");
+    assert(jobEta.toMinutes(5000) === 1, "seconds round to one minute");
+    assert(jobEta.toMinutes(7.4 * MIN) === 7, "rounds to nearest minute");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-job-eta] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,15 +1,23 @@
 "use strict";
 
-// [test-job-queue] Tests for skills/shared/job-queue.js (QUEUE-01 through QUEUE-04)
+// [test-job-queue] Tests for skills/shared/job-queue.js (QUEUE-01 through QUEUE-11)
 // Guard: if job-queue.js does not exist yet, skip all tests gracefully.
 
-let enqueueEstimate, getStatus, queue;
+// Hung jobs (QUEUE-08, QUEUE-09) keep their browser worker for the abort grace
+// period — short here so the jobs behind them don't wait a minute
+process.env.ESTIMATE_ABORT_GRACE_MS = "50";
+
+let enqueueEstimate, getStatus, cancelEstimate, queue, recoverJobs, getJobHistory, jobStore;
 
 try {
   const mod = require("../../skills/shared/job-queue");
   enqueueEstimate = mod.enqueueEstimate;
   getStatus = mod.getStatus;
+  cancelEstimate = mod.cancelEstimate;
   queue = mod.queue;
+  recoverJobs = mod.recoverJobs;
+  getJobHistory = mod.getJobHistory;
+  jobStore = require("../../skills/shared/job-store");
 } catch (err) {
   console.log("[test-job-queue] WARNING: job-queue.js not yet created — skipping");
   process.exit(0);
@@ -165,6 +173,194 @@ async function runTests() {
     assert(status === null, "getStatus should return null for unknown userId");
   });
 
+  // QUEUE-05: jobs recorded with status, timings and result pointer
+  test("job history records done and failed jobs with timings and result pointer", async () => {
+    const chatId = "hist-" + Date.now();
+    const params = { year: 2019, make: "Honda", model: "Civic", query: "P0420", progressCallback: async () => {} };
+    await enqueueEstimate(`telegram:${chatId}`, async () => ({ runId: "run1", estimate: { estimateCode: "RO-7", total: 842.5 } }), {
+      record: { platform: "telegram", chatId, params },
+    });
+    await enqueueEstimate(`telegram:${chatId}`, async () => { throw new Error("boom"); }, {
+      record: { platform: "telegram", chatId, params },
+    }).catch(() => {});
+
+    const [failed, done] = await getJobHistory({ platform: "telegram", chatId });
+    assert(done.status === "done" && done.result_ref.estimateCode === "RO-7" && done.result_ref.total === 842.5, "done row + result pointer");
+    assert(done.started_at && done.finished_at && done.duration_ms >= 0, "timings");
+    assert(done.params.make === "Honda" && !("progressCallback" in done.params), "params stored without callbacks");
+    assert(failed.status === "failed" && failed.error === "boom", "failed row keeps the error");
+  });
+
+  // QUEUE-06: restart recovery — running job failed, queued jobs re-queued in order
+  test("recoverJobs fails running jobs, re-queues queued ones in order, notifies chats", async () => {
+    const platform = "recover-" + Date.now();
+    const params = { year: 2020, make: "Toyota", model: "Camry", query: "oil change" };
+    const running = await jobStore.createJob({ userId: `${platform}:A`, platform, chatId: "A", params });
+    await jobStore.updateJob(running.id, { status: "running", started_at: new Date().toISOString() });
+    const queuedB = await jobStore.createJob({ userId: `${platform}:B`, platform, chatId: "B", params });
+    const queuedC = await jobStore.createJob({ userId: `${platform}:C`, platform, chatId: "C", params: null });
+    await jobStore.createJob({ userId: `${platform}:D`, platform, chatId: "D", params });
+
+    const notices = [];
+    const resumed = [];
+    const result = await recoverJobs({
+      platform,
+      notify: async (chatId, text) => { notices.push({ chatId, text }); },
+      resume: (row) => enqueueEstimate(row.user_id, async () => { resumed.push(row.chat_id); return { ok: true }; }, { jobId: row.id }),
+    });
+    await queue.onIdle();
+
+    assert(result.requeued === 2 && result.failed === 2, `counts ${JSON.stringify(result)}`);
+    assert(resumed.join(",") === "B,D", "queued jobs with params re-run in order");
+    const rows = await getJobHistory({ platform });
+    const byId = Object.fromEntries(rows.map((r) => [r.id, r]));
+    assert(rows.length === 4, "re-queued jobs reuse their rows");
+    assert(byId[running.id].status === "failed" && byId[running.id].error === "Interrupted by restart", "running → failed");
+    assert(byId[queuedB.id].status === "done", "re-queued job completes on the same row");
+    assert(byId[queuedC.id].status === "failed", "queued without params → failed");
+    assert(notices.length === 4 && notices[0].chatId === "A" && notices[0].text.includes("2020 Toyota Camry"), "chats notified");
+    assert(notices[1].text.includes("back in the queue") && notices[0].text.includes("Send the job again"), "notice wording");
+  });
+
+  // QUEUE-07: Cancelling a queued job drops it without ever running it
+  test("cancel removes a queued job", async () => {
+    const platform = "test-cancel-q-" + Date.now();
+    let release;
+    const blocker = enqueueEstimate(platform + ":blocker", () => new Promise((r) => { release = r; }), {});
+    await new Promise((r) => setImmediate(r));
+
+    let ran = false;
+    const waiting = enqueueEstimate(platform + ":w", async () => { ran = true; }, {
+      record: { platform, chatId: "w", params: { query: "brakes" } },
+    });
+    await new Promise((r) => setImmediate(r));
+    const cancelled = cancelEstimate(platform + ":w");
+    assert(cancelled && cancelled.status === "queued", "reports queued job cancelled");
+    let err = null;
+    await waiting.catch((e) => { err = e; });
+    assert(err && err.reason_code === "CANCELLED", "enqueue promise rejects with CANCELLED");
+    assert(getStatus(platform + ":w") === null, "no longer in the queue");
+    assert(cancelEstimate(platform + ":w") === null, "second cancel is a no-op");
+
+    release({ ok: true });
+    await blocker;
+    await new Promise((r) => setTimeout(r, 10));
+    assert(ran === false, "cancelled job never ran");
+    const [row] = await getJobHistory({ platform });
+    assert(row && row.status === "cancelled", "history row marked cancelled");
+  });
+
+  // QUEUE-08: Cancelling the running job aborts its signal and frees the queue
+  test("cancel aborts the running job", async () => {
+    const platform = "test-cancel-r-" + Date.now();
+    let seenSignal = null;
+    const running = enqueueEstimate(platform + ":r", ({ signal }) => {
+      seenSignal = signal;
+      return new Promise(() => {}); // never settles on its own
+    }, { record: { platform, chatId: "r", params: {} } });
+    const next = enqueueEstimate(platform + ":n", async () => "next", {});
+    await new Promise((r) => setImmediate(r));
+
+    const cancelled = cancelEstimate(platform + ":r");
+    assert(cancelled && cancelled.status === "running", "reports running job cancelled");
+    let err = null;
+    await running.catch((e) => { err = e; });
+    assert(seenSignal && seenSignal.aborted, "job signal aborted");
+    assert(err && err.reason_code === "CANCELLED", "rejects with CANCELLED");
+    assert(await next === "next", "queue moves on to the next job");
+    await new Promise((r) => setTimeout(r, 10));
+    const [row] = await getJobHistory({ platform });
+    assert(row && row.status === "cancelled", "history row marked cancelled");
+  });
+
+  // QUEUE-09: A job over its time limit is aborted and recorded as timed_out
+  test("job time limit aborts a hung job", async () => {
+    const platform = "test-timeout-" + Date.now();
+    let err = null;
+    await enqueueEstimate(platform + ":t", () => new Promise(() => {}), {
+      record: { platform, chatId: "t", params: {} },
+      timeoutMs: 30,
+    }).catch((e) => { err = e; });
+    assert(err && err.reason_code === "JOB_TIMEOUT", "rejects with JOB_TIMEOUT");
+    assert(/timed out/i.test(err.message), "message says timed out");
+    assert(getStatus(platform + ":t") === null, "slot released");
+    await new Promise((r) => setTimeout(r, 10));
+    const [row] = await getJobHistory({ platform });
+    assert(row && row.status === "timed_out", "history row marked timed_out");
+  });
+
+  // QUEUE-10: Run times from the pipeline metric drive wait estimates; waiting chats get live ETAs
+  test("wait estimates learn from run metrics and update as jobs ahead finish", async () => {
+    const platform = "test-eta-" + Date.now();
+    const record = (chatId, query) => ({ platform, chatId, params: { query } });
+
+    // Three maintenance runs of 2 minutes each, as reported by buildEstimate's metrics
+    for (let i = 0; i < 3; i++) {
+      await enqueueEstimate(`${platform}:learn${i}`, async () => ({
+        metrics: { total_runtime_ms: 120000, request_type: "maintenance" },
+      }), { record: record(`learn${i}`, "oil change") });
+    }
+    await new Promise((r) => setTimeout(r, 10));
+    const [row] = await getJobHistory({ platform });
+    assert(row.request_type === "maintenance" && row.runtime_ms === 120000, "metric stored on the job row");
+
+    let release;
+    const first = enqueueEstimate(`${platform}:a`, () => new Promise((r) => { release = r; }), { record: record("a", "oil change") });
+    await new Promise((r) => setImmediate(r));
+    const noticesB = [];
+    const noticesC = [];
+    const second = enqueueEstimate(`${platform}:b`, async () => ({}), {
+      record: record("b", "front brake pads"),
+      notifyPosition: (position, waitMinutes, info) => noticesB.push({ position, waitMinutes, update: !!info?.update }),
+    });
+    const third = enqueueEstimate(`${platform}:c`, async () => ({}), {
+      record: record("c", "oil change"),
+      notifyPosition: (position, waitMinutes, info) => noticesC.push({ position, waitMinutes, update: !!info?.update }),
+    });
+
+    assert(noticesB[0].position === 2 && noticesB[0].waitMinutes === 2, `B waits ~2 min, got ${JSON.stringify(noticesB[0])}`);
+    assert(noticesC[0].position === 3 && noticesC[0].waitMinutes === 4, `C waits ~4 min, got ${JSON.stringify(noticesC[0])}`);
+    assert(getStatus(`${platform}:c`).waitMinutes === 4, "getStatus reports the live wait");
+
+    release({});
+    await Promise.all([first, second, third]);
+    assert(noticesB.length === 1, "B starts right away — no update needed");
+    assert(noticesC.length === 2 && noticesC[1].update && noticesC[1].position === 2 && noticesC[1].waitMinutes === 2,
+      `C gets a live update, got ${JSON.stringify(noticesC[1])}`);
+  });
+
+  // QUEUE-11: An aborted job keeps its browser worker until it settles, or until the grace period ends
+  test("aborted job holds its worker until it stops or the grace period ends", async () => {
+    const platform = "test-grace-" + Date.now();
+    let startedAt = 0;
+    const next = () => enqueueEstimate(platform + ":next" + Math.random(), async () => { startedAt = Date.now(); return "next"; }, {});
+
+    // Ignores its signal: the worker is released after abortGraceMs
+    const hung = enqueueEstimate(platform + ":hung", () => new Promise(() => {}), { abortGraceMs: 150 });
+    await new Promise((r) => setImmediate(r));
+    const after = next();
+    const abortedAt = Date.now();
+    cancelEstimate(platform + ":hung");
+    await hung.catch(() => {});
+    assert(await after === "next", "next job runs");
+    assert(startedAt - abortedAt >= 140, `next job waited for the grace period, waited ${startedAt - abortedAt}ms`);
+
+    // Stops when aborted: the worker is released at once
+    startedAt = 0;
+    let stop;
+    const winding = enqueueEstimate(platform + ":wind", () => new Promise((_, reject) => { stop = reject; }), { abortGraceMs: 5000 });
+    await new Promise((r) => setImmediate(r));
+    const quick = next();
+    cancelEstimate(platform + ":wind");
+    await winding.catch(() => {});
+    await new Promise((r) => setTimeout(r, 20));
+    assert(startedAt === 0, "worker held while the job winds down");
+    const stoppedAt = Date.now();
+    stop(new Error("stopped"));
+    assert(await quick === "next", "next job runs");
+    assert(startedAt - stoppedAt < 100, "worker handed on as soon as the job settles");
+  });
+
   // Run all tests
   for (const { name, fn } of tests) {
     try {
@@ -0,0 +1,215 @@
+"use strict";
+
+// [test-llm-client] Tests for skills/shared/llm-client.js — model tiers, the mock
+// provider, caching, per-run / per-shop accounting, and retries + timeouts
+// against a local stand-in for the Anthropic API.
+// Guard: if llm-client.js does not exist yet, skip all tests gracefully.
+
+const http = require("http");
+
+// Usage stays in memory; the chat engine books to this shop
+delete process.env.SUPABASE_URL;
+delete process.env.LLM_PROVIDER;
+process.env.SHOP_ID = "shop-test";
+
+let llm;
+
+try {
+  llm = require("../../skills/shared/llm-client");
+} catch (err) {
+  console.log("[test-llm-client] WARNING: llm-client.js not yet created — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+/** Stand-in for /v1/messages: replies with the next scripted status, or stalls */
+function startApi(script) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      seen.push({ path: req.url, key: req.headers["x-api-key"], body: JSON.parse(body) });
+      const step = script.shift() || 200;
+      if (step === "stall") return; // never answers — the client must time out
+      res.writeHead(step, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(step === 200
+        ? { content: [{ type: "text", text: "from api" }], stop_reason: "end_turn", usage: { input_tokens: 1000, output_tokens: 200 } }
+        : { type: "error", error: { type: "overloaded_error" } }));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => {
+    server.seen = seen;
+    resolve(server);
+  }));
+}
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("models: tiers resolve from the env, with defaults; cost by model family", () => {
+    const saved = process.env.CLAUDE_HAIKU_MODEL;
+    delete process.env.CLAUDE_HAIKU_MODEL;
+    try {
+      assert(llm.resolveModel("haiku") === llm.DEFAULT_MODELS.haiku, "haiku default");
+      process.env.CLAUDE_HAIKU_MODEL = "claude-haiku-test";
+      assert(llm.resolveModel("haiku") === "claude-haiku-test", "CLAUDE_HAIKU_MODEL wins");
+      assert(llm.resolveModel("claude-opus-x") === "claude-opus-x", "model ids pass through");
+    } finally {
+      if (saved === undefined) delete process.env.CLAUDE_HAIKU_MODEL;
+      else process.env.CLAUDE_HAIKU_MODEL = saved;
+    }
+    // 1M in @ $3 + 100k out @ $15
+    assert(llm.estimateCost("claude-sonnet-4-6", { input_tokens: 1e6, output_tokens: 1e5 }) === 4.5, "sonnet pricing");
+    assert(llm.estimateCost("claude-haiku-4-5", { input_tokens: 1e6, output_tokens: 0 }) === 1, "haiku pricing");
+  });
+
+  test("mock provider: deterministic replies, no key or network needed", async () => {
+    const savedKey = process.env.ANTHROPIC_API_KEY;
+    delete process.env.ANTHROPIC_API_KEY;
+    llm.setProvider("mock");
+    try {
+      assert(llm.isConfigured(), "mock counts as configured");
+      const a = await llm.complete("P0420 on a 2019 Civic", { tier: "haiku" });
+      const b = await llm.complete("P0420 on a 2019 Civic", { tier: "haiku" });
+      const c = await llm.complete("P0171 on a 2019 Civic", { tier: "haiku" });
+      assert(a.startsWith("mock response") && a === b, "same request → same reply");
+      assert(a !== c, "different request → different reply");
+
+      llm.setProvider(llm.createMockProvider((req) => [{ type: "tool_use", id: "t1", name: "run_estimate", input: { query: req.messages[0].content } }]));
+      const msg = await llm.client().messages.create({ max_tokens: 50, messages: [{ role: "user", content: "brakes" }] });
+      assert(msg.stop_reason === "tool_use" && msg.content[0].input.query === "brakes", "scripted tool_use reply");
+      assert(msg.model === llm.resolveModel("sonnet"), "sonnet by default");
+    } finally {
+      llm.setProvider(null);
+      if (savedKey !== undefined) process.env.ANTHROPIC_API_KEY = savedKey;
+    }
+  });
+
+  test("accounting: calls are booked to the run context and the shop", async () => {
+    llm.resetUsage();
+    llm.setProvider(llm.createMockProvider(() => ({ content: "ok", usage: { input_tokens: 2000, output_tokens: 400 } })));
+    try {
+      await llm.runWithContext({ runId: "run-a", shopId: "shop-1" }, async () => {
+        await llm.complete("diagnose", { tier: "sonnet" });
+        // Helpers deep in the run don't pass ids — the context carries them
+        await new Promise((r) => setTimeout(r, 1));
+        await llm.complete("pick a MOTOR node", { tier: "haiku" });
+      });
+      await llm.complete("other run", { runId: "run-b", shopId: "shop-1" });
+      await llm.complete("chat turn");
+    } finally {
+      llm.setProvider(null);
+    }
+
+    const runA = llm.getRunUsage("run-a");
+    assert(runA.calls === 2 && runA.input_tokens === 4000 && runA.output_tokens === 800, "both run-a calls counted");
+    // sonnet: 2000×3 + 400×15 = 12000 → $0.012; haiku: 2000×1 + 400×5 = 4000 → $0.004
+    assert(runA.cost_usd === 0.016, `run-a cost 0.016, got ${runA.cost_usd}`);
+    assert(Object.keys(runA.by_model).length === 2, "split by model");
+
+    const shop = await llm.getShopUsage("shop-1");
+    assert(shop.calls === 3, `shop-1 has 3 calls, got ${shop.calls}`);
+    assert((await llm.getShopUsage("shop-test")).calls === 1, "no shop given → SHOP_ID");
+    assert((await llm.getShopUsage("shop-1", { since: Date.now() + 60000 })).calls === 0, "since filters");
+  });
+
+  test("cache: identical cacheable requests reuse the response at no cost", async () => {
+    llm.resetUsage();
+    llm.clearCache();
+    let sent = 0;
+    llm.setProvider(llm.createMockProvider(() => { sent++; return "cached answer"; }));
+    try {
+      const opts = { tier: "haiku", runId: "run-c", cache: true };
+      assert((await llm.complete("same", opts)) === "cached answer", "first call");
+      assert((await llm.complete("same", opts)) === "cached answer", "second call served");
+      await llm.complete("same", { tier: "haiku", runId: "run-c" });
+      await llm.complete("different", opts);
+      assert(sent === 3, `cache skipped one provider call, sent ${sent}`);
+      await llm.complete("expiring", { ...opts, cache: 1 });
+      await new Promise((r) => setTimeout(r, 5));
+      await llm.complete("expiring", { ...opts, cache: 1 });
+      assert(sent === 5, "TTL in ms expires");
+    } finally {
+      llm.setProvider(null);
+    }
+    const usage = llm.getRunUsage("run-c");
+    assert(usage.calls === 6 && usage.cached_calls === 1, "cache hit recorded as a cached call");
+  });
+
+  test("anthropic provider: overloaded → retried; 401 not retried; stalled call times out", async () => {
+    const savedKey = process.env.ANTHROPIC_API_KEY;
+    const savedBase = process.env.ANTHROPIC_BASE_URL;
+    llm.resetUsage();
+    const server = await startApi([529, 200, 401, "stall", "stall"]);
+    process.env.ANTHROPIC_API_KEY = "sk-test";
+    process.env.ANTHROPIC_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const text = await llm.complete("hello", { tier: "haiku", runId: "run-d", retryDelayMs: 5 });
+      assert(text === "from api", "succeeded after a retry");
+      assert(server.seen.length === 2 && server.seen[0].path === "/v1/messages", "two attempts at /v1/messages");
+      assert(server.seen[1].key === "sk-test" && server.seen[1].body.model === llm.resolveModel("haiku"), "key + tier model sent");
+      assert(llm.getRunUsage("run-d").cost_usd === 0.002, "usage from the API response");
+
+      const authErr = await llm.complete("hello", { retryDelayMs: 5 }).catch((e) => e);
+      assert(authErr.reason_code === "AUTH_FAILED" && server.seen.length === 3, "401 fails without retry");
+
+      const started = Date.now();
+      const timeoutErr = await llm.complete("hello", { timeoutMs: 50, maxRetries: 1, retryDelayMs: 5 }).catch((e) => e);
+      assert(timeoutErr.reason_code === "TIMEOUT", `timed out, got ${timeoutErr.message}`);
+      assert(server.seen.length === 5 && Date.now() - started < 2000, "timeout retried once, then gave up");
+    } finally {
+      server.closeAllConnections?.();
+      server.close();
+      if (savedKey === undefined) delete process.env.ANTHROPIC_API_KEY;
+      else process.env.ANTHROPIC_API_KEY = savedKey;
+      if (savedBase === undefined) delete process.env.ANTHROPIC_BASE_URL;
+      else process.env.ANTHROPIC_BASE_URL = savedBase;
+    }
+  });
+
+  test("conversation engine: chat turns go through the shared client", async () => {
+    let processMessage;
+    try {
+      ({ processMessage } = require("../../skills/shared/conversation"));
+    } catch (err) {
+      console.log(`  (conversation.js not loadable: ${err.message} — skipped)`);
+      return;
+    }
+    llm.resetUsage();
+    llm.setProvider(llm.createMockProvider(() => "Hi — what vehicle are we looking at?"));
+    try {
+      const reply = await processMessage("telegram", `llm-${process.pid}`, "hello");
+      assert(reply.text === "Hi — what vehicle are we looking at?", `mock reply used, got ${reply.text}`);
+    } finally {
+      llm.setProvider(null);
+    }
+    const shop = await llm.getShopUsage("shop-test");
+    assert(shop.calls === 1 && shop.by_model[llm.resolveModel("sonnet")], "chat booked to the shop on sonnet");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-llm-client] Results: ${pass} passed, ${fail} failed`);
+  process.exit(fail > 0 ? 1 : 0);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
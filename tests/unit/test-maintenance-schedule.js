@@ -0,0 +1,107 @@
+"use strict";
+
+// [test-maintenance-schedule] Tests for skills/vehicle-specs/scripts/maintenance.js
+// — interval services due at the current mileage from the shop's repair
+// history, and the optional "recommended" lines they become in the formatter.
+// Guard: if maintenance.js can't load, skip all tests gracefully.
+
+let getMaintenanceDue, formatForWhatsApp;
+
+try {
+  ({ getMaintenanceDue } = require("../../skills/vehicle-specs/scripts/maintenance"));
+  ({ formatForWhatsApp } = require("../../skills/whatsapp-gateway/scripts/formatter"));
+} catch (err) {
+  console.log("[test-maintenance-schedule] WARNING: maintenance.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const NOW = new Date("2026-06-01T00:00:00Z");
+const CIVIC = { year: "2016", make: "HONDA", model: "Civic", engineCode: "K20C2", engine: { cylinders: "4" } };
+const PILOT = { year: "2012", make: "Honda", model: "Pilot", engine: { displacement: "3.5L", cylinders: "6" } };
+
+const ids = (list) => list.map((s) => s.service).join(",");
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("no history: services within the interval window are due, never overdue", () => {
+    const low = getMaintenanceDue(CIVIC, "40,000", { now: NOW });
+    assert(ids(low) === "brake_fluid", `only brake fluid at 40k, got ${ids(low)}`);
+
+    const high = getMaintenanceDue(CIVIC, 98500, { now: NOW, laborRate: 150 });
+    assert(ids(high).split(",").sort().join() === "brake_fluid,coolant,spark_plugs,transmission_fluid", `got ${ids(high)}`);
+    assert(high.every((s) => s.status === "due" && s.optional && s.reason.startsWith("No record")), "due, optional, no record");
+    assert(high.find((s) => s.service === "spark_plugs").laborEstimate === 150, "1.0h at $150");
+    assert(!high.some((s) => s.service === "timing_belt"), "K20C2 has a chain");
+
+    assert(getMaintenanceDue(CIVIC, null).length === 0 && getMaintenanceDue(CIVIC, "unknown").length === 0, "no mileage → nothing");
+  });
+
+  test("history: last service places the next one; overdue by miles or time", () => {
+    const repairs = [
+      { repair_description: "Timing belt and water pump", completed_at: "2019-06-01T00:00:00Z", mileage: 20000 },
+      { repair_description: "Maintenance", parts_used: [{ name: "NGK Spark Plug" }], completed_at: "2025-06-01T00:00:00Z", mileage: 108000 },
+      { repair_description: "Brake fluid flush", completed_at: "2025-12-01T00:00:00Z" },
+    ];
+    const due = getMaintenanceDue(PILOT, 126000, { repairs, now: NOW });
+    const belt = due.find((s) => s.service === "timing_belt");
+    assert(belt && belt.status === "overdue" && belt.dueAtMileage === 125000, "J35 belt at 20k + 105k is overdue");
+    assert(due[0].service === "timing_belt", "overdue first");
+    assert(!due.some((s) => s.service === "spark_plugs"), "plugs done at 108k (parts name) not due");
+    assert(!due.some((s) => s.service === "brake_fluid"), "brake fluid 6 months ago not due");
+
+    // Seven years on the belt is overdue even on low miles
+    const old = getMaintenanceDue(PILOT, 60000, { repairs: [{ repair_description: "Timing belt", completed_at: "2018-01-01T00:00:00Z", mileage: 10000 }], now: NOW });
+    assert(old.find((s) => s.service === "timing_belt")?.status === "overdue", "84 months → overdue");
+
+    // No RO mileage: placed by date
+    const dated = getMaintenanceDue(CIVIC, 150000, { repairs: [{ repair_description: "CVT fluid exchange", completed_at: "2024-06-01T00:00:00Z" }], now: NOW });
+    const cvt = dated.find((s) => s.service === "transmission_fluid");
+    assert(!cvt, "CVT fluid ~24k mi ago not due");
+  });
+
+  test("services already on the estimate are skipped", () => {
+    const due = getMaintenanceDue(PILOT, 110000, { exclude: ["Timing belt replacement", "timing belt 2012 pilot"], now: NOW });
+    assert(!due.some((s) => s.service === "timing_belt"), "belt on the estimate");
+    assert(due.some((s) => s.service === "spark_plugs"), "plugs still recommended");
+  });
+
+  test("formatter: recommended lines listed as optional, outside the total", () => {
+    const recommendedServices = getMaintenanceDue(PILOT, 126000, { laborRate: 100, now: NOW });
+    const [msg1] = formatForWhatsApp({
+      vehicle: { year: 2012, make: "Honda", model: "Pilot" },
+      estimate: { total: 250, totalLabor: 100, totalParts: 150 },
+      recommendedServices,
+      warnings: [],
+    });
+    assert(msg1.includes("*Also recommended (optional):*"), "section header");
+    assert(msg1.includes("Timing belt replacement (~$400.00 labor)"), msg1);
+    assert(msg1.includes("*ESTIMATE TOTAL: $250.00*"), "total unchanged");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-maintenance-schedule] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
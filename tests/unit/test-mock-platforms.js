@@ -0,0 +1,168 @@
+"use strict";
+
+// [test-mock-platforms] The REST estimate and ordering paths against the local
+// AutoLeap + PartsTech mock (scripts/mock-platforms.js) — no accounts, no network.
+// The clients read their base URLs at load, so the mock starts before they're required.
+// Guard: if the mock or the clients can't load, skip gracefully.
+
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+let createMockServer, mockEnv;
+
+try {
+  ({ createMockServer, mockEnv } = require("../../scripts/mock-platforms"));
+} catch (err) {
+  console.log("[test-mock-platforms] WARNING: scripts/mock-platforms.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const VIN = "1HGBH41JXMN109186";
+
+async function runTests() {
+  const server = createMockServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  Object.assign(process.env, mockEnv(port));
+  delete process.env.PARTSTECH_USERNAME;
+
+  let autoLeapApi, partsTech, orchestrator;
+  try {
+    autoLeapApi = require("../../skills/autoleap-browser/scripts/autoleap-api");
+    partsTech = require("../../skills/partstech-search/scripts/search");
+    orchestrator = require("../../skills/estimate-builder/scripts/orchestrator");
+  } catch (err) {
+    console.log(`[test-mock-platforms] WARNING: REST clients could not be loaded (${err.message}) — skipping`);
+    server.close();
+    process.exit(0);
+  }
+
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("AutoLeap: token from env; customers created and found by phone", async () => {
+    const token = await autoLeapApi.getToken();
+    assert(token === "mock-autoleap-token", "AUTOLEAP_TOKEN used without Chrome");
+
+    const created = await autoLeapApi.createCustomer(token, { firstName: "Jane", lastName: "Doe", phone: "(555) 123-4567" });
+    assert(created._id && created.fullName === "Jane Doe", "customer created");
+    const found = await autoLeapApi.searchCustomer(token, "555-123-4567");
+    assert(found && found._id === created._id, "found by phone digits");
+    assert((await autoLeapApi.searchCustomer(token, "nobody")) === null, "no match → null");
+  });
+
+  test("AutoLeap: estimate create → get → update → PDF → delete", async () => {
+    const token = await autoLeapApi.getToken();
+    const customer = await autoLeapApi.createCustomer(token, { firstName: "Sam", lastName: "Lee" });
+    const vehicle = await autoLeapApi.createVehicle(token, { customerId: customer._id, year: 2019, make: "Honda", model: "Civic", vin: VIN });
+    assert(vehicle._id, "vehicle created");
+
+    const services = [{ name: "Front brakes", hours: 1.5, rate: 120, parts: [{ partNumber: "BP-1", cost: 50, quantity: 1 }] }];
+    const est = await autoLeapApi.createEstimate(token, { customerId: customer._id, vehicleId: vehicle._id, services });
+    assert(est._id && est.code, "estimate created with a code");
+    assert(est.vehicle.vehicleId.name === "2019 Honda Civic", "vehicle linked");
+
+    let got = await autoLeapApi.getEstimate(token, est._id);
+    assert(got.total.grand === 230, `1.5h × $120 + $50 parts = 230, got ${got.total.grand}`);
+
+    await autoLeapApi.updateEstimate(token, est._id, { services: [{ ...services[0], hours: 2 }] });
+    got = await autoLeapApi.getEstimate(token, est._id);
+    assert(got.total.labor === 240 && got.total.grand === 290, "totals follow the update");
+
+    const out = path.join(os.tmpdir(), `mock-estimate-${process.pid}.pdf`);
+    try {
+      assert((await autoLeapApi.downloadEstimatePDF(token, est._id, out)) === out, "PDF via REST");
+      assert(fs.readFileSync(out).subarray(0, 5).toString() === "%PDF-", "a PDF file");
+    } finally {
+      fs.rmSync(out, { force: true });
+    }
+
+    assert(await autoLeapApi.deleteEstimate(token, est._id), "deleted");
+    assert((await autoLeapApi.getEstimate(token, est._id)) === null, "gone after delete");
+    assert(!(await autoLeapApi.deleteEstimate(token, est._id)), "second delete refused");
+  });
+
+  test("PartsTech: search returns Good / Better / Best with orderable ids", async () => {
+    const found = await partsTech.searchMultipleParts(VIN, [{ partType: "brake pads", position: "front" }]);
+    const item = found.bestValueBundle.parts[0];
+    assert(item.selected && item.selected.partId && item.selected.supplierId, "pick carries partId + supplierId");
+    assert(item.tiers.good && item.tiers.better && item.tiers.best, "all three tiers");
+    assert(item.tiers.best.type === "OEM" && item.tiers.better.brand === "Bosch", "tiers by brand line");
+
+    const oemOnly = await partsTech.searchParts({ vin: VIN, partType: "rotor", includeAftermarket: false });
+    assert(oemOnly.resultCount === 1 && oemOnly.allParts?.[0]?.type !== "Aftermarket", "filters honoured");
+  });
+
+  test("ordering: handleOrderRequest uses the REST cart only when opted in, and orders only its own lines", async () => {
+    const found = await partsTech.searchMultipleParts(VIN, [
+      { partType: "brake pads", position: "front", qty: 1 },
+      { partType: "rotor", position: "front", qty: 2 },
+    ]);
+    const results = {
+      vehicle: { vin: VIN, year: 2019, make: "Honda", model: "Civic" },
+      parts: { bestValueBundle: found.bestValueBundle },
+      estimate: { estimateCode: "1042" },
+    };
+
+    delete process.env.PARTSTECH_API_ORDERING;
+    const off = await orchestrator.handleOrderRequest(results);
+    assert(!off.success && /PARTSTECH_API_ORDERING/.test(off.error) && server.store.cart.length === 0, "off without the opt-in");
+    process.env.PARTSTECH_API_ORDERING = "1";
+
+    // Another advisor's line already in the shop's cart
+    const [other] = found.bestValueBundle.parts;
+    await partsTech.addToCart([{ partId: other.selected.partId, supplierId: other.selected.supplierId, quantity: 1 }]);
+
+    const order = await orchestrator.handleOrderRequest(results);
+    assert(order.success, `order placed: ${order.error}`);
+    assert(order.added.length === 2 && order.failed.length === 0, "both parts added");
+    assert(order.cart_summary.item_count === 3, "cart held both lines and the other one");
+
+    const placed = server.store.orders[0];
+    assert(placed && placed.poNumber === "1042" && order.order.orderId === placed.orderId, "order carries the RO number");
+    assert(placed.items.length === 2, "only the lines this order added");
+    assert(placed.items.find((i) => i.partId.includes("rotor")).quantity === 2, "quantity from the request");
+    assert(server.store.cart.length === 1, "the other line stays in the cart");
+  });
+
+  test("ordering: parts without PartsTech ids aren't ordered; requests need auth", async () => {
+    const order = await orchestrator.handleOrderRequest({
+      vehicle: { vin: VIN, year: 2019, make: "Honda", model: "Civic" },
+      parts: { bestValueBundle: { parts: [{ requested: { partType: "brake pads" }, selected: { partNumber: "X1", brand: "Akebono" } }] } },
+    });
+    assert(!order.success && order.failed.length === 1, "browser-priced part not orderable via API");
+
+    const status = await new Promise((resolve, reject) => {
+      http.get(`http://127.0.0.1:${port}/partstech/v1/cart`, (res) => { res.resume(); resolve(res.statusCode); }).on("error", reject);
+    });
+    assert(status === 401, "no Authorization → 401");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  server.close();
+  console.log(`\n[test-mock-platforms] Results: ${pass} passed, ${fail} failed`);
+  process.exit(fail > 0 ? 1 : 0);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -21,8 +21,10 @@ async function runTests() {
   const serverPath = path.join(process.cwd(), "skills/telegram-gateway/scripts/server.js");
   const diagnosePath = path.join(process.cwd(), "skills/ai-diagnostics/scripts/diagnose.js");
   const motorNavPath = path.join(process.cwd(), "skills/autoleap-browser/scripts/helpers/motor-nav.js");
+  const llmClientPath = path.join(process.cwd(), "skills/shared/llm-client.js");
+  const conversationPath = path.join(process.cwd(), "skills/shared/conversation.js");
 
-  let server, diagnose, motorNav;
+  let server, diagnose, motorNav, llmClient, conversation;
   try {
     server = fs.readFileSync(serverPath, "utf8");
   } catch (e) {
@@ -38,6 +40,16 @@ async function runTests() {
   } catch (e) {
     motorNav = null;
   }
+  try {
+    llmClient = fs.readFileSync(llmClientPath, "utf8");
+  } catch (e) {
+    llmClient = null;
+  }
+  try {
+    conversation = fs.readFileSync(conversationPath, "utf8");
+  } catch (e) {
+    conversation = null;
+  }
 
   // MODEL-01: server.js must not contain deprecated claude-3-haiku-20240307
   test("server.js does NOT contain deprecated claude-3-haiku-20240307", () => {
@@ -57,21 +69,22 @@ async function runTests() {
     );
   });
 
-  // MODEL-01: CLAUDE_SONNET_MODEL env var referenced in server.js or shared conversation.js
-  // After Plan 02-03 refactor, processMessage moved to conversation.js which server.js imports.
-  // The model ID env var now lives in conversation.js — check either file.
-  test("server.js or conversation.js contains process.env.CLAUDE_SONNET_MODEL", () => {
-    if (!server) throw new Error("FAIL: server.js not found at " + serverPath);
-    const conversationPath = path.join(process.cwd(), "skills/shared/conversation.js");
-    let conversation = null;
-    try { conversation = fs.readFileSync(conversationPath, "utf8"); } catch (_) {}
-    const serverHasRef = server.includes("process.env.CLAUDE_SONNET_MODEL");
-    const conversationHasRef = conversation && conversation.includes("process.env.CLAUDE_SONNET_MODEL");
-    // server.js imports conversation.js — model ID ownership is in the shared module
-    assert(
-      serverHasRef || conversationHasRef,
-      "process.env.CLAUDE_SONNET_MODEL must appear in server.js or conversation.js (shared engine)"
-    );
+  // MODEL-01: model selection lives in the shared LLM client (skills/shared/llm-client.js);
+  // server.js, conversation.js and the skills ask it for a tier instead of reading the env themselves.
+  test("llm-client.js resolves models from CLAUDE_SONNET_MODEL and CLAUDE_HAIKU_MODEL", () => {
+    if (!llmClient) throw new Error("FAIL: llm-client.js not found at " + llmClientPath);
+    assert(llmClient.includes("process.env.CLAUDE_SONNET_MODEL"), "llm-client.js must read process.env.CLAUDE_SONNET_MODEL");
+    assert(llmClient.includes("process.env.CLAUDE_HAIKU_MODEL"), "llm-client.js must read process.env.CLAUDE_HAIKU_MODEL");
+    assert(!llmClient.includes("claude-3-haiku-20240307"), "llm-client.js must not default to the deprecated haiku ID");
+  });
+
+  test("conversation.js, diagnose.js and motor-nav.js call Claude only through llm-client", () => {
+    for (const [name, src] of [["conversation.js", conversation], ["diagnose.js", diagnose], ["motor-nav.js", motorNav]]) {
+      if (!src) throw new Error(`FAIL: ${name} not found`);
+      assert(src.includes("llm-client"), `${name} must use skills/shared/llm-client.js`);
+      assert(!src.includes("api.anthropic.com"), `${name} must not call the Anthropic API directly`);
+      assert(!/["']claude-(sonnet|haiku|opus)[^"']*["']/.test(src), `${name} must not hardcode a model ID`);
+    }
   });
 
   // MODEL-02: diagnose.js must not hardcode sonnet model ID
@@ -90,16 +103,7 @@ async function runTests() {
     const hasHardcodedConst = /const\s+CLAUDE_MODEL\s*=\s*["']claude-[^"']+["']/.test(diagnose);
     assert(
       !hasHardcodedConst,
-      "diagnose.js must not assign a hardcoded model string to CLAUDE_MODEL — use process.env.CLAUDE_SONNET_MODEL"
-    );
-  });
-
-  // MODEL-02: diagnose.js must reference CLAUDE_SONNET_MODEL env var
-  test("diagnose.js contains process.env.CLAUDE_SONNET_MODEL", () => {
-    if (!diagnose) throw new Error("FAIL: diagnose.js not found at " + diagnosePath);
-    assert(
-      diagnose.includes("process.env.CLAUDE_SONNET_MODEL"),
-      "diagnose.js should use process.env.CLAUDE_SONNET_MODEL instead of a hardcoded model string"
+      "diagnose.js must not assign a hardcoded model string to CLAUDE_MODEL — use llm-client's resolveModel()"
     );
   });
 
@@ -119,16 +123,7 @@ async function runTests() {
     const hasHardcodedHaiku = /"claude-haiku[^"]*"/.test(motorNav);
     assert(
       !hasHardcodedHaiku,
-      "motor-nav.js must not contain a hardcoded haiku model string — use process.env.CLAUDE_HAIKU_MODEL"
-    );
-  });
-
-  // MODEL-03: motor-nav.js must reference CLAUDE_HAIKU_MODEL env var
-  test("motor-nav.js contains process.env.CLAUDE_HAIKU_MODEL", () => {
-    if (!motorNav) throw new Error("FAIL: motor-nav.js not found at " + motorNavPath);
-    assert(
-      motorNav.includes("process.env.CLAUDE_HAIKU_MODEL"),
-      "motor-nav.js should use process.env.CLAUDE_HAIKU_MODEL instead of a hardcoded model string"
+      "motor-nav.js must not contain a hardcoded haiku model string — use llm-client's haiku tier"
     );
   });
 
@@ -0,0 +1,189 @@
+"use strict";
+
+// [test-orchestrator-jobs] Tests for multi-job splitting, canned-job matching and per-job approval in skills/estimate-builder/scripts/orchestrator.js
+// Guard: if the orchestrator can't load (missing optional deps), skip gracefully.
+
+let splitJobs, mergeJobParts, applyJobApprovals, handleApprovalAndOrder, matchCannedJob, cannedJobPartsNeeded;
+
+try {
+  const orchestrator = require("../../skills/estimate-builder/scripts/orchestrator");
+  splitJobs = orchestrator.splitJobs;
+  mergeJobParts = orchestrator.mergeJobParts;
+  applyJobApprovals = orchestrator.applyJobApprovals;
+  handleApprovalAndOrder = orchestrator.handleApprovalAndOrder;
+  matchCannedJob = orchestrator.matchCannedJob;
+  cannedJobPartsNeeded = orchestrator.cannedJobPartsNeeded;
+} catch (err) {
+  console.log("[test-orchestrator-jobs] WARNING: orchestrator.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("splitJobs: DTC plus brakes plus oil change → three jobs", () => {
+    const jobs = splitJobs("P0420 plus front brakes plus oil change");
+    assert(jobs.length === 3, `expected 3 jobs, got ${jobs.length}`);
+    assert(jobs[0].type === "diagnostic", "first job is diagnostic");
+    assert(jobs[0].dtcCodes.includes("P0420"), "DTC stays with its job");
+    assert(jobs[1].query === "front brakes", `brakes query, got "${jobs[1].query}"`);
+    assert(jobs[2].query === "oil change", `oil query, got "${jobs[2].query}"`);
+    assert(jobs[2].type === "maintenance", "oil change is maintenance");
+  });
+
+  test("splitJobs: single concern keeps the original query", () => {
+    const q = "P0420 catalyst efficiency below threshold";
+    const jobs = splitJobs(q);
+    assert(jobs.length === 1, "one job");
+    assert(jobs[0].query === q, "query unchanged");
+    assert(jobs[0].type === "diagnostic", "type from classifyRequest");
+  });
+
+  test("splitJobs: 'and' inside one concern does not split it", () => {
+    assert(splitJobs("front and rear brakes").length === 1, "front and rear brakes");
+    assert(splitJobs("check engine light on, code P0301 and rough idle").length === 1, "symptoms stay with DTC");
+  });
+
+  test("splitJobs: same system mentioned twice merges into one job", () => {
+    const jobs = splitJobs("brake pads, oil change, and rotors");
+    assert(jobs.length === 2, `expected 2 jobs, got ${jobs.length}`);
+    assert(jobs[0].query.includes("rotors"), "rotors joined the brake job");
+  });
+
+  test("splitJobs: empty query returns one general job", () => {
+    const jobs = splitJobs("");
+    assert(jobs.length === 1 && jobs[0].type === "general", "one general job");
+  });
+
+  const OIL_CHANGE = {
+    id: "cj-1",
+    name: "Oil Change — Toyota Camry",
+    frequency: 14,
+    line_items: [
+      { description: "Oil Change", type: "labor", hours: 0.5 },
+      { description: "Oil Filter", type: "part", partNumber: "90915-YZZD1", avgCost: 6.5 },
+      { description: "5W-30 Synthetic Oil", type: "part", avgCost: 28 },
+    ],
+  };
+
+  test("matchCannedJob: 'oil change 2020 Camry' matches a frequent canned job", () => {
+    const [job] = splitJobs("oil change 2020 Camry");
+    const match = matchCannedJob(job, [{ ...OIL_CHANGE, name: "Front Brake Job — Toyota Camry" }, OIL_CHANGE]);
+    assert(match && match.id === "cj-1", `matched ${match?.name}`);
+  });
+
+  test("matchCannedJob: no confident match → full pipeline", () => {
+    assert(matchCannedJob(splitJobs("oil leak from the pan")[0], [OIL_CHANGE]) === null, "'oil' alone is not an oil change");
+    assert(matchCannedJob(splitJobs("oil change")[0], [{ ...OIL_CHANGE, frequency: 2 }]) === null, "too few repairs");
+    assert(matchCannedJob(splitJobs("oil change")[0], [{ ...OIL_CHANGE, line_items: [] }]) === null, "no labor to quote");
+    assert(matchCannedJob(splitJobs("P0420")[0], [OIL_CHANGE]) === null, "diagnostic job");
+  });
+
+  test("cannedJobPartsNeeded: template parts become the parts search list", () => {
+    const parts = cannedJobPartsNeeded(OIL_CHANGE);
+    assert(parts.length === 2, `two parts, got ${parts.length}`);
+    assert(parts[0].partType === "Oil Filter" && parts[0].qty === 1 && parts[0].partNumber === "90915-YZZD1", "oil filter");
+  });
+
+  test("mergeJobParts: tags bundle items with jobIndex and sums totals", () => {
+    const merged = mergeJobParts([
+      { parts: { bestValueBundle: { parts: [{ requested: { partType: "oxygen sensor" }, selected: { price: 80 } }], totalCost: 80, allInStock: true, suppliers: ["AutoZone"] }, individualResults: [{ a: 1 }] } },
+      { parts: null },
+      { parts: { bestValueBundle: { parts: [{ requested: { partType: "oil filter" }, selected: { price: 8.5 } }], totalCost: 8.5, allInStock: false, suppliers: ["AutoZone", "NAPA"] }, individualResults: [] } },
+    ]);
+    const items = merged.bestValueBundle.parts;
+    assert(items.length === 2, "two items");
+    assert(items[0].jobIndex === 0 && items[1].jobIndex === 2, "jobIndex follows job position");
+    assert(merged.bestValueBundle.totalCost === 88.5, `totalCost ${merged.bestValueBundle.totalCost}`);
+    assert(merged.bestValueBundle.allInStock === false, "allInStock false if any job is not");
+    assert(merged.bestValueBundle.suppliers.length === 2, "suppliers de-duplicated");
+    assert(merged.individualResults.length === 1, "individualResults concatenated");
+  });
+
+  test("mergeJobParts: returns null when no job has parts", () => {
+    assert(mergeJobParts([{ parts: null }, {}]) === null, "null");
+  });
+
+  // ── Per-job approval ──────────────────────────────────────────────────────
+
+  function makeResults() {
+    return {
+      jobs: [
+        { name: "P0420", query: "P0420", system: "diagnostic", dtcCodes: ["P0420"] },
+        { name: "Front brakes", query: "front brakes", system: "brakes", dtcCodes: [] },
+        { name: "Oil change", query: "oil change", system: "oil", dtcCodes: [] },
+      ],
+      parts: {
+        bestValueBundle: {
+          parts: [
+            { jobIndex: 0, requested: { partType: "catalytic converter" }, selected: { partNumber: "CAT1" } },
+            { jobIndex: 1, requested: { partType: "brake pads" }, selected: { partNumber: "PAD1" } },
+          ],
+        },
+      },
+    };
+  }
+
+  test("applyJobApprovals: 'approved the brakes, declined the cat' marks lines and defers the cat", () => {
+    const results = makeResults();
+    const outcome = applyJobApprovals(results, { approved: ["the brakes"], declined: ["the cat"] });
+    assert(outcome.unmatched.length === 0, "all refs matched");
+    assert(results.jobs[1].approval === "approved", "brakes approved");
+    assert(results.jobs[0].approval === "declined", "cat matched via part type and declined");
+    assert(results.jobs[0].deferred === true && results.jobs[0].deferredAt, "declined job deferred with timestamp");
+    assert(results.jobs[2].approval === "pending", "unmentioned job stays pending when approvals are listed");
+  });
+
+  test("applyJobApprovals: only declines → the rest is approved", () => {
+    const results = makeResults();
+    applyJobApprovals(results, { declined: ["2"] });
+    assert(results.jobs[1].approval === "declined", "job 2 declined by number");
+    assert(results.jobs[0].approval === "approved" && results.jobs[2].approval === "approved", "others approved");
+  });
+
+  test("applyJobApprovals: no refs approves everything", () => {
+    const results = makeResults();
+    const outcome = applyJobApprovals(results);
+    assert(outcome.approved.length === 3 && outcome.declined.length === 0, "all approved");
+  });
+
+  test("applyJobApprovals: unknown ref changes nothing and is reported", () => {
+    const results = makeResults();
+    const outcome = applyJobApprovals(results, { approved: ["transmission"] });
+    assert(outcome.unmatched[0] === "transmission", "unmatched reported");
+    assert(results.jobs.every((j) => !j.approval), "no state recorded");
+  });
+
+  test("handleApprovalAndOrder: everything declined orders nothing", async () => {
+    const results = makeResults();
+    const outcome = await handleApprovalAndOrder(results, { declined: ["1", "2", "3"] });
+    assert(outcome.success && outcome.nothingToOrder, "nothing to order");
+    assert(outcome.approval.declined.length === 3, "all deferred");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-orchestrator-jobs] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
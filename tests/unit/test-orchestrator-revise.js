@@ -0,0 +1,205 @@
+"use strict";
+
+// [test-orchestrator-revise] Tests for estimate revisions in skills/estimate-builder/scripts/orchestrator.js
+// Runs without AutoLeap (no AUTOLEAP_EMAIL) — matrix-fallback pricing, local totals, no PDF or sync.
+// Guard: if the orchestrator can't load (missing optional deps), skip gracefully.
+
+let reviseEstimate, applyRevision, applyPartTiers, applySupplierRanking;
+
+try {
+  const orchestrator = require("../../skills/estimate-builder/scripts/orchestrator");
+  reviseEstimate = orchestrator.reviseEstimate;
+  applyRevision = orchestrator.applyRevision;
+  applyPartTiers = orchestrator.applyPartTiers;
+  applySupplierRanking = orchestrator.applySupplierRanking;
+} catch (err) {
+  console.log("[test-orchestrator-revise] WARNING: orchestrator.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const noSearch = async () => [];
+
+function makeResults() {
+  const pads = { description: "Ceramic Brake Pads", brand: "Wagner", partNumber: "QC1210", price: 40, totalCost: 40, supplier: "AutoZone", type: "Aftermarket", availability: "In Stock" };
+  const oemPads = { description: "Brake Pad Set", brand: "Toyota", partNumber: "04465-06090", price: 90, totalCost: 90, supplier: "Toyota Dealer", type: "OEM", availability: "In Stock" };
+  const napaPads = { description: "Premium Brake Pads", brand: "NAPA", partNumber: "SP1210", price: 55, totalCost: 55, supplier: "NAPA", type: "Aftermarket", availability: "In Stock" };
+  const rotor = { description: "Brake Rotor", brand: "Wagner", partNumber: "BD180", price: 60, totalCost: 60, supplier: "AutoZone", type: "Aftermarket", availability: "In Stock" };
+  return {
+    vehicle: { year: 2018, make: "Toyota", model: "Camry" },
+    jobs: [{ name: "Front brakes", query: "front brakes", system: "brakes", dtcCodes: [] }],
+    laborServices: [{ jobIndex: 0, name: null, procedure: "Brake Pads, Front - R&R", hours: 1.5 }],
+    resolvedLaborRate: 100,
+    parts: {
+      bestValueBundle: {
+        parts: [
+          { jobIndex: 0, requested: { partType: "brake pads", position: "front", qty: 1 }, selected: pads },
+          { jobIndex: 0, requested: { partType: "brake rotor", position: "front", qty: 2 }, selected: rotor },
+        ],
+        totalCost: 160,
+      },
+      individualResults: [
+        { searchTerm: "brake pads front", allParts: [pads, oemPads, napaPads] },
+        { searchTerm: "brake rotor front", allParts: [rotor] },
+      ],
+    },
+  };
+}
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("applyRevision: 'swap to OEM pads' picks the OEM option from the original search", async () => {
+    const results = makeResults();
+    const { applied, errors } = await applyRevision(results, [{ action: "swap_part", part: "pads", tier: "oem" }], { searchPart: noSearch });
+    assert(errors.length === 0, `no errors, got ${errors.join("; ")}`);
+    assert(applied.length === 1, "one change");
+    assert(results.parts.bestValueBundle.parts[0].selected.partNumber === "04465-06090", "OEM pad selected");
+    assert(results.parts.bestValueBundle.parts[1].selected.partNumber === "BD180", "rotor untouched");
+  });
+
+  test("applyRevision: 'use the NAPA part instead' swaps by supplier", async () => {
+    const results = makeResults();
+    await applyRevision(results, [{ action: "swap_part", part: "pads", supplier: "NAPA" }], { searchPart: noSearch });
+    assert(results.parts.bestValueBundle.parts[0].selected.supplier === "NAPA", "NAPA pad selected");
+  });
+
+  test("applyRevision: swap with no matching option falls back to re-search, then reports", async () => {
+    const results = makeResults();
+    let searched = false;
+    const { applied, errors } = await applyRevision(results, [{ action: "swap_part", part: "rotors", tier: "oem" }], {
+      searchPart: async () => { searched = true; return []; },
+    });
+    assert(searched, "re-search attempted");
+    assert(applied.length === 0 && errors[0].includes("OEM"), `error reported: ${errors[0]}`);
+  });
+
+  test("applyRevision: 'drop the rotors' removes the part and updates the bundle total", async () => {
+    const results = makeResults();
+    await applyRevision(results, [{ action: "remove_part", part: "the rotors" }], { searchPart: noSearch });
+    const parts = results.parts.bestValueBundle.parts;
+    assert(parts.length === 1 && parts[0].requested.partType === "brake pads", "rotor removed");
+    assert(results.parts.bestValueBundle.totalCost === 40, `bundle total ${results.parts.bestValueBundle.totalCost}`);
+  });
+
+  test("applyRevision: unknown part is reported, nothing changes", async () => {
+    const results = makeResults();
+    const { applied, errors } = await applyRevision(results, [{ action: "remove_part", part: "caliper" }], { searchPart: noSearch });
+    assert(applied.length === 0 && errors.length === 1, "reported");
+    assert(results.parts.bestValueBundle.parts.length === 2, "parts unchanged");
+  });
+
+  test("reviseEstimate: 'add 0.5 hr diag' re-prices and records version history", async () => {
+    const results = makeResults();
+    const outcome = await reviseEstimate(results, [{ action: "add_labor", hours: 0.5, description: "Diagnostic time" }], { searchPart: noSearch });
+    assert(outcome.success && outcome.version === 2, "v2");
+    assert(results.jobs[0].subtotal.laborHours === 2, `labor hours ${results.jobs[0].subtotal.laborHours}`);
+    assert(results.jobs[0].subtotal.labor === 200, `labor $${results.jobs[0].subtotal.labor}`);
+    // +$50 labor, +$2.50 shop supplies (5% of labor), +$0.19 tax on the supplies (±1¢ rounding)
+    const delta = Math.round((outcome.totalAfter - outcome.totalBefore) * 100) / 100;
+    assert(Math.abs(delta - 52.69) <= 0.011, `delta ${delta}`);
+    assert(results.revisions.length === 1 && results.revisions[0].previous.version === 1, "history kept");
+    assert(results.revisions[0].previous.laborServices.length === 1, "snapshot is the pre-revision state");
+  });
+
+  test("reviseEstimate: matrix-fallback pricing gets full local totals", async () => {
+    const results = makeResults();
+    results.pricing_source = "matrix-fallback";
+    results.estimate = { success: true, pricingSource: "matrix-fallback" };
+    const outcome = await reviseEstimate(results, [{ action: "remove_part", part: "rotors" }], { searchPart: noSearch });
+    assert(outcome.success, "revised");
+    assert(results.totals && results.totals.labor === 150, `labor ${results.totals?.labor}`);
+    assert(results.totals.parts === 64, `$40 pads in the 60% matrix bracket: ${results.totals?.parts}`);
+    assert(results.totals.supplies === 7.5, `supplies ${results.totals?.supplies}`);
+    assert(results.estimate.total === results.totals.total && outcome.totalAfter === results.totals.total, "estimate mirrors local total");
+  });
+
+  test("applyPartTiers: Good / Better / Best picks from the original search", () => {
+    const results = makeResults();
+    results.parts.individualResults[0].allParts[2].warranty = "Limited Lifetime";
+    applyPartTiers(results);
+    const pads = results.parts.bestValueBundle.parts[0];
+    assert(pads.tiers.good.partNumber === "QC1210" && pads.tier === "good", "current pick is Good");
+    assert(pads.tiers.better.partNumber === "SP1210", "lifetime-warranty NAPA pad is Better");
+    assert(pads.tiers.best.partNumber === "04465-06090", "OEM pad is Best");
+    assert(results.parts.bestValueBundle.parts[1].tiers.best === null, "no OEM rotor");
+  });
+
+  test("applySupplierRanking: preferred supplier re-picks, breakdown stored, blacklist honored", () => {
+    const results = makeResults();
+    applySupplierRanking(results, { preferredSuppliers: ["NAPA"] });
+    const pads = results.parts.bestValueBundle.parts[0];
+    assert(pads.selected.partNumber === "SP1210", `preferred NAPA pad picked: ${pads.selected.partNumber}`);
+    assert(pads.score.breakdown.preferred.value === 1 && pads.score.reason.includes("preferred supplier"), pads.score.reason);
+    assert(results.parts.bestValueBundle.totalCost === 175, `bundle total ${results.parts.bestValueBundle.totalCost}`);
+
+    const blocked = makeResults();
+    applySupplierRanking(blocked, { brandBlacklist: ["Wagner"] });
+    assert(blocked.parts.bestValueBundle.parts[0].selected.brand !== "Wagner", "blacklisted pad replaced");
+    assert(blocked.parts.bestValueBundle.parts[1].selected === null, "rotor has only blacklisted options");
+  });
+
+  test("reviseEstimate: 'go with Best' switches parts, keeps per-tier totals", async () => {
+    const results = makeResults();
+    applyPartTiers(results);
+    const outcome = await reviseEstimate(results, [{ action: "choose_tier", option: "best" }], { searchPart: noSearch });
+    assert(outcome.success, "revised");
+    assert(results.parts.bestValueBundle.parts[0].selected.partNumber === "04465-06090", "OEM pad selected");
+    assert(results.parts.bestValueBundle.parts[0].tier === "best", "tier carried on the part");
+    assert(outcome.errors.some((e) => e.includes("brake rotor")), "rotor has no Best option — reported");
+    const opts = results.jobs[0].tierOptions;
+    assert(opts.good && opts.best && !opts.better, "good + best quoted");
+    assert(opts.best.selected && !opts.good.selected, "best is the chosen option");
+    assert(opts.best.complete === false, "best reuses the rotor selection");
+    assert(opts.best.total > opts.good.total, `best $${opts.best.total} > good $${opts.good.total}`);
+    assert(opts.best.total === results.jobs[0].subtotal.total, "chosen option matches the job subtotal");
+  });
+
+  test("reviseEstimate: choose_tier on the current tier changes nothing", async () => {
+    const results = makeResults();
+    applyPartTiers(results);
+    const outcome = await reviseEstimate(results, [{ action: "choose_tier", option: "good" }], { searchPart: noSearch });
+    assert(!outcome.success && outcome.error.startsWith("Already on the Good option"), outcome.error);
+  });
+
+  test("reviseEstimate: successive revisions stack versions", async () => {
+    const results = makeResults();
+    await reviseEstimate(results, [{ action: "swap_part", part: "pads", tier: "oem" }], { searchPart: noSearch });
+    const second = await reviseEstimate(results, [{ action: "set_labor", hours: 1.2 }], { searchPart: noSearch });
+    assert(second.version === 3 && results.revisions.length === 2, "v3 with two history entries");
+    assert(results.revisions[1].previous.parts[0].selected.partNumber === "04465-06090", "v2 snapshot has the OEM pad");
+    assert(results.jobs[0].subtotal.laborHours === 1.2, "labor overridden");
+  });
+
+  test("reviseEstimate: no applicable change leaves the version alone", async () => {
+    const results = makeResults();
+    const outcome = await reviseEstimate(results, [{ action: "remove_part", part: "spark plugs" }], { searchPart: noSearch });
+    assert(!outcome.success && outcome.error.includes("spark plugs"), "error surfaced");
+    assert(!results.version && !results.revisions, "no version recorded");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-orchestrator-revise] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+// [test-parts-tiers] Tests for Good / Better / Best picks in skills/partstech-search/scripts/search.js
+// Pure selection logic — no PartsTech calls.
+
+let findTierOptions, getBrandTier, parseWarrantyMonths;
+
+try {
+  ({ findTierOptions, getBrandTier, parseWarrantyMonths } = require("../../skills/partstech-search/scripts/search"));
+} catch (err) {
+  console.log("[test-parts-tiers] WARNING: search.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+function part(brand, partNumber, totalCost, extra = {}) {
+  return { brand, partNumber, totalCost, price: totalCost, supplier: "AutoZone", type: "Aftermarket", availability: "In Stock", canOrder: true, warranty: "Standard", ...extra };
+}
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("parseWarrantyMonths: lifetime, years, months, days, unknown", () => {
+    assert(parseWarrantyMonths("Limited Lifetime") === 1200, "lifetime");
+    assert(parseWarrantyMonths("2 Year") === 24, "years");
+    assert(parseWarrantyMonths("36 Months") === 36, "months");
+    assert(parseWarrantyMonths("90 Days") === 3, "days");
+    assert(parseWarrantyMonths("Limited 3 Year") === 36, "label before the number");
+    assert(parseWarrantyMonths("Warranty: 24 months") === 24, "prefixed months");
+    assert(parseWarrantyMonths("Standard") === 0 && parseWarrantyMonths(null) === 0, "unknown");
+  });
+
+  test("getBrandTier: OEM, premium aftermarket lines, everything else economy", () => {
+    assert(getBrandTier(part("Toyota", "1", 90, { type: "OEM" })) === "oem", "OEM");
+    assert(getBrandTier(part("Akebono", "2", 60)) === "premium", "Akebono");
+    assert(getBrandTier(part("Bosch QuietCast", "3", 55)) === "premium", "brand line prefix");
+    assert(getBrandTier(part("Duralast", "4", 35)) === "economy", "Duralast");
+  });
+
+  test("findTierOptions: economy, premium and OEM picks from one result set", () => {
+    const tiers = findTierOptions([
+      part("Duralast", "MKD1210", 32),
+      part("Wagner", "QC1210", 38),
+      part("Akebono", "ACT1210", 58, { warranty: "Limited Lifetime" }),
+      part("Bosch", "BC1210", 52),
+      part("Toyota", "04465-06090", 90, { type: "OEM", supplier: "Toyota Dealer" }),
+    ]);
+    assert(tiers.good.partNumber === "MKD1210", `good ${tiers.good.partNumber}`);
+    assert(tiers.better.partNumber === "ACT1210", `better prefers premium + longer warranty: ${tiers.better.partNumber}`);
+    assert(tiers.best.partNumber === "04465-06090", `best ${tiers.best.partNumber}`);
+  });
+
+  test("findTierOptions: longer-warranty economy part can be Better; in stock wins", () => {
+    const tiers = findTierOptions([
+      part("Duralast", "D1", 30),
+      part("Duralast Gold", "D2", 45, { warranty: "Limited Lifetime" }),
+      part("Bosch", "B1", 50, { availability: "Order", canOrder: true }),
+    ]);
+    assert(tiers.good.partNumber === "D1", "good");
+    assert(tiers.better.partNumber === "D2", `in-stock longer warranty beats backordered premium: ${tiers.better.partNumber}`);
+    assert(tiers.best === null, "no OEM in results");
+  });
+
+  test("findTierOptions: only premium aftermarket — Good still gets a pick, Better needs a different part", () => {
+    const tiers = findTierOptions([part("Bosch", "B1", 50)]);
+    assert(tiers.good.partNumber === "B1", "good falls back to any aftermarket");
+    assert(tiers.better === null, "no second option for Better");
+    const empty = findTierOptions([]);
+    assert(!empty.good && !empty.better && !empty.best, "empty results");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-parts-tiers] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
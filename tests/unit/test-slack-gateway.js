@@ -0,0 +1,138 @@
+"use strict";
+
+// [test-slack-gateway] Tests for skills/slack-gateway/scripts/server.js
+// Covers signature verification, Events API / slash-command parsing, Block Kit
+// formatting and progress forwarding through conversation.handleMessage.
+// Guard: if server.js or conversation.js can't load, skip gracefully.
+
+const crypto = require("crypto");
+
+let slack, handleMessage;
+
+try {
+  slack = require("../../skills/slack-gateway/scripts/server");
+  ({ handleMessage } = require("../../skills/shared/conversation"));
+} catch (err) {
+  console.log("[test-slack-gateway] WARNING: slack-gateway/server.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const SECRET = "8f742231b10e8888abcd99yyyzzz85a5";
+
+function sign(body, timestamp, secret = SECRET) {
+  const sig = "v0=" + crypto.createHmac("sha256", secret).update(`v0:${timestamp}:${body}`).digest("hex");
+  return { "x-slack-request-timestamp": String(timestamp), "x-slack-signature": sig };
+}
+
+function mockSessionStore() {
+  const store = new Map();
+  return {
+    getSession(key)       { return store.get(key) || null; },
+    setSession(key, data) { store.set(key, data); },
+    deleteSession(key)    { store.delete(key); },
+  };
+}
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("verifySlackSignature: valid signature passes; tampered, stale or unsigned fail", () => {
+    const now = 1760000000000;
+    const ts = now / 1000;
+    const body = "token=x&command=%2Fsam&text=2019+Civic+P0420";
+    assert(slack.verifySlackSignature(body, sign(body, ts), SECRET, now) === true, "valid");
+    assert(slack.verifySlackSignature(body + "x", sign(body, ts), SECRET, now) === false, "tampered body");
+    assert(slack.verifySlackSignature(body, sign(body, ts, "other"), SECRET, now) === false, "wrong secret");
+    assert(slack.verifySlackSignature(body, sign(body, ts - 600), SECRET, now) === false, "older than 5 minutes");
+    assert(slack.verifySlackSignature(body, {}, SECRET, now) === false, "no headers");
+    assert(slack.verifySlackSignature(body, sign(body, ts), "", now) === false, "no secret configured");
+  });
+
+  test("parseSlackEvent: @mention and DM handled, mention text cleaned", () => {
+    const mention = slack.parseSlackEvent({
+      type: "event_callback",
+      event: { type: "app_mention", channel: "C123", user: "U9", text: "<@U0BOT> 2019 Civic P0420 &amp; front brakes" },
+    });
+    assert(mention.channelId === "C123" && mention.text === "2019 Civic P0420 & front brakes", `mention: ${mention?.text}`);
+    const dm = slack.parseSlackEvent({
+      type: "event_callback",
+      event: { type: "message", channel_type: "im", channel: "D456", user: "U9", text: "status" },
+    });
+    assert(dm.channelId === "D456" && dm.text === "status", "DM");
+  });
+
+  test("parseSlackEvent: bot messages, edits and plain channel messages ignored", () => {
+    const base = { type: "event_callback" };
+    assert(slack.parseSlackEvent({ ...base, event: { type: "message", channel_type: "im", channel: "D1", bot_id: "B1", text: "hi" } }) === null, "bot");
+    assert(slack.parseSlackEvent({ ...base, event: { type: "message", channel_type: "im", channel: "D1", subtype: "message_changed", text: "hi" } }) === null, "edit");
+    assert(slack.parseSlackEvent({ ...base, event: { type: "message", channel_type: "channel", channel: "C1", text: "<@U0BOT> hi" } }) === null, "channel message (mention event handles it)");
+    assert(slack.parseSlackEvent({ type: "url_verification", challenge: "abc" }) === null, "not an event callback");
+  });
+
+  test("parseSlashCommand: channel, user, text from the form body", () => {
+    const cmd = slack.parseSlashCommand("command=%2Fsam&channel_id=C777&user_id=U1&text=2020+Camry+oil+change&response_url=https%3A%2F%2Fhooks.slack.com%2Fx");
+    assert(cmd.command === "/sam" && cmd.channelId === "C777" && cmd.userId === "U1", "ids");
+    assert(cmd.text === "2020 Camry oil change", `text ${cmd.text}`);
+    assert(cmd.responseUrl === "https://hooks.slack.com/x", "response url");
+  });
+
+  test("toBlocks: mrkdwn sections per paragraph, long text split under the limit", () => {
+    const blocks = slack.toBlocks("**2019 Honda Civic**\nP0420\n\n*TOTAL: $842*");
+    assert(blocks.length === 2 && blocks[0].type === "section" && blocks[0].text.type === "mrkdwn", "two sections");
+    assert(blocks[0].text.text.startsWith("*2019 Honda Civic*"), `bold converted: ${blocks[0].text.text}`);
+    const long = slack.toBlocks(Array.from({ length: 200 }, (_, i) => `Line ${i} ${"x".repeat(40)}`).join("\n"));
+    assert(long.length > 1 && long.every((b) => b.text.text.length <= 3000), "split under 3000 chars");
+    assert(slack.toBlocks("").length === 0, "empty");
+  });
+
+  test("handleMessage('slack'): pipeline stages reach onProgress, session keyed by channel", async () => {
+    const sessionStore = mockSessionStore();
+    const stages = [];
+    const toolUse = {
+      stop_reason: "tool_use",
+      content: [{
+        type: "tool_use", name: "run_estimate", id: "tu_slack_1",
+        input: { make: "Toyota", model: "Camry", symptoms: "oil change", customer_name: "Pat Lee", customer_phone: "5551230000" },
+      }],
+    };
+    await handleMessage("slack", "C123", "2020 Camry oil change, Pat Lee 555-123-0000", {
+      claudeClient: { messages: { create: async () => toolUse } },
+      sessionStore,
+      onProgress: async (stage) => { stages.push(stage); },
+      enqueueEstimate: async (userId, jobFn) => jobFn(),
+      buildEstimate_: async (params) => {
+        await params.progressCallback("research_done");
+        await params.progressCallback("building_estimate");
+        return { vehicle: { year: 2020, make: "Toyota", model: "Camry" }, diagnosis: {}, estimate: {}, warnings: [] };
+      },
+    });
+    assert(stages.join(",") === "research_done,building_estimate", `stages ${stages.join(",")}`);
+    assert(sessionStore.getSession("slack::C123")?.lastEstimate, "session stored under the channel");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-slack-gateway] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+// [test-supplier-score] Tests for skills/partstech-search/scripts/supplier-score.js
+// Covers factor scoring, blacklist, preferences, return rates, custom factors and findBestValue(ranking).
+
+let rankParts, explainScore, rankingFromShopConfig, findBestValue;
+
+try {
+  ({ rankParts, explainScore, rankingFromShopConfig } = require("../../skills/partstech-search/scripts/supplier-score"));
+  ({ findBestValue } = require("../../skills/partstech-search/scripts/search"));
+} catch (err) {
+  console.log("[test-supplier-score] WARNING: supplier-score.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+function quote(supplier, totalCost, extra = {}) {
+  return { brand: "Wagner", partNumber: `${supplier}-${totalCost}`, supplier, totalCost, price: totalCost, availability: "In Stock", canOrder: true, supplierDistance: null, ...extra };
+}
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("rankParts: with no preferences the cheapest in-stock part wins", () => {
+    const ranked = rankParts([quote("NAPA", 55), quote("AutoZone", 40), quote("Advance", 35, { availability: "2 days" })]);
+    assert(ranked[0].part.supplier === "AutoZone", `got ${ranked[0].part.supplier}`);
+    assert(ranked[0].breakdown.price.value < 1 && ranked[0].breakdown.availability.value === 1, "breakdown kept");
+  });
+
+  test("rankParts: preferred supplier beats a slightly cheaper one", () => {
+    const ranked = rankParts([quote("AutoZone", 40), quote("O'Reilly Auto Parts", 44)], { preferredSuppliers: ["O'Reilly"] });
+    assert(ranked[0].part.supplier === "O'Reilly Auto Parts", `got ${ranked[0].part.supplier}`);
+    assert(ranked[0].breakdown.preferred.points > 0, "preferred bonus in breakdown");
+  });
+
+  test("rankParts: distance and return rate move the pick", () => {
+    const near = rankParts([quote("A", 40, { supplierDistance: 45 }), quote("B", 42, { supplierDistance: 2 })]);
+    assert(near[0].part.supplier === "B", "closer supplier");
+    const returns = rankParts([quote("A", 40), quote("B", 42)], { returnRates: { A: 0.2, B: 0.01 } });
+    assert(returns[0].part.supplier === "B", "lower return rate");
+    assert(returns[1].breakdown.returns.value === 0, "20% returns scores 0");
+  });
+
+  test("rankParts: blacklisted brands are never picked", () => {
+    const ranked = rankParts([quote("A", 20, { brand: "CheapCo" }), quote("B", 50)], { brandBlacklist: ["cheapco"] });
+    assert(ranked.length === 1 && ranked[0].part.supplier === "B", "blacklisted brand dropped");
+    assert(rankParts([quote("A", 20, { brand: "CheapCo" })], { brandBlacklist: ["CheapCo"] }).length === 0, "nothing left");
+  });
+
+  test("rankParts: custom factors and weights plug in", () => {
+    const ranked = rankParts([quote("A", 40), quote("B", 60, { warranty: "Limited Lifetime" })], {
+      factors: { warranty: (p) => (/lifetime/i.test(p.warranty || "") ? 1 : 0) },
+      weights: { warranty: 100 },
+    });
+    assert(ranked[0].part.supplier === "B", "warranty factor decides");
+    assert(ranked[0].breakdown.warranty.weight === 100, "custom factor in breakdown");
+  });
+
+  test("explainScore / rankingFromShopConfig / findBestValue(ranking)", () => {
+    const ranked = rankParts([quote("NAPA", 40, { supplierDistance: 3 }), quote("AutoZone", 50)], { preferredSuppliers: ["NAPA"] });
+    const text = explainScore(ranked[0], ranked.length);
+    assert(text.includes("in stock") && text.includes("preferred supplier") && text.includes("3 mi") && text.includes("cheapest of 2"), text);
+
+    const ranking = rankingFromShopConfig({ preferences: { preferredSuppliers: ["NAPA"], brandBlacklist: ["Wagner"] } });
+    assert(ranking.preferredSuppliers[0] === "NAPA" && ranking.brandBlacklist[0] === "Wagner", "from shop config");
+    assert(findBestValue([quote("NAPA", 40)], ranking) === null, "blacklist respected by findBestValue");
+    assert(findBestValue([quote("AutoZone", 40), quote("NAPA", 45, { brand: "Bosch" })], ranking).supplier === "NAPA", "ranking used");
+    assert(findBestValue([quote("AutoZone", 40), quote("NAPA", 45)]).supplier === "AutoZone", "no ranking → cheapest");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-supplier-score] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
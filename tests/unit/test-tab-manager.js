@@ -56,6 +56,16 @@ async function runTests() {
     assert(tm.getInfo("tab-6") !== null, "fresh kept");
   });
 
+  test("lease claims a free tab and refuses one held by another run", () => {
+    const tm = new TabManager();
+    assert(tm.lease("tab-7", "autoleap", "run-a") === true, "free tab leased");
+    assert(tm.lease("tab-7", "autoleap", "run-a") === true, "same run can re-lease");
+    assert(tm.lease("tab-7", "autoleap", "run-b") === false, "other run refused");
+    tm.releaseRun("run-a");
+    assert(tm.lease("tab-7", "prodemand", "run-b") === true, "free again after releaseRun");
+    assert(tm.getInfo("tab-7").runId === "run-b", "new owner");
+  });
+
   for (const t of tests) {
     try {
       await t.fn();
@@ -0,0 +1,164 @@
+"use strict";
+
+// [test-totals] Tests for skills/shared/totals.js
+// Worked examples against a fixed shop config (same values as config/shop-config.json).
+
+let totalsModule;
+
+try {
+  totalsModule = require("../../skills/shared/totals");
+} catch (err) {
+  console.log("[test-totals] WARNING: totals.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+const { computeTotals, priceLine, priceUnit, getMarkupPercent, getMatrixPercent, classifyPartType } = totalsModule;
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const SHOP = {
+  shop: { laborRatePerHour: 135, diagnosticFee: 89.99, shopSuppliesPercent: 5, shopSuppliesCap: 35, taxRate: 0.0775 },
+  markup: { partsMarkupPercent: 40, fluidsMarkupPercent: 30, subletMarkupPercent: 20 },
+};
+
+const MATRIX_SHOP = {
+  ...SHOP,
+  markup: {
+    ...SHOP.markup,
+    matrix: {
+      parts: [
+        { upTo: 10, percent: 100 },
+        { upTo: 50, percent: 60 },
+        { upTo: 200, percent: 40 },
+        { upTo: 500, percent: 35 },
+        { upTo: null, percent: 25 },
+      ],
+      tires: [{ upTo: null, percent: 20 }],
+    },
+  },
+};
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("classifyPartType: engine oil is a fluid, oil filter is a part", () => {
+    assert(classifyPartType("engine oil") === "fluid", "engine oil");
+    assert(classifyPartType("ATF") === "fluid", "ATF");
+    assert(classifyPartType("coolant") === "fluid", "coolant");
+    assert(classifyPartType("oil filter") === "part", "oil filter");
+    assert(classifyPartType("oil pan gasket") === "part", "oil pan gasket");
+    assert(classifyPartType("brake pads") === "part", "brake pads");
+  });
+
+  test("getMarkupPercent: per-type markups with defaults", () => {
+    assert(getMarkupPercent("part", SHOP) === 40, "parts");
+    assert(getMarkupPercent("fluid", SHOP) === 30, "fluids");
+    assert(getMarkupPercent("sublet", SHOP) === 20, "sublet");
+    assert(getMarkupPercent("fluid", {}) === 30, "default fluids");
+  });
+
+  test("getMatrixPercent: cost brackets, upper bound exclusive, open-ended last bracket", () => {
+    const brackets = MATRIX_SHOP.markup.matrix.parts;
+    assert(getMatrixPercent(brackets, 4.99) === 100, "under $10");
+    assert(getMatrixPercent(brackets, 10) === 60, "$10 starts the next bracket");
+    assert(getMatrixPercent(brackets, 350) === 35, "$200–$500");
+    assert(getMatrixPercent(brackets, 1200) === 25, "open-ended");
+    assert(getMatrixPercent([{ upTo: 10, percent: 50 }], 20) === null, "no catch-all → null");
+    assert(getMatrixPercent([], 20) === null, "empty matrix → null");
+  });
+
+  test("getMarkupPercent: matrix bracket by unit cost, flat percent without a category matrix", () => {
+    assert(getMarkupPercent("part", MATRIX_SHOP, 8) === 100, "cheap part");
+    assert(getMarkupPercent("part", MATRIX_SHOP, 300) === 35, "expensive part");
+    assert(getMarkupPercent("part", MATRIX_SHOP) === 40, "no cost → flat");
+    assert(getMarkupPercent("fluid", MATRIX_SHOP, 8) === 30, "no fluids matrix → flat fluids");
+    assert(getMarkupPercent("tire", MATRIX_SHOP, 150) === 20, "tires matrix");
+    assert(getMarkupPercent("tire", SHOP, 150) === 40, "tires without matrix → parts percent");
+  });
+
+  test("priceUnit: matrix-priced quotes, explicit retail still wins", () => {
+    assert(priceUnit({ totalCost: 8 }, "part", MATRIX_SHOP) === 16, "$8 at 100%");
+    assert(priceUnit({ totalCost: 300 }, "part", MATRIX_SHOP) === 405, "$300 at 35%");
+    assert(priceUnit({ totalCost: 300, retailPrice: 399 }, "part", MATRIX_SHOP) === 399, "retail");
+    assert(classifyPartType("all-season tires") === "tire" && classifyPartType("TPMS tire sensor") === "part", "tire classification");
+  });
+
+  test("computeTotals: matrix applies to cost lines and tires get their own total", () => {
+    const t = computeTotals([
+      { type: "part", description: "Spark plug", qty: 4, unitCost: 8 },
+      { type: "tire", description: "Tire", qty: 4, unitCost: 120 },
+    ], MATRIX_SHOP);
+    assert(t.parts === 64, `parts ${t.parts}`);
+    assert(t.tires === 576, `tires ${t.tires}`);
+    assert(t.subtotal === 640, `subtotal ${t.subtotal}`);
+  });
+
+  test("priceLine: labor uses the shop rate, parts mark up cost, retail wins", () => {
+    const labor = priceLine({ type: "labor", hours: 1.5 }, SHOP);
+    assert(labor.total === 202.5 && labor.taxable === false, `labor ${labor.total}`);
+    const fluid = priceLine({ type: "fluid", qty: 5, unitCost: 6 }, SHOP);
+    assert(fluid.unitPrice === 7.8 && fluid.total === 39, `fluid ${fluid.total}`);
+    const retail = priceLine({ type: "part", qty: 2, unitCost: 10, unitPrice: 25 }, SHOP);
+    assert(retail.total === 50, `retail ${retail.total}`);
+  });
+
+  test("computeTotals: oil change + brake pads with diagnostic fee", () => {
+    const t = computeTotals([
+      { type: "labor", description: "Front pads R&R", hours: 2 },
+      { type: "part", description: "Brake pads", qty: 1, unitCost: 50 },
+      { type: "part", description: "Oil filter", qty: 1, unitCost: 8 },
+      { type: "fluid", description: "5W-30 engine oil", qty: 5, unitCost: 6 },
+    ], SHOP, { diagnosticFee: true });
+    assert(t.labor === 270, `labor ${t.labor}`);
+    assert(t.parts === 81.2, `parts ${t.parts}`);
+    assert(t.fluids === 39, `fluids ${t.fluids}`);
+    assert(t.diagnosticFee === 89.99, `diag fee ${t.diagnosticFee}`);
+    assert(t.supplies === 13.5, `supplies ${t.supplies}`);
+    assert(t.subtotal === 493.69, `subtotal ${t.subtotal}`);
+    assert(t.taxableSubtotal === 133.7, `taxable ${t.taxableSubtotal}`);
+    assert(t.nonTaxableSubtotal === 359.99, `non-taxable ${t.nonTaxableSubtotal}`);
+    assert(t.tax === 10.36, `tax ${t.tax}`);
+    assert(t.total === 504.05, `total ${t.total}`);
+  });
+
+  test("computeTotals: shop supplies are capped", () => {
+    const t = computeTotals([{ type: "labor", hours: 10 }], SHOP);
+    assert(t.labor === 1350 && t.supplies === 35, `supplies ${t.supplies}`);
+    assert(t.tax === 2.71, `tax on supplies only: ${t.tax}`);
+    assert(t.diagnosticFee === 0, "no diag fee unless asked");
+  });
+
+  test("computeTotals: sublet is marked up but not taxed; taxable flag overrides", () => {
+    const t = computeTotals([
+      { type: "sublet", description: "Alignment", unitCost: 100 },
+      { type: "part", description: "Core return credit", unitPrice: 20, taxable: false },
+    ], SHOP);
+    assert(t.sublet === 120, `sublet ${t.sublet}`);
+    assert(t.taxableSubtotal === 0 && t.tax === 0, `tax ${t.tax}`);
+    assert(t.total === 140, `total ${t.total}`);
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-totals] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+// [test-vehicle-identity] Tests for skills/shared/vehicle-identity.js — engine
+// code resolution from the curated VIN patterns and NHTSA, and matching that
+// identity against MOTOR / ProDemand engine option labels.
+// Guard: if vehicle-identity.js can't load, skip all tests gracefully.
+
+let identityLib;
+
+try {
+  identityLib = require("../../skills/shared/vehicle-identity");
+} catch (err) {
+  console.log("[test-vehicle-identity] WARNING: vehicle-identity.js could not be loaded — skipping");
+  process.exit(0);
+}
+
+const { resolveEngineIdentity, matchEngineOption, engineMismatchWarning } = identityLib;
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const CIVIC_20 = {
+  vin: "19XFC2F59GE000001", year: "2016", make: "HONDA", model: "Civic", source: "nhtsa",
+  engine: { displacement: "2.0L", cylinders: "4", fuelType: "Gasoline", code: "N/A", turbo: null },
+};
+const SILVERADO_53 = {
+  vin: "3GCUKREC5JG000001", year: "2018", make: "CHEVROLET", model: "Silverado 1500", source: "offline",
+  engine: { displacement: "N/A", cylinders: "N/A", fuelType: "N/A", code: "N/A", turbo: null },
+};
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("resolve: curated VIN pattern gives the code, even offline", () => {
+    const civic = resolveEngineIdentity(CIVIC_20);
+    assert(civic.code === "K20C2" && civic.source === "vin_pattern" && civic.turbo === false, `K20C2, got ${civic.code}`);
+    assert(civic.label === "2.0L 4cyl (K20C2)", `label, got ${civic.label}`);
+
+    const truck = resolveEngineIdentity(SILVERADO_53);
+    assert(truck.code === "L83" && truck.vinCode === "C" && truck.displacement === "5.3L", "L83 from position 8");
+    // Same letter on a car outside the pattern's models means nothing
+    assert(resolveEngineIdentity({ ...SILVERADO_53, model: "Malibu" }) === null, "pattern scoped by model");
+  });
+
+  test("resolve: NHTSA code and request specs; conflicting pattern dropped", () => {
+    const nhtsa = resolveEngineIdentity({
+      vin: "2T3W1RFV2LW000001", year: "2020", make: "TOYOTA", model: "RAV4", source: "cache",
+      engine: { displacement: "2.487", cylinders: "4", fuelType: "Gasoline", code: "A25A-FKS" },
+    });
+    assert(nhtsa.code === "A25A-FKS" && nhtsa.displacement === "2.5L" && nhtsa.source === "nhtsa", "NHTSA EngineModel code");
+    assert(resolveEngineIdentity({ ...CIVIC_20, engine: { code: "Gasoline Direct Injection", displacement: "N/A" } }).code === "K20C2",
+      "prose EngineModel ignored, pattern still applies");
+
+    const manual = resolveEngineIdentity({ year: "2012", make: "Ford", model: "Fusion", engine: { displacement: "2.5" } });
+    assert(manual.code === null && manual.displacement === "2.5L" && manual.source === "request", "request displacement only");
+    assert(resolveEngineIdentity({ year: "2012", make: "Ford", model: "Fusion", engine: {} }) === null, "nothing known → null");
+
+    const disagrees = resolveEngineIdentity({ ...CIVIC_20, engine: { ...CIVIC_20.engine, displacement: "1.5L" } });
+    assert(disagrees.code === null && disagrees.displacement === "1.5L", "NHTSA displacement beats a disagreeing pattern");
+  });
+
+  test("match: exact engine picked over the gas heuristic's favourite", () => {
+    const civic = resolveEngineIdentity(CIVIC_20);
+    const motor = ["1.5L L4 DOHC 16V GAS FI Turbo", "2.0L L4 DOHC 16V GAS FI", "2.0L L4 DOHC 16V GAS FI Turbo"];
+    const pick = matchEngineOption(motor, civic);
+    assert(pick.matched && pick.index === 1, `non-turbo 2.0L, got ${pick.index} (${pick.reason})`);
+
+    const truck = resolveEngineIdentity(SILVERADO_53);
+    const prodemand = ["4.3L Eng VIN H", "5.3L Eng VIN C", "6.2L Eng VIN J", "5.3L Eng VIN 3"];
+    const truckPick = matchEngineOption(prodemand, truck);
+    assert(truckPick.matched && truckPick.text === "5.3L Eng VIN C", `VIN C, got ${truckPick.text}`);
+    assert(matchEngineOption(["L83 5.3L V8 FLEX"], truck).reason.includes("code L83"), "code named in the option");
+  });
+
+  test("match: no matching option → explicit mismatch, no identity → caller decides", () => {
+    const civic = resolveEngineIdentity(CIVIC_20);
+    const miss = matchEngineOption(["1.5L L4 DOHC 16V GAS FI Turbo", "Electric"], civic);
+    assert(miss.matched === false && miss.conflict, "1.5T is not the 2.0L");
+    assert(miss.reason.includes("2.0L 4cyl (K20C2)"), `reason names the engine, got ${miss.reason}`);
+    assert(matchEngineOption(["Base", "Sport"], civic).matched === false, "options that name no engine don't match");
+
+    const unknown = matchEngineOption(["2.0L", "1.5L"], null);
+    assert(unknown.matched === null && unknown.index === -1, "no identity → matched null");
+
+    const warning = engineMismatchWarning("MOTOR", civic, "1.5L L4 DOHC 16V GAS FI Turbo");
+    assert(warning.code === "ENGINE_MISMATCH" && warning.engineCode === "K20C2", "warning carries the code");
+    assert(warning.msg.startsWith("MOTOR has no engine option matching 2.0L 4cyl (K20C2)"), warning.msg);
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-vehicle-identity] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
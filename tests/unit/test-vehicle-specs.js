@@ -0,0 +1,152 @@
+"use strict";
+
+// [test-vehicle-specs] Tests for skills/vehicle-specs — spec extraction from
+// AllData / ProDemand research output, the engine-code / YMME specs store, and
+// getVehicleSpecs() reading stored specs before the generic values.
+// Guard: if the vehicle-specs scripts can't load, skip all tests gracefully.
+
+delete process.env.SUPABASE_URL;
+
+let specs, store;
+
+try {
+  specs = require("../../skills/vehicle-specs/scripts/specs");
+  store = require("../../skills/vehicle-specs/scripts/specs-store");
+} catch (err) {
+  console.log("[test-vehicle-specs] WARNING: vehicle-specs could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const CIVIC = {
+  year: "2019", make: "Honda", model: "Civic", engineCode: "K20C2",
+  engine: { displacement: "2.0L", cylinders: "4" }, driveType: "FWD",
+};
+
+const RESEARCH = {
+  alldata: {
+    torqueSpecs: { "Oil drain plug": "29 ft-lb", "Caliper bracket bolt": "80 ft-lb" },
+    fluidCapacities: { "Cooling System Capacity": "6.4 qt" },
+    specialTools: ["Special tool: 07AAA-PNAA100 valve spring compressor"],
+    procedures: ["Engine oil capacity with filter: 4.4 qt. Use 0W-20 only.", "Firing order: 1-3-4-2"],
+  },
+  prodemand: {
+    realFixes: [{ title: "P0420", complaint: "MIL on", correction: "Replaced converter. Tightened the A/F sensor to 33 ft-lb. Refill coolant, capacity 6.4 quarts." }],
+  },
+};
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("extract: fluids, torque, firing order and tools from research text", () => {
+    const found = specs.extractSpecsFromResearch(RESEARCH);
+    assert(found.fluids.engineOil.capacityWithFilter === "4.4 qt" && found.fluids.engineOil.weight === "0W-20", "engine oil");
+    assert(found.fluids.coolant.capacity === "6.4 qt" && found.fluids.coolant.capacitySource === "alldata", "coolant from the AllData capacity field");
+    assert(found.torque.oilDrainPlug.value === "29 ft-lb" && found.torque.o2Sensor.value === "33 ft-lb", "known torque names keyed");
+    assert(found.torque["Caliper bracket bolt"].source === "alldata", "other AllData torque kept by name");
+    assert(found.firingOrder === "1-3-4-2" && found.specialTools.length === 1, "firing order + tool");
+    assert(found.sources.alldata === 1 && found.sources.prodemand === 1, "both sources credited");
+
+    const nothing = specs.extractSpecsFromResearch({ alldata: { error: "blocked" }, prodemand: null });
+    assert(Object.keys(nothing.torque).length === 0 && !nothing.firingOrder, "errored research → nothing");
+  });
+
+  test("extract: repair stories never become capacities", () => {
+    const story = specs.extractSpecsFromResearch({
+      prodemand: { realFixes: [{ correction: "Replaced oil pressure switch and added 1 quart of oil. Refill coolant, capacity 6.4 quarts." }] },
+    });
+    assert(Object.keys(story.fluids).length === 0, `Real Fix amounts ignored, got ${JSON.stringify(story.fluids)}`);
+
+    const prose = specs.extractSpecsFromResearch({
+      alldata: { procedures: ["Refill the cooling system with 6.4 quarts of coolant and check the oil level."] },
+    });
+    assert(Object.keys(prose.fluids).length === 0, "procedure prose without a capacity heading ignored");
+
+    const headings = specs.extractSpecsFromResearch({
+      alldata: {
+        fluidCapacities: { "Coolant capacity (check engine oil level after)": "6.4 qt", "Transmission fluid capacity, drain and refill": "3.5 qt" },
+        procedures: ["Oil capacity: 4.4 qt."],
+      },
+    });
+    assert(headings.fluids.coolant.capacity === "6.4 qt" && headings.fluids.engineOil.capacityWithFilter === "4.4 qt",
+      "coolant named before the generic oil match");
+    assert(headings.fluids.transmission.drainAndFill === "3.5 qt", "drain-and-fill amount kept apart");
+  });
+
+  test("store: a disagreeing capacity needs a second job before it replaces the stored one", async () => {
+    store.clearMemoryStore();
+    const capacity = (qt) => ({ alldata: { fluidCapacities: { "Engine oil capacity with filter": qt } } });
+    await specs.recordResearchSpecs(CIVIC, capacity("4.4 qt"));
+    await specs.recordResearchSpecs(CIVIC, capacity("4.4 quarts"));
+    let oil = (await store.getStoredSpecs(CIVIC)).fluids.engineOil;
+    assert(oil.capacityWithFilter === "4.4 qt" && oil.confirmations.capacityWithFilter === 2, "agreeing job confirms");
+
+    await specs.recordResearchSpecs(CIVIC, capacity("1 qt"));
+    oil = (await store.getStoredSpecs(CIVIC)).fluids.engineOil;
+    assert(oil.capacityWithFilter === "4.4 qt" && oil.candidates.capacityWithFilter.value === "1 qt", "one job can't overwrite");
+
+    await specs.recordResearchSpecs(CIVIC, capacity("1 qt"));
+    oil = (await store.getStoredSpecs(CIVIC)).fluids.engineOil;
+    assert(oil.capacityWithFilter === "4.4 qt", "two confirmations still outweigh two reports");
+    await specs.recordResearchSpecs(CIVIC, capacity("1 qt"));
+    oil = (await store.getStoredSpecs(CIVIC)).fluids.engineOil;
+    assert(oil.capacityWithFilter === "1 qt" && !oil.candidates.capacityWithFilter, "replaced once more jobs agree");
+  });
+
+  test("store: keyed by engine code and YMME, merged across jobs", async () => {
+    store.clearMemoryStore();
+    assert(store.specKeysFor(CIVIC).join(",") === "engine:K20C2,ymme:2019|honda|civic|2.0l", "engine + YMME keys");
+
+    const keys = await specs.recordResearchSpecs(CIVIC, RESEARCH);
+    assert(keys.length === 2, "both keys written");
+    await specs.recordResearchSpecs(CIVIC, { alldata: { torqueSpecs: { "Lug nuts": "80 ft-lb" } } });
+
+    // Another model year with the same engine shares the engine row
+    const accord = await store.getStoredSpecs({ ...CIVIC, year: "2020" });
+    assert(accord.keys.join() === "engine:K20C2" && accord.firingOrder === "1-3-4-2", "engine row shared");
+    const civic = await store.getStoredSpecs(CIVIC);
+    assert(civic.jobCount === 2 && civic.torque.wheelLugNuts.value === "80 ft-lb" && civic.torque.oilDrainPlug, "merged, not replaced");
+    assert((await specs.recordResearchSpecs(CIVIC, {})).length === 0, "nothing found → nothing written");
+  });
+
+  test("getVehicleSpecs: stored specs first, generic values otherwise", async () => {
+    store.clearMemoryStore();
+    const generic = await specs.getVehicleSpecs({ vehicle: CIVIC, repairType: "oil-change" });
+    assert(generic.specsSource === "generic" && generic.fluids.engineOil.capacityWithFilter === "Check service manual", "generic before any job");
+
+    await specs.recordResearchSpecs(CIVIC, RESEARCH);
+    const learned = await specs.getVehicleSpecs({ vehicle: CIVIC, repairType: "oil-change" });
+    assert(learned.specsSource === "stored", "stored specs used");
+    assert(learned.fluids.engineOil.capacityWithFilter === "4.4 qt" && learned.fluids.engineOil.weight === "0W-20", "oil from the store");
+    assert(learned.torqueSpecs.oilDrainPlug.value === "29 ft-lb" && learned.torqueSpecs.o2Sensor.value === "33 ft-lb", "torque from the store");
+    assert(learned.torqueSpecs.wheelLugNuts.value.includes("verify"), "generic values fill the gaps");
+    assert(learned.firingOrder === "1-3-4-2" && learned.vehicle.engine.code === "K20C2", "firing order + engine code");
+    assert(learned.fluids.engineOil.capacitySource === "alldata" && generic.fluids.engineOil.capacitySource === null, "capacity source carried");
+    assert(learned.specialTools[0].includes("07AAA") && learned.specialTools.some((t) => t.includes("Drain pan")), "stored tools first");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-vehicle-specs] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
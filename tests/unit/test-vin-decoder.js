@@ -0,0 +1,135 @@
+"use strict";
+
+// [test-vin-decoder] Tests for skills/vin-decoder — check-digit validation and
+// "did you mean" suggestions, offline WMI / model-year decoding, and the decode
+// cache in front of NHTSA (a local stub stands in for vPIC).
+// Guard: if the decoder can't load, skip all tests gracefully.
+
+const http = require("http");
+
+delete process.env.SUPABASE_URL;
+
+let decoder, vinCache;
+
+try {
+  decoder = require("../../skills/vin-decoder/scripts/decode");
+  vinCache = require("../../skills/vin-decoder/scripts/vin-cache");
+} catch (err) {
+  console.log("[test-vin-decoder] WARNING: vin-decoder could not be loaded — skipping");
+  process.exit(0);
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error("FAIL: " + msg);
+}
+
+const HONDA = "1HGBH41JXMN109186";
+const RAV4 = "2T3W1RFV2LW000001";
+const ODYSSEY = "5FNRL6H79NB000123";
+
+/** vPIC stand-in: DecodeVinValues answers for RAV4, 500 for anything else */
+function startVpic() {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+    if (!req.url.includes(RAV4)) {
+      res.writeHead(500);
+      return res.end("upstream error");
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({
+      Results: [{ ModelYear: "2020", Make: "TOYOTA", Model: "RAV4", Trim: "XLE", DisplacementL: "2.5", EngineCylinders: "4", EngineModel: "A25A-FKS" }],
+    }));
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => {
+    server.hits = hits;
+    resolve(server);
+  }));
+}
+
+async function runTests() {
+  const tests = [];
+  let pass = 0, fail = 0;
+
+  function test(name, fn) { tests.push({ name, fn }); }
+
+  test("validateVin: check digit verified; input normalized", () => {
+    assert(decoder.validateVin(HONDA).valid, "sample VIN valid");
+    assert(decoder.computeCheckDigit(HONDA) === "X", "remainder 10 → X");
+    const spaced = decoder.validateVin(" 2t3w1rfv2-lw000001 ");
+    assert(spaced.valid && spaced.vin === RAV4, "spaces, dashes and case ignored");
+
+    const bad = decoder.validateVin("1HGBH41J5MN109186");
+    assert(!bad.valid && bad.reason === "check_digit", "wrong check digit rejected");
+    assert(!decoder.isValidVin("1HGBH41J5MN109186"), "isValidVin includes the check digit");
+    assert(decoder.validateVin("1HGBH41JXMN10918").reason === "length", "16 chars → length");
+  });
+
+  test("validateVin: single-character typos get a did-you-mean", () => {
+    const letterO = decoder.validateVin("1HGBH41JXMN1O9186");
+    assert(letterO.reason === "characters" && letterO.suggestion === HONDA, "O for 0");
+    const fiveForS = decoder.validateVin("SFNRL6H79NB000123");
+    assert(fiveForS.suggestion === ODYSSEY, `S for 5 in the WMI, got ${fiveForS.suggestion}`);
+    const checkTypo = decoder.validateVin("1HGBH41J5MN109186");
+    assert(checkTypo.suggestion === HONDA, "mistyped check digit corrected");
+  });
+
+  test("offline decode: year from position 10, make from the WMI", () => {
+    const rav4 = decoder.decodeVinOffline(RAV4);
+    assert(rav4.year === "2020" && rav4.make === "Toyota" && rav4.source === "offline", "2020 Toyota");
+    assert(rav4.plant.country === "Canada" && rav4.model === null, "country known, model not");
+    // Position 7 digit → 1980–2009 cycle
+    assert(decoder.decodeVinOffline(HONDA).year === "1991", "M with a digit in position 7 → 1991");
+
+    const unknown = "9BW" + RAV4.slice(3);
+    const fixed = unknown.slice(0, 8) + decoder.computeCheckDigit(unknown) + unknown.slice(9);
+    const brazil = decoder.decodeVinOffline(fixed);
+    assert(brazil.make === null && brazil.plant.country === "Brazil", "unlisted WMI still gets a country");
+  });
+
+  test("decodeVin: NHTSA once, then the cache; outage falls back offline", async () => {
+    vinCache.clearMemoryCache();
+    const server = await startVpic();
+    const saved = process.env.NHTSA_VPIC_URL;
+    process.env.NHTSA_VPIC_URL = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const first = await decoder.decodeVin(RAV4.toLowerCase());
+      assert(first.source === "nhtsa" && first.model === "RAV4" && first.engine.displacement === "2.5L", "decoded by NHTSA");
+      assert(first.engine.code === "A25A-FKS", "engine code kept from EngineModel");
+      const again = await decoder.decodeVin(RAV4);
+      assert(again.source === "cache" && again.model === "RAV4", "repeat served from cache");
+      assert(server.hits.length === 1, `NHTSA called once, got ${server.hits.length}`);
+
+      const offline = await decoder.decodeVin(ODYSSEY);
+      assert(offline.source === "offline" && offline.make === "Honda" && offline.year === "2022", "500 → offline decode");
+      assert((await decoder.decodeVin(ODYSSEY)).source === "offline" && server.hits.length === 3, "offline decodes aren't cached");
+    } finally {
+      server.close();
+      if (saved === undefined) delete process.env.NHTSA_VPIC_URL;
+      else process.env.NHTSA_VPIC_URL = saved;
+    }
+
+    const err = await decoder.decodeVin("1HGBH41J5MN109186").catch((e) => e);
+    assert(err.code === "VIN_INVALID" && err.suggestion === HONDA, "invalid VIN throws with the suggestion");
+    assert(err.message.includes("did you mean"), "suggestion in the message");
+  });
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      pass++;
+      console.log(`  PASS: ${name}`);
+    } catch (e) {
+      fail++;
+      console.error(`  FAIL: ${name} — ${e.message}`);
+    }
+  }
+
+  console.log(`\n[test-vin-decoder] Results: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -123,6 +123,76 @@ async function runTests() {
     );
   });
 
+  // ── Multi-job estimates ──────────────────────────────────────────────────
+
+  const multiJobResults = {
+    ...mockResults,
+    jobs: [
+      { name: "P0420", subtotal: { labor: 144, parts: 649.52, total: 793.52 } },
+      { name: "Oil change", subtotal: { labor: 60, parts: 42, total: 102 } },
+    ],
+    parts: {
+      bestValueBundle: {
+        parts: [
+          { jobIndex: 0, selected: { brand: "MagnaFlow", description: "Catalytic Converter", partNumber: "49000" } },
+          { jobIndex: 1, selected: { brand: "Wix", description: "Oil Filter", partNumber: "57045" } },
+        ],
+      },
+    },
+  };
+
+  test("JOBS: first message lists each job with its subtotal", () => {
+    const [msg1] = formatForWhatsApp(multiJobResults);
+    assert(msg1.includes("1. P0420 — $793.52"), "job 1 subtotal");
+    assert(msg1.includes("2. Oil change — $102.00"), "job 2 subtotal");
+  });
+
+  test("JOBS: subtotals suppressed when pricing gate is blocked", () => {
+    const [msg1] = formatForWhatsApp({ ...multiJobResults, customer_ready: false });
+    assert(msg1.includes("2. Oil change"), "job still listed");
+    assert(!msg1.includes("$102.00"), "no dollar amount when blocked");
+  });
+
+  test("JOBS: parts grouped under their job", () => {
+    const msg2 = formatForWhatsApp(multiJobResults)[1];
+    assert(msg2.indexOf("_2. Oil change_") < msg2.indexOf("Oil Filter"), "oil filter under job 2");
+    assert(msg2.indexOf("_1. P0420_") < msg2.indexOf("Catalytic"), "cat under job 1");
+  });
+
+  test("JOBS: single-job results show no job list", () => {
+    const [msg1] = formatForWhatsApp({ ...mockResults, jobs: [{ name: "P0420", subtotal: { total: 793.52 } }] });
+    assert(!msg1.includes("*JOBS:*"), "no JOBS header for one job");
+  });
+
+  // ── Good / Better / Best ──────────────────────────────────────────────────
+
+  const tierResults = {
+    ...mockResults,
+    jobs: [{
+      name: "Front brakes",
+      subtotal: { total: 266.5 },
+      tierOptions: {
+        good: { label: "Good", description: "economy aftermarket", brands: ["Wagner"], total: 266.5, selected: true },
+        better: { label: "Better", description: "premium aftermarket", brands: ["Akebono"], total: 298.1 },
+        best: { label: "Best", description: "OEM", brands: ["Toyota"], total: 340 },
+      },
+    }],
+  };
+
+  test("TIERS: each option listed with its total, chosen one ticked", () => {
+    const msg2 = formatForWhatsApp(tierResults)[1];
+    assert(msg2.includes("*OPTIONS (Good / Better / Best):*"), "options header");
+    assert(msg2.includes("\u2713 *Good* $266.50 \u2014 economy aftermarket (Wagner)"), "good option ticked");
+    assert(msg2.includes("\u2022 *Better* $298.10"), "better option");
+    assert(msg2.indexOf("*Better*") < msg2.indexOf("*Best*"), "side by side in tier order");
+  });
+
+  test("TIERS: option totals suppressed when pricing gate is blocked", () => {
+    const msg2 = formatForWhatsApp({ ...tierResults, customer_ready: false })[1];
+    assert(msg2.includes("*Best* \u2014 OEM"), "option still listed");
+    assert(!msg2.includes("$340.00"), "no dollar amount when blocked");
+  });
+
   // ── Run all tests ──────────────────────────────────────────────────────────
 
   for (const { name, fn } of tests) {